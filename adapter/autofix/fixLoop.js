@@ -0,0 +1,135 @@
+// Autonomous fix loop: generate a patch, apply it in a scratch copy, run the tests,
+// and ask for a corrected patch until the tests pass or the iterations run out.
+
+import { ScratchCopy } from '../patch/scratchCopy.js';
+
+export const DEFAULT_MAX_ITERATIONS = 3;
+export const MAX_ITERATIONS_LIMIT = 10;
+
+// Test output kept per iteration (the tail, where failures are summarized)
+const TEST_OUTPUT_LIMIT = 20000;
+
+function tail(text, limit = TEST_OUTPUT_LIMIT) {
+  if (!text || text.length <= limit) {
+    return text || '';
+  }
+  return `[...${text.length - limit} characters omitted]\n${text.slice(-limit)}`;
+}
+
+/**
+ * Run the generate → apply → test → review loop
+ * Each patch replaces the previous one: the scratch copy is reset before it is applied,
+ * so reviewed patches must be complete rather than incremental.
+ * @param {Object} options
+ * @param {string} options.repoPath - Absolute repository root (never modified)
+ * @param {number} [options.maxIterations] - Patches to try at most
+ * @param {number} [options.timeLimitMs] - No iteration starts once this much time has passed; the one running
+ *   finishes within the LLM and test timeouts
+ * @param {AbortSignal} [options.signal] - Stops the loop before the next iteration, e.g. when the client left
+ * @param {function(): Promise<{answer: string, patch: Object|null, patchValidation?: Object}>} options.generatePatch
+ *   Produces the first patch
+ * @param {function({patch: Object, testOutput?: string, testError?: string, failures?: Object[]}): Promise<{answer: string, patch: Object|null, patchValidation?: Object}>} options.reviewPatch
+ *   Produces a corrected patch from the last patch and its failure; failures lists the failing tests when
+ *   the run produced structured results
+ * @param {function(string): Promise<{success: boolean, exitCode: number, stdout: string, stderr: string, results?: Object}>} options.runTests
+ *   Runs the test suite in the given directory
+ * @returns {Promise<{status: string, iterations: number, patch: Object|null, answer: string|null, trace: Array}>}
+ *   status is "passed", "failed" (iterations exhausted), "no-patch" (the LLM stopped producing patches),
+ *   "timed-out" (timeLimitMs ran out) or "aborted"
+ */
+export async function runFixLoop({
+  repoPath,
+  maxIterations = DEFAULT_MAX_ITERATIONS,
+  timeLimitMs = Infinity,
+  signal,
+  generatePatch,
+  reviewPatch,
+  runTests,
+}) {
+  const deadline = Date.now() + timeLimitMs;
+  const scratch = ScratchCopy.create(repoPath);
+  const trace = [];
+  let status = 'failed';
+  let last = null;
+
+  try {
+    let failure = null;
+
+    for (let iteration = 1; iteration <= maxIterations; iteration++) {
+      if (signal?.aborted) {
+        status = 'aborted';
+        break;
+      }
+      if (iteration > 1 && Date.now() >= deadline) {
+        status = 'timed-out';
+        break;
+      }
+      const startTime = Date.now();
+      const step = iteration === 1 ? 'generate' : 'review';
+      const result = iteration === 1
+        ? await generatePatch()
+        : await reviewPatch({ patch: last.patch, ...failure });
+
+      const entry = {
+        iteration,
+        step,
+        answer: result.answer,
+        patch: result.patch,
+        ...(result.patchValidation && { patchValidation: result.patchValidation }),
+        apply: null,
+        tests: null,
+      };
+      trace.push(entry);
+
+      if (!result.patch) {
+        status = 'no-patch';
+        entry.durationMs = Date.now() - startTime;
+        break;
+      }
+      last = { patch: result.patch, answer: result.answer };
+
+      try {
+        entry.apply = scratch.applyPatch(result.patch);
+      } catch (err) {
+        entry.apply = { applicable: false, files: [], written: [], error: err.message };
+      }
+
+      if (!entry.apply.applicable) {
+        const reasons = entry.apply.error
+          || entry.apply.files.filter(f => f.error).map(f => `${f.path}: ${f.error}`).join('\n');
+        failure = { testError: `Patch does not apply to the repository:\n${reasons}` };
+        entry.durationMs = Date.now() - startTime;
+        continue;
+      }
+
+      const tests = await runTests(scratch.dir);
+      entry.tests = {
+        success: tests.success,
+        exitCode: tests.exitCode,
+        stdout: tail(tests.stdout),
+        stderr: tail(tests.stderr),
+        results: tests.results ?? null,
+      };
+      entry.durationMs = Date.now() - startTime;
+
+      if (tests.success) {
+        status = 'passed';
+        break;
+      }
+      failure = {
+        testOutput: [entry.tests.stdout, entry.tests.stderr].filter(Boolean).join('\n') || `Tests exited with code ${tests.exitCode}`,
+        failures: tests.results?.failures || [],
+      };
+    }
+  } finally {
+    scratch.dispose();
+  }
+
+  return {
+    status,
+    iterations: trace.length,
+    patch: last ? last.patch : null,
+    answer: last ? last.answer : null,
+    trace,
+  };
+}
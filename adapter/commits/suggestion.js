@@ -0,0 +1,154 @@
+// Commit message and pull request description suggestions for /suggest-commit
+// The LLM answers with one JSON object between SUGGESTION_START and SUGGESTION_END:
+//
+// {
+//   "type": "feat", "scope": "math", "breaking": false,
+//   "description": "add isEven", "body": "Why the change was made...",
+//   "summary": "...", "testing": "...", "risks": "..."
+// }
+//
+// and the adapter assembles the conventional-commit message and the Markdown PR description from it.
+
+import { estimateTokens } from '../llm/tokens.js';
+
+export const COMMIT_TYPES = ['feat', 'fix', 'docs', 'style', 'refactor', 'perf', 'test', 'build', 'ci', 'chore', 'revert'];
+
+const SUGGESTION_START = 'SUGGESTION_START';
+const SUGGESTION_END = 'SUGGESTION_END';
+
+// "feat(math)!: add isEven"
+const HEADER_PATTERN = /^(\w+)(?:\(([^)]+)\))?(!)?:\s*(.+)$/;
+
+/**
+ * Files and line counts from `git diff --numstat`
+ * @param {string} output - stdout of `git diff --cached --numstat`
+ * @returns {Array<{file: string, additions: number|null, deletions: number|null}>} counts are null for binary files
+ */
+export function parseNumstat(output) {
+  return output.split('\n').filter(Boolean).map((line) => {
+    const [additions, deletions, ...name] = line.split('\t');
+    return {
+      file: name.join('\t'),
+      additions: additions === '-' ? null : Number(additions),
+      deletions: deletions === '-' ? null : Number(deletions),
+    };
+  });
+}
+
+/**
+ * Cut a diff to fit a prompt, dropping whole files from the end where possible
+ * @param {string} diff - Unified diff, possibly of many files
+ * @param {number} maxTokens - Estimated tokens the diff may use
+ * @returns {{diff: string, truncated: boolean, omittedFiles: number}}
+ */
+export function truncateDiff(diff, maxTokens) {
+  if (estimateTokens(diff) <= maxTokens) {
+    return { diff, truncated: false, omittedFiles: 0 };
+  }
+  const files = diff.split(/^(?=diff --git )/m);
+  const kept = [];
+  let tokens = 0;
+  for (const file of files) {
+    tokens += estimateTokens(file);
+    if (tokens > maxTokens) break;
+    kept.push(file);
+  }
+  if (kept.length === 0) {
+    // The first file alone is over the budget: keep its beginning
+    const chars = Math.floor(diff.length * (maxTokens / estimateTokens(diff)));
+    return { diff: diff.slice(0, Math.max(chars, 0)), truncated: true, omittedFiles: files.length - 1 };
+  }
+  return { diff: kept.join(''), truncated: true, omittedFiles: files.length - kept.length };
+}
+
+const text = value => (typeof value === 'string' ? value.trim() : '');
+
+/**
+ * Read the suggestion out of an LLM reply
+ * A description that already carries a "type(scope):" header is split up; an unknown type becomes "chore".
+ * @param {string} reply - LLM reply containing SUGGESTION_START ... SUGGESTION_END
+ * @returns {{type: string, scope: string|null, breaking: boolean, description: string, body: string,
+ *   summary: string, testing: string, risks: string}|null} null when the reply has no usable suggestion
+ */
+export function parseSuggestion(reply) {
+  const start = reply.indexOf(SUGGESTION_START);
+  const end = reply.indexOf(SUGGESTION_END, start);
+  if (start === -1 || end === -1) {
+    return null;
+  }
+  let json;
+  try {
+    json = JSON.parse(reply.substring(start + SUGGESTION_START.length, end).trim());
+  } catch (error) {
+    return null;
+  }
+
+  let type = text(json.type).toLowerCase();
+  let scope = text(json.scope) || null;
+  let breaking = json.breaking === true;
+  let description = text(json.description).split('\n')[0];
+  const header = HEADER_PATTERN.exec(description);
+  if (header) {
+    type = header[1].toLowerCase();
+    scope = header[2] || scope;
+    breaking = breaking || Boolean(header[3]);
+    description = header[4];
+  }
+  // Conventional subjects start lowercase; acronyms such as "API" are left alone
+  description = description.replace(/\.+$/, '').trim().replace(/^[A-Z](?=[a-z])/, letter => letter.toLowerCase());
+  if (!description) {
+    return null;
+  }
+
+  return {
+    type: COMMIT_TYPES.includes(type) ? type : 'chore',
+    scope,
+    breaking,
+    description,
+    body: text(json.body),
+    summary: text(json.summary),
+    testing: text(json.testing),
+    risks: text(json.risks),
+  };
+}
+
+/**
+ * The conventional-commit message for a suggestion
+ * @param {Object} suggestion - From parseSuggestion()
+ * @returns {{subject: string, message: string}} message is the subject, the body and a
+ *   BREAKING CHANGE footer for breaking changes
+ */
+export function formatCommitMessage(suggestion) {
+  const { type, scope, breaking, description, body } = suggestion;
+  const subject = `${type}${scope ? `(${scope})` : ''}${breaking ? '!' : ''}: ${description}`;
+  const footer = breaking ? `BREAKING CHANGE: ${suggestion.risks || description}` : '';
+  return { subject, message: [subject, body, footer].filter(Boolean).join('\n\n') };
+}
+
+/**
+ * The Markdown pull request description for a suggestion
+ * @param {Object} suggestion - From parseSuggestion()
+ * @returns {string} Summary, Testing and Risks sections
+ */
+export function formatPrDescription(suggestion) {
+  return [
+    `## Summary\n\n${suggestion.summary || suggestion.body || suggestion.description}`,
+    `## Testing\n\n${suggestion.testing || 'Not described.'}`,
+    `## Risks\n\n${suggestion.risks || 'None identified.'}`,
+  ].join('\n\n');
+}
+
+/**
+ * A branch name for a suggestion, e.g. "feat/add-iseven"
+ * @param {Object} suggestion - From parseSuggestion()
+ * @returns {string}
+ */
+export function suggestBranchName(suggestion) {
+  const slug = suggestion.description
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 40)
+    .replace(/-+$/, '');
+  return `${suggestion.type}/${slug || 'changes'}`;
+}
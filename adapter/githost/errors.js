@@ -0,0 +1,84 @@
+// Normalized errors for git host API calls
+
+/**
+ * Error raised by any git host client, with a host-independent classification
+ * code is one of: 'auth', 'not_found', 'already_exists' when an open pull request
+ * for the branch exists, 'bad_request', 'rate_limit', 'server', 'network' or
+ * 'invalid_response'.
+ */
+export class GitHostError extends Error {
+  /**
+   * @param {string} message - Human-readable description
+   * @param {Object} details
+   * @param {string} details.host - Host kind ('github' or 'gitlab')
+   * @param {string} details.code - Normalized error code
+   * @param {number} [details.status] - HTTP status, if any
+   */
+  constructor(message, { host, code, status = null }) {
+    super(message);
+    this.name = 'GitHostError';
+    this.host = host;
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// GitHub puts field errors in errors[].message, GitLab sends message as a string or an array
+function describeBody(parsed) {
+  const details = (parsed.errors || []).map(e => (typeof e === 'string' ? e : e.message)).filter(Boolean);
+  const message = Array.isArray(parsed.message) ? parsed.message.join('; ') : parsed.message || parsed.error;
+  return [message, ...details].filter(Boolean).join(': ');
+}
+
+/**
+ * Build a GitHostError from a non-2xx HTTP response
+ * @param {string} host - Host kind
+ * @param {Response} response - fetch response
+ * @returns {Promise<GitHostError>}
+ */
+export async function errorFromResponse(host, response) {
+  const bodyText = await response.text().catch(() => '');
+  let message = bodyText;
+  try {
+    message = describeBody(JSON.parse(bodyText)) || bodyText;
+  } catch (e) {
+    // Plain-text error body
+  }
+
+  const status = response.status;
+  let code = 'server';
+  if (status === 401) {
+    code = 'auth';
+  } else if (status === 429 || (status === 403 && response.headers.get('x-ratelimit-remaining') === '0')) {
+    code = 'rate_limit';
+  } else if (status === 403) {
+    code = 'auth';
+  } else if (status === 404) {
+    code = 'not_found';
+  } else if (status === 409 || (status === 422 && /already exists/i.test(message))) {
+    code = 'already_exists';
+  } else if (status >= 400 && status < 500) {
+    code = 'bad_request';
+  }
+
+  return new GitHostError(`${host} API error: ${status} ${message}`.trim(), { host, code, status });
+}
+
+/**
+ * Wrap a fetch/parse failure that is not already a GitHostError
+ * @param {string} host - Host kind
+ * @param {Error} error - Original error
+ * @returns {GitHostError}
+ */
+export function normalizeError(host, error) {
+  if (error instanceof GitHostError) {
+    return error;
+  }
+  if (error instanceof SyntaxError) {
+    return new GitHostError(`Invalid response from ${host}: ${error.message}`, { host, code: 'invalid_response' });
+  }
+  if (error.name === 'AbortError' || error.name === 'TimeoutError') {
+    return new GitHostError(`${host} API request timed out`, { host, code: 'network' });
+  }
+  return new GitHostError(`Could not reach ${host}: ${error.cause?.message || error.message}`, { host, code: 'network' });
+}
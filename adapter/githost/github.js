@@ -0,0 +1,93 @@
+// GitHub REST client (github.com and GitHub Enterprise Server)
+
+import { errorFromResponse, normalizeError } from './errors.js';
+
+const API_VERSION = '2022-11-28';
+
+function normalizePullRequest(data) {
+  return {
+    number: data.number,
+    url: data.html_url,
+    title: data.title,
+    state: data.state,
+    head: data.head?.ref,
+    base: data.base?.ref,
+  };
+}
+
+export class GitHubClient {
+  /**
+   * @param {Object} options
+   * @param {string} [options.apiUrl] - REST API root (default https://api.github.com)
+   * @param {string} options.token - Personal access token, sent as a Bearer token
+   * @param {number} [options.timeout] - Milliseconds per request (default 30000)
+   */
+  constructor({ apiUrl, token, timeout = 30000 }) {
+    this.name = 'github';
+    this.apiUrl = (apiUrl || 'https://api.github.com').replace(/\/+$/, '');
+    this.token = token;
+    this.timeout = timeout;
+  }
+
+  async request(method, apiPath, body) {
+    try {
+      const response = await fetch(`${this.apiUrl}${apiPath}`, {
+        method,
+        headers: {
+          Accept: 'application/vnd.github+json',
+          'X-GitHub-Api-Version': API_VERSION,
+          ...(body && { 'Content-Type': 'application/json' }),
+          ...(this.token && { Authorization: `Bearer ${this.token}` }),
+        },
+        ...(body && { body: JSON.stringify(body) }),
+        signal: AbortSignal.timeout(this.timeout),
+      });
+      if (!response.ok) {
+        throw await errorFromResponse(this.name, response);
+      }
+      return await response.json();
+    } catch (error) {
+      throw normalizeError(this.name, error);
+    }
+  }
+
+  // "owner/name" -> /repos/owner/name
+  repoPath(repo) {
+    return `/repos/${repo.split('/').map(encodeURIComponent).join('/')}`;
+  }
+
+  /**
+   * @param {string} repo - "owner/name"
+   * @returns {Promise<string>} The repository's default branch
+   */
+  async getDefaultBranch(repo) {
+    const data = await this.request('GET', this.repoPath(repo));
+    return data.default_branch;
+  }
+
+  /**
+   * Open a pull request
+   * @param {Object} request
+   * @param {string} request.repo - "owner/name"
+   * @param {string} request.head - Branch with the changes
+   * @param {string} request.base - Branch to merge into
+   * @param {string} request.title - Title
+   * @param {string} [request.body] - Description (Markdown)
+   * @returns {Promise<{number: number, url: string, title: string, state: string, head: string, base: string}>}
+   */
+  async createPullRequest({ repo, head, base, title, body = '' }) {
+    const data = await this.request('POST', `${this.repoPath(repo)}/pulls`, { title, head, base, body });
+    return normalizePullRequest(data);
+  }
+
+  /**
+   * The open pull request from head into base, if there is one
+   * @param {Object} request - repo, head and base as for createPullRequest()
+   * @returns {Promise<Object|null>} Same shape as createPullRequest()
+   */
+  async findPullRequest({ repo, head, base }) {
+    const query = new URLSearchParams({ head: `${repo.split('/')[0]}:${head}`, base, state: 'open' });
+    const data = await this.request('GET', `${this.repoPath(repo)}/pulls?${query}`);
+    return data.length > 0 ? normalizePullRequest(data[0]) : null;
+  }
+}
@@ -0,0 +1,93 @@
+// GitLab REST client (gitlab.com and self-managed instances); pull requests are merge requests
+
+import { errorFromResponse, normalizeError } from './errors.js';
+
+const STATES = { opened: 'open', closed: 'closed', merged: 'merged', locked: 'closed' };
+
+function normalizeMergeRequest(data) {
+  return {
+    number: data.iid,
+    url: data.web_url,
+    title: data.title,
+    state: STATES[data.state] || data.state,
+    head: data.source_branch,
+    base: data.target_branch,
+  };
+}
+
+export class GitLabClient {
+  /**
+   * @param {Object} options
+   * @param {string} [options.apiUrl] - REST API root (default https://gitlab.com/api/v4)
+   * @param {string} options.token - Personal or project access token, sent as PRIVATE-TOKEN
+   * @param {number} [options.timeout] - Milliseconds per request (default 30000)
+   */
+  constructor({ apiUrl, token, timeout = 30000 }) {
+    this.name = 'gitlab';
+    this.apiUrl = (apiUrl || 'https://gitlab.com/api/v4').replace(/\/+$/, '');
+    this.token = token;
+    this.timeout = timeout;
+  }
+
+  async request(method, apiPath, body) {
+    try {
+      const response = await fetch(`${this.apiUrl}${apiPath}`, {
+        method,
+        headers: {
+          Accept: 'application/json',
+          ...(body && { 'Content-Type': 'application/json' }),
+          ...(this.token && { 'PRIVATE-TOKEN': this.token }),
+        },
+        ...(body && { body: JSON.stringify(body) }),
+        signal: AbortSignal.timeout(this.timeout),
+      });
+      if (!response.ok) {
+        throw await errorFromResponse(this.name, response);
+      }
+      return await response.json();
+    } catch (error) {
+      throw normalizeError(this.name, error);
+    }
+  }
+
+  // Projects are addressed by their URL-encoded full path, subgroups included
+  projectPath(repo) {
+    return `/projects/${encodeURIComponent(repo)}`;
+  }
+
+  /**
+   * @param {string} repo - "group/name" or "group/subgroup/name"
+   * @returns {Promise<string>} The project's default branch
+   */
+  async getDefaultBranch(repo) {
+    const data = await this.request('GET', this.projectPath(repo));
+    return data.default_branch;
+  }
+
+  /**
+   * Open a merge request
+   * @param {Object} request - See GitHubClient.createPullRequest()
+   * @returns {Promise<{number: number, url: string, title: string, state: string, head: string, base: string}>}
+   *   number is the merge request's project-level iid
+   */
+  async createPullRequest({ repo, head, base, title, body = '' }) {
+    const data = await this.request('POST', `${this.projectPath(repo)}/merge_requests`, {
+      source_branch: head,
+      target_branch: base,
+      title,
+      description: body,
+    });
+    return normalizeMergeRequest(data);
+  }
+
+  /**
+   * The open merge request from head into base, if there is one
+   * @param {Object} request - repo, head and base as for createPullRequest()
+   * @returns {Promise<Object|null>} Same shape as createPullRequest()
+   */
+  async findPullRequest({ repo, head, base }) {
+    const query = new URLSearchParams({ source_branch: head, target_branch: base, state: 'opened' });
+    const data = await this.request('GET', `${this.projectPath(repo)}/merge_requests?${query}`);
+    return data.length > 0 ? normalizeMergeRequest(data[0]) : null;
+  }
+}
@@ -0,0 +1,162 @@
+// Git host registry
+// Every client exposes the same interface:
+//   createPullRequest({ repo, head, base, title, body }) -> { number, url, title, state, head, base }
+//   findPullRequest({ repo, head, base }) -> the open pull request from head into base, or null
+//   getDefaultBranch(repo) -> branch name
+// repo is the project path from the remote URL ("owner/name", or "group/subgroup/name" on GitLab);
+// state is 'open', 'closed' or 'merged'; failures throw GitHostError.
+
+import { GitHubClient } from './github.js';
+import { GitLabClient } from './gitlab.js';
+import { GitHostError } from './errors.js';
+
+// host is the public service; self-hosted servers are only trusted when configured (see detectHostKind())
+const HOSTS = {
+  github: {
+    Client: GitHubClient,
+    host: 'github.com',
+    apiUrl: host => (host === 'github.com' ? 'https://api.github.com' : `https://${host}/api/v3`),
+  },
+  gitlab: {
+    Client: GitLabClient,
+    host: 'gitlab.com',
+    apiUrl: host => `https://${host}/api/v4`,
+  },
+};
+
+export const GIT_HOST_NAMES = Object.keys(HOSTS);
+
+/**
+ * Host name and project path of a remote URL
+ * Understands https://host/owner/repo.git, ssh://git@host:22/owner/repo.git and git@host:owner/repo.git.
+ * @param {string} url - Remote URL
+ * @returns {{host: string, repo: string}|null} null for local paths and URLs without an owner and name
+ */
+export function parseRemoteUrl(url) {
+  let host;
+  let repoPath;
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(url)) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return null;
+    }
+    if (parsed.protocol === 'file:') {
+      return null;
+    }
+    host = parsed.hostname;
+    repoPath = decodeURIComponent(parsed.pathname);
+  } else {
+    // scp-like syntax: [user@]host:path
+    const match = /^(?:[^@/]+@)?([^:/\\]+):(.+)$/.exec(url);
+    if (!match) {
+      return null;
+    }
+    [, host, repoPath] = match;
+  }
+
+  const repo = repoPath.replace(/^\/+|\/+$/g, '').replace(/\.git$/, '');
+  if (!host || !/^[^/\\]+(\/[^/\\]+)+$/.test(repo)) {
+    return null;
+  }
+  return { host: host.toLowerCase(), repo };
+}
+
+/**
+ * Find a remote in `git remote -v` output
+ * @param {string} output - stdout of `git remote -v`
+ * @param {string} [name] - Remote name (default 'origin')
+ * @returns {{name: string, url: string, host: string|null, repo: string|null}|null} host and repo
+ *   are null when the URL is not a hosted repository; null when there is no such remote
+ */
+export function findRemote(output, name = 'origin') {
+  const urls = {};
+  for (const line of output.split('\n')) {
+    const match = /^(\S+)\s+(\S+)\s+\((fetch|push)\)/.exec(line.trim());
+    if (match && match[1] === name) {
+      urls[match[3]] = match[2];
+    }
+  }
+  const url = urls.fetch || urls.push;
+  if (!url) {
+    return null;
+  }
+  const parsed = parseRemoteUrl(url);
+  return { name, url, host: parsed?.host || null, repo: parsed?.repo || null };
+}
+
+function hostOf(url) {
+  try {
+    return url ? new URL(url).hostname.toLowerCase() : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Which API a host speaks
+ * Host names must match exactly, so a look-alike such as github.example.io is never sent a token:
+ * github.com and gitlab.com, the host of a configured API URL, and self-hosted servers listed in domains.
+ * @param {string} host - Host name from parseRemoteUrl()
+ * @param {Object} [options]
+ * @param {string[]} [options.domains] - Self-hosted git servers (GIT_HOST_DOMAINS)
+ * @param {string} [options.override] - Kind of the servers in domains whose names contain neither github nor gitlab (GIT_HOST)
+ * @param {Object<string, string>} [options.apiUrls] - Configured API roots by kind
+ * @returns {string|null} 'github', 'gitlab' or null when the host is not trusted or its kind unknown
+ */
+export function detectHostKind(host, { domains = [], override = null, apiUrls = {} } = {}) {
+  const name = host?.toLowerCase();
+  if (!name) {
+    return null;
+  }
+  const known = GIT_HOST_NAMES.find(kind => name === HOSTS[kind].host || name === hostOf(apiUrls[kind]));
+  if (known) {
+    return known;
+  }
+  if (!domains.some(domain => domain.toLowerCase() === name)) {
+    return null;
+  }
+  return override || GIT_HOST_NAMES.find(kind => name.includes(kind)) || null;
+}
+
+/**
+ * Create a git host client by kind
+ * @param {string} kind - 'github' or 'gitlab'
+ * @param {Object} options
+ * @param {string} [options.host] - Host name; picks the API URL when apiUrl is not given
+ * @param {string} [options.apiUrl] - REST API root, e.g. a mock server in tests
+ * @param {string} options.token - Access token
+ * @param {number} [options.timeout] - Milliseconds per request
+ * @returns {GitHubClient|GitLabClient}
+ * @throws {Error} If the kind is unknown
+ */
+export function createGitHost(kind, { host, apiUrl, token, timeout } = {}) {
+  const entry = HOSTS[kind];
+  if (!entry) {
+    throw new Error(`Unknown git host "${kind}". Use one of: ${GIT_HOST_NAMES.join(', ')}`);
+  }
+  return new entry.Client({ apiUrl: apiUrl || (host && entry.apiUrl(host)), token, timeout });
+}
+
+/**
+ * Open a pull request, or return the one already open for the branch
+ * @param {GitHubClient|GitLabClient} client - From createGitHost()
+ * @param {Object} request - See createPullRequest()
+ * @returns {Promise<Object>} The pull request, with existing: true when it was already open
+ */
+export async function openPullRequest(client, request) {
+  try {
+    return { ...(await client.createPullRequest(request)), existing: false };
+  } catch (error) {
+    if (error instanceof GitHostError && error.code === 'already_exists') {
+      const existing = await client.findPullRequest(request);
+      if (existing) {
+        return { ...existing, existing: true };
+      }
+    }
+    throw error;
+  }
+}
+
+export { GitHostError };
@@ -2,34 +2,151 @@ import express from 'express';
 import cors from 'cors';
 import fs from 'fs';
 import path from 'path';
+import os from 'os';
 import { fileURLToPath } from 'url';
 import { exec } from 'child_process';
 import { promisify } from 'util';
 import { executeSandboxed } from './security/sandbox.js';
 import { getApiKey, storeApiKey, deleteApiKey, isKeychainAvailable, getKeychainInstructions } from './security/keychain.js';
+import { planPatch, writeFilesAtomically } from './patch/applyPatch.js';
+import { GitWorktree } from './patch/worktree.js';
+import { validatePatch, formatPatchErrors, PATCH_FORMAT_DESCRIPTION } from '../shared/patch/patchSchema.js';
+import { detectTestRunner } from '../shared/testing/runnerDetection.js';
+import { readTestReport } from '../shared/testing/testReports.js';
+import { buildTestCommand, testFilterError, isTestFile, listTestFiles } from '../shared/testing/testCommand.js';
+import { coverageCollection, coverageError, readCoverage } from '../shared/testing/coverage.js';
+import { getCodeIndex } from './retrieval/codeIndex.js';
+import { tokenize } from './retrieval/bm25.js';
+import { extractSymbols, hasSymbolSupport } from './retrieval/symbols.js';
+import { AnswerStreamParser } from './llm/answerStream.js';
+import { createProvider, providerRequiresApiKey, PROVIDER_NAMES } from './llm/providers/index.js';
+import { getPromptBudget, estimateTokens } from './llm/tokens.js';
+import { packContext, trimHistory, truncateOutput } from './llm/contextPacker.js';
+import { SessionStore, isValidSessionId, turnToMessages } from './sessions/sessionStore.js';
+import { ResponseCache, cacheKey } from './llm/responseCache.js';
+import { LLMScheduler } from './llm/scheduler.js';
+import { LLMError } from './llm/errors.js';
+import { loadPriceTable } from './llm/pricing.js';
+import { UsageLedger } from './usage/usageLedger.js';
+import { RequestLogger } from './logging/requestLogger.js';
+import { loadTemplate, renderTemplate, renderPrompt, listTemplates, findOverrideDir } from './prompts/templates.js';
+import { runFixLoop, DEFAULT_MAX_ITERATIONS, MAX_ITERATIONS_LIMIT } from './autofix/fixLoop.js';
+import { evaluateCandidate, combineScores, measureChanges } from './ranking/empirical.js';
+import { parseNumstat, truncateDiff, parseSuggestion, formatCommitMessage, formatPrDescription, suggestBranchName } from './commits/suggestion.js';
+import { createGitHost, detectHostKind, findRemote, openPullRequest, GitHostError, GIT_HOST_NAMES } from './githost/index.js';
+import { createSessionToken, writeTokenFile, requireSessionToken, rejectForeignOrigins, corsOptions, TOKEN_FILE_NAME } from './security/sessionToken.js';
 
 const execAsync = promisify(exec);
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
-app.use(cors());
-app.use(express.json());
 
 // Configuration from environment variables (keychain loaded dynamically)
 const config = {
-  llmEndpoint: process.env.LLM_ENDPOINT || 'https://api.openai.com/v1/chat/completions',
+  llmProvider: process.env.LLM_PROVIDER || 'openai', // openai | anthropic | ollama
+  llmEndpoint: process.env.LLM_ENDPOINT || null, // Defaults to the provider's standard endpoint
   llmApiKey: null, // Loaded from keychain or env at runtime
   llmModel: process.env.LLM_MODEL || 'gpt-4',
+  llmMaxTokens: parseInt(process.env.LLM_MAX_TOKENS) || undefined, // Output cap for APIs that require one
+  llmContextTokens: parseInt(process.env.LLM_CONTEXT_TOKENS) || undefined, // Overrides the model's known context window
+  llmStreamUsage: process.env.LLM_STREAM_USAGE ? process.env.LLM_STREAM_USAGE === 'true' : undefined, // stream_options; default only for api.openai.com
   dryRun: process.env.DRY_RUN !== 'false', // Default to dry-run mode for safety
   requireConfirm: true, // Require explicit confirm:true for commit/push
+  dataDir: process.env.DEVSKIN_DATA_DIR || path.join(__dirname, 'data'),
+  indexWatch: process.env.INDEX_WATCH === 'true', // Re-index files as they change on disk
+  llmCache: process.env.LLM_CACHE !== 'false', // Reuse completions for identical prompts
+  llmCacheTtl: (parseInt(process.env.LLM_CACHE_TTL) || 24 * 60 * 60) * 1000, // Seconds in env, default 24 hours
+  llmCacheMaxBytes: (parseInt(process.env.LLM_CACHE_MAX_MB) || 100) * 1024 * 1024,
+  llmConcurrency: parseInt(process.env.LLM_CONCURRENCY) || 2, // LLM requests in flight at once
+  llmMaxRetries: parseInt(process.env.LLM_MAX_RETRIES) >= 0 ? parseInt(process.env.LLM_MAX_RETRIES) : 3,
+  llmTimeout: (parseInt(process.env.LLM_TIMEOUT) || 120) * 1000, // Seconds in env, per attempt (per delta when streaming)
+  llmBreakerThreshold: parseInt(process.env.LLM_BREAKER_THRESHOLD) || 5, // Consecutive failures that open the circuit
+  llmBreakerCooldown: (parseInt(process.env.LLM_BREAKER_COOLDOWN) || 30) * 1000, // Seconds in env
+  llmPricesFile: process.env.LLM_PRICES_FILE || null, // JSON price table merged over the built-in prices
+  autoFixTimeLimit: (parseInt(process.env.AUTO_FIX_TIME_LIMIT) || 600) * 1000, // Seconds in env; /auto-fix starts no iteration after it
+  usageDailyBudget: parseFloat(process.env.USAGE_DAILY_BUDGET) || null, // USD per UTC day, all requests
+  usageSessionDailyBudget: parseFloat(process.env.USAGE_SESSION_DAILY_BUDGET) || null, // USD per UTC day and session
+  logRetentionDays: parseInt(process.env.LOG_RETENTION_DAYS) || 14,
+  logMaxFileBytes: (parseInt(process.env.LOG_MAX_FILE_MB) || 10) * 1024 * 1024,
+  logMaxFieldLength: parseInt(process.env.LOG_MAX_FIELD_LENGTH) || 2000, // Longer strings (e.g. fileContents) are cut
+  gitHostDomains: (process.env.GIT_HOST_DOMAINS || '')
+    .split(',').map(domain => domain.trim()).filter(Boolean), // Self-hosted servers trusted with the tokens below
+  gitHost: process.env.GIT_HOST || null, // github | gitlab, for GIT_HOST_DOMAINS servers whose name does not tell
+  gitHostTokens: {
+    github: process.env.GITHUB_TOKEN || process.env.GH_TOKEN || null,
+    gitlab: process.env.GITLAB_TOKEN || null,
+  },
+  gitHostApiUrls: {
+    github: process.env.GITHUB_API_URL || null, // Defaults to api.github.com, or https://<host>/api/v3
+    gitlab: process.env.GITLAB_API_URL || null, // Defaults to https://<host>/api/v4
+  },
+  host: '127.0.0.1', // Loopback only; the API is for this machine's Electron app and MCP server
+  // Random on every launch; the test suite alone may fix it with ADAPTER_TOKEN (NODE_ENV=test)
+  sessionToken: (process.env.NODE_ENV === 'test' && process.env.ADAPTER_TOKEN) || createSessionToken(),
+  corsOrigins: (process.env.CORS_ORIGINS || 'http://localhost:5173,http://127.0.0.1:5173')
+    .split(',').map(origin => origin.trim()).filter(Boolean), // Browser origins allowed to call the API
 };
 
-// Logging setup
-const logsDir = path.join(__dirname, 'logs');
-if (!fs.existsSync(logsDir)) {
-  fs.mkdirSync(logsDir, { recursive: true });
-}
+// Clients read this launch's token from here; see security/sessionToken.js
+const tokenFile = path.join(config.dataDir, TOKEN_FILE_NAME);
+
+// Only allowlisted browser origins, and only with the session token (/health stays open for wait-on)
+app.use(rejectForeignOrigins(config.corsOrigins));
+app.use(cors(corsOptions(config.corsOrigins)));
+app.use(requireSessionToken(config.sessionToken, { exempt: ['/health'] }));
+app.use(express.json());
+
+// Logging setup (entries are redacted; files are rotated and pruned)
+const requestLogger = new RequestLogger(path.join(__dirname, 'logs'), {
+  retentionDays: config.logRetentionDays,
+  maxFileBytes: config.logMaxFileBytes,
+  maxFieldLength: config.logMaxFieldLength,
+});
+
+// Retrieval index storage
+const indexDir = path.join(config.dataDir, 'index');
+const indexOptions = { watch: config.indexWatch };
+
+// Multi-turn session storage
+const sessionStore = new SessionStore(path.join(config.dataDir, 'sessions'));
+
+// LLM response cache (null when disabled)
+const responseCache = config.llmCache
+  ? new ResponseCache(path.join(config.dataDir, 'llm-cache'), { ttlMs: config.llmCacheTtl, maxBytes: config.llmCacheMaxBytes })
+  : null;
+
+// Queue for outgoing LLM requests (concurrency cap, retries, timeouts, circuit breaker)
+const llmScheduler = new LLMScheduler({
+  concurrency: config.llmConcurrency,
+  maxRetries: config.llmMaxRetries,
+  timeoutMs: config.llmTimeout,
+  breakerThreshold: config.llmBreakerThreshold,
+  breakerCooldownMs: config.llmBreakerCooldown,
+});
+
+// Token usage and cost of LLM calls
+const usageLedger = new UsageLedger(path.join(config.dataDir, 'usage'), {
+  priceTable: (() => {
+    try {
+      return loadPriceTable(config.llmPricesFile);
+    } catch (err) {
+      console.warn(`⚠️  WARNING: Could not load LLM_PRICES_FILE, using built-in prices: ${err.message}`);
+      return loadPriceTable();
+    }
+  })(),
+  dailyBudget: config.usageDailyBudget,
+  sessionDailyBudget: config.usageSessionDailyBudget,
+});
+
+// Share of the prompt budget that prior session turns may use
+const HISTORY_BUDGET_SHARE = 0.3;
+
+// Share of the prompt budget the diff may use in /suggest-commit
+const DIFF_BUDGET_SHARE = 0.8;
+
+// Share of the prompt budget test output may use in /review-patch, leaving room for file contents
+const TEST_OUTPUT_BUDGET_SHARE = 0.4;
 
 function logRequest(endpoint, method, body, response, error = null) {
   const timestamp = new Date().toISOString();
@@ -42,11 +159,8 @@ function logRequest(endpoint, method, body, response, error = null) {
     error: error ? error.stack : null,
   };
 
-  const logFile = path.join(logsDir, `adapter-${new Date().toISOString().split('T')[0]}.log`);
-  const logLine = JSON.stringify(logEntry) + '\n';
-  
   try {
-    fs.appendFileSync(logFile, logLine);
+    requestLogger.write(logEntry);
   } catch (err) {
     console.error('Failed to write log:', err);
   }
@@ -102,144 +216,149 @@ async function getGitFileSummaries(repoPath = process.cwd()) {
   }
 }
 
-// Helper: Find relevant functions or docs for a topic across repo
+// Helper: Find relevant code chunks for a topic using the repo's BM25 index
 async function findRelevantSnippets(topic, repoPath = process.cwd(), maxResults = 8) {
   try {
-    // Check if it's a git repository
-    const gitDir = path.join(repoPath, '.git');
-    if (!fs.existsSync(gitDir)) {
+    const index = await getCodeIndex(repoPath, indexDir, indexOptions);
+    if (!index) {
       return [];
     }
 
-    // Get list of tracked files (code files and docs)
-    const { stdout: trackedFiles } = await execAsync('git ls-files', { cwd: repoPath });
-    const allFiles = trackedFiles.trim().split('\n').filter(f => f);
-    
-    // Filter to code and doc files
-    const codeExtensions = ['.js', '.jsx', '.ts', '.tsx', '.py', '.java', '.go', '.rs', '.cpp', '.c'];
-    const docExtensions = ['.md', '.txt', '.rst'];
-    const relevantFiles = allFiles.filter(f => {
-      const ext = path.extname(f).toLowerCase();
-      return codeExtensions.includes(ext) || docExtensions.includes(ext);
-    });
+    return index.search(topic, { limit: maxResults }).map(chunk => ({
+      ...chunk,
+      reason: generateRelevanceReason(topic, chunk),
+    }));
+  } catch (error) {
+    console.error('Error finding relevant snippets:', error);
+    return [];
+  }
+}
 
-    if (relevantFiles.length === 0) {
+// Helper: Find the modules the target file imports and the modules that import it
+// Each comes with its exported signatures (exported classes with their public methods), so patches
+// call sibling helpers with the right names and parameters. Imports come first, then importers.
+async function findRelatedModules(filePath, maxModules = 8, maxSymbols = 20) {
+  if (!filePath || !hasSymbolSupport(filePath)) {
+    return [];
+  }
+
+  try {
+    const index = await getCodeIndex(path.dirname(filePath), indexDir, indexOptions);
+    if (!index) {
       return [];
     }
 
-    // Search for topic in files
-    const topicLower = topic.toLowerCase();
-    const topicWords = topicLower.split(/\s+/).filter(w => w.length > 2);
-    const matches = [];
+    // The repo root from git is a real path; /tmp and similar may be symlinks
+    let absolutePath = path.resolve(filePath);
+    try {
+      absolutePath = fs.realpathSync(absolutePath);
+    } catch (err) {
+      // New file; resolve what we can
+    }
+    const relativePath = path.relative(index.repoRoot, absolutePath).split(path.sep).join('/');
+    if (relativePath.startsWith('..')) {
+      return [];
+    }
 
-    for (const file of relevantFiles) {
-      try {
-        const filePath = path.join(repoPath, file);
-        if (!fs.existsSync(filePath)) continue;
-
-        const content = fs.readFileSync(filePath, 'utf-8');
-        const contentLower = content.toLowerCase();
-        
-        // Calculate relevance score
-        let score = 0;
-        let matchLines = [];
-        
-        // Check for exact topic match
-        if (contentLower.includes(topicLower)) {
-          score += 10;
-        }
-        
-        // Check for individual topic words
-        for (const word of topicWords) {
-          const wordCount = (contentLower.match(new RegExp(`\\b${word}\\b`, 'g')) || []).length;
-          score += wordCount;
-        }
-        
-        // Find function definitions, class definitions, or doc sections
-        const lines = content.split('\n');
-        const functionPattern = /(function|const|let|var|class|def|fn)\s+(\w+)/gi;
-        const docPattern = /(#{1,6}|```|```\w+|<!--|#)/;
-        
-        for (let i = 0; i < lines.length; i++) {
-          const line = lines[i];
-          const lineLower = line.toLowerCase();
-          
-          // Check if line contains topic
-          if (topicWords.some(word => lineLower.includes(word))) {
-            // Extract context (5 lines before and after)
-            const start = Math.max(0, i - 5);
-            const end = Math.min(lines.length, i + 10);
-            const snippet = lines.slice(start, end).join('\n');
-            
-            // Check if it's a function/class definition or doc section
-            if (functionPattern.test(line) || docPattern.test(line) || lineLower.includes('function') || lineLower.includes('class')) {
-              score += 5;
-            }
-            
-            matchLines.push({
-              line: i + 1,
-              snippet: snippet.substring(0, 500), // Limit snippet size
-              context: line.trim(),
-            });
-          }
-        }
-        
-        if (score > 0 && matchLines.length > 0) {
-          matches.push({
-            file: file,
-            score: score,
-            matches: matchLines.slice(0, 3), // Top 3 matches per file
-            reason: generateRelevanceReason(topic, content, matchLines),
-          });
-        }
-      } catch (err) {
-        // Skip files that can't be read
-        continue;
+    const { imports, importedBy } = index.getImportGraph(relativePath);
+    const neighbours = [
+      ...imports.map(file => ({ file, relation: 'imported' })),
+      ...importedBy.map(file => ({ file, relation: 'importer' })),
+    ];
+
+    const modules = [];
+    for (const { file, relation } of neighbours) {
+      const symbols = (extractSymbols(index.readIndexable(file) || '', file) || [])
+        .filter(symbol => symbol.exported)
+        .flatMap(symbol => [symbol, ...(symbol.members || []).filter(member => !member.name.includes('.#'))])
+        .slice(0, maxSymbols)
+        .map(({ name, kind, signature, line }) => ({ name, kind, signature, line }));
+      if (symbols.length > 0) {
+        modules.push({ file, relation, symbols });
       }
+      if (modules.length >= maxModules) break;
     }
-
-    // Sort by score and return top results
-    matches.sort((a, b) => b.score - a.score);
-    return matches.slice(0, maxResults);
+    return modules;
   } catch (error) {
-    console.error('Error finding relevant snippets:', error);
+    console.error('Error finding related modules:', error);
     return [];
   }
 }
 
-// Helper: Generate a short reason why a file is relevant
-function generateRelevanceReason(topic, content, matchLines) {
-  const topicLower = topic.toLowerCase();
-  const contentLower = content.toLowerCase();
-  
-  // Check for function definitions
-  if (contentLower.includes(`function ${topicLower}`) || contentLower.includes(`def ${topicLower}`)) {
-    return `Contains function definition for ${topic}`;
+// Helper: Generate a short reason why a chunk is relevant
+// JS/TS chunks list the symbols they define, so the reason names the exact definitions
+// the topic refers to, or those whose names contain the matched terms.
+function generateRelevanceReason(topic, { content, matchedTerms, symbols = [] }) {
+  const describeSymbol = symbol => `${symbol.kind} ${symbol.name} (line ${symbol.line}): ${symbol.signature}`;
+
+  // Definitions the topic names outright, e.g. "make isEven handle strings" or "UserStore.save"
+  const topicWords = new Set((topic.match(/[A-Za-z_$][\w$.]*/g) || []).map(word => word.toLowerCase()));
+  const named = symbols.filter(symbol => topicWords.has(symbol.name.toLowerCase()) ||
+    topicWords.has(symbol.name.split('.').pop().toLowerCase()));
+  if (named.length > 0) {
+    return `Defines ${named.slice(0, 2).map(describeSymbol).join('; ')}`;
   }
-  
-  // Check for class definitions
-  if (contentLower.includes(`class ${topicLower}`)) {
-    return `Contains class definition for ${topic}`;
+
+  const related = symbols
+    .map(symbol => ({ symbol, hits: tokenize(symbol.name).filter(term => matchedTerms.includes(term)).length }))
+    .filter(({ hits }) => hits > 0)
+    .sort((a, b) => b.hits - a.hits);
+  if (related.length > 0) {
+    return `Defines ${related.slice(0, 2).map(({ symbol }) => describeSymbol(symbol)).join('; ')}, matching ${matchedTerms.join(', ')}`;
   }
-  
-  // Check for imports/exports
-  if (contentLower.includes(`import.*${topicLower}`) || contentLower.includes(`export.*${topicLower}`)) {
-    return `Imports or exports ${topic}`;
+
+  if (symbols.length > 0) {
+    return `Uses ${matchedTerms.join(', ')} in ${symbols[0].kind} ${symbols[0].name} (line ${symbols[0].line})`;
   }
-  
+
   // Check for documentation
   if (content.match(/^#+\s+.*/m) || content.includes('README') || content.includes('docs')) {
-    return `Documentation about ${topic}`;
+    return `Documentation about ${matchedTerms.join(', ')}`;
   }
-  
+
   // Check for test files
+  const contentLower = content.toLowerCase();
   if (contentLower.includes('test') || contentLower.includes('spec')) {
-    return `Test file that uses ${topic}`;
+    return `Test code that uses ${matchedTerms.join(', ')}`;
   }
-  
+
   // Generic relevance
-  const matchCount = matchLines.length;
-  return `Contains ${matchCount} reference${matchCount > 1 ? 's' : ''} to ${topic}`;
+  return `Matches ${matchedTerms.length} term${matchedTerms.length > 1 ? 's' : ''}: ${matchedTerms.join(', ')}`;
+}
+
+// Helper: Format one retrieved chunk for inclusion in a prompt
+function formatSnippet(snippet, idx) {
+  return `${idx + 1}. File: ${snippet.file} (lines ${snippet.startLine}-${snippet.endLine})\n` +
+    `   Reason: ${snippet.reason}\n` +
+    `   \`\`\`\n${snippet.content}\n\`\`\`\n\n`;
+}
+
+// Helper: Format a related module's exported signatures for inclusion in a prompt
+function formatRelatedModule(module, idx) {
+  const relation = module.relation === 'imported' ? 'imported by the target file' : 'imports the target file';
+  return `${idx + 1}. ${module.file} (${relation})\n` +
+    // Methods are indented under their class
+    module.symbols.map(symbol => `${symbol.kind === 'method' ? '     ' : '   '}line ${symbol.line}: ${symbol.signature}\n`).join('') +
+    '\n';
+}
+
+// Helper: Format retrieved chunks for inclusion in a prompt
+function formatSnippets(snippets) {
+  return snippets.map(formatSnippet).join('');
+}
+
+// Helper: Format a git file summary for inclusion in a prompt
+function formatFileSummary(summary, idx) {
+  return `${idx + 1}. ${summary.path} (${summary.lines} lines, ${summary.size} bytes)\n` +
+    `   Preview: ${summary.summary}\n\n`;
+}
+
+// Helper: Prompt token budget for the configured model
+function getPromptTokenBudget() {
+  return getPromptBudget(config.llmModel, {
+    contextLimit: config.llmContextTokens,
+    maxOutputTokens: config.llmMaxTokens,
+  });
 }
 
 // Helper: Get current API key (refresh from keychain if needed)
@@ -253,48 +372,457 @@ async function getCurrentApiKey() {
   return config.llmApiKey || process.env.OPENAI_API_KEY || process.env.LLM_API_KEY;
 }
 
-// Helper: Call LLM API
-async function callLLM(systemPrompt, userPrompt) {
+// Helper: Create the configured LLM provider with the current API key
+async function getLLMProvider() {
   const apiKey = await getCurrentApiKey();
-  if (!apiKey) {
+  if (!apiKey && providerRequiresApiKey(config.llmProvider)) {
     throw new Error('LLM API key not configured. Store key via POST /api/keychain or set OPENAI_API_KEY environment variable.');
   }
 
+  return createProvider(config.llmProvider, {
+    endpoint: config.llmEndpoint,
+    model: config.llmModel,
+    apiKey,
+    maxTokens: config.llmMaxTokens,
+    streamUsage: config.llmStreamUsage,
+  });
+}
+
+// Helper: Assemble chat messages, with any prior conversation turns before the new request
+function buildMessages(systemPrompt, userPrompt, history = []) {
+  return [
+    {
+      role: 'system',
+      content: systemPrompt,
+    },
+    ...history,
+    {
+      role: 'user',
+      content: userPrompt,
+    },
+  ];
+}
+
+// Helper: Response cache key for a completion request, or null when the cache is bypassed
+function getCacheKey(messages, temperature, noCache) {
+  if (!responseCache || noCache) {
+    return null;
+  }
+  // null stands for the provider's default endpoint
+  return cacheKey({ provider: config.llmProvider, endpoint: config.llmEndpoint, model: config.llmModel, temperature, messages });
+}
+
+// Helper: Refuse an LLM call once today's budget is spent
+// track is { endpoint, sessionId } of the request making the call.
+function checkUsageBudget(track) {
+  const exceeded = usageLedger.checkBudget(track?.sessionId);
+  if (exceeded) {
+    const scope = exceeded.scope === 'session' ? 'Daily budget of this session' : 'Daily LLM budget';
+    throw new LLMError(`${scope} of $${exceeded.limit} is used up ($${exceeded.spent} spent); it resets at ${exceeded.resetAt}`, {
+      provider: config.llmProvider,
+      code: 'budget_exceeded',
+      retryAfter: Math.ceil((Date.parse(exceeded.resetAt) - Date.now()) / 1000),
+    });
+  }
+}
+
+// Helper: Record the tokens a completion used, estimated from the text if the API reported none
+function recordUsage(track, messages, result) {
   try {
-    const response = await fetch(config.llmEndpoint, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`,
+    usageLedger.record({
+      endpoint: track?.endpoint || 'unknown',
+      sessionId: track?.sessionId,
+      provider: result.provider,
+      model: result.model,
+      usage: result.usage || {
+        inputTokens: estimateTokens(messages.map(message => message.content).join('\n')),
+        outputTokens: estimateTokens(result.content),
       },
-      body: JSON.stringify({
-        model: config.llmModel,
-        messages: [
-          {
-            role: 'system',
-            content: systemPrompt,
-          },
-          {
-            role: 'user',
-            content: userPrompt,
-          },
-        ],
-        temperature: 0.7,
-      }),
+      estimated: !result.usage,
     });
+  } catch (err) {
+    console.error('Failed to record LLM usage:', err);
+  }
+}
+
+// Helper: Call LLM API
+// Identical prompts are answered from the response cache unless noCache is set;
+// other calls are checked against the usage budget and recorded under track ({ endpoint, sessionId }).
+async function callLLM(systemPrompt, userPrompt, { history, noCache, track } = {}) {
+  const messages = buildMessages(systemPrompt, userPrompt, history);
+  const temperature = 0.7;
+  const key = getCacheKey(messages, temperature, noCache);
+  const cached = key && responseCache.get(key);
+  if (cached) {
+    return cached;
+  }
+
+  checkUsageBudget(track);
+  const provider = await getLLMProvider();
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`LLM API error: ${response.status} ${errorText}`);
+  try {
+    const result = await llmScheduler.schedule(
+      signal => provider.complete({ messages, temperature, signal }),
+      { provider: provider.name }
+    );
+    recordUsage(track, messages, result);
+    if (key && result.content) {
+      responseCache.set(key, result.content, { provider: config.llmProvider, model: config.llmModel });
     }
+    return result.content;
+  } catch (error) {
+    // Keep the normalized LLMError fields (code, status, retryAfter) for callers
+    error.message = `Failed to call LLM: ${error.message}`;
+    throw error;
+  }
+}
+
+// Helper: Call LLM API with streaming, invoking onDelta for each content token delta
+// A cached completion is delivered as a single delta. Failures are only retried before
+// the first delta, since the client has already seen the earlier attempt's output.
+// LLM_TIMEOUT limits the wait for each delta, not the whole stream, so slow models can finish.
+async function callLLMStream(systemPrompt, userPrompt, onDelta, { signal, history, noCache, track } = {}) {
+  const messages = buildMessages(systemPrompt, userPrompt, history);
+  const temperature = 0.7;
+  const key = getCacheKey(messages, temperature, noCache);
+  const cached = key && responseCache.get(key);
+  if (cached) {
+    onDelta(cached);
+    return cached;
+  }
+
+  checkUsageBudget(track);
+  const provider = await getLLMProvider();
 
-    const data = await response.json();
-    return data.choices[0]?.message?.content || '';
+  try {
+    const result = await llmScheduler.schedule(async (attemptSignal, progress) => {
+      let streamed = false;
+      try {
+        return await provider.stream({ messages, temperature, signal: attemptSignal }, (delta) => {
+          streamed = true;
+          progress();
+          onDelta(delta);
+        });
+      } catch (error) {
+        if (streamed) {
+          error.retryable = false;
+        }
+        throw error;
+      }
+    }, { signal, provider: provider.name });
+    recordUsage(track, messages, result);
+    if (key && result.content) {
+      responseCache.set(key, result.content, { provider: config.llmProvider, model: config.llmModel });
+    }
+    return result.content;
   } catch (error) {
-    throw new Error(`Failed to call LLM: ${error.message}`);
+    error.message = `Failed to call LLM: ${error.message}`;
+    throw error;
   }
 }
 
+const LLM_ERROR_STATUS = { rate_limit: 429, budget_exceeded: 429, server: 502, network: 502, circuit_open: 503, timeout: 504 };
+
+// Helper: Send a failed request's error with a status that tells the client whether to retry
+// LLM rate limits become 429 and outages 502-504, with Retry-After when it is known.
+function sendError(res, err) {
+  const status = err instanceof LLMError ? LLM_ERROR_STATUS[err.code] || 500 : 500;
+  if (status !== 500 && err.retryAfter) {
+    res.set('Retry-After', String(Math.ceil(err.retryAfter)));
+  }
+  res.status(status).json({ error: err.message, ...(err instanceof LLMError && { code: err.code }) });
+}
+
+// Helper: Prior turns of a session as chat messages, trimmed to a share of the prompt budget
+function getSessionHistory(sessionId, budget) {
+  const session = sessionId ? sessionStore.get(sessionId) : null;
+  const turns = session ? session.turns.map(turnToMessages) : [];
+  return trimHistory(turns, Math.floor(budget * HISTORY_BUDGET_SHARE));
+}
+
+// Helper: Read a patch from a request body as { format, content }
+// Accepts a raw diff, a JSON multi-file patch, or the structured patch returned by /assist;
+// resolves to { error } when the value is none of these.
+function readRequestPatch(patch) {
+  const isDiff = typeof patch === 'string' || patch?.format === 'unified-diff';
+  const content = typeof patch === 'string' ? patch : (patch?.format ? patch.content : patch);
+  if (!content || (isDiff && typeof content !== 'string')) {
+    return { error: 'patch is required (unified diff string, JSON multi-file patch, or { format, content })' };
+  }
+  if (patch?.format && !['unified-diff', 'json'].includes(patch.format)) {
+    return { error: `Unsupported patch format: ${patch.format}` };
+  }
+  return { format: isDiff ? 'unified-diff' : 'json', content };
+}
+
+// Helper: Choose the test command for a repository, or use the runner the request names
+// Resolves to { error } when the name is unknown or no runner applies to the repository.
+function resolveTestRunner(repoPath, runner) {
+  try {
+    const testRunner = detectTestRunner(repoPath, { runner });
+    if (!testRunner) {
+      return { error: 'No test runner found in repository (looked for a package.json test script, jest, vitest, mocha, pytest and go.mod)' };
+    }
+    return { testRunner };
+  } catch (err) {
+    return { error: err.message };
+  }
+}
+
+// Helper: Read which tests a /run-tests request selects: test files, a test name pattern, or
+// (affectedBy: "patch") the tests that depend on the files its patch changes.
+// Resolves to { error } when a value is malformed.
+function readTestSelection({ files, grep, affectedBy, patch }) {
+  if (files !== undefined && (!Array.isArray(files) || files.some(file => typeof file !== 'string' || !file.trim()))) {
+    return { error: 'files must be an array of test file paths' };
+  }
+  const outside = (files || []).find((file) => {
+    const normalized = path.posix.normalize(file.split(path.sep).join('/'));
+    return path.isAbsolute(file) || file.startsWith('-') || normalized === '..' || normalized.startsWith('../');
+  });
+  if (outside) {
+    return { error: `files must be paths relative to repoPath: ${outside}` };
+  }
+  if (grep !== undefined && (typeof grep !== 'string' || !grep)) {
+    return { error: 'grep must be a non-empty string' };
+  }
+  if (affectedBy !== undefined) {
+    if (affectedBy !== 'patch') {
+      return { error: 'affectedBy must be "patch"' };
+    }
+    if (patch === undefined) {
+      return { error: 'affectedBy "patch" needs a patch' };
+    }
+    if (files?.length) {
+      return { error: 'files and affectedBy cannot be combined' };
+    }
+  }
+  return { files: files || [], grep: grep || null, affectedBy: affectedBy || null };
+}
+
+// Helper: Test files that depend on the changed files, directly or through other modules
+// Paths are relative to repoPath, like patch paths. Changed test files are included themselves.
+// The import graph comes from the code index of the user's checkout, which covers JS and TS.
+async function findAffectedTests(repoPath, changedFiles) {
+  const index = await getCodeIndex(repoPath, indexDir, indexOptions);
+  if (!index) {
+    return [];
+  }
+
+  const prefix = path.relative(index.repoRoot, fs.realpathSync(repoPath)).split(path.sep).join('/');
+  const fromRoot = file => (prefix ? `${prefix}/${file}` : file);
+  const toRepoPath = file => (prefix ? path.posix.relative(prefix, file) : file);
+
+  const dependents = index.getDependents(changedFiles.map(fromRoot)).map(toRepoPath);
+  return [...new Set([...changedFiles, ...dependents])]
+    .filter(file => !file.startsWith('../') && isTestFile(file))
+    .sort();
+}
+
+// Helper: The runner a test run used, as reported in responses
+function describeRunner(testRunner) {
+  return {
+    name: testRunner.runner,
+    framework: testRunner.framework,
+    command: testRunner.command,
+    reason: testRunner.reason,
+    overridden: testRunner.overridden,
+  };
+}
+
+// Helper: The first selected test file that does not exist under dir, or null
+// pytest node IDs (tests/test_app.py::test_login) name the file before "::".
+function missingTestFile(dir, files) {
+  return files.find(file => !fs.existsSync(path.join(dir, file.split('::')[0]))) || null;
+}
+
+// Helper: Run a repository's tests in the sandbox with the runner from resolveTestRunner()
+// Sandbox errors (timeout, buffer exceeded, command not allowed) are reported as a failed run.
+// jest, vitest, mocha and pytest also write a report, parsed into results (null for other runners
+// or when no report was written). options.files and options.grep run only some tests; check them
+// with testFilterError() first. options.coverage adds line coverage (check coverageError() first),
+// with the coverage of options.addedLines when a patch is being tested.
+async function runTestsSandboxed(cwd, testRunner, options = {}) {
+  const runner = describeRunner(testRunner);
+
+  const reportDir = fs.mkdtempSync(path.join(os.tmpdir(), 'devskin-report-'));
+  const reportFile = path.join(reportDir, testRunner.framework === 'pytest' ? 'report.xml' : 'report.json');
+  const { files = [], grep, coverage = false, addedLines } = options;
+  const collection = coverage ? coverageCollection(testRunner, path.join(reportDir, 'coverage')) : null;
+  const sandboxLimits = {
+    timeout: 60000, // 60 second timeout
+    maxMemory: 512 * 1024 * 1024, // 512MB max memory
+    maxBuffer: 10 * 1024 * 1024, // 10MB max output buffer
+  };
+
+  try {
+    const { command, args, reporter } = buildTestCommand(testRunner, {
+      reportFile,
+      files,
+      grep,
+      testFiles: testRunner.framework === 'mocha' && files.length > 0 ? listTestFiles(cwd) : [],
+      coverageArgs: collection?.args,
+    });
+    const result = await executeSandboxed(command, { cwd, args, env: collection?.env, ...sandboxLimits });
+
+    if (collection?.report) {
+      // A missing c8 only costs the coverage; the test result stands
+      const converted = await executeSandboxed(collection.report.command, { cwd, args: collection.report.args, ...sandboxLimits })
+        .catch(err => ({ success: false, stderr: err.message }));
+      if (!converted.success) {
+        console.error('Coverage report failed:', converted.stderr);
+      }
+    }
+
+    return {
+      success: result.success,
+      exitCode: result.exitCode,
+      stdout: result.stdout,
+      stderr: result.stderr,
+      runner,
+      results: reporter ? readTestReport(testRunner.framework, reportFile, { stdout: result.stdout, rootDir: cwd }) : null,
+      ...(collection && { coverage: readCoverage(collection, { rootDir: cwd, addedLines }) }),
+    };
+  } catch (sandboxError) {
+    return {
+      success: false,
+      exitCode: 1,
+      stdout: '',
+      stderr: sandboxError.message || 'Sandbox execution failed',
+      error: 'SANDBOX_ERROR',
+      runner,
+      results: null,
+      ...(collection && { coverage: null }),
+    };
+  } finally {
+    fs.rmSync(reportDir, { recursive: true, force: true });
+  }
+}
+
+// Helper: Whether a branch name is safe to hand to git: no leading dash, spaces or ref syntax git rejects
+function isValidBranchName(name) {
+  return typeof name === 'string'
+    && /^\w[\w./-]*$/.test(name)
+    && !name.includes('..')
+    && !/(\.lock|\/|\.)$/.test(name);
+}
+
+// Helper: Run a git command in the sandbox, throwing git's own message when it exits non-zero
+async function runGit(command, { cwd, args = [], timeout = 10000 }) {
+  const result = await executeSandboxed(command, { cwd, args, timeout });
+  if (!result.success) {
+    throw new Error((result.stderr || result.stdout).trim() || `${command} exited with code ${result.exitCode}`);
+  }
+  return result;
+}
+
+const GIT_HOST_TOKEN_VARS = { github: 'GITHUB_TOKEN', gitlab: 'GITLAB_TOKEN' };
+
+// Helper: The origin remote of a repository (from `git remote -v`) and a client for its git host
+// Returns { remote, client }, or { remote, error } when no pull request can be opened there.
+async function resolveGitHost(repoPath) {
+  const result = await executeSandboxed('git remote -v', { cwd: repoPath, timeout: 5000 });
+  const remote = result.success ? findRemote(result.stdout, 'origin') : null;
+  if (!remote) {
+    return { remote: null, client: null, error: 'The repository has no "origin" remote' };
+  }
+  if (!remote.host) {
+    return { remote, client: null, error: `The origin remote ${remote.url} is not on a git host` };
+  }
+  // Tokens only go to exact, configured hosts; see detectHostKind()
+  const kind = detectHostKind(remote.host, {
+    domains: config.gitHostDomains,
+    override: config.gitHost,
+    apiUrls: config.gitHostApiUrls,
+  });
+  if (!kind) {
+    return {
+      remote,
+      client: null,
+      error: `Unknown git host "${remote.host}"; add it to GIT_HOST_DOMAINS, and set GIT_HOST to ${GIT_HOST_NAMES.join(' or ')} if its name contains neither`,
+    };
+  }
+  const token = config.gitHostTokens[kind];
+  if (!token) {
+    return { remote, client: null, error: `Set ${GIT_HOST_TOKEN_VARS[kind]} to open pull requests on ${remote.host}` };
+  }
+  const client = createGitHost(kind, { host: remote.host, apiUrl: config.gitHostApiUrls[kind], token });
+  return { remote, client, error: null };
+}
+
+// Helper: Format structured test failures for inclusion in a prompt
+function formatTestFailures(failures, maxFailures = 20) {
+  const shown = failures.slice(0, maxFailures).map((failure, idx) => {
+    const location = failure.file ? ` (${failure.file}${failure.line ? `:${failure.line}` : ''})` : '';
+    return `${idx + 1}. ${failure.name}${location}\n   ${(failure.message || '').split('\n').join('\n   ')}\n`;
+  });
+  if (failures.length > maxFailures) {
+    shown.push(`...and ${failures.length - maxFailures} more\n`);
+  }
+  return shown.join('');
+}
+
+// Helper: Describe a measured candidate patch in one line for the ranking prompt
+function formatEvaluation(evaluation) {
+  if (!evaluation.applicable) {
+    return `does not apply${evaluation.error ? ` (${evaluation.error})` : ''}`;
+  }
+  const { files, additions, deletions } = evaluation.diffSize;
+  const exportsText = evaluation.touchedExports.length > 0
+    ? evaluation.touchedExports.map(e => `${e.name} (${e.change})`).join(', ')
+    : 'none';
+  const coverage = evaluation.tests.patchCoverage;
+  const coverageText = !coverage ? ''
+    : coverage.lines === 0 ? '; adds no executable lines'
+      : `; tests run ${coverage.covered} of ${coverage.lines} added executable lines (${coverage.pct}%)`;
+  return `tests ${evaluation.tests.success ? 'passed' : `failed (exit code ${evaluation.tests.exitCode})`}; `
+    + `+${additions} -${deletions} lines in ${files} file(s); touched exports: ${exportsText}${coverageText}`;
+}
+
+// Helper: Rank candidates by measured signals combined with the LLM's scores
+// risks.breaksTests comes from the test run (null when the patch did not apply), and
+// risks.untestedCode from patch coverage (null when coverage was not collected).
+function rankEmpirically(patches, evaluations, llmRanking) {
+  const llmItems = new Map((llmRanking?.ranked || []).map(item => [item.index, item]));
+
+  const ranked = patches.map((patch, index) => {
+    const evaluation = evaluations[index];
+    const llmItem = llmItems.get(index);
+    const llmScore = typeof llmItem?.score === 'number' ? llmItem.score : null;
+    const { score, measuredScore } = combineScores(evaluation, llmScore);
+
+    return {
+      patch,
+      originalIndex: index,
+      score,
+      llmScore,
+      measuredScore,
+      risks: {
+        breaksTests: evaluation.tests ? !evaluation.tests.success : null,
+        untestedCode: evaluation.tests?.patchCoverage ? evaluation.tests.patchCoverage.covered < evaluation.tests.patchCoverage.lines : null,
+        changesAPI: llmItem?.risks?.changesAPI ?? evaluation.touchedExports.length > 0,
+        performance: llmItem?.risks?.performance || 'neutral',
+      },
+      rationale: llmItem?.rationale || `Patch ${index}: ${formatEvaluation(evaluation)}`,
+      measurements: evaluation,
+    };
+  }).sort((a, b) => b.score - a.score || a.originalIndex - b.originalIndex);
+
+  const best = ranked[0];
+  return {
+    top3: ranked.slice(0, 3).map((item, idx) => ({ ...item, rank: idx + 1 })),
+    recommended: {
+      patch: best.patch,
+      index: best.originalIndex,
+      rationale: llmRanking?.recommended === best.originalIndex && llmRanking.recommendationRationale
+        ? llmRanking.recommendationRationale
+        : `Patch ${best.originalIndex} has the highest combined score (${best.score}) from its test results, diff size, touched exports and the LLM's score`,
+    },
+    allPatches: patches,
+    mode: 'empirical',
+  };
+}
+
 // Helper: Parse LLM response to extract answer and patch
 function parseLLMResponse(response) {
   const patchStartMarker = 'PATCH_START';
@@ -335,120 +863,379 @@ function parseLLMResponse(response) {
   };
 }
 
-// POST /assist
-app.post('/assist', async (req, res) => {
-  const startTime = Date.now();
-  let responseData = null;
-  let error = null;
+// Helper: Build the RAG-style system and user prompts for /assist
+// Context is packed into the model's token budget, after any prior session turns;
+// the returned context report says how much was used and what was dropped.
+async function buildAssistPrompts({ instruction, fileContents, filePath, sessionId }) {
+  // Build RAG-style prompt with retrieved chunks
+  const repoPath = filePath ? path.dirname(filePath) : process.cwd();
+  const fileSummaries = await getGitFileSummaries(repoPath);
+
+  // Find relevant snippets for the instruction topic
+  const relevantSnippets = await findRelevantSnippets(instruction, repoPath, 8);
+  const relatedModules = await findRelatedModules(filePath);
+
+  // Prompts come from templates, which the repo may override in .devskin/prompts/
+  const systemPrompt = renderPrompt('assist.system', { patchFormat: PATCH_FORMAT_DESCRIPTION }, repoPath);
+  const userTemplate = loadTemplate('assist.user', repoPath).content;
+
+  const formatTarget = (target) => {
+    const details = [
+      filePath && `path: ${filePath}`,
+      target.truncated && `lines ${target.startLine}-${target.endLine} of ${target.totalLines}; the rest is omitted`,
+    ].filter(Boolean).join(', ');
+    return `Target file${details ? ` (${details})` : ''}:\n\`\`\`\n${target.content}\n\`\`\`\n\n`;
+  };
+
+  const { budget, contextLimit } = getPromptTokenBudget();
+  const history = getSessionHistory(sessionId, budget);
+  const packed = packContext({
+    budget,
+    fixed: `${systemPrompt}\n${renderTemplate(userTemplate, { instruction })}`,
+    reserved: history.tokens,
+    target: (filePath || fileContents) ? { content: fileContents || '', focus: instruction } : null,
+    related: relatedModules,
+    snippets: relevantSnippets,
+    summaries: fileSummaries,
+    formatTarget,
+    formatRelated: formatRelatedModule,
+    formatSnippet,
+    formatSummary: formatFileSummary,
+  });
+
+  const target = packed.target;
+  const userPrompt = renderTemplate(userTemplate, {
+    instruction,
+    related: packed.related.map(formatRelatedModule).join(''),
+    snippets: formatSnippets(packed.snippets),
+    summaries: packed.summaries.map(formatFileSummary).join(''),
+    fileContents: target?.content,
+    filePath,
+    fileNote: target && [
+      filePath && `path: ${filePath}`,
+      target.truncated && `lines ${target.startLine}-${target.endLine} of ${target.totalLines}; the rest is omitted`,
+    ].filter(Boolean).join(', '),
+    fileOmitted: filePath && !target ? 'true' : '',
+  });
+
+  const context = {
+    model: config.llmModel,
+    contextLimit,
+    ...packed.report,
+    history: { turns: history.turns, droppedTurns: history.droppedTurns, tokens: history.tokens },
+  };
+  return { systemPrompt, userPrompt, history: history.messages, context };
+}
+
+// Helper: Build the system and user prompts for reviewing a failed patch
+// Used by /review-patch and /auto-fix; context is packed like buildAssistPrompts().
+// failures are structured test results (see runTestsSandboxed), listed before the raw output.
+async function buildReviewPrompts({ patch, testOutput, testError, failures = [], fileContents, filePath, sessionId }) {
+  const repoPath = filePath ? path.dirname(filePath) : process.cwd();
+  const systemPrompt = renderPrompt('review-patch.system', { patchFormat: PATCH_FORMAT_DESCRIPTION }, repoPath);
+  const userTemplate = loadTemplate('review-patch.user', repoPath).content;
+  const variables = {
+    testError,
+    failures: formatTestFailures(failures),
+    patch: JSON.stringify(patch, null, 2),
+    filePath,
+  };
+
+  // Test output can run to megabytes; keep its end, where failures and the summary are, within a share of the budget
+  const { budget, contextLimit } = getPromptTokenBudget();
+  const baseTokens = estimateTokens(`${systemPrompt}\n${renderTemplate(userTemplate, variables)}`);
+  // A patch that alone fills the budget leaves none for the output
+  const shownOutput = truncateOutput(testOutput, Math.max(0, Math.floor((budget - baseTokens) * TEST_OUTPUT_BUDGET_SHARE)));
+  variables.testOutput = shownOutput.text;
+  variables.testOutputNote = shownOutput.truncated ? `last lines only; ${shownOutput.omittedLines} earlier line(s) omitted` : '';
+
+  // Find relevant snippets to help with patch correction
+  const searchTopic = [...failures.map(failure => `${failure.name} ${failure.message}`), variables.testOutput, testError]
+    .filter(Boolean).join(' ');
+  const relevantSnippets = await findRelevantSnippets(
+    searchTopic || 'test error', 
+    repoPath, 
+    8
+  );
+  const relatedModules = await findRelatedModules(filePath);
+
+  // Fit the file contents and snippets into the model's token budget
+  const formatTarget = (target) => target.truncated
+    ? `Current file contents (lines ${target.startLine}-${target.endLine} of ${target.totalLines}; the rest is omitted):\n\`\`\`\n${target.content}\n\`\`\`\n\n`
+    : `Current file contents:\n\`\`\`\n${target.content}\n\`\`\`\n\n`;
+  const history = getSessionHistory(sessionId, budget);
+  const packed = packContext({
+    budget,
+    fixed: `${systemPrompt}\n${renderTemplate(userTemplate, variables)}`,
+    reserved: history.tokens,
+    target: fileContents ? { content: fileContents, focus: searchTopic } : null,
+    related: relatedModules,
+    snippets: relevantSnippets,
+    formatTarget,
+    formatRelated: formatRelatedModule,
+    formatSnippet,
+  });
+
+  const target = packed.target;
+  const userPrompt = renderTemplate(userTemplate, {
+    ...variables,
+    fileContents: target?.content,
+    fileNote: target?.truncated
+      ? `lines ${target.startLine}-${target.endLine} of ${target.totalLines}; the rest is omitted`
+      : '',
+    related: packed.related.map(formatRelatedModule).join(''),
+    snippets: formatSnippets(packed.snippets),
+  });
+
+  const context = {
+    model: config.llmModel,
+    contextLimit,
+    ...packed.report,
+    history: { turns: history.turns, droppedTurns: history.droppedTurns, tokens: history.tokens },
+  };
+  if (shownOutput.truncated) {
+    context.dropped = [
+      { type: 'testOutput', omittedLines: shownOutput.omittedLines, tokens: shownOutput.droppedTokens },
+      ...context.dropped,
+    ];
+  }
+
+  return { systemPrompt, userPrompt, history: history.messages, context };
+}
+
+// Helper: Convert a raw patch string from the LLM to its structured format
+// Text that looks like JSON but does not parse is kept as an invalid JSON patch
+// (with parseError set) so it is reported and repaired rather than applied as a diff.
+function structurePatch(patch, defaultFile) {
+  if (!patch) {
+    return null;
+  }
 
+  // LLMs often wrap JSON in a markdown fence
+  const unfenced = patch.replace(/^```(?:json)?\s*\n([\s\S]*?)\n```$/, '$1').trim();
+
+  // Try to parse as JSON (for multiple files format)
   try {
-    const { instruction, fileContents, filePath } = req.body;
+    const jsonPatch = JSON.parse(unfenced);
+    return {
+      format: 'json',
+      content: jsonPatch,
+    };
+  } catch (e) {
+    if (/^[{[]/.test(unfenced)) {
+      return {
+        format: 'json',
+        content: unfenced,
+        parseError: e.message,
+      };
+    }
 
-    if (!instruction) {
-      return res.status(400).json({ error: 'Instruction is required' });
+    // Not JSON, treat as unified diff
+    return {
+      file: defaultFile,
+      format: 'unified-diff',
+      content: patch,
+    };
+  }
+}
+
+// Helper: Check a JSON patch from the LLM against the shared schema
+// Invalid patches get one repair attempt from the LLM. Resolves with the patch to
+// return and a validation report ({ valid, errors, repaired }), which is null for diffs.
+async function validateLLMPatch(structuredPatch, { noCache, track } = {}) {
+  if (!structuredPatch || structuredPatch.format !== 'json') {
+    return { patch: structuredPatch, patchValidation: null };
+  }
+
+  const check = (candidate) => (candidate.parseError
+    ? { valid: false, errors: [{ path: '', message: `invalid JSON: ${candidate.parseError}` }] }
+    : validatePatch(candidate.content));
+
+  const first = check(structuredPatch);
+  if (first.valid) {
+    return {
+      patch: { format: 'json', content: first.patch },
+      patchValidation: { valid: true, errors: [], repaired: false },
+    };
+  }
+
+  let second = null;
+  try {
+    const invalidText = typeof structuredPatch.content === 'string'
+      ? structuredPatch.content
+      : JSON.stringify(structuredPatch.content, null, 2);
+    const repairResponse = await callLLM(
+      `You are DevSkin Assistant. Fix JSON patches so they match the required format without changing what they do. Reply with only:
+PATCH_START
+<corrected JSON patch>
+PATCH_END
+
+${PATCH_FORMAT_DESCRIPTION}`,
+      `This patch failed validation:\n\`\`\`json\n${invalidText}\n\`\`\`\n\nErrors:\n${formatPatchErrors(first.errors)}`,
+      { noCache, track }
+    );
+    const repaired = structurePatch(parseLLMResponse(repairResponse).patch, null);
+    if (repaired?.format === 'json') {
+      second = check(repaired);
     }
+  } catch (err) {
+    console.error('Patch repair failed:', err.message);
+  }
+
+  if (second?.valid) {
+    return {
+      patch: { format: 'json', content: second.patch },
+      patchValidation: { valid: true, errors: [], repaired: true, originalErrors: first.errors },
+    };
+  }
+
+  return {
+    patch: structuredPatch,
+    patchValidation: { valid: false, errors: (second || first).errors, repaired: false },
+  };
+}
 
-    // Build RAG-style prompt with retrieved chunks
-    const repoPath = filePath ? path.dirname(filePath) : process.cwd();
-    const fileSummaries = await getGitFileSummaries(repoPath);
+// Helper: Stream an /assist completion to the client as Server-Sent Events
+// Events: "answer" ({ delta }) while the answer streams, "patch" (structured patch)
+// once PATCH_END arrives (after validation, for JSON patches), then "done"
+// ({ answer, patch, patchValidation }) or "error" ({ error }).
+// onDone runs with the final response data before "done" is sent.
+// Resolves with the final response data and error for request logging.
+async function streamAssist(res, { systemPrompt, userPrompt, history, filePath, context, noCache, track, onDone }) {
+  const abortController = new AbortController();
+  let responseData = null;
+  let error = null;
 
-    // Find relevant snippets for the instruction topic
-    const relevantSnippets = await findRelevantSnippets(instruction, repoPath, 8);
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+  });
+  const sendEvent = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      abortController.abort();
+    }
+  });
 
-    // Format retrieved chunks (most relevant first)
-    let retrievedChunks = '';
-    
-    // Add relevant snippets first (more specific)
-    if (relevantSnippets.length > 0) {
-      retrievedChunks += 'Relevant code snippets and documentation:\n\n';
-      relevantSnippets.forEach((snippet, idx) => {
-        retrievedChunks += `${idx + 1}. File: ${snippet.file}\n`;
-        retrievedChunks += `   Reason: ${snippet.reason}\n`;
-        if (snippet.matches && snippet.matches.length > 0) {
-          snippet.matches.forEach((match, matchIdx) => {
-            retrievedChunks += `   Snippet (line ${match.line}):\n`;
-            retrievedChunks += `   \`\`\`\n${match.snippet}\n\`\`\`\n\n`;
-          });
+  try {
+    const parser = new AnswerStreamParser();
+    let patchSent = null;
+
+    const llmResponse = await callLLMStream(systemPrompt, userPrompt, (delta) => {
+      const { answerDelta, patch } = parser.push(delta);
+      if (answerDelta) {
+        sendEvent('answer', { delta: answerDelta });
+      }
+      if (patch !== null) {
+        const structured = structurePatch(patch, filePath || 'current-file.ts');
+        // JSON patches are only sent once the stream ends and they pass validation
+        if (structured?.format === 'unified-diff') {
+          patchSent = structured;
+          sendEvent('patch', patchSent);
         }
-      });
-      retrievedChunks += '\n';
+      }
+    }, { signal: abortController.signal, history, noCache, track });
+
+    const remaining = parser.flush();
+    if (remaining) {
+      sendEvent('answer', { delta: remaining });
     }
-    
-    // Add general file summaries (broader context)
-    if (fileSummaries.length > 0) {
-      retrievedChunks += 'Recent files in repository:\n';
-      fileSummaries.forEach((summary, idx) => {
-        retrievedChunks += `${idx + 1}. ${summary.path} (${summary.lines} lines, ${summary.size} bytes)\n`;
-        retrievedChunks += `   Preview: ${summary.summary}\n\n`;
-      });
+
+    // Completions without PATCH_START/PATCH_END may still use the ---PATCH--- format
+    const { answer, patch } = parseLLMResponse(llmResponse);
+    const { patch: structuredPatch, patchValidation } = patchSent
+      ? { patch: patchSent, patchValidation: null }
+      : await validateLLMPatch(structurePatch(patch, filePath || 'current-file.ts'), { noCache, track });
+    if (!patchSent && structuredPatch) {
+      sendEvent('patch', structuredPatch);
     }
-    
-    if (!retrievedChunks) {
-      retrievedChunks = 'No additional context files found.';
+
+    responseData = { answer, patch: structuredPatch, ...(patchValidation && { patchValidation }), context };
+    onDone(responseData);
+    sendEvent('done', responseData);
+  } catch (err) {
+    error = err;
+    if (!abortController.signal.aborted) {
+      sendEvent('error', { error: err.message, ...(err instanceof LLMError && { code: err.code }) });
     }
+  } finally {
+    res.end();
+  }
 
-    // System prompt
-    const systemPrompt = `You are DevSkin Assistant. You will produce two sections: a human-readable ANSWER and a machine patch. Format:
-<ANSWER>
-Your explanation here
----
-PATCH_START
-<patch in unified diff format or multiple files format as JSON>
-PATCH_END
+  return { responseData, error };
+}
 
-Important: Always include both ANSWER and PATCH sections. Use PATCH_START and PATCH_END markers.`;
+// POST /assist
+app.post('/assist', async (req, res) => {
+  const startTime = Date.now();
+  let responseData = null;
+  let error = null;
 
-    // User prompt with context
-    let userPrompt = `Instruction: ${instruction}\n\n`;
-    
-    if (retrievedChunks) {
-      userPrompt += `Context files (most relevant first):\n${retrievedChunks}\n\n`;
+  try {
+    const { instruction, fileContents, filePath, sessionId, noCache } = req.body;
+
+    if (!instruction) {
+      return res.status(400).json({ error: 'Instruction is required' });
     }
 
-    if (filePath) {
-      userPrompt += `Target file (path: ${filePath}):\n\`\`\`\n${fileContents || ''}\n\`\`\`\n\n`;
-    } else if (fileContents) {
-      userPrompt += `Target file:\n\`\`\`\n${fileContents}\n\`\`\`\n\n`;
+    if (sessionId !== undefined && !isValidSessionId(sessionId)) {
+      return res.status(400).json({ error: 'sessionId must be 1-64 letters, digits, "-" or "_"' });
     }
 
-    userPrompt += `Constraints:
-- Do not modify files outside the repo root.
-- If patch affects tests, include a test run command and expected result.
-- When possible produce small, minimal changes (single feature per patch).`;
+    const { systemPrompt, userPrompt, history, context } = await buildAssistPrompts({
+      instruction,
+      fileContents,
+      filePath,
+      sessionId,
+    });
+    const track = { endpoint: '/assist', sessionId };
+
+    // Record the turn so follow-up instructions in the session can build on it
+    const recordTurn = (data) => {
+      if (sessionId) {
+        sessionStore.appendTurn(sessionId, { endpoint: '/assist', instruction, filePath, answer: data.answer, patch: data.patch });
+        data.sessionId = sessionId;
+      }
+    };
+
+    if (req.query.stream === '1') {
+      ({ responseData, error } = await streamAssist(res, {
+        systemPrompt,
+        userPrompt,
+        history,
+        filePath,
+        context,
+        noCache,
+        track,
+        onDone: recordTurn,
+      }));
+      return;
+    }
 
     // Call LLM
-    const llmResponse = await callLLM(systemPrompt, userPrompt);
+    const llmResponse = await callLLM(systemPrompt, userPrompt, { history, noCache, track });
     const { answer, patch } = parseLLMResponse(llmResponse);
 
-    // Convert patch to structured format
-    let structuredPatch = null;
-    if (patch) {
-      // Try to parse as JSON (for multiple files format)
-      try {
-        const jsonPatch = JSON.parse(patch);
-        structuredPatch = {
-          format: 'json',
-          content: jsonPatch,
-        };
-      } catch (e) {
-        // Not JSON, treat as unified diff
-        structuredPatch = {
-          file: filePath || 'current-file.ts',
-          format: 'unified-diff',
-          content: patch,
-        };
-      }
-    }
+    const { patch: structuredPatch, patchValidation } = await validateLLMPatch(
+      structurePatch(patch, filePath || 'current-file.ts'),
+      { noCache, track }
+    );
 
     responseData = {
       answer,
       patch: structuredPatch,
+      ...(patchValidation && { patchValidation }),
+      context,
     };
+    recordTurn(responseData);
 
     res.json(responseData);
   } catch (err) {
     error = err;
-    res.status(500).json({ error: err.message });
+    sendError(res, err);
   } finally {
     logRequest('/assist', 'POST', req.body, responseData, error);
   }
@@ -461,14 +1248,19 @@ app.post('/retrieve', async (req, res) => {
   let error = null;
 
   try {
-    const { query } = req.body;
+    const { query, repoPath, limit = 10 } = req.body;
 
     if (!query) {
       return res.status(400).json({ error: 'Query is required' });
     }
 
-    // Placeholder: return empty array (to be replaced with vector DB)
-    responseData = [];
+    const index = await getCodeIndex(repoPath ? path.resolve(repoPath) : process.cwd(), indexDir, indexOptions);
+    if (!index) {
+      return res.status(400).json({ error: 'Not a git repository' });
+    }
+
+    // Ranked chunks: { file, startLine, endLine, score, matchedTerms, symbols, content }
+    responseData = index.search(query, { limit: Math.min(Math.max(parseInt(limit, 10) || 10, 1), 50) });
 
     res.json(responseData);
   } catch (err) {
@@ -479,6 +1271,38 @@ app.post('/retrieve', async (req, res) => {
   }
 });
 
+// POST /index/refresh - Re-index files changed since the last snapshot
+app.post('/index/refresh', async (req, res) => {
+  let responseData = null;
+  let error = null;
+
+  try {
+    const { repoPath, full = false, watch = false } = req.body;
+    const resolvedPath = repoPath ? path.resolve(repoPath) : process.cwd();
+
+    const index = await getCodeIndex(resolvedPath, indexDir, {
+      watch: watch === true || config.indexWatch,
+    });
+    if (!index) {
+      return res.status(400).json({ error: 'Not a git repository' });
+    }
+
+    const summary = await index.refreshShared({ full: full === true });
+
+    responseData = {
+      ...summary,
+      index: index.stats(),
+    };
+
+    res.json(responseData);
+  } catch (err) {
+    error = err;
+    res.status(500).json({ error: err.message });
+  } finally {
+    logRequest('/index/refresh', 'POST', req.body, responseData, error);
+  }
+});
+
 // POST /run-tests
 app.post('/run-tests', async (req, res) => {
   const startTime = Date.now();
@@ -486,52 +1310,129 @@ app.post('/run-tests', async (req, res) => {
   let error = null;
 
   try {
-    const { repoPath } = req.body;
+    const { repoPath, patch, runner, coverage = false } = req.body;
 
     if (!repoPath) {
       return res.status(400).json({ error: 'repoPath is required' });
     }
 
+    const structured = patch !== undefined ? readRequestPatch(patch) : null;
+    if (structured?.error) {
+      return res.status(400).json({ error: structured.error });
+    }
+
+    const selection = readTestSelection(req.body);
+    if (selection.error) {
+      return res.status(400).json({ error: selection.error });
+    }
+    const selecting = selection.files.length > 0 || selection.grep || selection.affectedBy;
+    if (typeof coverage !== 'boolean') {
+      return res.status(400).json({ error: 'coverage must be a boolean' });
+    }
+
     // Validate repoPath to prevent directory traversal
     const resolvedPath = path.resolve(repoPath);
     if (!fs.existsSync(resolvedPath)) {
       return res.status(400).json({ error: 'Repository path does not exist' });
     }
 
-    // Check if package.json exists
-    const packageJsonPath = path.join(resolvedPath, 'package.json');
-    if (!fs.existsSync(packageJsonPath)) {
-      return res.status(400).json({ error: 'No package.json found in repository' });
+    const { testRunner, error: runnerError } = resolveTestRunner(resolvedPath, runner);
+    if (runnerError) {
+      return res.status(400).json({ error: runnerError });
+    }
+    const filterError = selecting ? testFilterError(testRunner) : null;
+    if (filterError) {
+      return res.status(400).json({ error: filterError });
+    }
+    if (selection.affectedBy && !['jest', 'vitest', 'mocha'].includes(testRunner.framework)) {
+      return res.status(400).json({ error: 'affectedBy needs a jest, vitest or mocha runner; the import graph covers JavaScript and TypeScript' });
+    }
+    const coverageProblem = coverage ? coverageError(testRunner) : null;
+    if (coverageProblem) {
+      return res.status(400).json({ error: coverageProblem });
+    }
+
+    if (!structured) {
+      const missing = missingTestFile(resolvedPath, selection.files);
+      if (missing) {
+        return res.status(400).json({ error: `Test file not found: ${missing}` });
+      }
+
+      // Run tests in sandboxed process
+      responseData = await runTestsSandboxed(resolvedPath, testRunner, { files: selection.files, grep: selection.grep, coverage });
+      if (selecting) {
+        responseData.selection = { files: selection.files, grep: selection.grep };
+      }
+      return res.json(responseData);
+    }
+
+    // Test the patch in a throwaway worktree at HEAD so the user's files stay untouched
+    let worktree;
+    try {
+      worktree = await GitWorktree.create(resolvedPath);
+    } catch (worktreeError) {
+      return res.status(400).json({ error: worktreeError.message });
     }
 
-    // Run tests in sandboxed process
-    try {
-      const result = await executeSandboxed('npm test', {
-        cwd: resolvedPath,
-        timeout: 60000, // 60 second timeout
-        maxMemory: 512 * 1024 * 1024, // 512MB max memory
-        maxBuffer: 10 * 1024 * 1024, // 10MB max output buffer
-      });
+    try {
+      let applied;
+      let addedLines;
+      try {
+        // Patch coverage needs the lines the patch adds, measured against HEAD before it is applied
+        addedLines = coverage ? measureChanges(worktree.dir, planPatch(worktree.dir, structured).changes).addedLines : undefined;
+        applied = worktree.applyPatch(structured);
+      } catch (parseError) {
+        return res.status(400).json({
+          error: structured.format === 'unified-diff' ? `Invalid unified diff: ${parseError.message}` : parseError.message,
+          ...(parseError.validationErrors && { validationErrors: parseError.validationErrors }),
+        });
+      }
+
+      if (!applied.applicable) {
+        responseData = { patch: applied };
+        return res.status(409).json({ ...responseData, error: 'Patch does not apply cleanly to HEAD; tests were not run' });
+      }
+
+      // affectedBy "patch": only the test files that depend on what the patch changes
+      let { files } = selection;
+      let affected = null;
+      if (selection.affectedBy) {
+        const changedFiles = [...new Set(applied.files.flatMap(file => [file.from, file.path].filter(Boolean)))];
+        files = (await findAffectedTests(resolvedPath, changedFiles))
+          .filter(file => fs.existsSync(path.join(worktree.dir, file))); // Not the test files the patch deletes
+        affected = { affectedBy: 'patch', changedFiles };
+      }
+      const missing = missingTestFile(worktree.dir, files);
+      if (missing) {
+        return res.status(400).json({ error: `Test file not found: ${missing}`, patch: applied });
+      }
+      const testSelection = { ...affected, files, grep: selection.grep };
 
-      responseData = {
-        success: result.success,
-        exitCode: result.exitCode,
-        stdout: result.stdout,
-        stderr: result.stderr,
-      };
+      if (affected && files.length === 0) {
+        // No test depends on the change, and running without files would run the whole suite
+        responseData = {
+          success: true,
+          exitCode: null,
+          stdout: '',
+          stderr: '',
+          skipped: true,
+          runner: describeRunner(testRunner),
+          results: null,
+          ...(coverage && { coverage: null }),
+          selection: testSelection,
+          patch: applied,
+        };
+        return res.json(responseData);
+      }
 
-      res.json(responseData);
-    } catch (sandboxError) {
-      // Sandbox error (timeout, buffer exceeded, or command not allowed)
       responseData = {
-        success: false,
-        exitCode: 1,
-        stdout: '',
-        stderr: sandboxError.message || 'Sandbox execution failed',
-        error: 'SANDBOX_ERROR',
+        ...await runTestsSandboxed(worktree.dir, testRunner, { files, grep: selection.grep, coverage, addedLines }),
+        ...(selecting && { selection: testSelection }),
+        patch: applied,
       };
-
       res.json(responseData);
+    } finally {
+      await worktree.remove();
     }
   } catch (err) {
     error = err;
@@ -548,11 +1449,17 @@ app.post('/create-pr', async (req, res) => {
   let error = null;
 
   try {
-    const { branchName, commitMessage, repoPath, confirm } = req.body;
+    const { branchName, baseBranch, commitMessage, title, body, repoPath, confirm } = req.body;
 
     if (!branchName || !commitMessage) {
       return res.status(400).json({ error: 'branchName and commitMessage are required' });
     }
+    if (!isValidBranchName(branchName) || (baseBranch !== undefined && !isValidBranchName(baseBranch))) {
+      return res.status(400).json({ error: 'branchName and baseBranch must be valid git branch names' });
+    }
+    if (typeof commitMessage !== 'string' || [title, body].some(value => value !== undefined && typeof value !== 'string')) {
+      return res.status(400).json({ error: 'commitMessage, title and body must be strings' });
+    }
 
     const resolvedPath = repoPath ? path.resolve(repoPath) : process.cwd();
 
@@ -578,22 +1485,36 @@ app.post('/create-pr', async (req, res) => {
       // No staged changes or error
     }
 
+    // The pull request is titled after the commit subject and described by the rest of the message,
+    // unless the request gives a title and body
+    const [subject, ...details] = commitMessage.trim().split('\n');
+    const prTitle = title || subject.trim();
+    const prBody = body ?? details.join('\n').trim();
+    const gitHost = await resolveGitHost(resolvedPath);
+
+    const preview = {
+      branchName,
+      baseBranch: baseBranch || null,
+      commitMessage,
+      title: prTitle,
+      stagedFiles: stagedChanges ? stagedChanges.split('\n') : [],
+      operations: [
+        `Would create branch: ${branchName}`,
+        `Would commit with message: ${commitMessage}`,
+        gitHost.remote ? `Would push ${branchName} to origin` : 'Would not push: the repository has no "origin" remote',
+        gitHost.client
+          ? `Would open a pull request on ${gitHost.remote.host} (${gitHost.remote.repo}) into ${baseBranch || 'the default branch'}: ${prTitle}`
+          : `Would not open a pull request: ${gitHost.error}`,
+      ],
+    };
+
     // SECURITY: Require explicit confirmation for commit/push operations
     const requiresConfirmation = !config.dryRun;
     if (requiresConfirmation && confirm !== true) {
       return res.status(400).json({ 
         error: 'Explicit confirmation required',
         message: 'Set confirm: true in request body to commit and push changes',
-        preview: {
-          branchName,
-          commitMessage,
-          stagedFiles: stagedChanges ? stagedChanges.split('\n') : [],
-          operations: [
-            `Would create branch: ${branchName}`,
-            `Would commit with message: ${commitMessage}`,
-            'Would push to remote (if configured)',
-          ],
-        },
+        preview,
       });
     }
 
@@ -602,78 +1523,87 @@ app.post('/create-pr', async (req, res) => {
       responseData = {
         dryRun: true,
         message: 'Dry run mode: No changes were made. Set confirm: true to execute.',
-        preview: {
-          branchName,
-          commitMessage,
-          stagedFiles: stagedChanges ? stagedChanges.split('\n') : [],
-          operations: [
-            `Would create branch: ${branchName}`,
-            `Would commit with message: ${commitMessage}`,
-            'Would push to remote (if configured)',
-          ],
-        },
+        preview,
         prUrl: null,
       };
 
       res.json(responseData);
-    } else {
-      // Actual execution (requires explicit confirm: true)
-      try {
-        // Create branch using sandboxed execution
-        await executeSandboxed(`git checkout -b ${branchName}`, {
-          cwd: resolvedPath,
-          timeout: 10000,
-        });
-
-        // Stage all changes (if any) using sandboxed execution
-        if (stagedChanges) {
-          await executeSandboxed('git add .', {
-            cwd: resolvedPath,
-            timeout: 10000,
-          });
-        }
+      return;
+    }
 
-        // Commit using sandboxed execution
-        // Escape commit message to prevent injection
-        const escapedMessage = commitMessage.replace(/"/g, '\\"');
-        await executeSandboxed(`git commit -m "${escapedMessage}"`, {
-          cwd: resolvedPath,
-          timeout: 10000,
-        });
+    // Actual execution (requires explicit confirm: true)
+    try {
+      await runGit('git checkout -b', { cwd: resolvedPath, args: [branchName] });
 
-        // Try to push (may fail if remote not configured)
-        let pushSuccess = false;
-        try {
-          await executeSandboxed(`git push -u origin ${branchName}`, {
-            cwd: resolvedPath,
-            timeout: 30000,
-          });
-          pushSuccess = true;
-        } catch (pushError) {
-          // Push failed, but branch and commit were created locally
-        }
+      // Stage all changes (if any) using sandboxed execution
+      if (stagedChanges) {
+        await runGit('git add .', { cwd: resolvedPath });
+      }
 
-        // Generate fake PR URL for MVP
-        const fakePRUrl = `https://github.com/user/repo/pull/${Date.now()}`;
+      // The message is one argument, so quotes and newlines in it reach git unchanged
+      await runGit('git commit -m', { cwd: resolvedPath, args: [commitMessage] });
+    } catch (gitError) {
+      error = gitError;
+      return res.status(500).json({ error: `Git operation failed: ${gitError.message}` });
+    }
 
-        responseData = {
-          dryRun: false,
-          success: true,
-          branchName,
-          commitMessage,
-          pushed: pushSuccess,
-          prUrl: pushSuccess ? fakePRUrl : null,
-          message: pushSuccess
-            ? `Branch ${branchName} created and pushed. PR URL: ${fakePRUrl}`
-            : `Branch ${branchName} created locally. Configure remote to push.`,
-        };
+    // A failed push or pull request leaves the branch and commit in place; the response says how far it got
+    let pushError = gitHost.remote ? null : gitHost.error;
+    if (gitHost.remote) {
+      try {
+        await runGit('git push -u origin', { cwd: resolvedPath, args: [branchName], timeout: 30000 });
+      } catch (err) {
+        pushError = err.message;
+      }
+    }
 
-        res.json(responseData);
-      } catch (gitError) {
-        error = gitError;
-        res.status(500).json({ error: `Git operation failed: ${gitError.message}` });
+    let pullRequest = null;
+    let prError = null;
+    if (!pushError && !gitHost.client) {
+      prError = { code: 'not_configured', message: gitHost.error };
+    } else if (!pushError) {
+      try {
+        const base = baseBranch || await gitHost.client.getDefaultBranch(gitHost.remote.repo);
+        pullRequest = await openPullRequest(gitHost.client, {
+          repo: gitHost.remote.repo,
+          head: branchName,
+          base,
+          title: prTitle,
+          body: prBody,
+        });
+      } catch (hostError) {
+        prError = { code: hostError instanceof GitHostError ? hostError.code : null, message: hostError.message };
       }
     }
+
+    let message;
+    if (pullRequest) {
+      message = pullRequest.existing
+        ? `Branch ${branchName} pushed; pull request #${pullRequest.number} was already open: ${pullRequest.url}`
+        : `Branch ${branchName} pushed and pull request #${pullRequest.number} opened: ${pullRequest.url}`;
+    } else if (!pushError) {
+      message = `Branch ${branchName} pushed, but no pull request was opened: ${prError.message}`;
+    } else {
+      message = `Branch ${branchName} committed locally, but not pushed: ${pushError}`;
+    }
+
+    responseData = {
+      dryRun: false,
+      success: Boolean(pullRequest),
+      branchName,
+      baseBranch: pullRequest?.base || baseBranch || null,
+      commitMessage,
+      committed: true,
+      pushed: !pushError,
+      pushError,
+      prUrl: pullRequest?.url || null,
+      prNumber: pullRequest?.number ?? null,
+      pullRequest,
+      prError,
+      message,
+    };
+
+    res.json(responseData);
   } catch (err) {
     error = err;
     res.status(500).json({ error: err.message });
@@ -682,104 +1612,173 @@ app.post('/create-pr', async (req, res) => {
   }
 });
 
-// POST /review-patch - Review failed patch and produce corrected version
-app.post('/review-patch', async (req, res) => {
-  const startTime = Date.now();
+// POST /suggest-commit - Suggest a commit message and PR description for the staged changes or a patch
+app.post('/suggest-commit', async (req, res) => {
   let responseData = null;
   let error = null;
 
   try {
-    const { patch, testOutput, testError, fileContents, filePath } = req.body;
+    const { patch, repoPath, sessionId, noCache } = req.body;
 
-    if (!patch || (!testOutput && !testError)) {
-      return res.status(400).json({ 
-        error: 'patch and testOutput or testError are required' 
-      });
+    if (sessionId !== undefined && !isValidSessionId(sessionId)) {
+      return res.status(400).json({ error: 'sessionId must be 1-64 letters, digits, "-" or "_"' });
     }
 
-    // Build prompt for patch review
-    const systemPrompt = `You are DevSkin Assistant. Review a failed patch and produce a corrected version. Format:
-<ANSWER>
-Your explanation of what was wrong and how you fixed it
----
-PATCH_START
-<corrected patch in unified diff format or JSON>
-PATCH_END
-
-Important: Make minimal changes to pass tests. Focus on fixing the specific test failures.`;
-
-    let userPrompt = `Task: Review the following failed patch and produce a corrected patch. Show: diff, explanation of fix, and unit test adjustments.\n\n`;
-    
-    userPrompt += `Fail info:\n`;
-    if (testError) {
-      userPrompt += `Error: ${testError}\n\n`;
+    const resolvedPath = repoPath ? path.resolve(repoPath) : process.cwd();
+    if (!fs.existsSync(resolvedPath)) {
+      return res.status(400).json({ error: 'Repository path does not exist' });
     }
-    if (testOutput) {
-      userPrompt += `Test Output:\n\`\`\`\n${testOutput}\n\`\`\`\n\n`;
+    const isGitRepo = fs.existsSync(path.join(resolvedPath, '.git'));
+
+    let source;
+    let diff;
+    let files;
+    if (patch !== undefined) {
+      const structured = readRequestPatch(patch);
+      if (structured.error) {
+        return res.status(400).json({ error: structured.error });
+      }
+      const isDiff = structured.format === 'unified-diff';
+      let plan;
+      try {
+        plan = planPatch(resolvedPath, structured);
+      } catch (parseError) {
+        return res.status(400).json({
+          error: isDiff ? `Invalid unified diff: ${parseError.message}` : parseError.message,
+          ...(parseError.validationErrors && { validationErrors: parseError.validationErrors }),
+        });
+      }
+      source = isDiff ? 'patch' : 'JSON patch';
+      diff = isDiff ? structured.content : JSON.stringify(structured.content, null, 2);
+      files = plan.changes.map((change) => {
+        const { additions, deletions } = measureChanges(resolvedPath, [change]).diffSize;
+        return { file: change.path || path.relative(resolvedPath, change.absolutePath), additions, deletions };
+      });
+    } else {
+      if (!isGitRepo) {
+        return res.status(400).json({ error: 'Not a git repository' });
+      }
+      const numstat = await executeSandboxed('git diff --cached --numstat', { cwd: resolvedPath, timeout: 10000 });
+      const staged = await executeSandboxed('git diff --cached', { cwd: resolvedPath, timeout: 10000 });
+      if (!numstat.success || !staged.success) {
+        throw new Error(`git diff --cached failed: ${(numstat.stderr || staged.stderr).trim()}`);
+      }
+      files = parseNumstat(numstat.stdout);
+      if (files.length === 0) {
+        return res.status(400).json({ error: 'No staged changes: stage them with git add, or pass a patch' });
+      }
+      source = 'staged changes';
+      diff = staged.stdout;
     }
 
-    userPrompt += `Current patch:\n\`\`\`json\n${JSON.stringify(patch, null, 2)}\n\`\`\`\n\n`;
-
-    if (fileContents) {
-      userPrompt += `Current file contents:\n\`\`\`\n${fileContents}\n\`\`\`\n\n`;
+    // Recent subjects show the scopes the repository already uses; a repo without commits has none
+    let recentCommits = '';
+    if (isGitRepo) {
+      const log = await executeSandboxed('git log', { cwd: resolvedPath, timeout: 5000, args: ['--format=%s', '-n', '10'] })
+        .catch(() => null);
+      recentCommits = log?.success ? log.stdout.trim() : '';
     }
 
-    if (filePath) {
-      userPrompt += `File path: ${filePath}\n\n`;
+    const systemPrompt = renderPrompt('suggest-commit.system', {}, resolvedPath);
+    const variables = {
+      source,
+      files: files
+        .map(f => `- ${f.file}${f.additions === null ? ' (binary)' : ` (+${f.additions} -${f.deletions})`}`)
+        .join('\n'),
+      recentCommits,
+    };
+    const { budget } = getPromptTokenBudget();
+    const fixedTokens = estimateTokens(`${systemPrompt}\n${renderPrompt('suggest-commit.user', variables, resolvedPath)}`);
+    const shown = truncateDiff(diff, Math.floor((budget - fixedTokens) * DIFF_BUDGET_SHARE));
+    const userPrompt = renderPrompt('suggest-commit.user', {
+      ...variables,
+      diff: shown.diff.replace(/\n$/, ''),
+      diffNote: shown.truncated
+        ? `cut to fit the prompt${shown.omittedFiles > 0 ? `; ${shown.omittedFiles} more file(s) not shown` : ''}`
+        : '',
+    }, resolvedPath);
+
+    const llmResponse = await callLLM(systemPrompt, userPrompt, { noCache, track: { endpoint: '/suggest-commit', sessionId } });
+    const suggestion = parseSuggestion(llmResponse);
+    if (!suggestion) {
+      throw new LLMError('The LLM reply did not contain a commit suggestion', { provider: config.llmProvider, code: 'invalid_response' });
     }
 
-    // Find relevant snippets to help with patch correction
-    const repoPath = filePath ? path.dirname(filePath) : process.cwd();
-    const searchTopic = [testOutput, testError].filter(Boolean).join(' ');
-    const relevantSnippets = await findRelevantSnippets(
-      searchTopic || 'test error', 
-      repoPath, 
-      8
-    );
+    const commit = formatCommitMessage(suggestion);
+    responseData = {
+      source: patch !== undefined ? 'patch' : 'staged',
+      files,
+      truncated: shown.truncated,
+      commit: {
+        type: suggestion.type,
+        scope: suggestion.scope,
+        breaking: suggestion.breaking,
+        subject: commit.subject,
+        body: suggestion.body,
+        message: commit.message,
+      },
+      branchName: suggestBranchName(suggestion),
+      pr: {
+        title: commit.subject,
+        summary: suggestion.summary,
+        testing: suggestion.testing,
+        risks: suggestion.risks,
+        description: formatPrDescription(suggestion),
+      },
+    };
 
-    if (relevantSnippets.length > 0) {
-      userPrompt += `Relevant code snippets from repository:\n`;
-      relevantSnippets.forEach((snippet, idx) => {
-        userPrompt += `${idx + 1}. File: ${snippet.file}\n`;
-        userPrompt += `   Reason: ${snippet.reason}\n`;
-        if (snippet.matches && snippet.matches.length > 0) {
-          snippet.matches.forEach((match) => {
-            userPrompt += `   Snippet (line ${match.line}):\n`;
-            userPrompt += `   \`\`\`\n${match.snippet}\n\`\`\`\n\n`;
-          });
-        }
+    res.json(responseData);
+  } catch (err) {
+    error = err;
+    sendError(res, err);
+  } finally {
+    logRequest('/suggest-commit', 'POST', req.body, responseData, error);
+  }
+});
+
+// POST /review-patch - Review failed patch and produce corrected version
+app.post('/review-patch', async (req, res) => {
+  const startTime = Date.now();
+  let responseData = null;
+  let error = null;
+
+  try {
+    const { patch, testOutput, testError, failures, fileContents, filePath, sessionId, noCache } = req.body;
+
+    if (failures !== undefined && (!Array.isArray(failures) ||
+      !failures.every(failure => typeof failure?.name === 'string' && typeof (failure.message ?? '') === 'string'))) {
+      return res.status(400).json({ error: 'failures must be an array of { name, file, line, message } from /run-tests results' });
+    }
+
+    if (!patch || (!testOutput && !testError && !failures?.length)) {
+      return res.status(400).json({ 
+        error: 'patch and testOutput, testError or failures are required' 
       });
-      userPrompt += '\n';
     }
 
-    userPrompt += `Constraints:
-- Make minimal changes to pass tests
-- Focus on fixing the specific test failures shown in the error/output
-- If tests expect specific behavior, ensure the patch implements it correctly
-- Maintain existing functionality that wasn't broken
-- Include any necessary unit test adjustments if the patch changes test expectations`;
+    if (sessionId !== undefined && !isValidSessionId(sessionId)) {
+      return res.status(400).json({ error: 'sessionId must be 1-64 letters, digits, "-" or "_"' });
+    }
+
+    const { systemPrompt, userPrompt, history, context } = await buildReviewPrompts({
+      patch,
+      testOutput,
+      testError,
+      failures,
+      fileContents,
+      filePath,
+      sessionId,
+    });
+    const track = { endpoint: '/review-patch', sessionId };
 
     // Call LLM
-    const llmResponse = await callLLM(systemPrompt, userPrompt);
+    const llmResponse = await callLLM(systemPrompt, userPrompt, { history, noCache, track });
     const { answer, patch: correctedPatch } = parseLLMResponse(llmResponse);
 
-    // Convert patch to structured format
-    let structuredPatch = null;
-    if (correctedPatch) {
-      try {
-        const jsonPatch = JSON.parse(correctedPatch);
-        structuredPatch = {
-          format: 'json',
-          content: jsonPatch,
-        };
-      } catch (e) {
-        structuredPatch = {
-          file: filePath || patch.file || 'current-file.ts',
-          format: 'unified-diff',
-          content: correctedPatch,
-        };
-      }
-    }
+    const { patch: structuredPatch, patchValidation } = await validateLLMPatch(
+      structurePatch(correctedPatch, filePath || patch.file || 'current-file.ts'),
+      { noCache, track }
+    );
 
     // Generate diff between original and corrected patch
     const diff = correctedPatch ? {
@@ -793,17 +1792,101 @@ Important: Make minimal changes to pass tests. Focus on fixing the specific test
       patch: structuredPatch,
       diff,
       originalPatch: patch,
+      ...(patchValidation && { patchValidation }),
+      context,
     };
 
+    if (sessionId) {
+      const failure = testError || testOutput?.substring(0, 500) || formatTestFailures(failures, 3).substring(0, 500);
+      sessionStore.appendTurn(sessionId, {
+        endpoint: '/review-patch',
+        instruction: `Review the failed patch and produce a corrected patch. Failure: ${failure}`,
+        filePath,
+        answer,
+        patch: structuredPatch,
+      });
+      responseData.sessionId = sessionId;
+    }
+
     res.json(responseData);
   } catch (err) {
     error = err;
-    res.status(500).json({ error: err.message });
+    sendError(res, err);
   } finally {
     logRequest('/review-patch', 'POST', req.body, responseData, error);
   }
 });
 
+// POST /auto-fix - Generate a patch and iterate on it until the repo's tests pass
+app.post('/auto-fix', async (req, res) => {
+  let responseData = null;
+  let error = null;
+
+  try {
+    const { instruction, repoPath, filePath, fileContents, maxIterations = DEFAULT_MAX_ITERATIONS, runner, sessionId, noCache } = req.body;
+
+    if (!instruction || !repoPath) {
+      return res.status(400).json({ error: 'instruction and repoPath are required' });
+    }
+
+    if (!Number.isInteger(maxIterations) || maxIterations < 1 || maxIterations > MAX_ITERATIONS_LIMIT) {
+      return res.status(400).json({ error: `maxIterations must be an integer from 1 to ${MAX_ITERATIONS_LIMIT}` });
+    }
+
+    if (sessionId !== undefined && !isValidSessionId(sessionId)) {
+      return res.status(400).json({ error: 'sessionId must be 1-64 letters, digits, "-" or "_"' });
+    }
+
+    const resolvedPath = path.resolve(repoPath);
+    if (!fs.existsSync(resolvedPath)) {
+      return res.status(400).json({ error: 'Repository path does not exist' });
+    }
+    const { testRunner, error: runnerError } = resolveTestRunner(resolvedPath, runner);
+    if (runnerError) {
+      return res.status(400).json({ error: runnerError });
+    }
+
+    // Stop between iterations once the client has gone
+    const abortController = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) {
+        abortController.abort();
+      }
+    });
+
+    // Ask the LLM for a patch and check it against the schema, as /assist and /review-patch do
+    const track = { endpoint: '/auto-fix', sessionId };
+    const requestPatch = async ({ systemPrompt, userPrompt, history }) => {
+      const llmResponse = await callLLM(systemPrompt, userPrompt, { history, noCache, track });
+      const { answer, patch } = parseLLMResponse(llmResponse);
+      const { patch: structuredPatch, patchValidation } = await validateLLMPatch(
+        structurePatch(patch, filePath || 'current-file.ts'),
+        { noCache, track }
+      );
+      return { answer, patch: structuredPatch, patchValidation };
+    };
+
+    responseData = await runFixLoop({
+      repoPath: resolvedPath,
+      maxIterations,
+      timeLimitMs: config.autoFixTimeLimit,
+      signal: abortController.signal,
+      generatePatch: async () => requestPatch(await buildAssistPrompts({ instruction, fileContents, filePath })),
+      reviewPatch: async ({ patch, testOutput, testError, failures }) => requestPatch(
+        await buildReviewPrompts({ patch, testOutput, testError, failures, fileContents, filePath })
+      ),
+      runTests: dir => runTestsSandboxed(dir, testRunner),
+    });
+
+    res.json(responseData);
+  } catch (err) {
+    error = err;
+    sendError(res, err);
+  } finally {
+    logRequest('/auto-fix', 'POST', req.body, responseData, error);
+  }
+});
+
 // POST /rank-patches - Re-rank candidate patches and analyze risks
 app.post('/rank-patches', async (req, res) => {
   const startTime = Date.now();
@@ -811,7 +1894,7 @@ app.post('/rank-patches', async (req, res) => {
   let error = null;
 
   try {
-    const { patches, fileContents, filePath, testOutput } = req.body;
+    const { patches, fileContents, filePath, testOutput, mode = 'llm', repoPath, runner, coverage = false, sessionId, noCache } = req.body;
 
     if (!patches || !Array.isArray(patches) || patches.length === 0) {
       return res.status(400).json({ 
@@ -825,75 +1908,74 @@ app.post('/rank-patches', async (req, res) => {
       });
     }
 
-    // Build prompt for patch ranking
-    const systemPrompt = `You are DevSkin Assistant. Analyze and rank candidate patches. Format:
-<ANSWER>
-Your analysis and ranking rationale
----
-RANKING_START
-{
-  "ranked": [
-    {
-      "index": 0,
-      "score": 9.5,
-      "risks": {
-        "breaksTests": false,
-        "changesAPI": true,
-        "performance": "neutral"
-      },
-      "rationale": "Best option because..."
+    if (!['llm', 'empirical'].includes(mode)) {
+      return res.status(400).json({ error: 'mode must be "llm" or "empirical"' });
     }
-  ],
-  "recommended": 0,
-  "recommendationRationale": "Why this patch is recommended"
-}
-RANKING_END
-
-Important: Return top 3 patches ranked by score (0-10). Analyze risks: breaksTests (boolean), changesAPI (boolean), performance ("improves"|"neutral"|"degrades").`;
-
-    let userPrompt = `Task: Re-rank the candidate patches (give me top-3 variants) and annotate risks for each (breaks tests, changes API, performance). Provide recommended patch and rationale.\n\n`;
-
-    userPrompt += `Candidate patches (${patches.length} total):\n\n`;
-    patches.forEach((patch, idx) => {
-      userPrompt += `Patch ${idx}:\n\`\`\`json\n${JSON.stringify(patch, null, 2)}\n\`\`\`\n\n`;
-    });
 
-    if (fileContents) {
-      userPrompt += `Current file contents:\n\`\`\`\n${fileContents}\n\`\`\`\n\n`;
+    if (sessionId !== undefined && !isValidSessionId(sessionId)) {
+      return res.status(400).json({ error: 'sessionId must be 1-64 letters, digits, "-" or "_"' });
     }
 
-    if (filePath) {
-      userPrompt += `File path: ${filePath}\n\n`;
-    }
+    // Empirical mode: apply and test every candidate in isolation before asking the LLM
+    let evaluations = null;
+    if (mode === 'empirical') {
+      if (!repoPath) {
+        return res.status(400).json({ error: 'repoPath is required for empirical ranking' });
+      }
+      const resolvedPath = path.resolve(repoPath);
+      const { testRunner, error: runnerError } = resolveTestRunner(resolvedPath, runner);
+      if (runnerError) {
+        return res.status(400).json({ error: runnerError });
+      }
+      if (typeof coverage !== 'boolean') {
+        return res.status(400).json({ error: 'coverage must be a boolean' });
+      }
+      const coverageProblem = coverage ? coverageError(testRunner) : null;
+      if (coverageProblem) {
+        return res.status(400).json({ error: coverageProblem });
+      }
+
+      const structuredPatches = patches.map(readRequestPatch);
+      const invalidIndex = structuredPatches.findIndex(p => p.error);
+      if (invalidIndex !== -1) {
+        return res.status(400).json({ error: `patches[${invalidIndex}]: ${structuredPatches[invalidIndex].error}` });
+      }
 
-    if (testOutput) {
-      userPrompt += `Test context:\n\`\`\`\n${testOutput}\n\`\`\`\n\n`;
+      evaluations = [];
+      try {
+        for (const structured of structuredPatches) {
+          evaluations.push(await evaluateCandidate(resolvedPath, structured, (dir, { addedLines }) => runTestsSandboxed(dir, testRunner, { coverage, addedLines })));
+        }
+      } catch (worktreeError) {
+        return res.status(400).json({ error: worktreeError.message });
+      }
     }
 
     // Find relevant snippets to understand context
-    const repoPath = filePath ? path.dirname(filePath) : process.cwd();
+    const searchPath = filePath ? path.dirname(filePath) : (repoPath ? path.resolve(repoPath) : process.cwd());
     const searchTopic = patches.map(p => JSON.stringify(p)).join(' ');
-    const relevantSnippets = await findRelevantSnippets(searchTopic.substring(0, 200), repoPath, 5);
-
-    if (relevantSnippets.length > 0) {
-      userPrompt += `Relevant code context:\n`;
-      relevantSnippets.forEach((snippet, idx) => {
-        userPrompt += `${idx + 1}. ${snippet.file}: ${snippet.reason}\n`;
-      });
-      userPrompt += '\n';
-    }
-
-    userPrompt += `Analysis criteria:
-- Score patches 0-10 based on: correctness, maintainability, test compatibility, API stability, performance
-- Risk assessment:
-  * breaksTests: Will this patch cause existing tests to fail?
-  * changesAPI: Does this patch change public APIs, function signatures, or exports?
-  * performance: Will this improve, maintain, or degrade performance?
-- Recommend the best patch with clear rationale
-- Consider: minimal changes, backward compatibility, test coverage`;
+    const relevantSnippets = await findRelevantSnippets(searchTopic.substring(0, 200), searchPath, 5);
+
+    // Build prompt for patch ranking from the (possibly repo-overridden) templates
+    const systemPrompt = renderPrompt('rank-patches.system', {}, searchPath);
+    const userPrompt = renderPrompt('rank-patches.user', {
+      patchCount: patches.length,
+      patches: patches
+        .map((patch, idx) => `Patch ${idx}:\n\`\`\`json\n${JSON.stringify(patch, null, 2)}\n\`\`\`\n\n`)
+        .join(''),
+      fileContents,
+      filePath,
+      testOutput,
+      measurements: evaluations
+        ? evaluations.map((evaluation, idx) => `Patch ${idx}: ${formatEvaluation(evaluation)}`).join('\n')
+        : '',
+      snippets: relevantSnippets
+        .map((snippet, idx) => `${idx + 1}. ${snippet.file} (lines ${snippet.startLine}-${snippet.endLine}): ${snippet.reason}`)
+        .join('\n'),
+    }, searchPath);
 
     // Call LLM
-    const llmResponse = await callLLM(systemPrompt, userPrompt);
+    const llmResponse = await callLLM(systemPrompt, userPrompt, { noCache, track: { endpoint: '/rank-patches', sessionId } });
     
     // Parse response
     const rankingStartMarker = 'RANKING_START';
@@ -918,6 +2000,12 @@ Important: Return top 3 patches ranked by score (0-10). Analyze risks: breaksTes
       }
     }
 
+    if (evaluations) {
+      responseData = rankEmpirically(patches, evaluations, ranking);
+      responseData.answer = answer.replace(/^<ANSWER>\s*/i, '').trim();
+      return res.json(responseData);
+    }
+
     // If no structured ranking, create a simple one from answer
     if (!ranking) {
       // Fallback: create basic ranking from patches
@@ -956,17 +2044,146 @@ Important: Return top 3 patches ranked by score (0-10). Analyze risks: breaksTes
         rationale: ranking.recommendationRationale,
       },
       allPatches: patches,
+      mode,
     };
 
     res.json(responseData);
   } catch (err) {
     error = err;
-    res.status(500).json({ error: err.message });
+    sendError(res, err);
   } finally {
     logRequest('/rank-patches', 'POST', req.body, responseData, error);
   }
 });
 
+// POST /apply-patch - Check a unified diff or JSON patch against the repo and optionally write it
+app.post('/apply-patch', async (req, res) => {
+  let responseData = null;
+  let error = null;
+
+  try {
+    const { patch, repoPath, confirm } = req.body;
+
+    const structured = readRequestPatch(patch);
+    if (structured.error) {
+      return res.status(400).json({ error: structured.error });
+    }
+    const isDiff = structured.format === 'unified-diff';
+
+    const resolvedPath = repoPath ? path.resolve(repoPath) : process.cwd();
+    if (!fs.existsSync(resolvedPath)) {
+      return res.status(400).json({ error: 'Repository path does not exist' });
+    }
+
+    let plan;
+    try {
+      plan = planPatch(resolvedPath, structured);
+    } catch (parseError) {
+      return res.status(400).json({
+        error: isDiff ? `Invalid unified diff: ${parseError.message}` : parseError.message,
+        ...(parseError.validationErrors && { validationErrors: parseError.validationErrors }),
+      });
+    }
+
+    responseData = {
+      dryRun: confirm !== true,
+      applicable: plan.applicable,
+      files: plan.files,
+      written: [],
+    };
+
+    if (confirm !== true) {
+      return res.json(responseData);
+    }
+
+    if (!plan.applicable) {
+      return res.status(409).json({
+        ...responseData,
+        error: 'Patch does not apply cleanly; no files were changed',
+      });
+    }
+
+    const touched = writeFilesAtomically(plan.changes);
+    responseData.written = touched.map(p => path.relative(resolvedPath, p));
+
+    res.json(responseData);
+  } catch (err) {
+    error = err;
+    res.status(500).json({ error: err.message });
+  } finally {
+    logRequest('/apply-patch', 'POST', req.body, responseData, error);
+  }
+});
+
+// GET /usage - Token usage and cost of LLM calls, aggregated by day, endpoint, model and session
+app.get('/usage', (req, res) => {
+  try {
+    const { from, to, endpoint, model, sessionId } = req.query;
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    if ((from && !datePattern.test(from)) || (to && !datePattern.test(to))) {
+      return res.status(400).json({ error: 'from and to must be dates in YYYY-MM-DD format' });
+    }
+
+    res.json({
+      from: from || null,
+      to: to || null,
+      ...usageLedger.summarize({ from, to, endpoint, model, sessionId }),
+      budget: {
+        daily: config.usageDailyBudget,
+        sessionDaily: config.usageSessionDailyBudget,
+        spentToday: usageLedger.summarize({ from: new Date().toISOString().split('T')[0] }).totals.cost,
+      },
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /prompts - Show the prompt template each endpoint uses for a repository
+app.get('/prompts', (req, res) => {
+  try {
+    const repoPath = req.query.repoPath ? path.resolve(req.query.repoPath) : process.cwd();
+    if (!fs.existsSync(repoPath)) {
+      return res.status(400).json({ error: 'Repository path does not exist' });
+    }
+
+    res.json({
+      repoPath,
+      overrideDir: findOverrideDir(repoPath),
+      templates: listTemplates(repoPath),
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /logs - Search the request log (entries are already redacted)
+app.get('/logs', (req, res) => {
+  try {
+    const { endpoint, since, error, limit } = req.query;
+
+    const sinceDate = since ? new Date(/^\d+$/.test(since) ? Number(since) : since) : null;
+    if (sinceDate && isNaN(sinceDate.getTime())) {
+      return res.status(400).json({ error: 'since must be an ISO date or timestamp' });
+    }
+
+    const parsedLimit = limit === undefined ? 100 : parseInt(limit, 10);
+    if (!Number.isInteger(parsedLimit) || parsedLimit < 1) {
+      return res.status(400).json({ error: 'limit must be a positive integer' });
+    }
+
+    const entries = requestLogger.query({
+      endpoint,
+      since: sinceDate,
+      error: error === 'true',
+      limit: parsedLimit,
+    });
+    res.json({ entries, count: entries.length });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // Keychain management endpoints
 app.post('/api/keychain', async (req, res) => {
   try {
@@ -995,6 +2212,40 @@ app.post('/api/keychain', async (req, res) => {
   }
 });
 
+// GET /sessions/:id - Fetch a conversation's stored turns
+app.get('/sessions/:id', (req, res) => {
+  try {
+    if (!isValidSessionId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid session id' });
+    }
+
+    const session = sessionStore.get(req.params.id);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json(session);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// DELETE /sessions/:id - Forget a conversation
+app.delete('/sessions/:id', (req, res) => {
+  try {
+    if (!isValidSessionId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid session id' });
+    }
+
+    if (sessionStore.delete(req.params.id)) {
+      res.json({ success: true, message: 'Session deleted' });
+    } else {
+      res.status(404).json({ error: 'Session not found' });
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 app.get('/api/keychain', async (req, res) => {
   try {
     const available = isKeychainAvailable();
@@ -1026,26 +2277,47 @@ app.delete('/api/keychain', async (req, res) => {
 
 // Health check endpoint
 app.get('/health', (req, res) => {
+  const scheduler = llmScheduler.getStatus();
   res.json({
-    status: 'ok',
+    // Degraded while the circuit breaker keeps LLM requests from being sent
+    status: scheduler.state === 'closed' ? 'ok' : 'degraded',
     llmConfigured: !!config.llmApiKey,
+    llmProvider: config.llmProvider,
     dryRun: config.dryRun,
     requireConfirm: config.requireConfirm,
     keychainAvailable: isKeychainAvailable(),
+    llmCache: responseCache ? { enabled: true, ...responseCache.getStats() } : { enabled: false },
+    llmScheduler: scheduler,
   });
 });
 
 const PORT = process.env.PORT || 8000;
-app.listen(PORT, () => {
-  console.log(`Adapter service running on http://localhost:${PORT}`);
-  console.log(`LLM Endpoint: ${config.llmEndpoint}`);
+// Written before listening, so a client that sees the port open never reads a previous launch's token
+writeTokenFile(tokenFile, config.sessionToken);
+app.listen(PORT, config.host, () => {
+  console.log(`Adapter service running on http://${config.host}:${PORT}`);
+  console.log(`Session token written to ${tokenFile}`);
+  console.log(`LLM Provider: ${config.llmProvider}`);
+  console.log(`LLM Endpoint: ${config.llmEndpoint || 'provider default'}`);
+  if (!PROVIDER_NAMES.includes(config.llmProvider)) {
+    console.warn(`⚠️  WARNING: Unknown LLM_PROVIDER "${config.llmProvider}". Use one of: ${PROVIDER_NAMES.join(', ')}`);
+  }
+  if (config.gitHost && !GIT_HOST_NAMES.includes(config.gitHost)) {
+    console.warn(`⚠️  WARNING: Unknown GIT_HOST "${config.gitHost}". Use one of: ${GIT_HOST_NAMES.join(', ')}`);
+  }
+  if (process.env.ADAPTER_TOKEN && process.env.NODE_ENV !== 'test') {
+    console.warn('⚠️  WARNING: ADAPTER_TOKEN is ignored outside tests (NODE_ENV=test); a random session token is used.');
+  }
+  if (config.gitHost && config.gitHostDomains.length === 0) {
+    console.warn('⚠️  WARNING: GIT_HOST only applies to the servers listed in GIT_HOST_DOMAINS, which is not set.');
+  }
   console.log(`LLM Model: ${config.llmModel}`);
   console.log(`LLM API Key: ${config.llmApiKey ? '***configured***' : 'NOT SET'}`);
   console.log(`Dry Run Mode: ${config.dryRun ? 'ENABLED' : 'DISABLED'}`);
-  console.log(`Logs directory: ${logsDir}`);
+  console.log(`Logs directory: ${requestLogger.logsDir}`);
   
-  if (!config.llmApiKey) {
+  if (!config.llmApiKey && providerRequiresApiKey(config.llmProvider)) {
     console.warn('⚠️  WARNING: LLM API key not set. Set OPENAI_API_KEY or LLM_API_KEY environment variable.');
-    console.warn('   To use a different LLM provider, set LLM_ENDPOINT and LLM_API_KEY environment variables.');
+    console.warn('   To use a different LLM provider, set LLM_PROVIDER (openai, anthropic or ollama) and LLM_ENDPOINT.');
   }
 });
@@ -0,0 +1,80 @@
+// Incremental parser for streamed "ANSWER + PATCH_START..PATCH_END" completions
+// Splits token deltas into answer text that is safe to show immediately and the
+// patch body, which is only released once its end marker has arrived.
+
+const PATCH_START = 'PATCH_START';
+const PATCH_END = 'PATCH_END';
+const ANSWER_TAG = /^\s*<ANSWER>\s*/i;
+
+export class AnswerStreamParser {
+  constructor() {
+    this.text = '';
+    this.emitted = 0;
+    this.patchStart = -1;
+    this.patchDone = false;
+  }
+
+  /**
+   * Feed the next token delta
+   * @param {string} delta - Newly received completion text
+   * @returns {{answerDelta: string, patch: string|null}} - Answer text to display now,
+   *   and the raw patch body if PATCH_END was just reached
+   */
+  push(delta) {
+    this.text += delta;
+    let answerDelta = '';
+    let patch = null;
+
+    if (this.patchStart === -1) {
+      const markerIndex = this.text.indexOf(PATCH_START);
+      if (markerIndex !== -1) {
+        this.patchStart = markerIndex;
+        answerDelta = this.takeAnswer(markerIndex);
+      } else {
+        // Hold back enough characters that a marker split across deltas is never shown
+        answerDelta = this.takeAnswer(this.text.length - (PATCH_START.length - 1));
+      }
+    }
+
+    if (this.patchStart !== -1 && !this.patchDone) {
+      const bodyStart = this.patchStart + PATCH_START.length;
+      const endIndex = this.text.indexOf(PATCH_END, bodyStart);
+      if (endIndex !== -1) {
+        this.patchDone = true;
+        patch = this.text.substring(bodyStart, endIndex).trim();
+      }
+    }
+
+    return { answerDelta, patch };
+  }
+
+  /**
+   * Release any answer text still held back once the stream has ended
+   * @returns {string}
+   */
+  flush() {
+    return this.patchStart === -1 ? this.takeAnswer(this.text.length) : '';
+  }
+
+  takeAnswer(end) {
+    if (this.emitted === 0) {
+      const head = this.text.substring(0, Math.max(end, 0));
+      const tag = head.match(ANSWER_TAG);
+      if (tag && tag[0].length === head.length && end < this.text.length) {
+        return ''; // Whitespace after the tag may still be arriving
+      } else if (tag) {
+        this.emitted = tag[0].length;
+      } else if ('<ANSWER>'.startsWith(head.trimStart().toUpperCase()) && end < this.text.length) {
+        return ''; // Could still become the <ANSWER> tag
+      }
+    }
+
+    if (end <= this.emitted) {
+      return '';
+    }
+
+    const answerDelta = this.text.substring(this.emitted, end);
+    this.emitted = end;
+    return answerDelta;
+  }
+}
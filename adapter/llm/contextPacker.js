@@ -0,0 +1,240 @@
+// Token-budgeted context packing for RAG prompts
+// Fills the prompt budget in priority order: target file region, modules related to the target by
+// imports, ranked snippets, file summaries, and trims conversation history to the most recent turns that fit.
+
+import { estimateTokens } from './tokens.js';
+import { tokenize } from '../retrieval/bm25.js';
+
+/**
+ * Pick the largest run of lines around the line that best matches the focus terms
+ * @param {string[]} lines - File lines
+ * @param {Set<string>} focusTerms - Terms from the instruction
+ * @param {number} available - Tokens the region may use
+ * @returns {{start: number, end: number}|null} Zero-based inclusive line range, or null if nothing fits
+ */
+function selectRegion(lines, focusTerms, available) {
+  const lineTokens = lines.map(line => estimateTokens(line + '\n'));
+
+  let focus = 0;
+  let bestHits = 0;
+  lines.forEach((line, i) => {
+    const hits = tokenize(line).filter(term => focusTerms.has(term)).length;
+    if (hits > bestHits) {
+      bestHits = hits;
+      focus = i;
+    }
+  });
+
+  let start = focus;
+  let end = focus;
+  let used = lineTokens[focus];
+  if (used > available) {
+    return null;
+  }
+
+  // Grow both ways, keeping the focus line roughly centred
+  while (true) {
+    const canGrowUp = start > 0 && used + lineTokens[start - 1] <= available;
+    const canGrowDown = end < lines.length - 1 && used + lineTokens[end + 1] <= available;
+    if (!canGrowUp && !canGrowDown) break;
+
+    if (canGrowDown && (!canGrowUp || end - focus <= focus - start)) {
+      end++;
+      used += lineTokens[end];
+    } else {
+      start--;
+      used += lineTokens[start];
+    }
+  }
+
+  return { start, end };
+}
+
+/**
+ * Fit optional prompt context into a token budget
+ * Items are formatted by the caller so the estimate matches what is actually sent.
+ * Related modules, snippets and summaries are kept or dropped whole; the target file is cut down to
+ * the region around the lines that mention the focus terms when it does not fit.
+ * @param {Object} options
+ * @param {number} options.budget - Prompt tokens available in total
+ * @param {string} options.fixed - Prompt text that is always sent (system prompt, instruction, constraints)
+ * @param {number} [options.reserved] - Tokens already committed elsewhere, such as conversation history
+ * @param {Object} [options.target] - Target file: { content, focus } where focus is the text whose terms choose the region
+ * @param {Object[]} [options.related] - Modules the target imports or is imported by, closest first
+ * @param {Object[]} [options.snippets] - Retrieved snippets, best first
+ * @param {Object[]} [options.summaries] - File summaries
+ * @param {function(Object): string} options.formatTarget - Renders { content, startLine, endLine, totalLines, truncated }
+ * @param {function(Object, number): string} [options.formatRelated] - Renders a related module at a position
+ * @param {function(Object, number): string} options.formatSnippet - Renders a snippet at a position
+ * @param {function(Object, number): string} options.formatSummary - Renders a summary at a position
+ * @returns {{target: Object|null, related: Object[], snippets: Object[], summaries: Object[], report: Object}}
+ */
+export function packContext({
+  budget,
+  fixed,
+  reserved = 0,
+  target = null,
+  related = [],
+  snippets = [],
+  summaries = [],
+  formatTarget,
+  formatRelated,
+  formatSnippet,
+  formatSummary,
+}) {
+  let used = estimateTokens(fixed) + reserved;
+  const dropped = [];
+  const packed = { target: null, related: [], snippets: [], summaries: [] };
+
+  if (target && target.content !== undefined && target.content !== null) {
+    const lines = target.content.split('\n');
+    const whole = {
+      content: target.content,
+      startLine: 1,
+      endLine: lines.length,
+      totalLines: lines.length,
+      truncated: false,
+    };
+    const wholeTokens = estimateTokens(formatTarget(whole));
+
+    if (used + wholeTokens <= budget) {
+      packed.target = whole;
+      used += wholeTokens;
+    } else {
+      const overhead = estimateTokens(formatTarget({ ...whole, content: '', truncated: true }));
+      const region = selectRegion(lines, new Set(tokenize(target.focus)), budget - used - overhead);
+
+      if (region) {
+        packed.target = {
+          content: lines.slice(region.start, region.end + 1).join('\n'),
+          startLine: region.start + 1,
+          endLine: region.end + 1,
+          totalLines: lines.length,
+          truncated: true,
+        };
+        const regionTokens = estimateTokens(formatTarget(packed.target));
+        used += regionTokens;
+
+        const omittedLines = [];
+        if (region.start > 0) omittedLines.push([1, region.start]);
+        if (region.end < lines.length - 1) omittedLines.push([region.end + 2, lines.length]);
+        dropped.push({ type: 'target', omittedLines, tokens: wholeTokens - regionTokens });
+      } else {
+        dropped.push({ type: 'target', omittedLines: [[1, lines.length]], tokens: wholeTokens });
+      }
+    }
+  }
+
+  related.forEach((module) => {
+    const tokens = estimateTokens(formatRelated(module, packed.related.length));
+    if (used + tokens <= budget) {
+      packed.related.push(module);
+      used += tokens;
+    } else {
+      dropped.push({ type: 'related', file: module.file, tokens });
+    }
+  });
+
+  snippets.forEach((snippet) => {
+    const tokens = estimateTokens(formatSnippet(snippet, packed.snippets.length));
+    if (used + tokens <= budget) {
+      packed.snippets.push(snippet);
+      used += tokens;
+    } else {
+      dropped.push({ type: 'snippet', file: snippet.file, startLine: snippet.startLine, endLine: snippet.endLine, tokens });
+    }
+  });
+
+  summaries.forEach((summary) => {
+    const tokens = estimateTokens(formatSummary(summary, packed.summaries.length));
+    if (used + tokens <= budget) {
+      packed.summaries.push(summary);
+      used += tokens;
+    } else {
+      dropped.push({ type: 'summary', path: summary.path, tokens });
+    }
+  });
+
+  return {
+    ...packed,
+    report: {
+      budget,
+      usedTokens: used,
+      included: {
+        target: packed.target && {
+          startLine: packed.target.startLine,
+          endLine: packed.target.endLine,
+          totalLines: packed.target.totalLines,
+          truncated: packed.target.truncated,
+        },
+        related: packed.related.length,
+        snippets: packed.snippets.length,
+        summaries: packed.summaries.length,
+      },
+      dropped,
+    },
+  };
+}
+
+/**
+ * Keep the most recent conversation turns that fit in a token budget
+ * Turns are kept or dropped whole so a question is never sent without its answer.
+ * @param {Array<Array<{role: string, content: string}>>} turns - Chat messages per turn, oldest first
+ * @param {number} budget - Tokens the history may use
+ * @returns {{messages: Array<{role: string, content: string}>, turns: number, droppedTurns: number, tokens: number}}
+ */
+export function trimHistory(turns, budget) {
+  const kept = [];
+  let tokens = 0;
+
+  for (let i = turns.length - 1; i >= 0; i--) {
+    const turnTokens = turns[i].reduce((sum, message) => sum + estimateTokens(message.content), 0);
+    if (tokens + turnTokens > budget) break;
+    kept.unshift(turns[i]);
+    tokens += turnTokens;
+  }
+
+  return {
+    messages: kept.flat(),
+    turns: kept.length,
+    droppedTurns: turns.length - kept.length,
+    tokens,
+  };
+}
+
+/**
+ * Keep the end of a long command output, such as a test run's, within a token budget
+ * Whole lines are dropped from the start, since test runners print failures and summaries last.
+ * @param {string} text - Output to fit
+ * @param {number} budget - Tokens the output may use
+ * @returns {{text: string, truncated: boolean, omittedLines: number, droppedTokens: number}}
+ */
+export function truncateOutput(text, budget) {
+  if (!text) {
+    return { text: '', truncated: false, omittedLines: 0, droppedTokens: 0 };
+  }
+  budget = Math.max(0, budget);
+  const totalTokens = estimateTokens(text);
+  if (totalTokens <= budget) {
+    return { text, truncated: false, omittedLines: 0, droppedTokens: 0 };
+  }
+
+  const lines = text.split('\n');
+  let start = lines.length;
+  let tokens = 0;
+  while (start > 0) {
+    const lineTokens = estimateTokens(lines[start - 1] + '\n');
+    if (tokens + lineTokens > budget) break;
+    tokens += lineTokens;
+    start--;
+  }
+
+  let kept = lines.slice(start).join('\n');
+  if (start === lines.length) {
+    // The last line alone is over the budget: keep its end
+    const last = lines[lines.length - 1];
+    kept = last.slice(last.length - Math.max(0, Math.floor(last.length * (budget / estimateTokens(last)))));
+    start = lines.length - 1;
+  }
+  return { text: kept, truncated: true, omittedLines: start, droppedTokens: totalTokens - estimateTokens(kept) };
+}
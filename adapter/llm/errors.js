@@ -0,0 +1,86 @@
+// Normalized errors for LLM provider calls
+
+/**
+ * Error raised by any LLM provider, with a provider-independent classification
+ * code is one of: 'auth', 'rate_limit', 'bad_request', 'context_length',
+ * 'server', 'network', 'timeout', 'invalid_response', 'circuit_open' when the
+ * scheduler refuses to call an API that keeps failing, or 'budget_exceeded' when
+ * the day's usage budget is spent.
+ */
+export class LLMError extends Error {
+  /**
+   * @param {string} message - Human-readable description
+   * @param {Object} details
+   * @param {string} details.provider - Provider name
+   * @param {string} details.code - Normalized error code
+   * @param {number} [details.status] - HTTP status, if any
+   * @param {number} [details.retryAfter] - Seconds to wait before retrying, if the API said so
+   */
+  constructor(message, { provider, code, status = null, retryAfter = null }) {
+    super(message);
+    this.name = 'LLMError';
+    this.provider = provider;
+    this.code = code;
+    this.status = status;
+    this.retryAfter = retryAfter;
+    this.retryable = ['rate_limit', 'server', 'network', 'timeout'].includes(code);
+  }
+}
+
+/**
+ * Build an LLMError from a non-2xx HTTP response
+ * @param {string} provider - Provider name
+ * @param {Response} response - fetch response
+ * @returns {Promise<LLMError>}
+ */
+export async function errorFromResponse(provider, response) {
+  const bodyText = await response.text().catch(() => '');
+  let message = bodyText;
+  try {
+    const parsed = JSON.parse(bodyText);
+    message = parsed.error?.message || parsed.error || parsed.message || bodyText;
+  } catch (e) {
+    // Plain-text error body
+  }
+
+  const status = response.status;
+  let code = 'server';
+  if (status === 401 || status === 403) {
+    code = 'auth';
+  } else if (status === 429) {
+    code = 'rate_limit';
+  } else if (status === 400 || status === 404 || status === 413 || status === 422) {
+    code = /context|too long|maximum.*tokens|too many tokens/i.test(String(message)) ? 'context_length' : 'bad_request';
+  }
+
+  const retryAfterHeader = response.headers.get('retry-after');
+  const retryAfter = retryAfterHeader && !Number.isNaN(Number(retryAfterHeader))
+    ? Number(retryAfterHeader)
+    : null;
+
+  return new LLMError(`LLM API error: ${status} ${typeof message === 'string' ? message : JSON.stringify(message)}`, {
+    provider,
+    code,
+    status,
+    retryAfter,
+  });
+}
+
+/**
+ * Wrap a fetch/parse failure that is not already an LLMError
+ * @param {string} provider - Provider name
+ * @param {Error} error - Original error
+ * @returns {LLMError}
+ */
+export function normalizeError(provider, error) {
+  if (error instanceof LLMError) {
+    return error;
+  }
+  if (error.name === 'AbortError' || error.name === 'TimeoutError') {
+    return new LLMError('LLM request was aborted', { provider, code: 'timeout' });
+  }
+  if (error instanceof SyntaxError) {
+    return new LLMError(`Invalid response from LLM: ${error.message}`, { provider, code: 'invalid_response' });
+  }
+  return new LLMError(error.message, { provider, code: 'network' });
+}
@@ -0,0 +1,82 @@
+// Per-model token prices for cost accounting
+// Prices are USD per million tokens. The built-in table covers common hosted models;
+// a JSON file can add models or change prices (see loadPriceTable).
+
+import fs from 'fs';
+
+// Checked in order, first matching prefix wins (so longer prefixes come first)
+const DEFAULT_PRICES = [
+  ['gpt-5-nano', { input: 0.05, output: 0.4 }],
+  ['gpt-5-mini', { input: 0.25, output: 2 }],
+  ['gpt-5', { input: 1.25, output: 10 }],
+  ['gpt-4.1-nano', { input: 0.1, output: 0.4 }],
+  ['gpt-4.1-mini', { input: 0.4, output: 1.6 }],
+  ['gpt-4.1', { input: 2, output: 8 }],
+  ['gpt-4o-mini', { input: 0.15, output: 0.6 }],
+  ['gpt-4o', { input: 2.5, output: 10 }],
+  ['gpt-4-turbo', { input: 10, output: 30 }],
+  ['gpt-4-32k', { input: 60, output: 120 }],
+  ['gpt-4', { input: 30, output: 60 }],
+  ['gpt-3.5-turbo', { input: 0.5, output: 1.5 }],
+  ['o4-mini', { input: 1.1, output: 4.4 }],
+  ['o3-mini', { input: 1.1, output: 4.4 }],
+  ['o3', { input: 2, output: 8 }],
+  ['o1-mini', { input: 1.1, output: 4.4 }],
+  ['o1', { input: 15, output: 60 }],
+  ['claude-opus-4', { input: 15, output: 75 }],
+  ['claude-sonnet-4', { input: 3, output: 15 }],
+  ['claude-3-7-sonnet', { input: 3, output: 15 }],
+  ['claude-3-5-sonnet', { input: 3, output: 15 }],
+  ['claude-3-5-haiku', { input: 0.8, output: 4 }],
+  ['claude-3-opus', { input: 15, output: 75 }],
+  ['claude-3-haiku', { input: 0.25, output: 1.25 }],
+];
+
+/**
+ * Build the price table, with entries from a JSON file taking precedence over the defaults
+ * The file maps model names (or name prefixes) to { "input": number, "output": number }.
+ * @param {string} [pricesFile] - Path to the JSON file
+ * @returns {Array<[string, {input: number, output: number}]>}
+ * @throws {Error} If the file cannot be read or an entry is not a valid price
+ */
+export function loadPriceTable(pricesFile) {
+  if (!pricesFile) {
+    return DEFAULT_PRICES;
+  }
+
+  const custom = JSON.parse(fs.readFileSync(pricesFile, 'utf-8'));
+  const entries = Object.entries(custom).map(([model, price]) => {
+    if (!Number.isFinite(price?.input) || !Number.isFinite(price?.output) || price.input < 0 || price.output < 0) {
+      throw new Error(`Invalid price for "${model}" in ${pricesFile}: expected { "input": number, "output": number }`);
+    }
+    return [model.toLowerCase(), { input: price.input, output: price.output }];
+  });
+
+  // Longest prefix first, so "gpt-4o-mini" is matched before "gpt-4o"; file entries win ties
+  return [...entries, ...DEFAULT_PRICES].sort((a, b) => b[0].length - a[0].length);
+}
+
+/**
+ * Look up the price of a model
+ * @param {string} model - Model name, e.g. 'gpt-4o-mini' or 'claude-sonnet-4-20250514'
+ * @param {Array} [priceTable] - From loadPriceTable()
+ * @returns {{input: number, output: number}|null} USD per million tokens, or null for unknown (e.g. local) models
+ */
+export function getModelPrice(model, priceTable = DEFAULT_PRICES) {
+  const name = (model || '').toLowerCase().replace(/^.*\//, '');
+  const match = priceTable.find(([prefix]) => name.startsWith(prefix));
+  return match ? match[1] : null;
+}
+
+/**
+ * Cost of a request in USD
+ * @param {{inputTokens: number, outputTokens: number}} usage
+ * @param {{input: number, output: number}|null} price
+ * @returns {number|null} null when the model has no price
+ */
+export function costOf(usage, price) {
+  if (!price) {
+    return null;
+  }
+  return (usage.inputTokens * price.input + usage.outputTokens * price.output) / 1e6;
+}
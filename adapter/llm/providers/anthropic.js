@@ -0,0 +1,149 @@
+// Anthropic messages-style provider (/v1/messages)
+
+import { LLMError, errorFromResponse, normalizeError } from '../errors.js';
+import { readServerSentEvents } from '../readLines.js';
+
+const API_VERSION = '2023-06-01';
+const DEFAULT_MAX_TOKENS = 4096;
+
+const FINISH_REASONS = {
+  end_turn: 'stop',
+  stop_sequence: 'stop',
+  max_tokens: 'length',
+  tool_use: 'tool_calls',
+  refusal: 'content_filter',
+};
+
+// Error types sent in a stream's error event, with the code an HTTP status would have given
+const STREAM_ERROR_CODES = {
+  invalid_request_error: 'bad_request',
+  authentication_error: 'auth',
+  permission_error: 'auth',
+  not_found_error: 'bad_request',
+  request_too_large: 'bad_request',
+  rate_limit_error: 'rate_limit',
+  api_error: 'server',
+  overloaded_error: 'server',
+};
+
+// A stream can fail after its 200 response; classify the error event like errorFromResponse()
+function streamError(provider, error = {}) {
+  const message = error.message || 'Stream error';
+  let code = STREAM_ERROR_CODES[error.type] || 'server';
+  if (code === 'bad_request' && /context|too long|maximum.*tokens|too many tokens/i.test(message)) {
+    code = 'context_length';
+  }
+  return new LLMError(`LLM API error: ${error.type || 'error'} ${message}`, { provider, code });
+}
+
+function normalizeUsage(inputTokens, outputTokens) {
+  return { inputTokens, outputTokens, totalTokens: inputTokens + outputTokens };
+}
+
+// The messages API takes the system prompt separately and only user/assistant turns
+function splitMessages(messages) {
+  const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+  const turns = messages
+    .filter(m => m.role !== 'system')
+    .map(m => ({ role: m.role === 'assistant' ? 'assistant' : 'user', content: m.content }));
+  return { system, turns };
+}
+
+export class AnthropicProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.endpoint - Full messages URL
+   * @param {string} options.model - Model name
+   * @param {string} options.apiKey - Sent as x-api-key
+   * @param {number} [options.maxTokens] - max_tokens for each request
+   */
+  constructor({ endpoint, model, apiKey, maxTokens }) {
+    this.name = 'anthropic';
+    this.endpoint = endpoint || 'https://api.anthropic.com/v1/messages';
+    this.model = model;
+    this.apiKey = apiKey;
+    this.maxTokens = maxTokens || DEFAULT_MAX_TOKENS;
+  }
+
+  async post(messages, temperature, stream, signal) {
+    const { system, turns } = splitMessages(messages);
+    const response = await fetch(this.endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'anthropic-version': API_VERSION,
+        ...(this.apiKey && { 'x-api-key': this.apiKey }),
+      },
+      body: JSON.stringify({
+        model: this.model,
+        max_tokens: this.maxTokens,
+        temperature,
+        ...(system && { system }),
+        messages: turns,
+        ...(stream && { stream: true }),
+      }),
+      signal,
+    });
+    if (!response.ok) {
+      throw await errorFromResponse(this.name, response);
+    }
+    return response;
+  }
+
+  /**
+   * @param {Object} request - See OpenAIProvider.complete()
+   * @returns {Promise<{content: string, finishReason: string, usage: Object|null, model: string, provider: string}>}
+   */
+  async complete({ messages, temperature = 0.7, signal }) {
+    try {
+      const response = await this.post(messages, temperature, false, signal);
+      const data = await response.json();
+
+      return {
+        content: (data.content || []).filter(block => block.type === 'text').map(block => block.text).join(''),
+        finishReason: FINISH_REASONS[data.stop_reason] || 'unknown',
+        usage: data.usage ? normalizeUsage(data.usage.input_tokens ?? 0, data.usage.output_tokens ?? 0) : null,
+        model: data.model || this.model,
+        provider: this.name,
+      };
+    } catch (error) {
+      throw normalizeError(this.name, error);
+    }
+  }
+
+  /**
+   * @param {Object} request - See OpenAIProvider.complete()
+   * @param {function(string): void} onDelta
+   * @returns {Promise<{content: string, finishReason: string, usage: Object|null, model: string, provider: string}>}
+   */
+  async stream({ messages, temperature = 0.7, signal }, onDelta) {
+    try {
+      const response = await this.post(messages, temperature, true, signal);
+
+      let content = '';
+      let finishReason = 'unknown';
+      let inputTokens = 0;
+      let outputTokens = 0;
+      let model = this.model;
+
+      for await (const { data } of readServerSentEvents(response.body)) {
+        if (data.type === 'message_start') {
+          model = data.message?.model || model;
+          inputTokens = data.message?.usage?.input_tokens ?? 0;
+        } else if (data.type === 'content_block_delta' && data.delta?.type === 'text_delta') {
+          content += data.delta.text;
+          onDelta(data.delta.text);
+        } else if (data.type === 'message_delta') {
+          finishReason = FINISH_REASONS[data.delta?.stop_reason] || finishReason;
+          outputTokens = data.usage?.output_tokens ?? outputTokens;
+        } else if (data.type === 'error') {
+          throw streamError(this.name, data.error);
+        }
+      }
+
+      return { content, finishReason, usage: normalizeUsage(inputTokens, outputTokens), model, provider: this.name };
+    } catch (error) {
+      throw normalizeError(this.name, error);
+    }
+  }
+}
@@ -0,0 +1,47 @@
+// LLM provider registry
+// Every provider exposes the same interface:
+//   complete({ messages, temperature, signal }) -> { content, finishReason, usage, model, provider }
+//   stream({ messages, temperature, signal }, onDelta) -> same result once the stream ends
+// finishReason is one of 'stop', 'length', 'content_filter', 'tool_calls', 'unknown';
+// usage is { inputTokens, outputTokens, totalTokens } or null; failures throw LLMError.
+
+import { OpenAIProvider } from './openai.js';
+import { AnthropicProvider } from './anthropic.js';
+import { OllamaProvider } from './ollama.js';
+
+const PROVIDERS = {
+  openai: { Provider: OpenAIProvider, requiresApiKey: true },
+  anthropic: { Provider: AnthropicProvider, requiresApiKey: true },
+  ollama: { Provider: OllamaProvider, requiresApiKey: false },
+};
+
+export const PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+/**
+ * Whether a provider refuses to work without an API key
+ * @param {string} name - Provider name
+ * @returns {boolean}
+ */
+export function providerRequiresApiKey(name) {
+  return PROVIDERS[name]?.requiresApiKey ?? true;
+}
+
+/**
+ * Create a provider by name
+ * @param {string} name - 'openai', 'anthropic' or 'ollama'
+ * @param {Object} options
+ * @param {string} [options.endpoint] - API URL (defaults to the provider's public/local endpoint)
+ * @param {string} options.model - Model name
+ * @param {string} [options.apiKey] - API key
+ * @param {number} [options.maxTokens] - Output token cap, where the API requires one
+ * @param {boolean} [options.streamUsage] - Request usage in OpenAI-compatible streams (see OpenAIProvider)
+ * @returns {OpenAIProvider|AnthropicProvider|OllamaProvider}
+ * @throws {Error} If the provider name is unknown
+ */
+export function createProvider(name, options) {
+  const entry = PROVIDERS[name];
+  if (!entry) {
+    throw new Error(`Unknown LLM provider "${name}". Use one of: ${PROVIDER_NAMES.join(', ')}`);
+  }
+  return new entry.Provider(options);
+}
@@ -0,0 +1,114 @@
+// Ollama-style local chat provider (/api/chat, newline-delimited JSON streaming)
+
+import { errorFromResponse, normalizeError } from '../errors.js';
+import { readLines } from '../readLines.js';
+
+const FINISH_REASONS = {
+  stop: 'stop',
+  length: 'length',
+};
+
+function normalizeUsage(data) {
+  if (data.prompt_eval_count === undefined && data.eval_count === undefined) {
+    return null;
+  }
+  const inputTokens = data.prompt_eval_count ?? 0;
+  const outputTokens = data.eval_count ?? 0;
+  return { inputTokens, outputTokens, totalTokens: inputTokens + outputTokens };
+}
+
+export class OllamaProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.endpoint - Full /api/chat URL
+   * @param {string} options.model - Model name
+   * @param {string} [options.apiKey] - Sent as a Bearer token when set (for authenticating proxies)
+   */
+  constructor({ endpoint, model, apiKey }) {
+    this.name = 'ollama';
+    this.endpoint = endpoint || 'http://localhost:11434/api/chat';
+    this.model = model;
+    this.apiKey = apiKey;
+  }
+
+  async post(messages, temperature, stream, signal) {
+    const response = await fetch(this.endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey && { 'Authorization': `Bearer ${this.apiKey}` }),
+      },
+      body: JSON.stringify({
+        model: this.model,
+        messages,
+        stream,
+        options: { temperature },
+      }),
+      signal,
+    });
+    if (!response.ok) {
+      throw await errorFromResponse(this.name, response);
+    }
+    return response;
+  }
+
+  /**
+   * @param {Object} request - See OpenAIProvider.complete()
+   * @returns {Promise<{content: string, finishReason: string, usage: Object|null, model: string, provider: string}>}
+   */
+  async complete({ messages, temperature = 0.7, signal }) {
+    try {
+      const response = await this.post(messages, temperature, false, signal);
+      const data = await response.json();
+
+      return {
+        content: data.message?.content || '',
+        finishReason: FINISH_REASONS[data.done_reason] || (data.done ? 'stop' : 'unknown'),
+        usage: normalizeUsage(data),
+        model: data.model || this.model,
+        provider: this.name,
+      };
+    } catch (error) {
+      throw normalizeError(this.name, error);
+    }
+  }
+
+  /**
+   * @param {Object} request - See OpenAIProvider.complete()
+   * @param {function(string): void} onDelta
+   * @returns {Promise<{content: string, finishReason: string, usage: Object|null, model: string, provider: string}>}
+   */
+  async stream({ messages, temperature = 0.7, signal }, onDelta) {
+    try {
+      const response = await this.post(messages, temperature, true, signal);
+
+      let content = '';
+      let finishReason = 'unknown';
+      let usage = null;
+      let model = this.model;
+
+      for await (const line of readLines(response.body)) {
+        if (!line.trim()) continue;
+        const data = JSON.parse(line);
+        if (data.error) {
+          throw new Error(data.error);
+        }
+
+        const delta = data.message?.content;
+        if (delta) {
+          content += delta;
+          onDelta(delta);
+        }
+        if (data.done) {
+          finishReason = FINISH_REASONS[data.done_reason] || 'stop';
+          usage = normalizeUsage(data);
+          model = data.model || model;
+        }
+      }
+
+      return { content, finishReason, usage, model, provider: this.name };
+    } catch (error) {
+      throw normalizeError(this.name, error);
+    }
+  }
+}
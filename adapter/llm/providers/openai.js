@@ -0,0 +1,122 @@
+// OpenAI-compatible chat completions provider (OpenAI, Azure-style proxies, vLLM, LM Studio...)
+
+import { errorFromResponse, normalizeError } from '../errors.js';
+import { readServerSentEvents } from '../readLines.js';
+
+const FINISH_REASONS = {
+  stop: 'stop',
+  length: 'length',
+  content_filter: 'content_filter',
+  tool_calls: 'tool_calls',
+  function_call: 'tool_calls',
+};
+
+function normalizeUsage(usage) {
+  if (!usage) return null;
+  const inputTokens = usage.prompt_tokens ?? 0;
+  const outputTokens = usage.completion_tokens ?? 0;
+  return { inputTokens, outputTokens, totalTokens: usage.total_tokens ?? inputTokens + outputTokens };
+}
+
+export class OpenAIProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.endpoint - Full chat completions URL
+   * @param {string} options.model - Model name
+   * @param {string} [options.apiKey] - Sent as a Bearer token when set
+   * @param {boolean} [options.streamUsage] - Ask for token usage at the end of streams (stream_options);
+   *   defaults to true for api.openai.com only, since some compatible servers reject the field
+   */
+  constructor({ endpoint, model, apiKey, streamUsage }) {
+    this.name = 'openai';
+    this.endpoint = endpoint || 'https://api.openai.com/v1/chat/completions';
+    this.model = model;
+    this.apiKey = apiKey;
+    this.streamUsage = streamUsage ?? new URL(this.endpoint).hostname === 'api.openai.com';
+  }
+
+  async post(body, signal) {
+    const response = await fetch(this.endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey && { 'Authorization': `Bearer ${this.apiKey}` }),
+      },
+      body: JSON.stringify({ model: this.model, ...body }),
+      signal,
+    });
+    if (!response.ok) {
+      throw await errorFromResponse(this.name, response);
+    }
+    return response;
+  }
+
+  /**
+   * @param {Object} request
+   * @param {Array<{role: string, content: string}>} request.messages - Chat messages, system first
+   * @param {number} [request.temperature]
+   * @param {AbortSignal} [request.signal]
+   * @returns {Promise<{content: string, finishReason: string, usage: Object|null, model: string, provider: string}>}
+   */
+  async complete({ messages, temperature = 0.7, signal }) {
+    try {
+      const response = await this.post({ messages, temperature }, signal);
+      const data = await response.json();
+      const choice = data.choices?.[0];
+
+      return {
+        content: choice?.message?.content || '',
+        finishReason: FINISH_REASONS[choice?.finish_reason] || 'unknown',
+        usage: normalizeUsage(data.usage),
+        model: data.model || this.model,
+        provider: this.name,
+      };
+    } catch (error) {
+      throw normalizeError(this.name, error);
+    }
+  }
+
+  /**
+   * Same as complete(), invoking onDelta with each content token delta as it arrives
+   * @param {Object} request - See complete()
+   * @param {function(string): void} onDelta
+   * @returns {Promise<{content: string, finishReason: string, usage: Object|null, model: string, provider: string}>}
+   */
+  async stream({ messages, temperature = 0.7, signal }, onDelta) {
+    try {
+      const response = await this.post({
+        messages,
+        temperature,
+        stream: true,
+        ...(this.streamUsage && { stream_options: { include_usage: true } }),
+      }, signal);
+
+      let content = '';
+      let finishReason = 'unknown';
+      let usage = null;
+      let model = this.model;
+
+      for await (const { data } of readServerSentEvents(response.body)) {
+        const choice = data.choices?.[0];
+        const delta = choice?.delta?.content;
+        if (delta) {
+          content += delta;
+          onDelta(delta);
+        }
+        if (choice?.finish_reason) {
+          finishReason = FINISH_REASONS[choice.finish_reason] || 'unknown';
+        }
+        if (data.usage) {
+          usage = normalizeUsage(data.usage);
+        }
+        if (data.model) {
+          model = data.model;
+        }
+      }
+
+      return { content, finishReason, usage, model, provider: this.name };
+    } catch (error) {
+      throw normalizeError(this.name, error);
+    }
+  }
+}
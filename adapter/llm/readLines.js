@@ -0,0 +1,57 @@
+// Line-by-line reader for streamed HTTP response bodies (SSE and NDJSON)
+
+/**
+ * Iterate over the lines of a fetch response body as they arrive
+ * @param {ReadableStream} body - fetch response body
+ * @returns {AsyncGenerator<string>}
+ */
+export async function* readLines(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      yield line.replace(/\r$/, '');
+    }
+  }
+
+  buffer += decoder.decode();
+  if (buffer) {
+    yield buffer;
+  }
+}
+
+/**
+ * Iterate over the JSON payloads of "data:" lines in an SSE stream
+ * Stops at the OpenAI-style "data: [DONE]" sentinel.
+ * @param {ReadableStream} body - fetch response body
+ * @returns {AsyncGenerator<{event: string|null, data: Object}>}
+ */
+export async function* readServerSentEvents(body) {
+  let event = null;
+
+  for await (const line of readLines(body)) {
+    if (line.startsWith('event:')) {
+      event = line.slice(6).trim();
+      continue;
+    }
+    if (!line.startsWith('data:')) {
+      if (line === '') event = null;
+      continue;
+    }
+
+    const payload = line.slice(5).trim();
+    if (payload === '[DONE]') {
+      return;
+    }
+    yield { event, data: JSON.parse(payload) };
+  }
+}
@@ -0,0 +1,146 @@
+// Content-addressed on-disk cache of LLM completions
+// Entries are keyed by a hash of everything that determines the reply (provider, endpoint, model,
+// temperature and the rendered messages) and evicted by age and total size.
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+const DEFAULT_MAX_BYTES = 100 * 1024 * 1024; // 100MB
+
+/**
+ * Hash a completion request into a cache key
+ * @param {Object} request
+ * @param {string} request.provider - Provider name
+ * @param {string|null} [request.endpoint] - API URL; two servers may serve different models under one name
+ * @param {string} request.model - Model name
+ * @param {number} request.temperature - Sampling temperature
+ * @param {Array<{role: string, content: string}>} request.messages - Rendered chat messages
+ * @returns {string} Hex SHA-256 digest
+ */
+export function cacheKey({ provider, endpoint = null, model, temperature, messages }) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ provider, endpoint, model, temperature, messages }))
+    .digest('hex');
+}
+
+export class ResponseCache {
+  /**
+   * @param {string} cacheDir - Directory holding one <key>.json file per entry
+   * @param {Object} [options]
+   * @param {number} [options.ttlMs] - Entries older than this are misses (default 24 hours)
+   * @param {number} [options.maxBytes] - Least recently used entries are evicted beyond this (default 100MB)
+   */
+  constructor(cacheDir, { ttlMs = DEFAULT_TTL_MS, maxBytes = DEFAULT_MAX_BYTES } = {}) {
+    this.cacheDir = cacheDir;
+    this.ttlMs = ttlMs;
+    this.maxBytes = maxBytes;
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  entryPath(key) {
+    return path.join(this.cacheDir, `${key}.json`);
+  }
+
+  /**
+   * Look up a cached completion
+   * @param {string} key - From cacheKey()
+   * @returns {string|null} The completion text, or null on a miss
+   */
+  get(key) {
+    const entryPath = this.entryPath(key);
+    let entry = null;
+    try {
+      entry = JSON.parse(fs.readFileSync(entryPath, 'utf-8'));
+    } catch (err) {
+      // Missing or unreadable entries are misses
+    }
+
+    if (!entry || Date.now() - entry.createdAt > this.ttlMs) {
+      if (entry) {
+        fs.rmSync(entryPath, { force: true });
+      }
+      this.misses++;
+      return null;
+    }
+
+    // The modification time records last use, for least-recently-used eviction
+    const now = new Date();
+    fs.utimesSync(entryPath, now, now);
+    this.hits++;
+    return entry.content;
+  }
+
+  /**
+   * Store a completion and evict entries beyond the size limit
+   * @param {string} key - From cacheKey()
+   * @param {string} content - Completion text
+   * @param {Object} [meta] - Extra fields stored with the entry for inspection (provider, model)
+   */
+  set(key, content, meta = {}) {
+    fs.mkdirSync(this.cacheDir, { recursive: true });
+    const entryPath = this.entryPath(key);
+    const tempPath = `${entryPath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({ ...meta, key, createdAt: Date.now(), content }), 'utf-8');
+    fs.renameSync(tempPath, entryPath);
+    this.evict();
+  }
+
+  /**
+   * Remove expired entries, then the least recently used until the cache fits maxBytes
+   * An entry unused for longer than the TTL is certainly expired; entries used recently but
+   * created earlier than that are caught by get().
+   */
+  evict() {
+    const now = Date.now();
+    const entries = this.listEntries();
+    let totalBytes = 0;
+    const live = [];
+
+    for (const entry of entries) {
+      if (now - entry.mtimeMs > this.ttlMs) {
+        fs.rmSync(entry.path, { force: true });
+      } else {
+        live.push(entry);
+        totalBytes += entry.size;
+      }
+    }
+
+    live.sort((a, b) => a.mtimeMs - b.mtimeMs);
+    for (const entry of live) {
+      if (totalBytes <= this.maxBytes) break;
+      fs.rmSync(entry.path, { force: true });
+      totalBytes -= entry.size;
+    }
+  }
+
+  listEntries() {
+    if (!fs.existsSync(this.cacheDir)) {
+      return [];
+    }
+    return fs.readdirSync(this.cacheDir)
+      .filter(name => name.endsWith('.json'))
+      .map((name) => {
+        const entryPath = path.join(this.cacheDir, name);
+        const stat = fs.statSync(entryPath);
+        return { path: entryPath, size: stat.size, mtimeMs: stat.mtimeMs };
+      });
+  }
+
+  /**
+   * Counters and current size, for /health
+   * @returns {{hits: number, misses: number, entries: number, bytes: number}}
+   */
+  getStats() {
+    const entries = this.listEntries();
+    return {
+      hits: this.hits,
+      misses: this.misses,
+      entries: entries.length,
+      bytes: entries.reduce((sum, entry) => sum + entry.size, 0),
+    };
+  }
+}
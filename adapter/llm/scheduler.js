@@ -0,0 +1,341 @@
+// Central scheduler for outgoing LLM requests
+// Caps how many requests run at once, retries rate limits and transient failures with
+// exponential backoff (honoring Retry-After), times out each attempt, and stops calling
+// the API for a cool-down period after repeated failures (circuit breaker).
+
+import { LLMError } from './errors.js';
+
+const DEFAULT_CONCURRENCY = 2;
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_BASE_DELAY_MS = 1000;
+const DEFAULT_MAX_DELAY_MS = 30 * 1000;
+const DEFAULT_TIMEOUT_MS = 120 * 1000;
+const DEFAULT_BREAKER_THRESHOLD = 5;
+const DEFAULT_BREAKER_COOLDOWN_MS = 30 * 1000;
+
+// Failures that mean the API cannot serve requests right now; they count towards opening the circuit
+const OUTAGE_CODES = ['rate_limit', 'server', 'network', 'timeout'];
+
+function abortError() {
+  const error = new Error('LLM request was aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Wait, unless the signal aborts first
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(abortError());
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+export class LLMScheduler {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.concurrency] - Requests in flight at once (default 2)
+   * @param {number} [options.maxRetries] - Retries after the first attempt for retryable errors (default 3)
+   * @param {number} [options.baseDelayMs] - First backoff delay, doubled on each retry (default 1s)
+   * @param {number} [options.maxDelayMs] - Longest backoff delay; a longer Retry-After fails the request (default 30s)
+   * @param {number} [options.timeoutMs] - Time limit of each attempt, or of the gaps in a stream (default 120s)
+   * @param {number} [options.breakerThreshold] - Consecutive failed requests that open the circuit (default 5)
+   * @param {number} [options.breakerCooldownMs] - How long the circuit stays open before a trial request (default 30s)
+   * @param {function(): number} [options.random] - Source of backoff jitter in [0, 1)
+   */
+  constructor({
+    concurrency = DEFAULT_CONCURRENCY,
+    maxRetries = DEFAULT_MAX_RETRIES,
+    baseDelayMs = DEFAULT_BASE_DELAY_MS,
+    maxDelayMs = DEFAULT_MAX_DELAY_MS,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    breakerThreshold = DEFAULT_BREAKER_THRESHOLD,
+    breakerCooldownMs = DEFAULT_BREAKER_COOLDOWN_MS,
+    random = Math.random,
+  } = {}) {
+    this.concurrency = Math.max(1, concurrency);
+    this.maxRetries = maxRetries;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.timeoutMs = timeoutMs;
+    this.breakerThreshold = breakerThreshold;
+    this.breakerCooldownMs = breakerCooldownMs;
+    this.random = random;
+
+    this.active = 0;
+    this.waiting = []; // FIFO of { resolve, reject, signal, onAbort }
+    this.pausedUntil = 0; // Set by a rate limit's Retry-After; no attempt starts before then
+
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.lastError = null;
+
+    this.stats = { completed: 0, failed: 0, retries: 0, timeouts: 0, rejected: 0 };
+  }
+
+  /**
+   * Circuit state: 'closed' (normal), 'open' (failing fast) or 'half-open' (next request is a trial)
+   * @returns {string}
+   */
+  getState() {
+    if (this.openedAt === null) {
+      return 'closed';
+    }
+    return Date.now() - this.openedAt >= this.breakerCooldownMs ? 'half-open' : 'open';
+  }
+
+  /**
+   * Scheduler and circuit breaker status for /health
+   * @returns {Object}
+   */
+  getStatus() {
+    const state = this.getState();
+    return {
+      state,
+      active: this.active,
+      queued: this.waiting.length,
+      concurrency: this.concurrency,
+      consecutiveFailures: this.consecutiveFailures,
+      retryAt: state === 'closed' ? null : new Date(this.openedAt + this.breakerCooldownMs).toISOString(),
+      lastError: this.lastError,
+      ...this.stats,
+    };
+  }
+
+  /**
+   * Run an LLM request through the queue
+   * The task receives an AbortSignal that fires on timeout or when the caller's signal aborts, and a
+   * progress function: calling it restarts the attempt's time limit, so a stream that calls it for
+   * every delta is only cut off when no data arrives for timeoutMs, however long the whole answer takes.
+   * Errors with retryable set (see LLMError) are retried; a task can clear the flag on an error
+   * that must not be repeated, e.g. after part of a stream was already delivered. A timeout after the
+   * task reported progress is not retried either.
+   * @param {function(AbortSignal, function(): void): Promise<*>} task - One attempt of the request
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request, including while it is queued
+   * @param {string} [options.provider] - Provider name for errors raised by the scheduler
+   * @returns {Promise<*>} The task's result
+   * @throws {LLMError} code 'circuit_open' while the circuit is open, or the last attempt's error
+   */
+  async schedule(task, { signal, provider = 'unknown' } = {}) {
+    if (this.getState() === 'open') {
+      throw this.circuitOpenError(provider);
+    }
+    await this.acquire(signal);
+
+    let isTrial = false;
+    try {
+      // Checked again: the circuit may have opened while this request was queued
+      isTrial = this.enterCircuit(provider);
+
+      for (let attempt = 0; ; attempt++) {
+        const pause = this.pausedUntil - Date.now();
+        if (pause > 0) {
+          await sleep(pause, signal);
+        }
+
+        try {
+          const result = await this.attempt(task, signal, provider);
+          this.stats.completed++;
+          this.closeCircuit();
+          return result;
+        } catch (error) {
+          const delay = this.retryDelay(error, attempt, signal);
+          if (delay === null) {
+            this.recordFailure(error, isTrial);
+            throw error;
+          }
+          this.stats.retries++;
+          await sleep(delay, signal);
+        }
+      }
+    } finally {
+      if (isTrial) {
+        this.trialInFlight = false; // Whatever the outcome, the next request may be the trial
+      }
+      this.release();
+    }
+  }
+
+  /**
+   * Let a request through unless the circuit is open; once it is half-open, only one trial request
+   * @returns {boolean} Whether this request is the half-open trial
+   * @throws {LLMError} code 'circuit_open'
+   */
+  enterCircuit(provider) {
+    const state = this.getState();
+    if (state === 'closed') {
+      return false;
+    }
+    if (state === 'half-open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+    throw this.circuitOpenError(provider);
+  }
+
+  circuitOpenError(provider) {
+    this.stats.rejected++;
+    const retryAfter = Math.max(1, Math.ceil((this.openedAt + this.breakerCooldownMs - Date.now()) / 1000));
+    return new LLMError(
+      `LLM API is unavailable after ${this.consecutiveFailures} consecutive failures; try again in ${retryAfter}s`,
+      { provider, code: 'circuit_open', retryAfter }
+    );
+  }
+
+  closeCircuit() {
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+  }
+
+  /**
+   * Run one attempt with a time limit, restarted whenever the task reports progress
+   */
+  async attempt(task, signal, provider) {
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+    let timedOut = false;
+    let progressed = false;
+    let timer;
+    const startTimer = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, this.timeoutMs);
+    };
+    const progress = () => {
+      if (!timedOut) {
+        progressed = true;
+        startTimer();
+      }
+    };
+    startTimer();
+
+    try {
+      return await task(controller.signal, progress);
+    } catch (error) {
+      if (signal?.aborted) {
+        throw abortError();
+      }
+      if (timedOut) {
+        this.stats.timeouts++;
+        const seconds = Math.round(this.timeoutMs / 1000);
+        const message = progressed ? `LLM stream stalled: no data for ${seconds}s` : `LLM request timed out after ${seconds}s`;
+        const timeout = new LLMError(message, { provider, code: 'timeout' });
+        // Deltas already reached the caller, so a retry would deliver them twice
+        if (progressed || error?.retryable === false) {
+          timeout.retryable = false;
+        }
+        throw timeout;
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  }
+
+  /**
+   * Backoff before the next attempt, or null if the error should not be retried
+   * A Retry-After from a rate limit also holds back every other queued request.
+   * @returns {number|null} Milliseconds
+   */
+  retryDelay(error, attempt, signal) {
+    if (signal?.aborted || !error.retryable || attempt >= this.maxRetries) {
+      return null;
+    }
+
+    if (error.retryAfter !== null && error.retryAfter !== undefined) {
+      const delay = error.retryAfter * 1000;
+      if (delay > this.maxDelayMs) {
+        return null;
+      }
+      if (error.code === 'rate_limit') {
+        this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delay);
+      }
+      return delay;
+    }
+
+    // Exponential backoff with jitter, so queued requests do not retry in lockstep
+    const ceiling = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** attempt);
+    return Math.round(ceiling / 2 + this.random() * ceiling / 2);
+  }
+
+  /**
+   * Count a request that failed for good; open the circuit on repeated outages or a failed trial
+   */
+  recordFailure(error, isTrial) {
+    if (error.name === 'AbortError') {
+      return; // Cancelled by the caller, says nothing about the API
+    }
+    this.stats.failed++;
+    this.lastError = { code: error.code || null, message: error.message, at: new Date().toISOString() };
+
+    if (!OUTAGE_CODES.includes(error.code)) {
+      // The API answered; a bad request or a missing key is not an outage
+      if (isTrial) {
+        this.closeCircuit();
+      }
+      return;
+    }
+
+    this.consecutiveFailures++;
+    if (isTrial || this.consecutiveFailures >= this.breakerThreshold) {
+      this.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Wait for a free slot
+   */
+  acquire(signal) {
+    if (signal?.aborted) {
+      return Promise.reject(abortError());
+    }
+    if (this.active < this.concurrency) {
+      this.active++;
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      const entry = { resolve, reject, signal, onAbort: null };
+      entry.onAbort = () => {
+        this.waiting = this.waiting.filter(waiting => waiting !== entry);
+        reject(abortError());
+      };
+      signal?.addEventListener('abort', entry.onAbort, { once: true });
+      this.waiting.push(entry);
+    });
+  }
+
+  /**
+   * Hand the slot to the next queued request
+   */
+  release() {
+    const next = this.waiting.shift();
+    if (next) {
+      next.signal?.removeEventListener('abort', next.onAbort);
+      next.resolve(); // The slot passes on; active stays the same
+    } else {
+      this.active--;
+    }
+  }
+}
@@ -0,0 +1,74 @@
+// Token estimation and per-model context window limits
+
+// Code tokenizes denser than prose (~4 chars/token), so err on the small side
+const CHARS_PER_TOKEN = 3.5;
+
+// Headroom for chat message framing and estimation error
+const SAFETY_MARGIN = 256;
+
+const DEFAULT_CONTEXT_LIMIT = 8192;
+const DEFAULT_OUTPUT_RESERVE = 2048;
+
+// Checked in order, first matching prefix wins (so longer prefixes come first)
+const CONTEXT_LIMITS = [
+  ['gpt-5', 400000],
+  ['gpt-4.1', 1047576],
+  ['gpt-4o', 128000],
+  ['gpt-4-turbo', 128000],
+  ['gpt-4-32k', 32768],
+  ['gpt-4', 8192],
+  ['gpt-3.5-turbo', 16385],
+  ['o1', 200000],
+  ['o3', 200000],
+  ['o4', 200000],
+  ['claude', 200000],
+  ['llama3.1', 128000],
+  ['llama3.2', 128000],
+  ['llama3.3', 128000],
+  ['llama3', 8192],
+  ['codellama', 16384],
+  ['deepseek-coder', 16384],
+  ['qwen2.5', 32768],
+  ['mistral', 32768],
+  ['mixtral', 32768],
+  ['gemma', 8192],
+];
+
+/**
+ * Estimate how many tokens a piece of text will use
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+  if (!text) return 0;
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Look up the context window of a model
+ * @param {string} model - Model name, e.g. 'gpt-4o-mini' or 'claude-sonnet-4'
+ * @returns {number} Context window in tokens
+ */
+export function getContextLimit(model) {
+  const name = (model || '').toLowerCase().replace(/^.*\//, '');
+  const match = CONTEXT_LIMITS.find(([prefix]) => name.startsWith(prefix));
+  return match ? match[1] : DEFAULT_CONTEXT_LIMIT;
+}
+
+/**
+ * Work out how many prompt tokens a request to a model may use
+ * @param {string} model - Model name
+ * @param {Object} [options]
+ * @param {number} [options.contextLimit] - Override the model's context window
+ * @param {number} [options.maxOutputTokens] - Tokens to leave free for the completion
+ * @returns {{contextLimit: number, outputReserve: number, budget: number}}
+ */
+export function getPromptBudget(model, { contextLimit, maxOutputTokens } = {}) {
+  const limit = contextLimit || getContextLimit(model);
+  const outputReserve = Math.min(maxOutputTokens || DEFAULT_OUTPUT_RESERVE, Math.floor(limit / 2));
+  return {
+    contextLimit: limit,
+    outputReserve,
+    budget: Math.max(0, limit - outputReserve - SAFETY_MARGIN),
+  };
+}
@@ -0,0 +1,146 @@
+// Request log for the adapter's audit trail
+// One JSON line per request in adapter-YYYY-MM-DD.log. Entries are redacted before they are
+// written, files are rotated at a size cap, and files older than the retention period are deleted.
+
+import fs from 'fs';
+import path from 'path';
+import { redact } from '../security/redact.js';
+
+const LOG_FILE_PATTERN = /^adapter-(\d{4}-\d{2}-\d{2})(?:\.(\d+))?\.log$/;
+
+const DEFAULT_RETENTION_DAYS = 14;
+const DEFAULT_MAX_FILE_BYTES = 10 * 1024 * 1024; // 10MB
+const DEFAULT_MAX_FIELD_LENGTH = 2000;
+const MAX_QUERY_LIMIT = 1000;
+
+function dateOf(timestamp) {
+  return timestamp.split('T')[0];
+}
+
+export class RequestLogger {
+  /**
+   * @param {string} logsDir - Directory holding the log files
+   * @param {Object} [options]
+   * @param {number} [options.retentionDays] - Days of logs to keep, including today (default 14)
+   * @param {number} [options.maxFileBytes] - Size at which the day's file is rotated (default 10MB)
+   * @param {number} [options.maxFieldLength] - Longer strings, such as file contents, are cut (default 2000)
+   */
+  constructor(logsDir, {
+    retentionDays = DEFAULT_RETENTION_DAYS,
+    maxFileBytes = DEFAULT_MAX_FILE_BYTES,
+    maxFieldLength = DEFAULT_MAX_FIELD_LENGTH,
+  } = {}) {
+    this.logsDir = logsDir;
+    this.retentionDays = retentionDays;
+    this.maxFileBytes = maxFileBytes;
+    this.maxFieldLength = maxFieldLength;
+    this.prunedOn = null;
+    fs.mkdirSync(logsDir, { recursive: true });
+  }
+
+  /**
+   * Log files with the day they cover, oldest first (rotated parts before the current file)
+   * @returns {Array<{name: string, date: string, part: number}>}
+   */
+  listFiles() {
+    return fs.readdirSync(this.logsDir)
+      .map((name) => {
+        const match = name.match(LOG_FILE_PATTERN);
+        return match && { name, date: match[1], part: match[2] ? parseInt(match[2], 10) : Infinity };
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.date.localeCompare(b.date) || a.part - b.part);
+  }
+
+  /**
+   * Delete log files older than the retention period
+   * @param {Date} [now]
+   * @returns {string[]} Deleted file names
+   */
+  prune(now = new Date()) {
+    const cutoff = new Date(now.getTime() - (this.retentionDays - 1) * 24 * 60 * 60 * 1000);
+    const cutoffDate = dateOf(cutoff.toISOString());
+    const deleted = [];
+
+    for (const file of this.listFiles()) {
+      if (file.date < cutoffDate) {
+        fs.rmSync(path.join(this.logsDir, file.name), { force: true });
+        deleted.push(file.name);
+      }
+    }
+
+    this.prunedOn = dateOf(now.toISOString());
+    return deleted;
+  }
+
+  /**
+   * Move the day's file aside as the next numbered part
+   * @param {string} date - YYYY-MM-DD
+   */
+  rotate(date) {
+    const parts = this.listFiles()
+      .filter(file => file.date === date && file.part !== Infinity)
+      .map(file => file.part);
+    const next = parts.length > 0 ? Math.max(...parts) + 1 : 1;
+    fs.renameSync(path.join(this.logsDir, `adapter-${date}.log`), path.join(this.logsDir, `adapter-${date}.${next}.log`));
+  }
+
+  /**
+   * Append one redacted entry
+   * @param {Object} entry - { timestamp, endpoint, method, request, response, error }
+   */
+  write(entry) {
+    const line = JSON.stringify(redact(entry, { maxStringLength: this.maxFieldLength })) + '\n';
+    const date = dateOf(entry.timestamp);
+
+    if (this.prunedOn !== dateOf(new Date().toISOString())) {
+      this.prune();
+    }
+
+    const logFile = path.join(this.logsDir, `adapter-${date}.log`);
+    const size = fs.existsSync(logFile) ? fs.statSync(logFile).size : 0;
+    if (size > 0 && size + Buffer.byteLength(line) > this.maxFileBytes) {
+      this.rotate(date);
+    }
+
+    fs.appendFileSync(logFile, line);
+  }
+
+  /**
+   * Search logged entries, newest first
+   * @param {Object} [filters]
+   * @param {string} [filters.endpoint] - Exact endpoint, e.g. "/assist"
+   * @param {Date} [filters.since] - Only entries at or after this time
+   * @param {boolean} [filters.error] - Only entries that recorded an error
+   * @param {number} [filters.limit] - Maximum entries returned (default 100, at most 1000)
+   * @returns {Object[]}
+   */
+  query({ endpoint, since, error, limit = 100 } = {}) {
+    const sinceDate = since ? dateOf(since.toISOString()) : null;
+    const max = Math.min(limit, MAX_QUERY_LIMIT);
+    const results = [];
+
+    const files = this.listFiles().filter(file => !sinceDate || file.date >= sinceDate).reverse();
+    for (const file of files) {
+      const lines = fs.readFileSync(path.join(this.logsDir, file.name), 'utf-8').split('\n');
+      for (let i = lines.length - 1; i >= 0 && results.length < max; i--) {
+        if (!lines[i]) continue;
+
+        let entry;
+        try {
+          entry = JSON.parse(lines[i]);
+        } catch (err) {
+          continue; // Partially written line
+        }
+
+        if (endpoint && entry.endpoint !== endpoint) continue;
+        if (since && new Date(entry.timestamp) < since) continue;
+        if (error && !entry.error && !entry.response?.error) continue;
+        results.push(entry);
+      }
+      if (results.length >= max) break;
+    }
+
+    return results;
+  }
+}
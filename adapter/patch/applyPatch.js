@@ -0,0 +1,286 @@
+// Plan and apply unified-diff and JSON multi-file patches against a repository on disk
+// Planning never writes; applying writes every file or none of them.
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { parseUnifiedDiff, applyHunks } from '../../shared/patch/unifiedDiff.js';
+import { validatePatch } from '../../shared/patch/patchSchema.js';
+import { applyFilePatch } from '../../shared/patch/jsonPatch.js';
+
+// Helper: Whether a path from path.relative() leads out of its base
+function isOutside(relative) {
+  return relative === '..' || relative.startsWith('..' + path.sep) || path.isAbsolute(relative);
+}
+
+// Helper: Real path of a file that may not exist yet, following symlinks in its nearest existing ancestor
+function realPathOf(absolutePath) {
+  let existing = absolutePath;
+  while (!fs.existsSync(existing) && path.dirname(existing) !== existing) {
+    existing = path.dirname(existing);
+  }
+  return path.join(fs.realpathSync(existing), path.relative(existing, absolutePath));
+}
+
+/**
+ * Resolve a repo-relative path, refusing anything that escapes the repo root
+ * Symlinks are followed, so a link inside the repo cannot lead a patch to files outside it.
+ * @param {string} repoRoot - Absolute repository root
+ * @param {string} relativePath - Path from the patch
+ * @returns {string} - Absolute path inside repoRoot
+ * @throws {Error} If the path is absolute or escapes the repository
+ */
+export function resolveInRepo(repoRoot, relativePath) {
+  if (!relativePath || path.isAbsolute(relativePath)) {
+    throw new Error(`Invalid path in patch: ${relativePath}`);
+  }
+  const resolved = path.resolve(repoRoot, relativePath);
+  if (isOutside(path.relative(repoRoot, resolved)) ||
+      isOutside(path.relative(realPathOf(repoRoot), realPathOf(resolved)))) {
+    throw new Error(`Path escapes repository root: ${relativePath}`);
+  }
+  return resolved;
+}
+
+/**
+ * Check every hunk of a unified diff against the files on disk
+ * @param {string} repoRoot - Absolute repository root
+ * @param {string} diffText - Unified diff (may span several files)
+ * @returns {{applicable: boolean, files: Array, changes: Array<{path: string, absolutePath: string, content: string|null, removePath?: string}>}}
+ */
+export function planUnifiedDiff(repoRoot, diffText) {
+  const parsedFiles = parseUnifiedDiff(diffText);
+  const files = [];
+  const changes = [];
+  let applicable = true;
+
+  for (const file of parsedFiles) {
+    const targetPath = file.operation === 'delete' ? file.oldPath : file.newPath;
+    const report = {
+      path: targetPath,
+      ...(file.operation === 'rename' && { from: file.oldPath }),
+      operation: file.operation,
+      hunks: [],
+    };
+    files.push(report);
+
+    let absoluteSource;
+    let absoluteTarget;
+    try {
+      absoluteSource = file.operation === 'create' ? null : resolveInRepo(repoRoot, file.oldPath);
+      absoluteTarget = resolveInRepo(repoRoot, targetPath);
+    } catch (err) {
+      report.error = err.message;
+      applicable = false;
+      continue;
+    }
+
+    let original = '';
+    if (file.operation === 'create') {
+      if (fs.existsSync(absoluteTarget)) {
+        report.error = 'File already exists';
+        applicable = false;
+        continue;
+      }
+    } else {
+      if (!fs.existsSync(absoluteSource)) {
+        report.error = 'File does not exist';
+        applicable = false;
+        continue;
+      }
+      original = fs.readFileSync(absoluteSource, 'utf-8');
+    }
+
+    if (file.operation === 'rename' && fs.existsSync(absoluteTarget)) {
+      report.error = 'Rename target already exists';
+      applicable = false;
+      continue;
+    }
+
+    const result = applyHunks(original, file.hunks);
+    report.hunks = result.hunks;
+    if (!result.success) {
+      applicable = false;
+      continue;
+    }
+
+    if (file.operation === 'delete') {
+      if (result.content.length > 0) {
+        report.error = 'Delete patch does not remove the whole file';
+        applicable = false;
+        continue;
+      }
+      changes.push({ path: targetPath, absolutePath: absoluteTarget, content: null });
+    } else {
+      changes.push({
+        path: targetPath,
+        absolutePath: absoluteTarget,
+        content: result.content,
+        ...(file.operation === 'rename' && { removePath: absoluteSource }),
+      });
+    }
+  }
+
+  return { applicable, files, changes };
+}
+
+/**
+ * Check a JSON multi-file patch against the files on disk
+ * Produces the same plan shape as planUnifiedDiff().
+ * @param {string} repoRoot - Absolute repository root
+ * @param {Object} patch - Patch in the shared JSON format (shorthand forms accepted)
+ * @returns {{applicable: boolean, files: Array, changes: Array<{path: string, absolutePath: string, content: string|null, removePath?: string}>}}
+ * @throws {Error} If the patch does not match the schema; the error carries the validation errors
+ */
+export function planJsonPatch(repoRoot, patch) {
+  const validation = validatePatch(patch);
+  if (!validation.valid) {
+    const error = new Error(`Patch does not match the schema: ${validation.errors.map(e => `${e.path} ${e.message}`).join('; ')}`);
+    error.validationErrors = validation.errors;
+    throw error;
+  }
+
+  const files = [];
+  const changes = [];
+  let applicable = true;
+
+  for (const file of validation.patch.files) {
+    const sourcePath = file.operation === 'rename' ? file.oldPath : file.path;
+    const report = {
+      path: file.path,
+      ...(file.operation === 'rename' && { from: file.oldPath }),
+      operation: file.operation,
+      hunks: [],
+    };
+    files.push(report);
+
+    let absoluteSource;
+    let absoluteTarget;
+    try {
+      absoluteSource = resolveInRepo(repoRoot, sourcePath);
+      absoluteTarget = resolveInRepo(repoRoot, file.path);
+    } catch (err) {
+      report.error = err.message;
+      applicable = false;
+      continue;
+    }
+
+    const exists = fs.existsSync(absoluteSource);
+    if (file.operation === 'create' && exists) {
+      report.error = 'File already exists';
+      applicable = false;
+      continue;
+    }
+    if (file.operation !== 'create' && !exists) {
+      report.error = 'File does not exist';
+      applicable = false;
+      continue;
+    }
+    if (file.operation === 'rename' && fs.existsSync(absoluteTarget)) {
+      report.error = 'Rename target already exists';
+      applicable = false;
+      continue;
+    }
+
+    const original = file.operation === 'create' ? '' : fs.readFileSync(absoluteSource, 'utf-8');
+    const result = applyFilePatch(original, file);
+    report.hunks = result.hunks || [];
+    if (!result.success) {
+      report.error = result.error;
+      applicable = false;
+      continue;
+    }
+
+    changes.push({
+      path: file.path,
+      absolutePath: absoluteTarget,
+      content: result.content,
+      ...(file.operation === 'rename' && { removePath: absoluteSource }),
+    });
+  }
+
+  return { applicable, files, changes };
+}
+
+/**
+ * Plan a structured patch as returned by /assist ({ format, content })
+ * @param {string} repoRoot - Absolute repository root
+ * @param {{format: string, content: string|Object}} patch - Unified diff or JSON patch
+ * @returns {{applicable: boolean, files: Array, changes: Array}} See planUnifiedDiff()
+ * @throws {Error} If the patch cannot be parsed or does not match the schema
+ */
+export function planPatch(repoRoot, patch) {
+  if (patch.format === 'unified-diff') {
+    return planUnifiedDiff(repoRoot, patch.content);
+  }
+  if (patch.format === 'json') {
+    return planJsonPatch(repoRoot, patch.content);
+  }
+  throw new Error(`Unsupported patch format: ${patch.format}`);
+}
+
+/**
+ * Write a set of file changes all-or-nothing
+ * New contents are staged in temp files next to their targets and renamed into place;
+ * if any step fails, every file already touched is restored.
+ * @param {Array<{absolutePath: string, content: string|null, removePath?: string}>} changes
+ * @returns {string[]} - Absolute paths that were written or removed
+ * @throws {Error} If any file could not be written (after rolling back)
+ */
+export function writeFilesAtomically(changes) {
+  const suffix = `.devskin-${process.pid}-${crypto.randomBytes(4).toString('hex')}.tmp`;
+  const staged = [];
+
+  try {
+    for (const change of changes) {
+      if (change.content === null) continue;
+      fs.mkdirSync(path.dirname(change.absolutePath), { recursive: true });
+      const tempPath = change.absolutePath + suffix;
+      fs.writeFileSync(tempPath, change.content, 'utf-8');
+      staged.push({ change, tempPath });
+    }
+  } catch (err) {
+    for (const { tempPath } of staged) {
+      fs.rmSync(tempPath, { force: true });
+    }
+    throw new Error(`Failed to stage patch: ${err.message}`);
+  }
+
+  // Snapshot everything we are about to replace or remove so it can be restored
+  const backups = new Map();
+  for (const change of changes) {
+    for (const target of [change.absolutePath, change.removePath].filter(Boolean)) {
+      backups.set(target, fs.existsSync(target) ? fs.readFileSync(target) : null);
+    }
+  }
+
+  const touched = [];
+  try {
+    for (const { change, tempPath } of staged) {
+      fs.renameSync(tempPath, change.absolutePath);
+      touched.push(change.absolutePath);
+    }
+    for (const change of changes) {
+      const removePath = change.content === null ? change.absolutePath : change.removePath;
+      if (removePath) {
+        fs.unlinkSync(removePath);
+        touched.push(removePath);
+      }
+    }
+  } catch (err) {
+    for (const target of touched) {
+      const backup = backups.get(target);
+      if (backup === null) {
+        fs.rmSync(target, { force: true });
+      } else {
+        fs.writeFileSync(target, backup);
+      }
+    }
+    for (const { tempPath } of staged) {
+      fs.rmSync(tempPath, { force: true });
+    }
+    throw new Error(`Failed to write patch, changes rolled back: ${err.message}`);
+  }
+
+  return touched;
+}
@@ -0,0 +1,98 @@
+// Scratch copies of a repository for trying patches without touching the user's files
+// node_modules directories are linked rather than copied so tests can run in the copy.
+// The links point into the user's checkout, so the copy is not fully isolated: anything the
+// tests write under node_modules (caches such as node_modules/.cache or .vite, or a package
+// that edits itself) lands in the user's repository. Patches cannot reach it, since
+// resolveInRepo() refuses paths that lead through a link out of the copy.
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { planPatch, writeFilesAtomically } from './applyPatch.js';
+
+const SKIPPED_DIRS = new Set(['.git', 'node_modules']);
+
+export class ScratchCopy {
+  /**
+   * @param {string} sourceDir - Repository to copy
+   * @param {string} dir - Directory holding the copy
+   */
+  constructor(sourceDir, dir) {
+    this.sourceDir = sourceDir;
+    this.dir = dir;
+    // Repo-relative paths changed by the patch currently applied
+    this.touched = [];
+  }
+
+  /**
+   * Copy a repository into a new temporary directory
+   * @param {string} sourceDir - Absolute repository root
+   * @returns {ScratchCopy}
+   */
+  static create(sourceDir) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'devskin-scratch-'));
+    const linked = [];
+
+    fs.cpSync(sourceDir, dir, {
+      recursive: true,
+      filter: (source) => {
+        if (!SKIPPED_DIRS.has(path.basename(source))) {
+          return true;
+        }
+        if (path.basename(source) === 'node_modules') {
+          linked.push(path.relative(sourceDir, source));
+        }
+        return false;
+      },
+    });
+
+    for (const relativePath of linked) {
+      fs.symlinkSync(path.join(sourceDir, relativePath), path.join(dir, relativePath), 'junction');
+    }
+
+    return new ScratchCopy(sourceDir, dir);
+  }
+
+  /**
+   * Apply a patch to the pristine copy, undoing any patch applied before
+   * @param {{format: string, content: string|Object}} patch - Structured patch
+   * @returns {{applicable: boolean, files: Array, written: string[]}} written is empty when the patch does not apply
+   * @throws {Error} If the patch cannot be parsed or does not match the schema
+   */
+  applyPatch(patch) {
+    this.reset();
+
+    const plan = planPatch(this.dir, patch);
+    if (!plan.applicable) {
+      return { applicable: false, files: plan.files, written: [] };
+    }
+
+    const written = writeFilesAtomically(plan.changes).map(p => path.relative(this.dir, p));
+    this.touched = written;
+    return { applicable: true, files: plan.files, written };
+  }
+
+  /**
+   * Restore the files changed by the last patch from the source repository
+   */
+  reset() {
+    for (const relativePath of this.touched) {
+      const source = path.join(this.sourceDir, relativePath);
+      const target = path.join(this.dir, relativePath);
+      if (fs.existsSync(source)) {
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.copyFileSync(source, target);
+      } else {
+        fs.rmSync(target, { force: true });
+      }
+    }
+    this.touched = [];
+  }
+
+  /**
+   * Delete the copy
+   */
+  dispose() {
+    fs.rmSync(this.dir, { recursive: true, force: true });
+  }
+}
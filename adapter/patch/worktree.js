@@ -0,0 +1,108 @@
+// Throwaway git worktrees for testing a patch without touching the user's checkout
+// The worktree is checked out at HEAD, so uncommitted changes in the checkout are not included.
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { planPatch, writeFilesAtomically } from './applyPatch.js';
+
+const execFileAsync = promisify(execFile);
+
+async function git(cwd, args) {
+  const { stdout } = await execFileAsync('git', args, { cwd });
+  return stdout.trim();
+}
+
+/**
+ * Link the checkout's node_modules directories into the worktree so tests can run there
+ * Only directories that exist in the worktree (i.e. tracked ones) are visited.
+ * @param {string} sourceDir - Checkout root
+ * @param {string} targetDir - Worktree root
+ */
+function linkNodeModules(sourceDir, targetDir) {
+  const visit = (relativeDir) => {
+    const modules = path.join(sourceDir, relativeDir, 'node_modules');
+    const link = path.join(targetDir, relativeDir, 'node_modules');
+    if (fs.existsSync(modules) && !fs.existsSync(link)) {
+      fs.symlinkSync(modules, link, 'junction');
+    }
+
+    for (const entry of fs.readdirSync(path.join(targetDir, relativeDir), { withFileTypes: true })) {
+      if (entry.isDirectory() && entry.name !== '.git' && entry.name !== 'node_modules') {
+        visit(path.join(relativeDir, entry.name));
+      }
+    }
+  };
+  visit('');
+}
+
+export class GitWorktree {
+  /**
+   * @param {string} gitRoot - Top level of the user's checkout
+   * @param {string} root - Top level of the worktree
+   * @param {string} dir - Worktree directory matching the requested repo path
+   */
+  constructor(gitRoot, root, dir) {
+    this.gitRoot = gitRoot;
+    this.root = root;
+    this.dir = dir;
+  }
+
+  /**
+   * Check out HEAD of the repository containing repoPath into a temporary worktree
+   * @param {string} repoPath - Absolute path inside a git checkout (may be a subdirectory)
+   * @returns {Promise<GitWorktree>}
+   * @throws {Error} If repoPath is not inside a git repository or the worktree cannot be added
+   */
+  static async create(repoPath) {
+    let gitRoot;
+    try {
+      gitRoot = await git(repoPath, ['rev-parse', '--show-toplevel']);
+    } catch (err) {
+      throw new Error(`Not a git repository: ${repoPath}`);
+    }
+
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'devskin-worktree-'));
+    try {
+      await git(gitRoot, ['worktree', 'add', '--detach', root, 'HEAD']);
+      linkNodeModules(gitRoot, root);
+    } catch (err) {
+      fs.rmSync(root, { recursive: true, force: true });
+      await git(gitRoot, ['worktree', 'prune']).catch(() => {});
+      throw new Error(`Failed to create git worktree: ${err.message}`);
+    }
+
+    const subdir = path.relative(fs.realpathSync(gitRoot), fs.realpathSync(repoPath));
+    return new GitWorktree(gitRoot, root, path.join(root, subdir));
+  }
+
+  /**
+   * Apply a patch inside the worktree (paths are relative to the requested repo path)
+   * @param {{format: string, content: string|Object}} patch - Structured patch
+   * @returns {{applicable: boolean, files: Array, written: string[]}} written is empty when the patch does not apply
+   * @throws {Error} If the patch cannot be parsed or does not match the schema
+   */
+  applyPatch(patch) {
+    const plan = planPatch(this.dir, patch);
+    if (!plan.applicable) {
+      return { applicable: false, files: plan.files, written: [] };
+    }
+
+    const written = writeFilesAtomically(plan.changes).map(p => path.relative(this.dir, p));
+    return { applicable: true, files: plan.files, written };
+  }
+
+  /**
+   * Remove the worktree and its administrative files from the checkout
+   */
+  async remove() {
+    try {
+      await git(this.gitRoot, ['worktree', 'remove', '--force', this.root]);
+    } catch (err) {
+      fs.rmSync(this.root, { recursive: true, force: true });
+      await git(this.gitRoot, ['worktree', 'prune']).catch(() => {});
+    }
+  }
+}
@@ -0,0 +1,146 @@
+// Prompt templates for the LLM endpoints
+// Defaults ship in adapter/prompts/defaults/<name>.md; a repository can override any of them
+// with .devskin/prompts/<name>.md (found in the repo path or the nearest parent directory).
+//
+// Syntax:
+//   {{name}}                  value of a variable ('' when unset)
+//   {{#name}}...{{/name}}     section rendered only when the variable is non-empty
+//   {{^name}}...{{/name}}     section rendered only when the variable is empty
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const DEFAULTS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'defaults');
+const OVERRIDE_DIR = path.join('.devskin', 'prompts');
+
+/**
+ * Templates and the variables each one is rendered with
+ */
+export const PROMPT_TEMPLATES = {
+  'assist.system': {
+    endpoint: '/assist',
+    variables: ['patchFormat'],
+  },
+  'assist.user': {
+    endpoint: '/assist',
+    variables: ['instruction', 'related', 'snippets', 'summaries', 'fileContents', 'filePath', 'fileNote', 'fileOmitted'],
+  },
+  'review-patch.system': {
+    endpoint: '/review-patch',
+    variables: ['patchFormat'],
+  },
+  'review-patch.user': {
+    endpoint: '/review-patch',
+    variables: ['testError', 'failures', 'testOutput', 'testOutputNote', 'patch', 'fileContents', 'filePath', 'fileNote', 'related', 'snippets'],
+  },
+  'rank-patches.system': {
+    endpoint: '/rank-patches',
+    variables: [],
+  },
+  'rank-patches.user': {
+    endpoint: '/rank-patches',
+    variables: ['patchCount', 'patches', 'fileContents', 'filePath', 'testOutput', 'measurements', 'snippets'],
+  },
+  'suggest-commit.system': {
+    endpoint: '/suggest-commit',
+    variables: [],
+  },
+  'suggest-commit.user': {
+    endpoint: '/suggest-commit',
+    variables: ['source', 'files', 'diff', 'diffNote', 'recentCommits'],
+  },
+};
+
+/**
+ * Find the nearest .devskin/prompts directory at or above a path
+ * @param {string} startPath - Repository path or a directory inside it
+ * @returns {string|null} Absolute directory, or null if there is none
+ */
+export function findOverrideDir(startPath) {
+  let current = path.resolve(startPath);
+  while (true) {
+    const candidate = path.join(current, OVERRIDE_DIR);
+    if (fs.existsSync(candidate) && fs.statSync(candidate).isDirectory()) {
+      return candidate;
+    }
+    const parent = path.dirname(current);
+    if (parent === current) {
+      return null;
+    }
+    current = parent;
+  }
+}
+
+/**
+ * Load a template, preferring the repository's override
+ * @param {string} name - Key of PROMPT_TEMPLATES, e.g. "assist.user"
+ * @param {string} [repoPath] - Where to look for .devskin/prompts
+ * @returns {{name: string, source: string, path: string, content: string}} source is "repo" or "default"
+ * @throws {Error} If the template name is unknown
+ */
+export function loadTemplate(name, repoPath = process.cwd()) {
+  if (!PROMPT_TEMPLATES[name]) {
+    throw new Error(`Unknown prompt template: ${name}`);
+  }
+
+  const overrideDir = findOverrideDir(repoPath);
+  const overridePath = overrideDir && path.join(overrideDir, `${name}.md`);
+  if (overridePath && fs.existsSync(overridePath)) {
+    return { name, source: 'repo', path: overridePath, content: fs.readFileSync(overridePath, 'utf-8') };
+  }
+
+  const defaultPath = path.join(DEFAULTS_DIR, `${name}.md`);
+  return { name, source: 'default', path: defaultPath, content: fs.readFileSync(defaultPath, 'utf-8') };
+}
+
+/**
+ * Fill in a template's variables and sections
+ * @param {string} template - Template text
+ * @param {Object<string, string|number>} variables
+ * @returns {string} Rendered text, without the trailing newline of the file
+ */
+export function renderTemplate(template, variables) {
+  const isSet = name => variables[name] !== undefined && variables[name] !== null && variables[name] !== '';
+
+  // Section tags alone on a line take the line with them
+  let rendered = template.replace(/^[ \t]*(\{\{[#^/]\w+\}\})[ \t]*\n/gm, '$1');
+
+  // Outer sections first; repeat for sections nested inside them
+  let previous;
+  do {
+    previous = rendered;
+    rendered = rendered.replace(
+      /\{\{([#^])(\w+)\}\}([\s\S]*?)\{\{\/\2\}\}/g,
+      (match, kind, name, body) => ((kind === '#') === isSet(name) ? body : '')
+    );
+  } while (rendered !== previous);
+
+  return rendered
+    .replace(/\{\{(\w+)\}\}/g, (match, name) => (isSet(name) ? String(variables[name]) : ''))
+    .replace(/\n$/, '');
+}
+
+/**
+ * Load and render a template
+ * @param {string} name - Key of PROMPT_TEMPLATES
+ * @param {Object<string, string|number>} variables
+ * @param {string} [repoPath] - Where to look for .devskin/prompts
+ * @returns {string}
+ */
+export function renderPrompt(name, variables, repoPath) {
+  return renderTemplate(loadTemplate(name, repoPath).content, variables);
+}
+
+/**
+ * Describe the template each prompt would use for a repository
+ * @param {string} [repoPath] - Where to look for .devskin/prompts
+ * @returns {Array<{name: string, endpoint: string, variables: string[], source: string, path: string, content: string}>}
+ */
+export function listTemplates(repoPath = process.cwd()) {
+  return Object.entries(PROMPT_TEMPLATES).map(([name, { endpoint, variables }]) => ({
+    endpoint,
+    variables,
+    ...loadTemplate(name, repoPath),
+  }));
+}
@@ -0,0 +1,298 @@
+// Empirical signals for ranking candidate patches
+// Each candidate is applied in its own git worktree and tested; diff size and the exports it
+// touches are measured from the planned file changes, then combined with the LLM's score.
+
+import fs from 'fs';
+import path from 'path';
+import { planPatch } from '../patch/applyPatch.js';
+import { GitWorktree } from '../patch/worktree.js';
+import { parseSource, extractSymbols } from '../retrieval/symbols.js';
+
+// Above this many line pairs the middle of a file diff is treated as fully rewritten
+const MAX_LCS_CELLS = 4_000_000;
+
+// Share of the combined score that comes from measurements rather than the LLM
+const MEASURED_WEIGHT = 0.6;
+
+function splitLines(text) {
+  if (!text) return [];
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+/**
+ * Diff two texts line by line
+ * @param {string} oldText
+ * @param {string} newText
+ * @returns {{removed: Set<number>, added: Set<number>}} 1-based line numbers in the old and new text
+ */
+export function lineDiff(oldText, newText) {
+  const oldLines = splitLines(oldText);
+  const newLines = splitLines(newText);
+
+  let prefix = 0;
+  while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (
+    suffix < oldLines.length - prefix
+    && suffix < newLines.length - prefix
+    && oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  const a = oldLines.slice(prefix, oldLines.length - suffix);
+  const b = newLines.slice(prefix, newLines.length - suffix);
+  const removed = new Set(a.map((_, i) => prefix + i + 1));
+  const added = new Set(b.map((_, j) => prefix + j + 1));
+  if (a.length === 0 || b.length === 0 || a.length * b.length > MAX_LCS_CELLS) {
+    return { removed, added };
+  }
+
+  // Longest common subsequence of the middle; matched lines are unchanged
+  const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      removed.delete(prefix + i + 1);
+      added.delete(prefix + j + 1);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+
+  return { removed, added };
+}
+
+// Names bound by an exported declaration: export function f, export const a = 1, b = 2, ...
+function declaredNames(declaration) {
+  if (declaration.id) {
+    return [declaration.id.name ?? declaration.id.value];
+  }
+  return (declaration.declarations || [])
+    .filter(declarator => declarator.id.type === 'Identifier')
+    .map(declarator => declarator.id.name);
+}
+
+// exports.name or module.exports.name
+function commonJsExportName(left) {
+  if (left?.type !== 'MemberExpression' || left.computed) {
+    return null;
+  }
+  const { object } = left;
+  const isExports = (object.type === 'Identifier' && object.name === 'exports') ||
+    (object.type === 'MemberExpression' && object.object.name === 'module' && object.property.name === 'exports');
+  return isExports ? left.property.name : null;
+}
+
+const isModuleExports = node => node?.type === 'MemberExpression' &&
+  node.object.name === 'module' && node.property.name === 'exports';
+
+/**
+ * Find top-level exports (ES modules and CommonJS) and the lines each one spans
+ * The file is parsed with the symbol extractor, so multi-line export lists, re-exports and any
+ * declaration form are found. An export of a local declaration spans that declaration; anything
+ * else, such as a re-export or module.exports = {...}, spans its export statement.
+ * @param {string} content - File contents
+ * @param {string} filePath - Used to pick the parser (.js, .ts, .tsx, ...)
+ * @returns {Array<{name: string, line: number, endLine: number}>} 1-based inclusive line ranges; empty when
+ *   the file is not JavaScript or TypeScript or cannot be parsed
+ */
+export function findExports(content, filePath) {
+  const ast = parseSource(content, filePath);
+  if (!ast) {
+    return [];
+  }
+
+  const declared = new Map((extractSymbols(content, filePath, ast) || []).map(symbol => [symbol.name, symbol]));
+  const exports = [];
+  const add = (name, statement, localName = null) => {
+    const local = localName && declared.get(localName);
+    exports.push(local
+      ? { name, line: local.line, endLine: local.endLine }
+      : { name, line: statement.loc.start.line, endLine: statement.loc.end.line });
+  };
+
+  for (const statement of ast.program.body) {
+    switch (statement.type) {
+      case 'ExportNamedDeclaration':
+        if (statement.declaration) {
+          declaredNames(statement.declaration).forEach(name => add(name, statement, name));
+        }
+        for (const specifier of statement.specifiers) {
+          const name = specifier.exported.name ?? specifier.exported.value;
+          add(name, statement, statement.source ? null : specifier.local?.name);
+        }
+        break;
+
+      case 'ExportDefaultDeclaration': {
+        const { declaration } = statement;
+        add('default', statement, declaration.type === 'Identifier' ? declaration.name : null);
+        break;
+      }
+
+      case 'ExportAllDeclaration':
+        add(statement.exported ? statement.exported.name : `* from ${statement.source.value}`, statement);
+        break;
+
+      case 'ExpressionStatement': {
+        const { left, right } = statement.expression.type === 'AssignmentExpression' ? statement.expression : {};
+        const name = commonJsExportName(left);
+        if (name) {
+          add(name, statement);
+        } else if (isModuleExports(left)) {
+          add('default', statement, right.type === 'Identifier' ? right.name : null);
+        }
+        break;
+      }
+
+      default:
+        break;
+    }
+  }
+
+  return exports;
+}
+
+function touchesRange(lineSet, { line, endLine }) {
+  for (const changed of lineSet) {
+    if (changed >= line && changed <= endLine) return true;
+  }
+  return false;
+}
+
+/**
+ * Measure the size of a patch and the exports it adds, removes or modifies
+ * @param {string} repoRoot - Directory the patch applies to
+ * @param {Array<{path: string, absolutePath: string, content: string|null, removePath?: string}>} changes - From a patch plan
+ * @returns {{diffSize: {files: number, additions: number, deletions: number}, touchedExports: Array<{file: string, name: string, change: string}>, addedLines: Object<string, number[]>}}
+ *   addedLines lists the non-blank lines each file gains or changes, for patch coverage
+ */
+export function measureChanges(repoRoot, changes) {
+  const diffSize = { files: changes.length, additions: 0, deletions: 0 };
+  const touchedExports = [];
+  const addedLines = {};
+
+  for (const change of changes) {
+    const sourcePath = change.removePath || change.absolutePath;
+    const oldContent = fs.existsSync(sourcePath) ? fs.readFileSync(sourcePath, 'utf-8') : '';
+    const newContent = change.content ?? '';
+    const { removed, added } = lineDiff(oldContent, newContent);
+    diffSize.additions += added.size;
+    diffSize.deletions += removed.size;
+
+    const file = change.path || path.relative(repoRoot, change.absolutePath);
+    const newLines = newContent.split('\n');
+    const nonBlank = [...added].filter(line => newLines[line - 1]?.trim()).sort((a, b) => a - b);
+    if (nonBlank.length > 0) {
+      addedLines[file] = nonBlank;
+    }
+
+    const oldExports = findExports(oldContent, sourcePath);
+    const newExports = findExports(newContent, change.absolutePath);
+    const oldNames = new Set(oldExports.map(e => e.name));
+    const newNames = new Set(newExports.map(e => e.name));
+
+    for (const entry of oldExports) {
+      if (!newNames.has(entry.name)) {
+        touchedExports.push({ file, name: entry.name, change: 'removed' });
+      }
+    }
+    for (const entry of newExports) {
+      if (!oldNames.has(entry.name)) {
+        touchedExports.push({ file, name: entry.name, change: 'added' });
+      } else if (touchesRange(added, entry) || touchesRange(removed, oldExports.find(e => e.name === entry.name))) {
+        touchedExports.push({ file, name: entry.name, change: 'modified' });
+      }
+    }
+  }
+
+  return { diffSize, touchedExports, addedLines };
+}
+
+/**
+ * Apply one candidate in a fresh worktree at HEAD, measure it and run the tests there
+ * @param {string} repoPath - Absolute path inside the user's git checkout (never modified)
+ * @param {{format: string, content: string|Object}} patch - Structured patch
+ * @param {function(string, {addedLines: Object}): Promise<{success: boolean, exitCode: number, stdout: string, stderr: string, results?: Object, coverage?: Object}>} runTests
+ *   Called with the worktree directory and the lines the patch adds (see measureChanges())
+ * @returns {Promise<Object>} { applicable, files, diffSize, touchedExports, tests, error? }; tests is null when not run,
+ *   and tests.patchCoverage is null unless runTests collected coverage
+ */
+export async function evaluateCandidate(repoPath, patch, runTests) {
+  const worktree = await GitWorktree.create(repoPath);
+  try {
+    let plan;
+    try {
+      plan = planPatch(worktree.dir, patch);
+    } catch (err) {
+      return { applicable: false, files: [], diffSize: null, touchedExports: [], tests: null, error: err.message };
+    }
+
+    const { diffSize, touchedExports, addedLines } = measureChanges(worktree.dir, plan.changes);
+    if (!plan.applicable) {
+      return { applicable: false, files: plan.files, diffSize, touchedExports, tests: null };
+    }
+
+    worktree.applyPatch(patch);
+    const startTime = Date.now();
+    const result = await runTests(worktree.dir, { addedLines });
+    return {
+      applicable: true,
+      files: plan.files,
+      diffSize,
+      touchedExports,
+      tests: {
+        success: result.success,
+        exitCode: result.exitCode,
+        durationMs: Date.now() - startTime,
+        output: [result.stdout, result.stderr].filter(Boolean).join('\n').slice(-2000),
+        results: result.results ?? null,
+        patchCoverage: result.coverage?.patch ?? null,
+      },
+    };
+  } finally {
+    await worktree.remove();
+  }
+}
+
+/**
+ * Combine measured signals with the LLM's 0-10 score
+ * Candidates that do not apply score 0. Passing tests are worth 10 measured points, less
+ * up to 2 for diff size (1 per 100 changed lines) and up to 2 for touched exports (0.5 each).
+ * @param {Object} evaluation - Result of evaluateCandidate()
+ * @param {number|null} llmScore - LLM score, or null when the LLM gave none
+ * @returns {{score: number, measuredScore: number}}
+ */
+export function combineScores(evaluation, llmScore) {
+  if (!evaluation.applicable) {
+    return { score: 0, measuredScore: 0 };
+  }
+
+  const changedLines = evaluation.diffSize.additions + evaluation.diffSize.deletions;
+  const sizePenalty = Math.min(2, changedLines / 100);
+  const exportPenalty = Math.min(2, evaluation.touchedExports.length * 0.5);
+  const measuredScore = Math.max(0, (evaluation.tests.success ? 10 : 0) - sizePenalty - exportPenalty);
+
+  const score = typeof llmScore === 'number'
+    ? MEASURED_WEIGHT * measuredScore + (1 - MEASURED_WEIGHT) * Math.min(10, Math.max(0, llmScore))
+    : measuredScore;
+
+  return {
+    score: Math.round(score * 10) / 10,
+    measuredScore: Math.round(measuredScore * 10) / 10,
+  };
+}
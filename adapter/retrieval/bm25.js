@@ -0,0 +1,97 @@
+// Tokenization and BM25 scoring for the code index
+
+const K1 = 1.2;
+const B = 0.75;
+
+// Words too common in code or prose to help ranking
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'that', 'this', 'from', 'are', 'was', 'not', 'but', 'into',
+  'const', 'let', 'var', 'return', 'new', 'if', 'else', 'of', 'to', 'in', 'is', 'it', 'an',
+  'be', 'on', 'or', 'as', 'at', 'by', 'we', 'do', 'add', 'use',
+]);
+
+/**
+ * Split text into lowercase search terms
+ * Identifiers are kept whole and also split on camelCase and snake_case boundaries,
+ * so "getGitFileSummaries" matches queries for "git file summaries".
+ * @param {string} text - Source text or query
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  if (!text) return [];
+  const terms = [];
+  const words = text.match(/[A-Za-z_$][A-Za-z0-9_$]*|\d+/g) || [];
+
+  for (const word of words) {
+    const whole = word.toLowerCase();
+    const parts = word
+      .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+      .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+      .split(/[_$\s]+/)
+      .map(p => p.toLowerCase())
+      .filter(Boolean);
+
+    if (whole.length > 1 && !STOPWORDS.has(whole)) {
+      terms.push(whole);
+    }
+    if (parts.length > 1) {
+      for (const part of parts) {
+        if (part.length > 1 && !STOPWORDS.has(part)) {
+          terms.push(part);
+        }
+      }
+    }
+  }
+
+  return terms;
+}
+
+/**
+ * Count term frequencies
+ * @param {string[]} terms
+ * @returns {Object<string, number>}
+ */
+export function termFrequencies(terms) {
+  const counts = Object.create(null);
+  for (const term of terms) {
+    counts[term] = (counts[term] || 0) + 1;
+  }
+  return counts;
+}
+
+/**
+ * Score documents for a query with Okapi BM25
+ * @param {string[]} queryTerms - Tokenized query
+ * @param {Object} stats - Index statistics
+ * @param {Object<string, Object<string, number>>} stats.postings - term -> { docId: tf }
+ * @param {function(string): number} stats.docLength - Length (in terms) of a document
+ * @param {number} stats.docCount - Number of documents
+ * @param {number} stats.avgDocLength - Average document length
+ * @returns {Map<string, {score: number, matchedTerms: string[]}>}
+ */
+export function scoreBM25(queryTerms, { postings, docLength, docCount, avgDocLength }) {
+  const scores = new Map();
+  const uniqueTerms = [...new Set(queryTerms)];
+
+  for (const term of uniqueTerms) {
+    const posting = postings[term];
+    if (!posting) continue;
+
+    const docIds = Object.keys(posting);
+    const df = docIds.length;
+    const idf = Math.log(1 + (docCount - df + 0.5) / (df + 0.5));
+
+    for (const docId of docIds) {
+      const tf = posting[docId];
+      const norm = 1 - B + B * (docLength(docId) / (avgDocLength || 1));
+      const termScore = idf * ((tf * (K1 + 1)) / (tf + K1 * norm));
+
+      const entry = scores.get(docId) || { score: 0, matchedTerms: [] };
+      entry.score += termScore;
+      entry.matchedTerms.push(term);
+      scores.set(docId, entry);
+    }
+  }
+
+  return scores;
+}
@@ -0,0 +1,161 @@
+// Split source files into chunks for indexing
+// JavaScript and TypeScript files are split into whole symbols (functions, classes, methods,
+// exported constants); other files, and code between symbols, into overlapping line windows.
+
+import { extractSymbols } from './symbols.js';
+
+const CHUNK_LINES = 40;
+const CHUNK_OVERLAP = 10;
+
+// Longer symbols are split: classes into their methods, anything else into line windows
+const MAX_SYMBOL_LINES = 120;
+
+// Neighbouring short symbols (e.g. a run of constants) share a chunk up to this size
+const SMALL_GROUP_LINES = 15;
+
+/**
+ * Split file content into chunks of whole lines
+ * Window boundaries are nudged back to the nearest blank line so that
+ * chunks tend to start at a declaration rather than mid-statement.
+ * @param {string} content - File content
+ * @returns {Array<{startLine: number, endLine: number, text: string}>} - 1-based inclusive line ranges
+ */
+export function chunkContent(content) {
+  const lines = content.split('\n');
+  if (lines.length > 0 && lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+  if (lines.length === 0) {
+    return [];
+  }
+
+  const chunks = [];
+  let start = 0;
+
+  while (start < lines.length) {
+    let end = Math.min(start + CHUNK_LINES, lines.length);
+
+    if (end < lines.length) {
+      // Prefer to break on a blank line within the last quarter of the window
+      for (let i = end; i > start + Math.floor(CHUNK_LINES * 0.75); i--) {
+        if (lines[i - 1].trim() === '') {
+          end = i;
+          break;
+        }
+      }
+    }
+
+    chunks.push({
+      startLine: start + 1,
+      endLine: end,
+      text: lines.slice(start, end).join('\n'),
+    });
+
+    if (end >= lines.length) break;
+    start = Math.max(end - CHUNK_OVERLAP, start + 1);
+  }
+
+  return chunks;
+}
+
+// Summary of a symbol stored with the chunks that contain it
+function describe({ name, kind, signature, line }) {
+  return { name, kind, signature, line };
+}
+
+/**
+ * Line ranges to index as units, one per symbol (or method of a long class)
+ */
+function symbolUnits(symbols) {
+  const units = [];
+  for (const symbol of symbols) {
+    const length = symbol.endLine - symbol.startLine + 1;
+    const members = symbol.members || [];
+
+    if (length > MAX_SYMBOL_LINES && members.length > 0) {
+      // Class header (and fields) up to the first method, then each method on its own
+      const firstMember = members[0].startLine;
+      if (firstMember > symbol.startLine) {
+        units.push({ startLine: symbol.startLine, endLine: firstMember - 1, symbols: [describe(symbol)] });
+      }
+      for (const member of members) {
+        units.push({ startLine: member.startLine, endLine: member.endLine, symbols: [describe(symbol), describe(member)] });
+      }
+    } else {
+      units.push({ startLine: symbol.startLine, endLine: symbol.endLine, symbols: [symbol, ...members].map(describe) });
+    }
+  }
+  return units;
+}
+
+/**
+ * Split a file into chunks, following symbol boundaries where the language is supported
+ * Lines outside any symbol (imports, top-level statements) are chunked in line windows.
+ * @param {string} content - File content
+ * @param {string} filePath - Path used to detect the language
+ * @returns {Array<{startLine: number, endLine: number, text: string, symbols?: Array<{name: string, kind: string, signature: string, line: number}>}>}
+ *   1-based inclusive line ranges; symbols lists the definitions a chunk contains
+ */
+export function chunkFile(content, filePath) {
+  const symbols = extractSymbols(content, filePath);
+  if (!symbols || symbols.length === 0) {
+    return chunkContent(content);
+  }
+
+  const lines = content.split('\n');
+  const chunks = [];
+  let nextLine = 1;
+
+  // Line windows over a range, with line numbers relative to the file
+  const addWindows = (startLine, endLine, extra = {}) => {
+    const text = lines.slice(startLine - 1, endLine).join('\n');
+    for (const chunk of chunkContent(text)) {
+      chunks.push({
+        ...chunk,
+        startLine: chunk.startLine + startLine - 1,
+        endLine: chunk.endLine + startLine - 1,
+        ...extra,
+      });
+    }
+  };
+
+  for (const unit of symbolUnits(symbols)) {
+    if (unit.startLine < nextLine) continue; // Overlaps a unit already taken
+
+    const gap = lines.slice(nextLine - 1, unit.startLine - 1);
+    const previous = chunks[chunks.length - 1];
+    if (previous?.symbols && previous.endLine === nextLine - 1 && gap.every(line => line.trim() === '') &&
+      unit.endLine - previous.startLine + 1 <= SMALL_GROUP_LINES) {
+      previous.endLine = unit.endLine;
+      previous.text = lines.slice(previous.startLine - 1, unit.endLine).join('\n');
+      previous.symbols = [
+        ...previous.symbols,
+        ...unit.symbols.filter(symbol => !previous.symbols.some(other => other.name === symbol.name)),
+      ];
+      nextLine = unit.endLine + 1;
+      continue;
+    }
+
+    if (unit.startLine > nextLine) {
+      addWindows(nextLine, unit.startLine - 1);
+    }
+
+    if (unit.endLine - unit.startLine + 1 > MAX_SYMBOL_LINES) {
+      addWindows(unit.startLine, unit.endLine, { symbols: unit.symbols });
+    } else {
+      chunks.push({
+        startLine: unit.startLine,
+        endLine: unit.endLine,
+        text: lines.slice(unit.startLine - 1, unit.endLine).join('\n'),
+        symbols: unit.symbols,
+      });
+    }
+    nextLine = unit.endLine + 1;
+  }
+
+  if (nextLine <= lines.length) {
+    addWindows(nextLine, lines.length);
+  }
+
+  return chunks;
+}
@@ -0,0 +1,496 @@
+// Persistent BM25 inverted index over a repository's git-tracked files
+// One JSON index file per repository lives under the adapter data directory.
+// Each file is recorded with a signature (git blob hash, or mtime and size for
+// untracked and locally modified files) so refreshes only re-chunk what changed.
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { exec } from 'child_process';
+import { promisify } from 'util';
+import { tokenize, termFrequencies, scoreBM25 } from './bm25.js';
+import { chunkFile } from './chunker.js';
+import { hasSymbolSupport } from './symbols.js';
+import { extractImports, resolveImport } from './importGraph.js';
+
+const execAsync = promisify(exec);
+
+const INDEX_VERSION = 4;
+const MAX_FILE_SIZE = 512 * 1024; // Skip generated bundles and data dumps
+const GIT_MAX_BUFFER = 64 * 1024 * 1024; // ls-files output for very large repos
+const DEFAULT_REFRESH_INTERVAL = 30000; // Max staleness when no watcher is running
+const WATCH_DEBOUNCE = 500;
+const WATCH_IGNORED = /(^|[\\/])(\.git|node_modules)([\\/]|$)/;
+
+export const INDEXED_EXTENSIONS = [
+  '.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.py', '.java', '.go', '.rs',
+  '.cpp', '.c', '.h', '.hpp', '.cs', '.rb', '.php', '.kt', '.swift',
+  '.md', '.txt', '.rst',
+];
+
+/**
+ * Resolve the top-level directory of the git repository containing startPath
+ * @param {string} startPath - Any path inside the repository
+ * @returns {Promise<string|null>} - Absolute repo root, or null if not in a git repo
+ */
+export async function resolveRepoRoot(startPath) {
+  let dir = path.resolve(startPath);
+  while (dir && !fs.existsSync(dir)) {
+    dir = path.dirname(dir);
+  }
+  try {
+    const { stdout } = await execAsync('git rev-parse --show-toplevel', { cwd: dir });
+    return path.resolve(stdout.trim());
+  } catch (error) {
+    return null;
+  }
+}
+
+function emptyIndexData(repoRoot) {
+  return {
+    version: INDEX_VERSION,
+    repoRoot,
+    refreshedAt: null,
+    nextChunkId: 0,
+    totalLength: 0,
+    // Null-prototype maps: terms like "constructor" must not hit Object.prototype
+    files: Object.create(null),
+    chunks: Object.create(null),
+    postings: Object.create(null),
+  };
+}
+
+export class CodeIndex {
+  /**
+   * @param {string} repoRoot - Absolute repository root
+   * @param {string} indexDir - Directory where index files are stored
+   */
+  constructor(repoRoot, indexDir) {
+    this.repoRoot = repoRoot;
+    this.indexPath = path.join(
+      indexDir,
+      `${crypto.createHash('sha1').update(repoRoot).digest('hex').slice(0, 16)}.json`
+    );
+    this.data = emptyIndexData(repoRoot);
+    this.loaded = false;
+    this.pending = null;
+    this.lastRefresh = 0;
+    this.refreshInterval = DEFAULT_REFRESH_INTERVAL;
+    this.dirty = false;
+    this.watcher = null;
+    this.watchTimer = null;
+  }
+
+  load() {
+    try {
+      if (!fs.existsSync(this.indexPath)) {
+        return false;
+      }
+      const parsed = JSON.parse(fs.readFileSync(this.indexPath, 'utf-8'));
+      if (parsed.version !== INDEX_VERSION || parsed.repoRoot !== this.repoRoot) {
+        return false;
+      }
+      for (const key of ['files', 'chunks', 'postings']) {
+        parsed[key] = Object.assign(Object.create(null), parsed[key]);
+      }
+      this.data = parsed;
+      return true;
+    } catch (error) {
+      console.error('Failed to load code index, rebuilding:', error.message);
+      return false;
+    }
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.indexPath), { recursive: true });
+    const tempPath = `${this.indexPath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.data));
+    fs.renameSync(tempPath, this.indexPath);
+  }
+
+  isIndexable(relativePath) {
+    return INDEXED_EXTENSIONS.includes(path.extname(relativePath).toLowerCase());
+  }
+
+  async git(args) {
+    const { stdout } = await execAsync(`git ${args}`, {
+      cwd: this.repoRoot,
+      maxBuffer: GIT_MAX_BUFFER,
+    });
+    return stdout.split('\0').filter(Boolean);
+  }
+
+  /**
+   * Take a signature snapshot of every indexable file
+   * Clean tracked files are identified by their blob hash; files that differ from
+   * the index (or are untracked) fall back to mtime and size.
+   * @returns {Promise<Map<string, string>>} - relative path -> signature
+   */
+  async snapshot() {
+    const snapshot = new Map();
+
+    for (const entry of await this.git('ls-files -s -z')) {
+      // "<mode> <blob> <stage>\t<path>"
+      const [meta, file] = entry.split('\t');
+      if (file && this.isIndexable(file)) {
+        snapshot.set(file, `blob:${meta.split(' ')[1]}`);
+      }
+    }
+
+    const dirty = await this.git('ls-files -m -o --exclude-standard -z');
+    for (const file of dirty) {
+      if (!this.isIndexable(file)) continue;
+      try {
+        const stats = fs.statSync(path.join(this.repoRoot, file));
+        snapshot.set(file, `stat:${stats.mtimeMs}:${stats.size}`);
+      } catch (error) {
+        snapshot.delete(file); // Deleted in the working tree
+      }
+    }
+
+    return snapshot;
+  }
+
+  readIndexable(relativePath) {
+    const absolutePath = path.join(this.repoRoot, relativePath);
+    try {
+      const stats = fs.statSync(absolutePath);
+      if (!stats.isFile() || stats.size > MAX_FILE_SIZE) {
+        return null;
+      }
+      const content = fs.readFileSync(absolutePath, 'utf-8');
+      return content.includes('\0') ? null : content;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  addFile(relativePath, content, signature = null) {
+    const chunkIds = [];
+
+    for (const chunk of chunkFile(content, relativePath)) {
+      const terms = tokenize(chunk.text);
+      if (terms.length === 0) continue;
+
+      const id = String(this.data.nextChunkId++);
+      const frequencies = termFrequencies(terms);
+      for (const [term, tf] of Object.entries(frequencies)) {
+        if (!this.data.postings[term]) {
+          this.data.postings[term] = Object.create(null);
+        }
+        this.data.postings[term][id] = tf;
+      }
+
+      this.data.chunks[id] = {
+        file: relativePath,
+        startLine: chunk.startLine,
+        endLine: chunk.endLine,
+        length: terms.length,
+        terms: Object.keys(frequencies),
+        ...(chunk.symbols && { symbols: chunk.symbols }),
+      };
+      this.data.totalLength += terms.length;
+      chunkIds.push(id);
+    }
+
+    this.data.files[relativePath] = {
+      signature,
+      chunkIds,
+      // Relative specifiers as written; resolved on lookup so they follow files being added and removed
+      ...(hasSymbolSupport(relativePath) && { imports: extractImports(content, relativePath) }),
+    };
+  }
+
+  removeFile(relativePath) {
+    const entry = this.data.files[relativePath];
+    if (!entry) return;
+
+    for (const id of entry.chunkIds) {
+      const chunk = this.data.chunks[id];
+      if (!chunk) continue;
+      for (const term of chunk.terms) {
+        const posting = this.data.postings[term];
+        if (!posting) continue;
+        delete posting[id];
+        if (Object.keys(posting).length === 0) {
+          delete this.data.postings[term];
+        }
+      }
+      this.data.totalLength -= chunk.length;
+      delete this.data.chunks[id];
+    }
+
+    delete this.data.files[relativePath];
+  }
+
+  /**
+   * Bring the index in line with the working tree, re-chunking only changed files
+   * @param {Object} options
+   * @param {boolean} options.full - Discard the index and rebuild from scratch
+   * @returns {Promise<{added: number, updated: number, removed: number, unchanged: number}>}
+   */
+  async refresh({ full = false } = {}) {
+    if (full) {
+      this.data = emptyIndexData(this.repoRoot);
+    }
+
+    const snapshot = await this.snapshot();
+    const summary = { added: 0, updated: 0, removed: 0, unchanged: 0 };
+
+    for (const file of Object.keys(this.data.files)) {
+      if (!snapshot.has(file)) {
+        this.removeFile(file);
+        summary.removed++;
+      }
+    }
+
+    for (const [file, signature] of snapshot) {
+      const existing = this.data.files[file];
+      if (existing && existing.signature === signature) {
+        summary.unchanged++;
+        continue;
+      }
+
+      if (existing) {
+        this.removeFile(file);
+      }
+      const content = this.readIndexable(file);
+      // Unreadable or oversized files are still recorded so they are not retried every refresh
+      this.addFile(file, content === null ? '' : content, signature);
+      summary[existing ? 'updated' : 'added']++;
+    }
+
+    this.data.refreshedAt = new Date().toISOString();
+    this.lastRefresh = Date.now();
+    if (full || summary.added || summary.updated || summary.removed) {
+      this.save();
+    }
+
+    return summary;
+  }
+
+  /**
+   * Run a refresh, sharing a single in-flight run between concurrent callers
+   * @param {Object} options - See refresh()
+   * @returns {Promise<Object>} - Refresh summary
+   */
+  refreshShared(options = {}) {
+    if (this.pending && !options.full) {
+      return this.pending;
+    }
+
+    // A full rebuild waits for any incremental run instead of joining it
+    const previous = this.pending ? this.pending.catch(() => {}) : Promise.resolve();
+    const run = previous.then(() => this.refresh(options)).finally(() => {
+      if (this.pending === run) {
+        this.pending = null;
+      }
+    });
+    this.pending = run;
+    return run;
+  }
+
+  /**
+   * Load the persisted index and refresh it if it may be stale
+   * With a watcher running, file events keep the index current; otherwise the
+   * working tree is re-checked at most once per refresh interval.
+   * @returns {Promise<CodeIndex>}
+   */
+  async ensureFresh() {
+    if (!this.loaded) {
+      this.load();
+      this.loaded = true;
+    }
+
+    const stale = !this.lastRefresh || this.dirty ||
+      (!this.watcher && Date.now() - this.lastRefresh > this.refreshInterval);
+    if (stale || this.pending) {
+      this.dirty = false;
+      await this.refreshShared();
+    }
+
+    return this;
+  }
+
+  /**
+   * Watch the working tree and refresh shortly after files change
+   * @returns {boolean} - False if recursive watching is unsupported here
+   */
+  watch() {
+    if (this.watcher) {
+      return true;
+    }
+
+    try {
+      this.watcher = fs.watch(this.repoRoot, { recursive: true }, (eventType, filename) => {
+        if (!filename || WATCH_IGNORED.test(filename) || !this.isIndexable(filename)) {
+          return;
+        }
+        this.dirty = true;
+        clearTimeout(this.watchTimer);
+        this.watchTimer = setTimeout(() => {
+          this.dirty = false;
+          this.refreshShared().catch(error => {
+            console.error('Background index refresh failed:', error.message);
+          });
+        }, WATCH_DEBOUNCE);
+      });
+      this.watcher.on('error', (error) => {
+        console.error('Index watcher stopped:', error.message);
+        this.unwatch();
+      });
+      return true;
+    } catch (error) {
+      console.error('Failed to watch repository for index updates:', error.message);
+      this.watcher = null;
+      return false;
+    }
+  }
+
+  unwatch() {
+    clearTimeout(this.watchTimer);
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+
+  /**
+   * Rank indexed chunks against a query
+   * @param {string} query - Free-text query
+   * @param {Object} options
+   * @param {number} options.limit - Maximum results (default: 10)
+   * @returns {Array<{file: string, startLine: number, endLine: number, score: number, matchedTerms: string[], symbols: Object[], content: string}>}
+   *   symbols lists the definitions in the chunk ({ name, kind, signature, line }), empty for non-JS/TS files
+   */
+  search(query, { limit = 10 } = {}) {
+    const queryTerms = tokenize(query);
+    const docCount = Object.keys(this.data.chunks).length;
+    if (queryTerms.length === 0 || docCount === 0) {
+      return [];
+    }
+
+    const scores = scoreBM25(queryTerms, {
+      postings: this.data.postings,
+      docLength: id => this.data.chunks[id].length,
+      docCount,
+      avgDocLength: this.data.totalLength / docCount,
+    });
+
+    const ranked = [...scores.entries()]
+      .sort((a, b) => b[1].score - a[1].score)
+      .slice(0, limit);
+
+    const fileCache = new Map();
+    return ranked.map(([id, { score, matchedTerms }]) => {
+      const chunk = this.data.chunks[id];
+      if (!fileCache.has(chunk.file)) {
+        fileCache.set(chunk.file, (this.readIndexable(chunk.file) || '').split('\n'));
+      }
+      const lines = fileCache.get(chunk.file);
+
+      return {
+        file: chunk.file,
+        startLine: chunk.startLine,
+        endLine: chunk.endLine,
+        score: Math.round(score * 1000) / 1000,
+        matchedTerms,
+        symbols: chunk.symbols || [],
+        content: lines.slice(chunk.startLine - 1, chunk.endLine).join('\n'),
+      };
+    });
+  }
+
+  /**
+   * Files a file imports and files that import it, resolved among the indexed files
+   * @param {string} relativePath - Repository-relative path with "/" separators
+   * @returns {{imports: string[], importedBy: string[]}} Repository-relative paths; empty for unindexed or non-JS/TS files
+   */
+  getImportGraph(relativePath) {
+    const hasFile = file => Object.hasOwn(this.data.files, file);
+    const resolveAll = file => (this.data.files[file]?.imports || [])
+      .map(specifier => resolveImport(file, specifier, hasFile))
+      .filter(Boolean);
+
+    const imports = [...new Set(resolveAll(relativePath))].filter(file => file !== relativePath);
+    const importedBy = Object.keys(this.data.files)
+      .filter(file => file !== relativePath && resolveAll(file).includes(relativePath))
+      .sort();
+
+    return { imports, importedBy };
+  }
+
+  /**
+   * Files that import any of the given files, directly or through other indexed files
+   * @param {string[]} relativePaths - Files relative to the repository root
+   * @returns {string[]} Sorted; the given files themselves are left out
+   */
+  getDependents(relativePaths) {
+    const hasFile = file => Object.hasOwn(this.data.files, file);
+    const importers = new Map();
+    for (const [file, entry] of Object.entries(this.data.files)) {
+      for (const specifier of entry.imports || []) {
+        const target = resolveImport(file, specifier, hasFile);
+        if (target && target !== file) {
+          importers.set(target, [...(importers.get(target) || []), file]);
+        }
+      }
+    }
+
+    const seen = new Set(relativePaths);
+    const queue = [...relativePaths];
+    while (queue.length > 0) {
+      for (const importer of importers.get(queue.shift()) || []) {
+        if (!seen.has(importer)) {
+          seen.add(importer);
+          queue.push(importer);
+        }
+      }
+    }
+    relativePaths.forEach(file => seen.delete(file));
+    return [...seen].sort();
+  }
+
+  stats() {
+    return {
+      repoRoot: this.repoRoot,
+      files: Object.keys(this.data.files).length,
+      chunks: Object.keys(this.data.chunks).length,
+      terms: Object.keys(this.data.postings).length,
+      refreshedAt: this.data.refreshedAt,
+      watching: !!this.watcher,
+    };
+  }
+}
+
+const indexes = new Map();
+
+/**
+ * Get the (fresh) code index for the repository containing repoPath
+ * @param {string} repoPath - Any path inside the repository
+ * @param {string} indexDir - Directory where index files are stored
+ * @param {Object} options
+ * @param {boolean} options.watch - Start a file watcher for this repository
+ * @param {number} options.refreshInterval - Max staleness in ms without a watcher
+ * @returns {Promise<CodeIndex|null>} - null if repoPath is not inside a git repository
+ */
+export async function getCodeIndex(repoPath, indexDir, { watch = false, refreshInterval } = {}) {
+  const repoRoot = await resolveRepoRoot(repoPath);
+  if (!repoRoot) {
+    return null;
+  }
+
+  let index = indexes.get(repoRoot);
+  if (!index) {
+    index = new CodeIndex(repoRoot, indexDir);
+    indexes.set(repoRoot, index);
+  }
+  if (refreshInterval !== undefined) {
+    index.refreshInterval = refreshInterval;
+  }
+  if (watch) {
+    index.watch();
+  }
+
+  return index.ensureFresh();
+}
@@ -0,0 +1,97 @@
+// Import graph of JavaScript and TypeScript files
+// Reads the relative module specifiers a file imports (ES imports and re-exports, require()
+// and dynamic import()) and resolves them to repository files the way Node and bundlers do.
+
+import path from 'path';
+import { parseSource } from './symbols.js';
+
+// Tried in order after the specifier itself, then as a directory index
+const RESOLVE_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts'];
+
+// TypeScript ESM code imports "./util.js" for a file that is really util.ts
+const TS_SOURCE_EXTENSIONS = { '.js': ['.ts', '.tsx'], '.jsx': ['.tsx'], '.mjs': ['.mts'], '.cjs': ['.cts'] };
+
+const isRelative = specifier => specifier.startsWith('./') || specifier.startsWith('../');
+
+function stringArgument(node) {
+  const [argument] = node.arguments;
+  if (argument?.type === 'StringLiteral') {
+    return argument.value;
+  }
+  if (argument?.type === 'TemplateLiteral' && argument.expressions.length === 0) {
+    return argument.quasis[0].value.cooked;
+  }
+  return null;
+}
+
+/**
+ * Relative module specifiers a file imports, in order of appearance
+ * Package imports ("react", "node:fs") are left out; they are not files in the repository.
+ * @param {string} content - File content
+ * @param {string} filePath - Used to pick the parser plugins
+ * @returns {string[]} e.g. ["./utils/math.js", "../config"]; empty if the file cannot be parsed
+ */
+export function extractImports(content, filePath) {
+  const ast = parseSource(content, filePath);
+  if (!ast) {
+    return [];
+  }
+
+  const specifiers = new Set();
+  const visit = (node) => {
+    if (Array.isArray(node)) {
+      node.forEach(visit);
+      return;
+    }
+    if (!node || typeof node.type !== 'string') {
+      return;
+    }
+
+    if (['ImportDeclaration', 'ExportNamedDeclaration', 'ExportAllDeclaration'].includes(node.type) && node.source) {
+      specifiers.add(node.source.value);
+    } else if (node.type === 'CallExpression' &&
+      ((node.callee.type === 'Identifier' && node.callee.name === 'require') || node.callee.type === 'Import')) {
+      const specifier = stringArgument(node);
+      if (specifier !== null) {
+        specifiers.add(specifier);
+      }
+    } else if (node.type === 'ImportExpression' && node.source.type === 'StringLiteral') {
+      specifiers.add(node.source.value);
+    }
+
+    for (const key of Object.keys(node)) {
+      if (!['loc', 'leadingComments', 'trailingComments', 'innerComments', 'extra'].includes(key)) {
+        const child = node[key];
+        if (child && typeof child === 'object') {
+          visit(child);
+        }
+      }
+    }
+  };
+  visit(ast.program);
+
+  return [...specifiers].filter(isRelative);
+}
+
+/**
+ * Resolve a relative specifier to a repository file
+ * @param {string} fromFile - Importing file, repository-relative with "/" separators
+ * @param {string} specifier - Relative specifier, e.g. "./math" or "../lib/index.js"
+ * @param {function(string): boolean} hasFile - Whether a repository-relative path exists
+ * @returns {string|null} Repository-relative path, or null if no file matches
+ */
+export function resolveImport(fromFile, specifier, hasFile) {
+  const base = path.posix.normalize(path.posix.join(path.posix.dirname(fromFile), specifier.split(/[?#]/)[0]));
+  if (base.startsWith('../')) {
+    return null; // Outside the repository
+  }
+
+  const extension = path.posix.extname(base);
+  const candidates = [
+    base,
+    ...(TS_SOURCE_EXTENSIONS[extension] || []).map(tsExtension => base.slice(0, -extension.length) + tsExtension),
+    ...RESOLVE_EXTENSIONS.map(candidate => base + candidate),
+    ...RESOLVE_EXTENSIONS.map(candidate => `${base}/index${candidate}`),
+  ];
+  return candidates.find(hasFile) || null;
+}
@@ -0,0 +1,218 @@
+// Symbol extraction for JavaScript and TypeScript sources
+// Parses a file and lists its top-level functions, classes (with their methods), exported
+// constants and TypeScript types, each with its line range and declaration signature.
+
+import path from 'path';
+import { parse } from '@babel/parser';
+
+const PARSER_PLUGINS = {
+  '.js': ['jsx'],
+  '.jsx': ['jsx'],
+  '.mjs': [],
+  '.cjs': [],
+  '.ts': ['typescript'],
+  '.mts': ['typescript'],
+  '.cts': ['typescript'],
+  '.tsx': ['typescript', 'jsx'],
+};
+
+const MAX_SIGNATURE_LENGTH = 160;
+
+/**
+ * Whether symbols can be extracted from a file
+ * @param {string} filePath
+ * @returns {boolean}
+ */
+export function hasSymbolSupport(filePath) {
+  return Object.hasOwn(PARSER_PLUGINS, path.extname(filePath).toLowerCase());
+}
+
+/**
+ * Parse a JavaScript or TypeScript file, tolerating recoverable syntax errors
+ * @param {string} content - File content
+ * @param {string} filePath - Used to pick the parser plugins
+ * @returns {Object|null} Babel AST, or null if the file is unsupported or cannot be parsed
+ */
+export function parseSource(content, filePath) {
+  if (!hasSymbolSupport(filePath)) {
+    return null;
+  }
+
+  try {
+    return parse(content, {
+      sourceType: 'unambiguous',
+      plugins: PARSER_PLUGINS[path.extname(filePath).toLowerCase()],
+      errorRecovery: true,
+      allowReturnOutsideFunction: true,
+      allowImportExportEverywhere: true,
+    });
+  } catch (error) {
+    return null;
+  }
+}
+
+// Declaration text up to its body, on one line
+function signatureOf(source, start, end) {
+  const text = source.slice(start, end).replace(/\s+/g, ' ').trim();
+  return text.length > MAX_SIGNATURE_LENGTH ? `${text.slice(0, MAX_SIGNATURE_LENGTH - 3)}...` : text;
+}
+
+// First line of a statement, for constants whose value has no body to stop at
+function firstLineOf(source, node) {
+  return signatureOf(source, node.start, source.indexOf('\n', node.start) === -1 ? node.end : source.indexOf('\n', node.start));
+}
+
+const isFunction = node => ['ArrowFunctionExpression', 'FunctionExpression'].includes(node?.type);
+
+const isModuleExports = node => node?.type === 'MemberExpression' &&
+  node.object.name === 'module' && node.property.name === 'exports';
+
+// Start line including the doc comment directly above a statement
+function startWithComments(statement) {
+  let line = statement.loc.start.line;
+  const comments = statement.leadingComments || [];
+  for (let i = comments.length - 1; i >= 0 && comments[i].loc.end.line >= line - 1; i--) {
+    line = comments[i].loc.start.line;
+  }
+  return line;
+}
+
+function symbol(name, kind, signature, node, statement) {
+  return {
+    name,
+    kind,
+    signature,
+    line: node.loc.start.line,
+    startLine: startWithComments(statement),
+    endLine: statement.loc.end.line,
+    exported: ['ExportNamedDeclaration', 'ExportDefaultDeclaration'].includes(statement.type),
+  };
+}
+
+function methodsOf(source, className, classNode) {
+  return classNode.body.body
+    .filter(member => ['ClassMethod', 'ClassPrivateMethod', 'TSDeclareMethod'].includes(member.type) ||
+      (member.type === 'ClassProperty' && isFunction(member.value)))
+    .map((member) => {
+      const key = member.key.type === 'PrivateName' ? `#${member.key.id.name}` : (member.key.name ?? member.key.value);
+      const bodyStart = member.body?.start ?? member.value?.body?.start ?? member.end;
+      return {
+        ...symbol(`${className}.${key}`, 'method', signatureOf(source, member.start, bodyStart), member, member),
+        exported: false,
+      };
+    });
+}
+
+/**
+ * Symbols declared by one top-level statement
+ */
+function symbolsOf(source, statement) {
+  const isExport = ['ExportNamedDeclaration', 'ExportDefaultDeclaration'].includes(statement.type);
+  const node = isExport ? statement.declaration : statement;
+  if (!node) {
+    return [];
+  }
+
+  switch (node.type) {
+    case 'FunctionDeclaration':
+    case 'TSDeclareFunction': {
+      const name = node.id?.name || 'default';
+      return [symbol(name, 'function', signatureOf(source, node.start, node.body?.start ?? node.end), node, statement)];
+    }
+
+    case 'ClassDeclaration':
+    case 'ClassExpression': {
+      const name = node.id?.name || 'default';
+      const classSymbol = symbol(name, 'class', signatureOf(source, node.start, node.body.start), node, statement);
+      return [{ ...classSymbol, members: methodsOf(source, name, node) }];
+    }
+
+    case 'VariableDeclaration':
+      return node.declarations
+        .filter(declarator => declarator.id.type === 'Identifier' && (isFunction(declarator.init) || isExport))
+        .map((declarator) => {
+          const name = declarator.id.name;
+          if (isFunction(declarator.init)) {
+            const signature = node.declarations.length === 1
+              ? signatureOf(source, node.start, declarator.init.body.start)
+              : `${node.kind} ${signatureOf(source, declarator.start, declarator.init.body.start)}`;
+            return symbol(name, 'function', signature, declarator, statement);
+          }
+          return symbol(name, 'constant', firstLineOf(source, node.declarations.length === 1 ? node : declarator), declarator, statement);
+        });
+
+    case 'TSInterfaceDeclaration':
+      return [symbol(node.id.name, 'interface', signatureOf(source, node.start, node.body.start), node, statement)];
+
+    case 'TSTypeAliasDeclaration':
+      return [symbol(node.id.name, 'type', firstLineOf(source, node), node, statement)];
+
+    case 'TSEnumDeclaration':
+      return [symbol(node.id.name, 'enum', firstLineOf(source, node), node, statement)];
+
+    case 'ExpressionStatement': {
+      // CommonJS: exports.name = function () {} and module.exports.name = () => {}
+      const { left, right } = node.expression.type === 'AssignmentExpression' ? node.expression : {};
+      const target = left?.type === 'MemberExpression' && !left.computed ? left : null;
+      const isExportsObject = target &&
+        ((target.object.type === 'Identifier' && target.object.name === 'exports') || isModuleExports(target.object));
+      if (!isExportsObject || !isFunction(right)) {
+        return [];
+      }
+      return [{
+        ...symbol(target.property.name, 'function', signatureOf(source, node.start, right.body.start), node, statement),
+        exported: true,
+      }];
+    }
+
+    default:
+      return [];
+  }
+}
+
+/**
+ * Names of local declarations exported by a list rather than at the declaration:
+ * export { a, b as c }, export default name, module.exports = { a, b: c } and module.exports = name
+ */
+function exportListNames(program) {
+  const names = new Set();
+  for (const statement of program.body) {
+    if (statement.type === 'ExportNamedDeclaration' && !statement.declaration && !statement.source) {
+      statement.specifiers.forEach(specifier => names.add(specifier.local.name));
+    } else if (statement.type === 'ExportDefaultDeclaration' && statement.declaration.type === 'Identifier') {
+      names.add(statement.declaration.name);
+    } else if (statement.type === 'ExpressionStatement' && statement.expression.type === 'AssignmentExpression' &&
+      isModuleExports(statement.expression.left)) {
+      const value = statement.expression.right;
+      if (value.type === 'Identifier') {
+        names.add(value.name);
+      } else if (value.type === 'ObjectExpression') {
+        value.properties
+          .filter(property => property.type === 'ObjectProperty' && property.value.type === 'Identifier')
+          .forEach(property => names.add(property.value.name));
+      }
+    }
+  }
+  return names;
+}
+
+/**
+ * List the symbols a JavaScript or TypeScript file defines
+ * Classes carry their methods in members, named "Class.method".
+ * @param {string} content - File content
+ * @param {string} filePath - Used to pick the parser plugins (.js, .jsx, .ts, .tsx, ...)
+ * @param {Object|null} [ast] - The file already parsed with parseSource(), to avoid parsing it twice
+ * @returns {Array<{name: string, kind: string, signature: string, line: number, startLine: number, endLine: number, exported: boolean, members?: Object[]}>|null}
+ *   kind is 'function', 'class', 'method', 'constant', 'interface', 'type' or 'enum'; line is where the
+ *   declaration starts and startLine includes its doc comment. null if the file cannot be parsed.
+ */
+export function extractSymbols(content, filePath, ast = parseSource(content, filePath)) {
+  if (!ast) {
+    return null;
+  }
+
+  const exportedNames = exportListNames(ast.program);
+  return ast.program.body
+    .flatMap(statement => symbolsOf(content, statement))
+    .map(symbol => (exportedNames.has(symbol.name) ? { ...symbol, exported: true } : symbol));
+}
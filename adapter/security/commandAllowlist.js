@@ -24,9 +24,35 @@ const ALLOWED_COMMANDS = {
     'run test',
   ],
   
-  // Yarn commands
+  // Yarn commands (the test script, or a test framework's binary)
   'yarn': [
     'test',
+    'jest',
+    'vitest run',
+    'mocha',
+    'c8 report', // Coverage written by Node during a test run
+  ],
+  
+  // pnpm commands
+  'pnpm': [
+    'test',
+    'exec jest',
+    'exec vitest run',
+    'exec mocha',
+    'exec c8 report',
+  ],
+  
+  // Test frameworks run from node_modules/.bin
+  'npx': [
+    'jest',
+    'vitest run',
+    'mocha',
+    'c8 report',
+  ],
+  
+  // Go tests
+  'go': [
+    'test',
   ],
   
   // Node commands (for running scripts)
@@ -160,7 +186,3 @@ export {
   ALLOWED_COMMANDS,
   DANGEROUS_PATTERNS,
 };
-
-hello what changes shall I make
-
-
@@ -0,0 +1,72 @@
+// Redaction of secrets from values before they are logged
+// Masks API keys and tokens by pattern, .env-style assignments, and fields whose names mark them as secret.
+
+export const REDACTED = '[REDACTED]';
+
+// Well-known credential formats, matched anywhere in a string
+const SECRET_PATTERNS = [
+  /\bsk-(?:ant-|proj-)?[A-Za-z0-9_-]{20,}/g, // OpenAI and Anthropic API keys
+  /\bgh[pousr]_[A-Za-z0-9]{30,}/g, // GitHub tokens
+  /\bgithub_pat_[A-Za-z0-9_]{30,}/g, // GitHub fine-grained tokens
+  /\bglpat-[A-Za-z0-9_-]{20,}/g, // GitLab personal access tokens
+  /\bxox[abprs]-[A-Za-z0-9-]{10,}/g, // Slack tokens
+  /\bAKIA[0-9A-Z]{16}\b/g, // AWS access key ids
+  /\bAIza[0-9A-Za-z_-]{35}\b/g, // Google API keys
+  /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]+/g, // JSON Web Tokens
+  /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g,
+];
+
+// "Bearer <token>" and "Basic <credentials>" in pasted headers
+const AUTH_HEADER_PATTERN = /\b(Bearer|Basic)\s+[A-Za-z0-9._~+/-]{8,}=*/gi;
+
+// KEY=value lines (no spaces around "=") as found in .env files and shell exports
+const ENV_ASSIGNMENT_PATTERN = /^(\s*(?:export\s+)?[A-Z][A-Z0-9_]*=)(?=\S)(.+)$/gm;
+
+// Object keys whose string values are always masked
+const SECRET_KEY_PATTERN = /(?:api[-_]?key|token|secret|password|passwd|authorization|credential|private[-_]?key)/i;
+
+/**
+ * Mask secrets in a string
+ * @param {string} text
+ * @returns {string}
+ */
+export function redactString(text) {
+  let result = text;
+  for (const pattern of SECRET_PATTERNS) {
+    result = result.replace(pattern, REDACTED);
+  }
+  result = result.replace(AUTH_HEADER_PATTERN, `$1 ${REDACTED}`);
+  result = result.replace(ENV_ASSIGNMENT_PATTERN, `$1${REDACTED}`);
+  return result;
+}
+
+/**
+ * Copy a value with secrets masked and long strings shortened
+ * @param {*} value - Any JSON-serializable value
+ * @param {Object} [options]
+ * @param {number} [options.maxStringLength] - Strings beyond this are cut, noting how much was omitted
+ * @returns {*}
+ */
+export function redact(value, { maxStringLength = Infinity } = {}) {
+  const visit = (current) => {
+    if (typeof current === 'string') {
+      const masked = redactString(current);
+      return masked.length > maxStringLength
+        ? `${masked.slice(0, maxStringLength)}[...${masked.length - maxStringLength} characters omitted]`
+        : masked;
+    }
+    if (Array.isArray(current)) {
+      return current.map(visit);
+    }
+    if (current && typeof current === 'object') {
+      const copy = {};
+      for (const [key, nested] of Object.entries(current)) {
+        copy[key] = SECRET_KEY_PATTERN.test(key) && typeof nested === 'string' ? REDACTED : visit(nested);
+      }
+      return copy;
+    }
+    return current;
+  };
+
+  return visit(value);
+}
@@ -22,6 +22,9 @@ export const SANDBOX_LIMITS = {
  * @param {number} options.timeout - Timeout in milliseconds (default: 60000)
  * @param {number} options.maxMemory - Max memory in bytes (default: 512MB)
  * @param {number} options.maxBuffer - Max output buffer in bytes (default: 10MB)
+ * @param {string[]} options.args - Extra arguments appended as they are (not split on whitespace);
+ *   the command itself is what the allowlist checks
+ * @param {Object} options.env - Extra environment variables for the process
  * @returns {Promise<{success: boolean, stdout: string, stderr: string, exitCode: number, error?: string}>}
  */
 export async function executeSandboxed(command, options = {}) {
@@ -30,6 +33,8 @@ export async function executeSandboxed(command, options = {}) {
     timeout = DEFAULT_TIMEOUT,
     maxMemory = DEFAULT_MAX_MEMORY,
     maxBuffer = DEFAULT_MAX_BUFFER,
+    args: extraArgs = [],
+    env = {},
   } = options;
 
   // Validate command against allowlist
@@ -43,13 +48,15 @@ export async function executeSandboxed(command, options = {}) {
   return new Promise((resolve, reject) => {
     // Parse command and arguments
     const parts = sanitizedCommand.split(/\s+/);
-    const [cmd, ...args] = parts;
+    const [cmd, ...commandArgs] = parts;
+    const args = [...commandArgs, ...extraArgs];
 
     // Spawn process with resource limits
     const childProcess = spawn(cmd, args, {
       cwd,
       env: {
         ...process.env,
+        ...env,
         // Limit memory for Node.js processes
         NODE_OPTIONS: process.env.NODE_OPTIONS 
           ? `${process.env.NODE_OPTIONS} --max-old-space-size=${Math.floor(maxMemory / 1024 / 1024)}`
@@ -0,0 +1,118 @@
+// Per-launch session token and origin allowlist for the adapter API
+// The adapter creates a random token each time it starts and writes it to a file only the current
+// user can read. Electron's main process and the MCP server read that file and send the token in
+// the x-devskin-token header; requests without it are rejected. A web page open in the user's
+// browser can neither read the file nor get past the CORS origin allowlist.
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+export const TOKEN_HEADER = 'x-devskin-token';
+export const TOKEN_FILE_NAME = 'adapter-token';
+
+/**
+ * Create a random session token
+ * @returns {string} 64 hex characters
+ */
+export function createSessionToken() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Write the token where local clients can find it, readable by the current user only
+ * @param {string} file - Token file path
+ * @param {string} token - Session token
+ */
+export function writeTokenFile(file, token) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${token}\n`, { mode: 0o600 });
+  // mode only applies when the file is created; tighten a file left by an earlier launch too
+  fs.chmodSync(file, 0o600);
+}
+
+/**
+ * Read a token written by writeTokenFile()
+ * @param {string} file - Token file path
+ * @returns {string|null} null when the file does not exist
+ */
+export function readTokenFile(file) {
+  try {
+    return fs.readFileSync(file, 'utf-8').trim() || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Compare a provided token with the expected one in constant time
+ * @param {string} provided
+ * @param {string} expected
+ * @returns {boolean}
+ */
+export function tokensMatch(provided, expected) {
+  // Hashing first gives equal lengths, so the comparison does not reveal the token's length either
+  const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(digest(provided), digest(expected));
+}
+
+/**
+ * Express middleware that rejects requests without the session token
+ * CORS preflight requests cannot carry the header and pass through to the cors middleware.
+ * @param {string} token - Session token
+ * @param {Object} [options]
+ * @param {string[]} [options.exempt] - Paths that need no token, e.g. a health check
+ * @returns {Function} Express middleware
+ */
+export function requireSessionToken(token, { exempt = [] } = {}) {
+  return (req, res, next) => {
+    if (req.method === 'OPTIONS' || exempt.includes(req.path)) {
+      return next();
+    }
+
+    const providedToken = req.get(TOKEN_HEADER);
+    if (!providedToken) {
+      return res.status(401).json({
+        error: 'Authentication required',
+        message: `Missing ${TOKEN_HEADER} header`,
+      });
+    }
+    if (!tokensMatch(providedToken, token)) {
+      return res.status(403).json({
+        error: 'Invalid session token',
+        message: 'The token does not match this adapter launch',
+      });
+    }
+    next();
+  };
+}
+
+/**
+ * Express middleware that rejects browser requests from origins outside the allowlist
+ * Requests without an Origin header (Electron's main process, the MCP server, curl) pass.
+ * @param {string[]} allowedOrigins - e.g. ['http://localhost:5173']
+ * @returns {Function} Express middleware
+ */
+export function rejectForeignOrigins(allowedOrigins) {
+  return (req, res, next) => {
+    const origin = req.get('origin');
+    if (origin && !allowedOrigins.includes(origin)) {
+      return res.status(403).json({ error: `Origin ${origin} is not allowed` });
+    }
+    next();
+  };
+}
+
+/**
+ * Options for the cors middleware: only allowlisted origins, and the token header
+ * @param {string[]} allowedOrigins
+ * @param {Object} [options]
+ * @param {string} [options.tokenHeader] - Header carrying the token (default x-devskin-token)
+ * @returns {Object}
+ */
+export function corsOptions(allowedOrigins, { tokenHeader = TOKEN_HEADER } = {}) {
+  return {
+    origin: allowedOrigins,
+    allowedHeaders: ['Content-Type', tokenHeader],
+  };
+}
@@ -0,0 +1,106 @@
+// Persisted multi-turn assistant sessions
+// One JSON file per session under the adapter data directory, holding the
+// instructions, answers and patches of earlier /assist and /review-patch turns.
+
+import fs from 'fs';
+import path from 'path';
+
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Oldest turns are discarded beyond this, they would be trimmed from prompts anyway
+const MAX_TURNS = 50;
+
+/**
+ * Check that a session id is safe to use as a file name
+ * @param {string} id
+ * @returns {boolean}
+ */
+export function isValidSessionId(id) {
+  return typeof id === 'string' && SESSION_ID_PATTERN.test(id);
+}
+
+/**
+ * Render a stored turn as the chat messages the LLM originally saw and produced
+ * @param {Object} turn - Stored turn
+ * @returns {Array<{role: string, content: string}>} A user message and an assistant message
+ */
+export function turnToMessages(turn) {
+  let assistant = turn.answer || '';
+  if (turn.patch) {
+    const patchText = typeof turn.patch.content === 'string'
+      ? turn.patch.content
+      : JSON.stringify(turn.patch.content, null, 2);
+    assistant += `\n---\nPATCH_START\n${patchText}\nPATCH_END`;
+  }
+
+  return [
+    { role: 'user', content: turn.instruction },
+    { role: 'assistant', content: assistant },
+  ];
+}
+
+export class SessionStore {
+  /**
+   * @param {string} sessionsDir - Directory holding one <id>.json file per session
+   */
+  constructor(sessionsDir) {
+    this.sessionsDir = sessionsDir;
+  }
+
+  sessionPath(id) {
+    if (!isValidSessionId(id)) {
+      throw new Error('Invalid sessionId: use 1-64 letters, digits, "-" or "_"');
+    }
+    return path.join(this.sessionsDir, `${id}.json`);
+  }
+
+  /**
+   * Load a session
+   * @param {string} id - Session id
+   * @returns {Object|null} { id, createdAt, updatedAt, turns } or null if it does not exist
+   */
+  get(id) {
+    const sessionPath = this.sessionPath(id);
+    if (!fs.existsSync(sessionPath)) {
+      return null;
+    }
+    return JSON.parse(fs.readFileSync(sessionPath, 'utf-8'));
+  }
+
+  /**
+   * Append a turn, creating the session on first use
+   * @param {string} id - Session id
+   * @param {Object} turn - { endpoint, instruction, answer, patch, ... }
+   * @returns {Object} The updated session
+   */
+  appendTurn(id, turn) {
+    const now = new Date().toISOString();
+    const session = this.get(id) || { id, createdAt: now, updatedAt: now, turns: [] };
+
+    session.turns.push({ ...turn, createdAt: now });
+    session.turns = session.turns.slice(-MAX_TURNS);
+    session.updatedAt = now;
+
+    fs.mkdirSync(this.sessionsDir, { recursive: true });
+    const sessionPath = this.sessionPath(id);
+    const tempPath = `${sessionPath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(session, null, 2));
+    fs.renameSync(tempPath, sessionPath);
+
+    return session;
+  }
+
+  /**
+   * Delete a session
+   * @param {string} id - Session id
+   * @returns {boolean} Whether a session was deleted
+   */
+  delete(id) {
+    const sessionPath = this.sessionPath(id);
+    if (!fs.existsSync(sessionPath)) {
+      return false;
+    }
+    fs.unlinkSync(sessionPath);
+    return true;
+  }
+}
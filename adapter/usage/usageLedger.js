@@ -0,0 +1,210 @@
+// Token usage and cost ledger for LLM calls
+// One JSON line per completion in usage-YYYY-MM-DD.jsonl (UTC days), with the endpoint and session
+// that made it. Summaries group the entries by day, endpoint, model and session; optional daily
+// budgets are checked against today's spend before a request goes out.
+
+import fs from 'fs';
+import path from 'path';
+import { getModelPrice, costOf } from '../llm/pricing.js';
+
+const USAGE_FILE_PATTERN = /^usage-(\d{4}-\d{2}-\d{2})\.jsonl$/;
+
+// Group key for calls made outside a session
+const NO_SESSION = 'none';
+
+function dateOf(timestamp) {
+  return timestamp.split('T')[0];
+}
+
+function emptyTotals() {
+  return { requests: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0, cost: 0, unpriced: 0 };
+}
+
+function addTo(totals, entry) {
+  totals.requests++;
+  totals.inputTokens += entry.inputTokens;
+  totals.outputTokens += entry.outputTokens;
+  totals.totalTokens += entry.totalTokens;
+  if (entry.cost === null) {
+    totals.unpriced++;
+  } else {
+    totals.cost += entry.cost;
+  }
+}
+
+// Sub-cent costs add up to float noise; report whole micro-dollars
+function roundCost(totals) {
+  return { ...totals, cost: Math.round(totals.cost * 1e6) / 1e6 };
+}
+
+export class UsageLedger {
+  /**
+   * @param {string} usageDir - Directory holding the usage files
+   * @param {Object} [options]
+   * @param {Array} [options.priceTable] - From loadPriceTable(); defaults to the built-in prices
+   * @param {number} [options.dailyBudget] - USD all requests together may spend per UTC day
+   * @param {number} [options.sessionDailyBudget] - USD a single session may spend per UTC day
+   */
+  constructor(usageDir, { priceTable, dailyBudget = null, sessionDailyBudget = null } = {}) {
+    this.usageDir = usageDir;
+    this.priceTable = priceTable;
+    this.dailyBudget = dailyBudget;
+    this.sessionDailyBudget = sessionDailyBudget;
+    this.today = null; // { date, cost, sessions: Map<sessionId, cost> }, loaded on first use each day
+    fs.mkdirSync(usageDir, { recursive: true });
+  }
+
+  /**
+   * Append a completion's usage
+   * @param {Object} call
+   * @param {string} call.endpoint - Endpoint that made the call, e.g. "/assist"
+   * @param {string} [call.sessionId]
+   * @param {string} call.provider
+   * @param {string} call.model - Model that answered
+   * @param {{inputTokens: number, outputTokens: number, totalTokens?: number}} call.usage
+   * @param {boolean} [call.estimated] - Token counts were estimated because the API reported none
+   * @param {Date} [call.now]
+   * @returns {Object} The stored entry, including its cost (null for models without a price)
+   */
+  record({ endpoint, sessionId, provider, model, usage, estimated = false, now = new Date() }) {
+    const inputTokens = usage.inputTokens || 0;
+    const outputTokens = usage.outputTokens || 0;
+    const entry = {
+      timestamp: now.toISOString(),
+      endpoint,
+      sessionId: sessionId || null,
+      provider,
+      model,
+      inputTokens,
+      outputTokens,
+      totalTokens: usage.totalTokens || inputTokens + outputTokens,
+      estimated,
+      cost: costOf({ inputTokens, outputTokens }, getModelPrice(model, this.priceTable)),
+    };
+
+    const date = dateOf(entry.timestamp);
+    const today = this.getDayTotals(date); // Loaded before the append, so the entry is counted once
+    fs.appendFileSync(path.join(this.usageDir, `usage-${date}.jsonl`), JSON.stringify(entry) + '\n');
+
+    if (entry.cost !== null) {
+      today.cost += entry.cost;
+      const key = entry.sessionId || NO_SESSION;
+      today.sessions.set(key, (today.sessions.get(key) || 0) + entry.cost);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Spend so far on a day, kept in memory once the day's file has been read
+   * @param {string} date - YYYY-MM-DD
+   * @returns {{date: string, cost: number, sessions: Map<string, number>}}
+   */
+  getDayTotals(date) {
+    if (this.today?.date !== date) {
+      const sessions = new Map();
+      let cost = 0;
+      for (const entry of this.readEntries({ from: date, to: date })) {
+        if (entry.cost !== null) {
+          cost += entry.cost;
+          const key = entry.sessionId || NO_SESSION;
+          sessions.set(key, (sessions.get(key) || 0) + entry.cost);
+        }
+      }
+      this.today = { date, cost, sessions };
+    }
+    return this.today;
+  }
+
+  /**
+   * Check today's spend against the configured budgets
+   * @param {string} [sessionId]
+   * @param {Date} [now]
+   * @returns {{scope: string, limit: number, spent: number, resetAt: string}|null} The exceeded budget
+   *   ("daily" or "session"), or null if the request may go ahead
+   */
+  checkBudget(sessionId, now = new Date()) {
+    if (this.dailyBudget === null && this.sessionDailyBudget === null) {
+      return null;
+    }
+
+    const today = this.getDayTotals(dateOf(now.toISOString()));
+    const resetAt = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1)).toISOString();
+
+    if (this.dailyBudget !== null && today.cost >= this.dailyBudget) {
+      return { scope: 'daily', limit: this.dailyBudget, spent: roundCost(today).cost, resetAt };
+    }
+    const sessionSpent = today.sessions.get(sessionId || NO_SESSION) || 0;
+    if (this.sessionDailyBudget !== null && sessionSpent >= this.sessionDailyBudget) {
+      return { scope: 'session', limit: this.sessionDailyBudget, spent: Math.round(sessionSpent * 1e6) / 1e6, resetAt };
+    }
+    return null;
+  }
+
+  /**
+   * Entries recorded between two days, oldest first
+   * @param {Object} [range]
+   * @param {string} [range.from] - First day, YYYY-MM-DD
+   * @param {string} [range.to] - Last day, YYYY-MM-DD
+   * @returns {Object[]}
+   */
+  readEntries({ from, to } = {}) {
+    const files = fs.readdirSync(this.usageDir)
+      .map(name => ({ name, match: name.match(USAGE_FILE_PATTERN) }))
+      .filter(({ match }) => match && (!from || match[1] >= from) && (!to || match[1] <= to))
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    const entries = [];
+    for (const { name } of files) {
+      for (const line of fs.readFileSync(path.join(this.usageDir, name), 'utf-8').split('\n')) {
+        if (!line) continue;
+        try {
+          entries.push(JSON.parse(line));
+        } catch (err) {
+          // Partially written line
+        }
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Aggregate usage by day, endpoint, model and session
+   * @param {Object} [filters]
+   * @param {string} [filters.from] - First day, YYYY-MM-DD
+   * @param {string} [filters.to] - Last day, YYYY-MM-DD
+   * @param {string} [filters.endpoint] - Only calls made by this endpoint
+   * @param {string} [filters.model] - Only calls answered by this model
+   * @param {string} [filters.sessionId] - Only calls made in this session
+   * @returns {{totals: Object, byDay: Object, byEndpoint: Object, byModel: Object, bySession: Object}}
+   *   Each group holds { requests, inputTokens, outputTokens, totalTokens, cost, unpriced }
+   */
+  summarize({ from, to, endpoint, model, sessionId } = {}) {
+    const totals = emptyTotals();
+    const groups = { byDay: {}, byEndpoint: {}, byModel: {}, bySession: {} };
+
+    for (const entry of this.readEntries({ from, to })) {
+      if (endpoint && entry.endpoint !== endpoint) continue;
+      if (model && entry.model !== model) continue;
+      if (sessionId && entry.sessionId !== sessionId) continue;
+
+      addTo(totals, entry);
+      const keys = {
+        byDay: dateOf(entry.timestamp),
+        byEndpoint: entry.endpoint,
+        byModel: entry.model,
+        bySession: entry.sessionId || NO_SESSION,
+      };
+      for (const [group, key] of Object.entries(keys)) {
+        groups[group][key] = groups[group][key] || emptyTotals();
+        addTo(groups[group][key], entry);
+      }
+    }
+
+    const rounded = {};
+    for (const [group, byKey] of Object.entries(groups)) {
+      rounded[group] = Object.fromEntries(Object.entries(byKey).map(([key, value]) => [key, roundCost(value)]));
+    }
+    return { totals: roundCost(totals), ...rounded };
+  }
+}
@@ -52,7 +52,7 @@ echo ""
 echo "The following services will start:"
 echo "  • Renderer (Vite dev server) - http://localhost:5173"
 echo "  • Adapter service - http://localhost:8000"
-echo "  • MCP server - http://localhost:8001"
+echo "  • MCP server - http://127.0.0.1:8001"
 echo "  • Electron app (will launch automatically)"
 echo ""
 echo -e "${GREEN}Starting all services...${NC}"
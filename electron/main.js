@@ -1,6 +1,22 @@
-const { app, BrowserWindow } = require('electron');
+const { app, BrowserWindow, ipcMain } = require('electron');
+const fs = require('fs');
 const path = require('path');
 
+// The adapter writes a new session token here each time it starts and rejects requests without it
+const ADAPTER_TOKEN_FILE = path.join(
+  process.env.DEVSKIN_DATA_DIR || path.join(__dirname, '..', 'adapter', 'data'),
+  'adapter-token'
+);
+
+// Read on every call so a restarted adapter's new token is picked up
+function readAdapterToken() {
+  try {
+    return fs.readFileSync(ADAPTER_TOKEN_FILE, 'utf-8').trim() || null;
+  } catch (error) {
+    return null;
+  }
+}
+
 // Single-instance locking: prevent multiple instances of the app
 // This is a security best practice to avoid race conditions and resource conflicts
 const gotTheLock = app.requestSingleInstanceLock();
@@ -35,7 +51,8 @@ if (!gotTheLock) {
     });
 
     // Load Vite dev server in development
-    // In production, this would load the built files
+    // Only the dev server is supported: built files loaded from file:// send "Origin: null",
+    // which the adapter's CORS_ORIGINS allowlist refuses (see the adapter README)
     mainWindow.loadURL('http://localhost:5173');
     
     // Open DevTools in development (remove in production)
@@ -45,6 +62,9 @@ if (!gotTheLock) {
   }
 
   app.whenReady().then(() => {
+    // Security: Only the preload script can ask for the token; it never reaches the page itself
+    ipcMain.handle('adapter:token', () => readAdapterToken());
+
     createWindow();
 
     app.on('activate', () => {
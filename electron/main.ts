@@ -1,7 +1,7 @@
 import { app, BrowserWindow, ipcMain } from 'electron';
 import * as path from 'path';
 import { AdapterService } from './services/adapterService';
-import { MCPService } from './services/mcpService';
+import { MCPService, Patch, MultiFilePatch } from './services/mcpService';
 
 let mainWindow: BrowserWindow | null = null;
 const adapterService = new AdapterService();
@@ -26,6 +26,8 @@ function createWindow() {
     mainWindow.loadURL('http://localhost:5173');
     mainWindow.webContents.openDevTools();
   } else {
+    // Not supported yet: pages from file:// send "Origin: null", which the adapter refuses
+    // (CORS_ORIGINS). Packaged builds need a custom scheme whose origin can be allowlisted.
     mainWindow.loadFile(path.join(__dirname, '../dist-react/index.html'));
   }
 }
@@ -56,8 +58,8 @@ ipcMain.handle('adapter:embed', async (_, text: string) => {
 });
 
 // IPC handlers for MCP tools
-ipcMain.handle('mcp:run-tests', async (_, workspacePath: string) => {
-  return await mcpService.runTests(workspacePath);
+ipcMain.handle('mcp:run-tests', async (_, workspacePath: string, runner?: string) => {
+  return await mcpService.runTests(workspacePath, runner);
 });
 
 ipcMain.handle('mcp:create-pr', async (_, title: string, description: string, workspacePath: string) => {
@@ -65,7 +67,7 @@ ipcMain.handle('mcp:create-pr', async (_, title: string, description: string, wo
 });
 
 // IPC handler for applying patches
-ipcMain.handle('apply-patch', async (_, patch: { file: string; edits: Array<{ start: number; end: number; replacement: string }> }) => {
+ipcMain.handle('apply-patch', async (_, patch: Patch | MultiFilePatch) => {
   return await mcpService.applyPatch(patch);
 });
 
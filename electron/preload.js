@@ -1,4 +1,4 @@
-const { contextBridge } = require('electron');
+const { contextBridge, ipcRenderer } = require('electron');
 
 /**
  * Security: This preload script runs in an isolated context between the main process
@@ -10,28 +10,43 @@ const { contextBridge } = require('electron');
  * - We ONLY expose controlled, safe functions via contextBridge
  * - All communication with Node.js/Electron happens through this controlled bridge
  * - The adapter service runs as a separate HTTP server, keeping it isolated
+ * - Every adapter request carries the adapter's session token, which stays in this context
  */
 
+const ADAPTER_URL = 'http://127.0.0.1:8000';
+
+// Headers for an adapter request, including the session token the main process read
+// from the file the adapter wrote at startup
+async function adapterHeaders() {
+  const token = await ipcRenderer.invoke('adapter:token');
+  return {
+    'Content-Type': 'application/json',
+    ...(token && { 'x-devskin-token': token }),
+  };
+}
+
 contextBridge.exposeInMainWorld('devskin', {
   /**
    * Call the adapter service via HTTP
    * 
    * @param {string} path - API endpoint path (e.g., '/api/query', '/api/embed')
-   * @param {object} body - Request body to send as JSON
+   * @param {object} [body] - Request body to send as JSON
+   * @param {object} [options] - Request options
+   * @param {string} [options.method] - HTTP method (default: 'POST')
    * @returns {Promise<any>} - Response from the adapter service
    * 
    * Security: This uses fetch() which runs in the renderer's context.
-   * The adapter service runs on localhost:8000 as a separate process,
+   * The adapter service runs on 127.0.0.1:8000 as a separate process,
    * providing isolation between the Electron app and the LLM/RAG service.
+   * The session token is attached here; callers never handle it.
    */
-  callAdapter: async (path, body) => {
+  callAdapter: async (path, body, options = {}) => {
     try {
-      const response = await fetch(`http://localhost:8000${path}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(body),
+      const method = options.method || 'POST';
+      const response = await fetch(`${ADAPTER_URL}${path}`, {
+        method,
+        headers: await adapterHeaders(),
+        body: body === undefined ? undefined : JSON.stringify(body),
       });
 
       // Handle both JSON and text responses
@@ -46,4 +61,59 @@ contextBridge.exposeInMainWorld('devskin', {
       throw new Error(`Adapter service error: ${error.message}`);
     }
   },
+
+  /**
+   * Call a streaming (Server-Sent Events) adapter endpoint
+   *
+   * @param {string} path - API endpoint path including query (e.g., '/assist?stream=1')
+   * @param {object} body - Request body to send as JSON
+   * @param {function} onEvent - Called with (eventName, data) for every event received
+   * @returns {Promise<void>} - Resolves when the stream ends
+   *
+   * Security: Only parsed event names and JSON payloads cross the bridge;
+   * the underlying response stream stays in this isolated context.
+   */
+  streamAdapter: async (path, body, onEvent) => {
+    let response;
+    try {
+      response = await fetch(`${ADAPTER_URL}${path}`, {
+        method: 'POST',
+        headers: await adapterHeaders(),
+        body: JSON.stringify(body),
+      });
+    } catch (error) {
+      throw new Error(`Adapter service error: ${error.message}`);
+    }
+
+    // Validation errors come back as plain JSON before any stream starts
+    const contentType = response.headers.get('content-type') || '';
+    if (!contentType.includes('text/event-stream')) {
+      const data = contentType.includes('application/json') ? await response.json() : await response.text();
+      onEvent('error', typeof data === 'string' ? { error: data } : data);
+      return;
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const events = buffer.split('\n\n');
+      buffer = events.pop();
+
+      for (const rawEvent of events) {
+        let eventName = 'message';
+        let data = '';
+        for (const line of rawEvent.split('\n')) {
+          if (line.startsWith('event:')) eventName = line.slice(6).trim();
+          else if (line.startsWith('data:')) data += line.slice(5).trim();
+        }
+        onEvent(eventName, data ? JSON.parse(data) : null);
+      }
+    }
+  },
 });
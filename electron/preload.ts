@@ -1,4 +1,5 @@
 import { contextBridge, ipcRenderer } from 'electron';
+import type { Patch, MultiFilePatch } from './services/mcpService';
 
 contextBridge.exposeInMainWorld('electronAPI', {
   adapter: {
@@ -6,11 +7,11 @@ contextBridge.exposeInMainWorld('electronAPI', {
     embed: (text: string) => ipcRenderer.invoke('adapter:embed', text),
   },
   mcp: {
-    runTests: (workspacePath: string) => ipcRenderer.invoke('mcp:run-tests', workspacePath),
+    runTests: (workspacePath: string, runner?: string) => ipcRenderer.invoke('mcp:run-tests', workspacePath, runner),
     createPR: (title: string, description: string, workspacePath: string) => 
       ipcRenderer.invoke('mcp:create-pr', title, description, workspacePath),
   },
-  applyPatch: (patch: { file: string; edits: Array<{ start: number; end: number; replacement: string }> }) =>
+  applyPatch: (patch: Patch | MultiFilePatch) =>
     ipcRenderer.invoke('apply-patch', patch),
   getWorkspacePath: () => ipcRenderer.invoke('get-workspace-path'),
 });
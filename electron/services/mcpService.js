@@ -6,27 +6,29 @@ const { promisify } = require('util');
 const execAsync = promisify(exec);
 
 class MCPService {
-  async runTests(workspacePath) {
+  /**
+   * Run the workspace's tests with the runner from shared/testing/runnerDetection.js
+   * @param {string} workspacePath
+   * @param {string} [runner] - Runner name overriding detection, e.g. 'pnpm' or 'pytest'
+   */
+  async runTests(workspacePath, runner) {
+    let testRunner;
     try {
-      const packageJsonPath = path.join(workspacePath, 'package.json');
-      let testCommand = 'npm test';
-      
-      if (fs.existsSync(packageJsonPath)) {
-        const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf-8'));
-        if (packageJson.scripts && packageJson.scripts.test) {
-          testCommand = 'npm test';
-        } else {
-          if (fs.existsSync(path.join(workspacePath, 'jest.config.js')) || 
-              fs.existsSync(path.join(workspacePath, 'jest.config.ts'))) {
-            testCommand = 'npx jest';
-          } else if (fs.existsSync(path.join(workspacePath, 'pytest.ini')) || 
-                     fs.existsSync(path.join(workspacePath, 'pyproject.toml'))) {
-            testCommand = 'pytest';
-          }
-        }
-      }
+      const { detectTestRunner } = await import('../../shared/testing/runnerDetection.js');
+      testRunner = detectTestRunner(workspacePath, { runner });
+    } catch (error) {
+      return { success: false, output: '', error: error.message };
+    }
+    if (!testRunner) {
+      return {
+        success: false,
+        output: '',
+        error: 'No test runner found in workspace (looked for a package.json test script, jest, vitest, mocha, pytest and go.mod)',
+      };
+    }
 
-      const { stdout, stderr } = await execAsync(testCommand, {
+    try {
+      const { stdout, stderr } = await execAsync(testRunner.command, {
         cwd: workspacePath,
         timeout: 60000,
       });
@@ -35,12 +37,14 @@ class MCPService {
         success: true,
         output: stdout,
         error: stderr || undefined,
+        runner: testRunner,
       };
     } catch (error) {
       return {
         success: false,
         output: error.stdout || '',
         error: error.stderr || error.message,
+        runner: testRunner,
       };
     }
   }
@@ -91,40 +95,44 @@ class MCPService {
     }
   }
 
-  async applyPatch(patch) {
+  /**
+   * Apply a patch in the shared JSON multi-file format (or the legacy { file, edits } form)
+   * Every file is checked before anything is written, paths must stay inside the workspace,
+   * and the files are written all-or-nothing.
+   * @param {Object} patch - Patch matching shared/patch/patchSchema.js
+   * @param {string} [workspacePath] - Base for relative paths (default: process.cwd())
+   */
+  async applyPatch(patch, workspacePath = process.cwd()) {
     try {
-      const filePath = patch.file;
-      
-      if (!fs.existsSync(filePath)) {
+      const { validatePatch, formatPatchErrors } = await import('../../shared/patch/patchSchema.js');
+      const { planJsonPatch, writeFilesAtomically } = await import('../../adapter/patch/applyPatch.js');
+
+      const validation = validatePatch(patch);
+      if (!validation.valid) {
         return {
           success: false,
-          message: 'File not found',
-          error: `File ${filePath} does not exist`,
+          message: 'Invalid patch',
+          error: formatPatchErrors(validation.errors),
+          errors: validation.errors,
         };
       }
 
-      let content = fs.readFileSync(filePath, 'utf-8');
-      const sortedEdits = [...patch.edits].sort((a, b) => b.start - a.start);
-      
-      for (const edit of sortedEdits) {
-        if (edit.start < 0 || edit.end > content.length || edit.start > edit.end) {
-          return {
-            success: false,
-            message: 'Invalid edit range',
-            error: `Edit range [${edit.start}, ${edit.end}] is invalid for file of length ${content.length}`,
-          };
-        }
-        
-        const before = content.substring(0, edit.start);
-        const after = content.substring(edit.end);
-        content = before + edit.replacement + after;
+      // Same checks as the adapter: no absolute or ../ paths, no rename over an existing file
+      const plan = planJsonPatch(path.resolve(workspacePath), validation.patch);
+      if (!plan.applicable) {
+        return {
+          success: false,
+          message: 'Patch does not apply',
+          error: plan.files.filter(file => file.error).map(file => `${file.path}: ${file.error}`).join('; '),
+        };
       }
 
-      fs.writeFileSync(filePath, content, 'utf-8');
+      writeFilesAtomically(plan.changes);
 
+      const paths = plan.changes.map(change => change.absolutePath);
       return {
         success: true,
-        message: `Successfully applied patch to ${filePath}`,
+        message: `Successfully applied patch to ${paths.join(', ')}`,
       };
     } catch (error) {
       return {
@@ -2,6 +2,7 @@ import * as fs from 'fs';
 import * as path from 'path';
 import { exec } from 'child_process';
 import { promisify } from 'util';
+import { pathToFileURL } from 'url';
 
 const execAsync = promisify(exec);
 
@@ -11,35 +12,81 @@ export interface PatchEdit {
   replacement: string;
 }
 
+export interface PatchHunk {
+  oldStart: number;
+  lines: string[];
+}
+
+export interface FilePatch {
+  path: string;
+  operation: 'create' | 'modify' | 'delete' | 'rename';
+  oldPath?: string;
+  content?: string;
+  edits?: PatchEdit[];
+  hunks?: PatchHunk[];
+}
+
+/** Legacy single-file patch, still accepted alongside the multi-file format */
 export interface Patch {
   file: string;
   edits: PatchEdit[];
 }
 
+export interface MultiFilePatch {
+  files: FilePatch[];
+}
+
+export interface PatchValidationError {
+  path: string;
+  message: string;
+}
+
+/** Test command chosen by shared/testing/runnerDetection.js */
+export interface TestRunner {
+  runner: string;
+  framework: string | null;
+  packageManager: string | null;
+  command: string;
+  script: string | null;
+  reason: string;
+  overridden: boolean;
+}
+
+// The shared modules and the adapter's patch writer are ES modules; CommonJS output
+// would turn a plain import() into require(), so load them through a real dynamic import
+const importShared = new Function('url', 'return import(url)') as (url: string) => Promise<any>;
+
+function sharedModuleUrl(relativePath: string): string {
+  return pathToFileURL(path.join(__dirname, '../../shared', relativePath)).href;
+}
+
+function adapterModuleUrl(relativePath: string): string {
+  return pathToFileURL(path.join(__dirname, '../../adapter', relativePath)).href;
+}
+
 export class MCPService {
-  async runTests(workspacePath: string): Promise<{ success: boolean; output: string; error?: string }> {
+  /**
+   * Run the workspace's tests with the runner from shared/testing/runnerDetection.js
+   * @param runner - Runner name overriding detection, e.g. 'pnpm' or 'pytest'
+   */
+  async runTests(workspacePath: string, runner?: string): Promise<{ success: boolean; output: string; error?: string; runner?: TestRunner }> {
+    let testRunner: TestRunner | null;
     try {
-      // Check if package.json exists to determine test command
-      const packageJsonPath = path.join(workspacePath, 'package.json');
-      let testCommand = 'npm test';
-      
-      if (fs.existsSync(packageJsonPath)) {
-        const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf-8'));
-        if (packageJson.scripts && packageJson.scripts.test) {
-          testCommand = `npm test`;
-        } else {
-          // Try common test frameworks
-          if (fs.existsSync(path.join(workspacePath, 'jest.config.js')) || 
-              fs.existsSync(path.join(workspacePath, 'jest.config.ts'))) {
-            testCommand = 'npx jest';
-          } else if (fs.existsSync(path.join(workspacePath, 'pytest.ini')) || 
-                     fs.existsSync(path.join(workspacePath, 'pyproject.toml'))) {
-            testCommand = 'pytest';
-          }
-        }
-      }
+      const { detectTestRunner } = await importShared(sharedModuleUrl('testing/runnerDetection.js'));
+      testRunner = detectTestRunner(workspacePath, { runner });
+    } catch (error: any) {
+      return { success: false, output: '', error: error.message };
+    }
+    if (!testRunner) {
+      return {
+        success: false,
+        output: '',
+        error: 'No test runner found in workspace (looked for a package.json test script, jest, vitest, mocha, pytest and go.mod)',
+      };
+    }
 
-      const { stdout, stderr } = await execAsync(testCommand, {
+    try {
+      const { stdout, stderr } = await execAsync(testRunner.command, {
         cwd: workspacePath,
         timeout: 60000, // 60 second timeout
       });
@@ -48,12 +95,14 @@ export class MCPService {
         success: true,
         output: stdout,
         error: stderr || undefined,
+        runner: testRunner,
       };
     } catch (error: any) {
       return {
         success: false,
         output: error.stdout || '',
         error: error.stderr || error.message,
+        runner: testRunner,
       };
     }
   }
@@ -110,46 +159,49 @@ export class MCPService {
     }
   }
 
-  async applyPatch(patch: Patch): Promise<{ success: boolean; message: string; error?: string }> {
+  /**
+   * Apply a patch in the shared JSON multi-file format (or the legacy { file, edits } form)
+   * Every file is checked before anything is written, paths must stay inside the workspace,
+   * and the files are written all-or-nothing.
+   */
+  async applyPatch(
+    patch: Patch | MultiFilePatch,
+    workspacePath: string = process.cwd()
+  ): Promise<{ success: boolean; message: string; error?: string; errors?: PatchValidationError[] }> {
     try {
-      const filePath = patch.file;
-      
-      if (!fs.existsSync(filePath)) {
+      const { validatePatch, formatPatchErrors } = await importShared(sharedModuleUrl('patch/patchSchema.js'));
+      const { planJsonPatch, writeFilesAtomically } = await importShared(adapterModuleUrl('patch/applyPatch.js'));
+
+      const validation = validatePatch(patch);
+      if (!validation.valid) {
         return {
           success: false,
-          message: 'File not found',
-          error: `File ${filePath} does not exist`,
+          message: 'Invalid patch',
+          error: formatPatchErrors(validation.errors),
+          errors: validation.errors,
         };
       }
 
-      // Read the file
-      let content = fs.readFileSync(filePath, 'utf-8');
-      
-      // Sort edits by start position (descending) to apply from end to start
-      // This prevents position shifts when applying edits
-      const sortedEdits = [...patch.edits].sort((a, b) => b.start - a.start);
-      
-      // Apply each edit
-      for (const edit of sortedEdits) {
-        if (edit.start < 0 || edit.end > content.length || edit.start > edit.end) {
-          return {
-            success: false,
-            message: 'Invalid edit range',
-            error: `Edit range [${edit.start}, ${edit.end}] is invalid for file of length ${content.length}`,
-          };
-        }
-        
-        const before = content.substring(0, edit.start);
-        const after = content.substring(edit.end);
-        content = before + edit.replacement + after;
+      // Same checks as the adapter: no absolute or ../ paths, no rename over an existing file
+      const plan: {
+        applicable: boolean;
+        files: Array<{ path: string; error?: string }>;
+        changes: Array<{ absolutePath: string; content: string | null; removePath?: string }>;
+      } = planJsonPatch(path.resolve(workspacePath), validation.patch);
+      if (!plan.applicable) {
+        return {
+          success: false,
+          message: 'Patch does not apply',
+          error: plan.files.filter(file => file.error).map(file => `${file.path}: ${file.error}`).join('; '),
+        };
       }
 
-      // Write the modified content back
-      fs.writeFileSync(filePath, content, 'utf-8');
+      writeFilesAtomically(plan.changes);
 
+      const paths = plan.changes.map(change => change.absolutePath);
       return {
         success: true,
-        message: `Successfully applied patch to ${filePath}`,
+        message: `Successfully applied patch to ${paths.join(', ')}`,
       };
     } catch (error: any) {
       return {
@@ -3,27 +3,36 @@ import cors from 'cors';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import {
+  createSessionToken,
+  writeTokenFile,
+  tokensMatch,
+  rejectForeignOrigins,
+  corsOptions,
+} from '../adapter/security/sessionToken.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const app = express();
-app.use(cors());
-app.use(express.json());
+const dataDir = process.env.DEVSKIN_DATA_DIR || path.join(__dirname, '..', 'adapter', 'data');
 
 // Configuration
 const config = {
-  adapterUrl: process.env.ADAPTER_URL || 'http://localhost:8000',
-  mcpToken: process.env.MCP_TOKEN, // Optional API token for authentication
-  authEnabled: process.env.MCP_AUTH_ENABLED === 'true', // Enable auth check if token is set
+  host: '127.0.0.1', // Loopback only, like the adapter it forwards to
+  adapterUrl: process.env.ADAPTER_URL || 'http://127.0.0.1:8000',
+  adapterTokenFile: path.join(dataDir, 'adapter-token'),
+  // Every tool call needs this token, since it is forwarded with the adapter's session token.
+  // Random on each launch (written to mcpTokenFile) unless MCP_TOKEN sets one for the clients.
+  mcpToken: process.env.MCP_TOKEN || createSessionToken(),
+  mcpTokenFile: process.env.MCP_TOKEN ? null : path.join(dataDir, 'mcp-token'),
+  corsOrigins: (process.env.CORS_ORIGINS || 'http://localhost:5173,http://127.0.0.1:5173')
+    .split(',').map(origin => origin.trim()).filter(Boolean), // Browser origins allowed to call the server
 };
 
-// Middleware: Optional API token authentication
-// Set MCP_TOKEN environment variable and MCP_AUTH_ENABLED=true to enable
-// Clients should send token in 'x-mcp-token' header
+// Middleware: API token authentication
+// Clients send the token in the 'x-mcp-token' header; only the health check is open
 function authMiddleware(req, res, next) {
-  if (!config.authEnabled || !config.mcpToken) {
-    // Auth is disabled or no token configured, allow all requests
+  if (req.method === 'OPTIONS' || req.path === '/health') {
     return next();
   }
 
@@ -36,7 +45,7 @@ function authMiddleware(req, res, next) {
     });
   }
 
-  if (providedToken !== config.mcpToken) {
+  if (!tokensMatch(providedToken, config.mcpToken)) {
     return res.status(403).json({ 
       error: 'Authentication failed',
       message: 'Invalid token',
@@ -46,8 +55,12 @@ function authMiddleware(req, res, next) {
   next();
 }
 
-// Apply auth middleware to all routes
+const app = express();
+// Only allowlisted browser origins, and only with the MCP token
+app.use(rejectForeignOrigins(config.corsOrigins));
+app.use(cors(corsOptions(config.corsOrigins, { tokenHeader: 'x-mcp-token' })));
 app.use(authMiddleware);
+app.use(express.json());
 
 // Load manifest
 function loadManifest() {
@@ -73,12 +86,23 @@ app.get('/manifest', (req, res) => {
 });
 
 // Helper: Call adapter endpoint
+// The adapter's session token; the file is read per call so an adapter restart is picked up
+function getAdapterToken() {
+  try {
+    return fs.readFileSync(config.adapterTokenFile, 'utf-8').trim() || null;
+  } catch (error) {
+    return null;
+  }
+}
+
 async function callAdapter(endpoint, body) {
   try {
+    const token = getAdapterToken();
     const response = await fetch(`${config.adapterUrl}${endpoint}`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
+        ...(token && { 'x-devskin-token': token }),
       },
       body: JSON.stringify(body),
     });
@@ -119,12 +143,12 @@ app.post('/invoke/:toolName', async (req, res) => {
     
     switch (toolName) {
       case 'run-tests': {
-        const { repoPath } = toolInput;
+        const { repoPath, runner, files, grep, patch, affectedBy, coverage } = toolInput;
         if (!repoPath) {
           return res.status(400).json({ error: 'repoPath is required' });
         }
 
-        adapterResponse = await callAdapter('/run-tests', { repoPath });
+        adapterResponse = await callAdapter('/run-tests', { repoPath, runner, files, grep, patch, affectedBy, coverage });
         
         // Transform adapter response to match tool output schema
         return res.json({
@@ -132,11 +156,15 @@ app.post('/invoke/:toolName', async (req, res) => {
           exitCode: adapterResponse.exitCode || (adapterResponse.success ? 0 : 1),
           stdout: adapterResponse.stdout || '',
           stderr: adapterResponse.stderr || '',
+          runner: adapterResponse.runner,
+          ...(adapterResponse.selection && { selection: adapterResponse.selection }),
+          ...(adapterResponse.skipped && { skipped: true }),
+          ...(adapterResponse.coverage !== undefined && { coverage: adapterResponse.coverage }),
         });
       }
 
       case 'create-pr': {
-        const { branchName, baseBranch = 'main', commitMsg } = toolInput;
+        const { branchName, baseBranch, commitMsg, title, body, confirm } = toolInput;
         
         if (!branchName || !commitMsg) {
           return res.status(400).json({ 
@@ -150,15 +178,22 @@ app.post('/invoke/:toolName', async (req, res) => {
         
         adapterResponse = await callAdapter('/create-pr', {
           branchName,
+          baseBranch,
           commitMessage: commitMsg,
+          title,
+          body,
           repoPath,
+          confirm: confirm === true,
         });
 
         // Transform adapter response to match tool output schema
         return res.json({
-          prUrl: adapterResponse.prUrl || adapterResponse.preview?.prUrl || null,
+          prUrl: adapterResponse.prUrl || null,
+          prNumber: adapterResponse.prNumber ?? null,
           branchName: adapterResponse.branchName || branchName,
-          success: adapterResponse.success !== false,
+          baseBranch: adapterResponse.baseBranch || baseBranch || null,
+          pushed: adapterResponse.pushed === true,
+          success: adapterResponse.success === true,
           message: adapterResponse.message || 'PR creation completed',
         });
       }
@@ -183,21 +218,24 @@ app.get('/health', (req, res) => {
   res.json({
     status: 'ok',
     adapterUrl: config.adapterUrl,
-    authEnabled: config.authEnabled && !!config.mcpToken,
+    authEnabled: true,
   });
 });
 
 const PORT = process.env.PORT || 8001;
-app.listen(PORT, () => {
-  console.log(`MCP server running on http://localhost:${PORT}`);
+// Written before listening, so a client that sees the port open never reads a previous launch's token
+if (config.mcpTokenFile) {
+  writeTokenFile(config.mcpTokenFile, config.mcpToken);
+}
+app.listen(PORT, config.host, () => {
+  console.log(`MCP server running on http://${config.host}:${PORT}`);
   console.log(`Adapter URL: ${config.adapterUrl}`);
-  console.log(`Auth enabled: ${config.authEnabled && !!config.mcpToken ? 'YES' : 'NO'}`);
-  console.log(`Manifest: http://localhost:${PORT}/manifest`);
-  
-  if (config.authEnabled && config.mcpToken) {
-    console.log('⚠️  Authentication is enabled. Clients must provide x-mcp-token header.');
-  } else {
-    console.log('ℹ️  Authentication is disabled. Set MCP_TOKEN and MCP_AUTH_ENABLED=true to enable.');
+  console.log(`Manifest: http://${config.host}:${PORT}/manifest`);
+  console.log(config.mcpTokenFile
+    ? `Clients must send the x-mcp-token header; this launch's token is in ${config.mcpTokenFile}`
+    : 'Clients must send the x-mcp-token header with MCP_TOKEN.');
+  if (process.env.MCP_AUTH_ENABLED === 'false') {
+    console.warn('⚠️  WARNING: MCP_AUTH_ENABLED is no longer supported; authentication is always required.');
   }
 });
 
@@ -1,4 +1,5 @@
 import React, { useState, useRef, useEffect } from 'react';
+import { validatePatch, formatPatchErrors } from '../../../shared/patch/patchSchema.js';
 import './AssistantPanel.css';
 
 // Simple syntax highlighter for code blocks
@@ -88,6 +89,79 @@ function DiffBlock({ diff }) {
   );
 }
 
+// Summarize an /apply-patch report as one line per hunk
+function formatApplyReport(report) {
+  return report.files.map((file) => {
+    const lines = [`${file.operation} ${file.path}${file.error ? ` — ${file.error}` : ''}`];
+    file.hunks.forEach((hunk) => {
+      const icon = hunk.status === 'failed' ? '❌' : '✓';
+      const detail = hunk.status === 'failed'
+        ? hunk.message
+        : `line ${hunk.appliedLine}${hunk.offset ? ` (offset ${hunk.offset})` : ''}`;
+      lines.push(`  ${icon} ${hunk.header} ${detail}`);
+    });
+    return lines.join('\n');
+  }).join('\n');
+}
+
+// Split a structured patch from the adapter into content that can be applied,
+// or the schema errors that keep a JSON patch from being used
+function checkPatch(patch) {
+  if (!patch || patch.format !== 'json') {
+    return { content: patch?.content || patch, errors: null };
+  }
+  const validation = validatePatch(patch.content);
+  return validation.valid
+    ? { content: validation.patch, errors: null }
+    : { content: null, errors: validation.errors };
+}
+
+function patchErrorNote(errors) {
+  if (!errors) return '';
+  return `\n\n⚠️ The JSON patch does not match the patch schema and cannot be applied:\n${formatPatchErrors(errors)}`;
+}
+
+// The adapter keeps conversation history per session; the id survives reloads
+const SESSION_STORAGE_KEY = 'devskin.sessionId';
+
+function createSessionId() {
+  return crypto.randomUUID();
+}
+
+function loadSessionId() {
+  const stored = localStorage.getItem(SESSION_STORAGE_KEY);
+  if (stored) return stored;
+  const sessionId = createSessionId();
+  localStorage.setItem(SESSION_STORAGE_KEY, sessionId);
+  return sessionId;
+}
+
+function greetingMessage() {
+  return {
+    id: '1',
+    role: 'assistant',
+    content: 'Hello! I\'m your Dev Skin assistant. I can help you generate patches, run tests, create PRs, and more.',
+    timestamp: new Date(),
+  };
+}
+
+// Rebuild chat messages from a stored session's turns
+function messagesFromSession(session) {
+  const messages = [greetingMessage()];
+  session.turns.forEach((turn, idx) => {
+    const timestamp = new Date(turn.createdAt);
+    messages.push({ id: `turn-${idx}-user`, role: 'user', content: turn.instruction, timestamp });
+    messages.push({
+      id: `turn-${idx}-assistant`,
+      role: 'assistant',
+      content: turn.answer || 'Patch generated successfully',
+      timestamp,
+      ...(turn.patch && { patch: turn.patch }),
+    });
+  });
+  return messages;
+}
+
 // Confirmation Modal Component
 function ConfirmModal({ isOpen, onClose, onConfirm, onDryRun, patch, mode = 'apply' }) {
   if (!isOpen) return null;
@@ -124,20 +198,81 @@ function ConfirmModal({ isOpen, onClose, onConfirm, onDryRun, patch, mode = 'app
   );
 }
 
+// Create-PR form; "Suggest" fills it in from the staged changes via /suggest-commit
+const EMPTY_PR_FORM = { branchName: '', baseBranch: '', commitMessage: '', title: '', body: '' };
+
+function CreatePRModal({ isOpen, form, onChange, onClose, onSuggest, onPreview, onConfirm, isLoading, suggestionNote }) {
+  if (!isOpen) return null;
+
+  const field = (name) => ({
+    value: form[name],
+    onChange: (e) => onChange({ ...form, [name]: e.target.value }),
+    disabled: isLoading,
+  });
+  const canSubmit = !isLoading && form.branchName.trim() && form.commitMessage.trim();
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content pr-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>Create Pull Request</h3>
+          <button className="modal-close" onClick={onClose}>×</button>
+        </div>
+        <div className="modal-body">
+          <div className="pr-suggest">
+            <button className="modal-btn secondary" onClick={onSuggest} disabled={isLoading}>
+              ✨ Suggest from staged changes
+            </button>
+            {suggestionNote && <span className="pr-suggest-note">{suggestionNote}</span>}
+          </div>
+          <label className="pr-field">
+            Branch
+            <input {...field('branchName')} placeholder="feat/add-is-even" />
+          </label>
+          <label className="pr-field">
+            Base branch
+            <input {...field('baseBranch')} placeholder="Repository default" />
+          </label>
+          <label className="pr-field">
+            Commit message
+            <textarea {...field('commitMessage')} rows={4} placeholder="feat(math): add isEven" />
+          </label>
+          <label className="pr-field">
+            PR title
+            <input {...field('title')} placeholder="First line of the commit message" />
+          </label>
+          <label className="pr-field">
+            PR description
+            <textarea {...field('body')} rows={8} placeholder="## Summary&#10;&#10;## Testing&#10;&#10;## Risks" />
+          </label>
+        </div>
+        <div className="modal-footer">
+          <button className="modal-btn secondary" onClick={onClose}>
+            Cancel
+          </button>
+          <button className="modal-btn warning" onClick={onPreview} disabled={!canSubmit}>
+            🔍 Preview
+          </button>
+          <button className="modal-btn primary" onClick={onConfirm} disabled={!canSubmit}>
+            ✅ Commit, Push & Open PR
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
 function AssistantPanel({ fileContents }) {
-  const [messages, setMessages] = useState([
-    {
-      id: '1',
-      role: 'assistant',
-      content: 'Hello! I\'m your Dev Skin assistant. I can help you generate patches, run tests, create PRs, and more.',
-      timestamp: new Date(),
-    },
-  ]);
+  const [messages, setMessages] = useState(() => [greetingMessage()]);
+  const [sessionId, setSessionId] = useState(loadSessionId);
   const [input, setInput] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [currentPatch, setCurrentPatch] = useState(null);
   const [candidatePatches, setCandidatePatches] = useState([]);
   const [showConfirmModal, setShowConfirmModal] = useState(false);
+  const [showPRModal, setShowPRModal] = useState(false);
+  const [prForm, setPRForm] = useState(EMPTY_PR_FORM);
+  const [suggestionNote, setSuggestionNote] = useState('');
   const messagesEndRef = useRef(null);
 
   const scrollToBottom = () => {
@@ -148,6 +283,29 @@ function AssistantPanel({ fileContents }) {
     scrollToBottom();
   }, [messages]);
 
+  // Resume the stored conversation on startup
+  useEffect(() => {
+    let cancelled = false;
+
+    window.devskin?.callAdapter(`/sessions/${sessionId}`, undefined, { method: 'GET' })
+      .then((session) => {
+        if (cancelled || !session?.turns?.length) return;
+        setMessages(messagesFromSession(session));
+        const lastPatch = [...session.turns].reverse().find(turn => turn.patch)?.patch;
+        const { content } = checkPatch(lastPatch);
+        if (content) {
+          setCurrentPatch(content);
+        }
+      })
+      .catch(() => {
+        // No adapter or no stored session: start a fresh conversation
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
   const addMessage = (role, content, metadata = {}) => {
     const message = {
       id: Date.now().toString(),
@@ -195,6 +353,45 @@ function AssistantPanel({ fileContents }) {
     return parts.length > 0 ? parts : [{ type: 'text', content }];
   };
 
+  const updateMessage = (id, update) => {
+    setMessages(prev => prev.map(message => (
+      message.id === id ? { ...message, ...update(message) } : message
+    )));
+  };
+
+  // Stream the answer into a placeholder message as tokens arrive
+  const streamGeneratePatch = async (instruction) => {
+    const messageId = `${Date.now()}-stream`;
+    setMessages(prev => [...prev, {
+      id: messageId,
+      role: 'assistant',
+      content: '',
+      timestamp: new Date(),
+    }]);
+
+    let patchErrors = null;
+    await window.devskin.streamAdapter('/assist?stream=1', { instruction, fileContents, sessionId }, (event, data) => {
+      if (event === 'answer') {
+        updateMessage(messageId, message => ({ content: message.content + data.delta }));
+      } else if (event === 'patch') {
+        const { content, errors } = checkPatch(data);
+        patchErrors = errors;
+        if (content) {
+          setCurrentPatch(content);
+        }
+        updateMessage(messageId, () => ({ patch: data }));
+      } else if (event === 'done') {
+        updateMessage(messageId, message => ({
+          content: (data.answer || message.content || 'Patch generated successfully') + patchErrorNote(patchErrors),
+        }));
+      } else if (event === 'error') {
+        updateMessage(messageId, message => ({
+          content: `${message.content ? `${message.content}\n\n` : ''}Error: ${data.error || 'Failed to generate patch'}`,
+        }));
+      }
+    });
+  };
+
   const handleGeneratePatch = async () => {
     if (!input.trim() || isLoading) return;
 
@@ -204,14 +401,23 @@ function AssistantPanel({ fileContents }) {
     setInput('');
 
     try {
+      if (window.devskin?.streamAdapter) {
+        await streamGeneratePatch(instruction);
+        return;
+      }
+
       const response = await window.devskin?.callAdapter('/assist', {
         instruction,
         fileContents,
+        sessionId,
       });
 
       if (response && response.patch) {
-        setCurrentPatch(response.patch.content || response.patch);
-        addMessage('assistant', response.answer || 'Patch generated successfully', {
+        const { content, errors } = checkPatch(response.patch);
+        if (content) {
+          setCurrentPatch(content);
+        }
+        addMessage('assistant', (response.answer || 'Patch generated successfully') + patchErrorNote(errors), {
           patch: response.patch,
         });
       } else if (response && response.message) {
@@ -226,6 +432,24 @@ function AssistantPanel({ fileContents }) {
     }
   };
 
+  // Forget the stored conversation and start over with a new session
+  const handleNewConversation = async () => {
+    if (isLoading) return;
+
+    try {
+      await window.devskin?.callAdapter(`/sessions/${sessionId}`, undefined, { method: 'DELETE' });
+    } catch (error) {
+      // The old session is abandoned either way
+    }
+
+    const newSessionId = createSessionId();
+    localStorage.setItem(SESSION_STORAGE_KEY, newSessionId);
+    setSessionId(newSessionId);
+    setMessages([greetingMessage()]);
+    setCurrentPatch(null);
+    setCandidatePatches([]);
+  };
+
   const handleRunTests = async () => {
     setIsLoading(true);
     addMessage('assistant', 'Running tests...');
@@ -240,13 +464,63 @@ function AssistantPanel({ fileContents }) {
     }
   };
 
-  const handleCreatePR = async () => {
+  const handleCreatePR = () => {
+    setShowPRModal(true);
+  };
+
+  // Pre-fill the create-PR form with a commit message and PR description for the staged changes
+  const handleSuggestCommit = async () => {
     setIsLoading(true);
-    addMessage('assistant', 'Creating PR...');
+    setSuggestionNote('Reading staged changes...');
 
     try {
-      // This would call an MCP tool - placeholder for now
-      addMessage('assistant', 'PR created. (MCP tool integration pending)');
+      const response = await window.devskin?.callAdapter('/suggest-commit', { sessionId });
+
+      if (response?.commit) {
+        setPRForm(form => ({
+          ...form,
+          branchName: response.branchName,
+          commitMessage: response.commit.message,
+          title: response.pr.title,
+          body: response.pr.description,
+        }));
+        setSuggestionNote(`Suggested for ${response.files.length} staged file(s)${response.truncated ? ' (diff was cut to fit)' : ''}. Edit before creating the PR.`);
+      } else {
+        setSuggestionNote(`⚠️ ${response?.error || 'No suggestion returned'}`);
+      }
+    } catch (error) {
+      setSuggestionNote(`⚠️ ${error.message || 'Failed to suggest a commit message'}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const submitCreatePR = async (confirm) => {
+    setIsLoading(true);
+    addMessage('assistant', confirm ? '🔀 Committing, pushing and opening the pull request...' : '🔍 Previewing pull request...');
+
+    try {
+      const response = await window.devskin?.callAdapter('/create-pr', {
+        branchName: prForm.branchName.trim(),
+        ...(prForm.baseBranch.trim() && { baseBranch: prForm.baseBranch.trim() }),
+        commitMessage: prForm.commitMessage,
+        ...(prForm.title.trim() && { title: prForm.title.trim() }),
+        ...(prForm.body.trim() && { body: prForm.body }),
+        confirm,
+      });
+
+      if (response?.preview) {
+        addMessage('assistant', `${response.message || 'Preview'}\n\n${response.preview.operations.join('\n')}`);
+      } else if (response?.error) {
+        addMessage('assistant', `Error: ${response.error}`);
+      } else if (response) {
+        addMessage('assistant', `${response.success ? '✅' : '⚠️'} ${response.message}`);
+        if (response.committed) {
+          setShowPRModal(false);
+          setPRForm(EMPTY_PR_FORM);
+          setSuggestionNote('');
+        }
+      }
     } catch (error) {
       addMessage('assistant', `Error: ${error.message || 'Failed to create PR'}`);
     } finally {
@@ -261,8 +535,18 @@ function AssistantPanel({ fileContents }) {
     addMessage('assistant', '🔍 Running dry-run patch application...');
 
     try {
-      // This would call an MCP tool with dry-run flag
-      addMessage('assistant', '✅ Dry-run completed. No changes were made. Review the preview above.');
+      const response = await window.devskin?.callAdapter('/apply-patch', {
+        patch: currentPatch,
+      });
+
+      if (response?.error) {
+        addMessage('assistant', `Error: ${response.error}`);
+      } else if (response) {
+        const summary = formatApplyReport(response);
+        addMessage('assistant', response.applicable
+          ? `✅ Dry-run completed. No changes were made.\n\n${summary}`
+          : `⚠️ Patch does not apply cleanly.\n\n${summary}`);
+      }
     } catch (error) {
       addMessage('assistant', `Error: ${error.message || 'Failed to apply patch (dry run)'}`);
     } finally {
@@ -275,12 +559,20 @@ function AssistantPanel({ fileContents }) {
     if (!currentPatch) return;
 
     setIsLoading(true);
-    addMessage('assistant', '✅ Applying patch and committing changes...');
+    addMessage('assistant', '✅ Applying patch...');
 
     try {
-      // This would call an MCP tool to actually apply the patch
-      addMessage('assistant', `✅ Patch applied successfully and committed.`);
-      setCurrentPatch(null);
+      const response = await window.devskin?.callAdapter('/apply-patch', {
+        patch: currentPatch,
+        confirm: true,
+      });
+
+      if (response?.error) {
+        addMessage('assistant', `Error: ${response.error}${response.files ? `\n\n${formatApplyReport(response)}` : ''}`);
+      } else if (response) {
+        addMessage('assistant', `✅ Patch applied to ${response.written.length} file(s):\n${response.written.join('\n')}`);
+        setCurrentPatch(null);
+      }
     } catch (error) {
       addMessage('assistant', `Error: ${error.message || 'Failed to apply patch'}`);
     } finally {
@@ -323,11 +615,15 @@ function AssistantPanel({ fileContents }) {
         testError: testOutput.includes('Error:') || testOutput.includes('FAIL') ? testOutput : null,
         fileContents,
         filePath: 'current-file.ts',
+        sessionId,
       });
 
       if (response && response.patch) {
-        setCurrentPatch(response.patch.content || response.patch);
-        addMessage('assistant', response.answer || 'Patch corrected', {
+        const { content, errors } = checkPatch(response.patch);
+        if (content) {
+          setCurrentPatch(content);
+        }
+        addMessage('assistant', (response.answer || 'Patch corrected') + patchErrorNote(errors), {
           patch: response.patch,
           diff: response.diff,
         });
@@ -410,6 +706,14 @@ function AssistantPanel({ fileContents }) {
     <div className="assistant-panel">
       <div className="panel-header">
         <h2>🤖 Assistant</h2>
+        <button
+          className="new-conversation-btn"
+          onClick={handleNewConversation}
+          disabled={isLoading}
+          title="Clear this conversation's history and start a new one"
+        >
+          🗑️ New conversation
+        </button>
       </div>
 
       <div className="chat-container">
@@ -564,6 +868,18 @@ function AssistantPanel({ fileContents }) {
         onDryRun={handleApplyPatchDryRun}
         patch={currentPatch}
       />
+
+      <CreatePRModal
+        isOpen={showPRModal}
+        form={prForm}
+        onChange={setPRForm}
+        onClose={() => setShowPRModal(false)}
+        onSuggest={handleSuggestCommit}
+        onPreview={() => submitCreatePR(false)}
+        onConfirm={() => submitCreatePR(true)}
+        isLoading={isLoading}
+        suggestionNote={suggestionNote}
+      />
     </div>
   );
 }
@@ -0,0 +1,84 @@
+// In-memory application of JSON multi-file patches (see patchSchema.js)
+// Works on one file's content at a time; callers handle reading and writing files.
+
+import { applyHunks } from './unifiedDiff.js';
+
+/**
+ * Apply character-offset edits to content
+ * @param {string} content - Original content
+ * @param {Array<{start: number, end: number, replacement: string}>} edits - Non-overlapping edits
+ * @returns {{success: boolean, content: string|null, error?: string}}
+ */
+export function applyEdits(content, edits) {
+  // Apply from the end so earlier offsets stay valid
+  const sortedEdits = [...edits].sort((a, b) => b.start - a.start);
+  let result = content;
+
+  for (const edit of sortedEdits) {
+    if (edit.start < 0 || edit.end > content.length || edit.start > edit.end) {
+      return {
+        success: false,
+        content: null,
+        error: `Edit range [${edit.start}, ${edit.end}] is invalid for file of length ${content.length}`,
+      };
+    }
+    result = result.substring(0, edit.start) + edit.replacement + result.substring(edit.end);
+  }
+
+  return { success: true, content: result };
+}
+
+/**
+ * Convert JSON patch hunks to the parsed hunk shape used by applyHunks()
+ * @param {Array<{oldStart: number, lines: string[]}>} hunks
+ * @returns {Array} Hunks as produced by parseUnifiedDiff()
+ */
+export function hunksFromJson(hunks) {
+  let delta = 0;
+  return hunks.map((hunk) => {
+    const lines = hunk.lines.map(line => ({ type: line[0], text: line.slice(1) }));
+    const oldLines = lines.filter(l => l.type !== '+').length;
+    const newLines = lines.filter(l => l.type !== '-').length;
+    const newStart = hunk.oldStart + delta;
+    delta += newLines - oldLines;
+
+    return {
+      header: `@@ -${hunk.oldStart},${oldLines} +${newStart},${newLines} @@`,
+      oldStart: hunk.oldStart,
+      oldLines,
+      newStart,
+      newLines,
+      lines,
+      noNewlineOld: false,
+      noNewlineNew: false,
+    };
+  });
+}
+
+/**
+ * Compute a file's new content from one validated FilePatch
+ * @param {string} content - Current content of the file ('' for create)
+ * @param {Object} filePatch - Entry of a validated patch's files array
+ * @returns {{success: boolean, content: string|null, hunks?: Array, error?: string}}
+ *   content is null for deletions; hunks carries per-hunk reports for hunk patches
+ */
+export function applyFilePatch(content, filePatch) {
+  switch (filePatch.operation) {
+    case 'create':
+      return { success: true, content: filePatch.content };
+    case 'delete':
+      return { success: true, content: null };
+    default:
+      if (filePatch.edits) {
+        return applyEdits(content, filePatch.edits);
+      }
+      if (filePatch.hunks) {
+        const result = applyHunks(content, hunksFromJson(filePatch.hunks));
+        return result.success
+          ? result
+          : { ...result, error: 'Context lines do not match the file contents' };
+      }
+      // A plain rename keeps the content
+      return { success: true, content };
+  }
+}
@@ -0,0 +1,299 @@
+// Schema for the JSON multi-file patch format
+// Shared by the adapter (validating LLM output), the Electron MCPService (applying
+// patches) and the renderer (checking patches before showing them).
+//
+// {
+//   "files": [
+//     { "path": "src/new.js", "operation": "create", "content": "..." },
+//     { "path": "src/a.js", "operation": "modify", "edits": [{ "start": 0, "end": 5, "replacement": "..." }] },
+//     { "path": "src/b.js", "operation": "modify", "hunks": [{ "oldStart": 3, "lines": [" ctx", "-old", "+new"] }] },
+//     { "path": "src/c.js", "oldPath": "src/old.js", "operation": "rename" },
+//     { "path": "src/gone.js", "operation": "delete" }
+//   ]
+// }
+
+export const PATCH_OPERATIONS = ['create', 'modify', 'delete', 'rename'];
+
+const editSchema = {
+  type: 'object',
+  required: ['start', 'end', 'replacement'],
+  properties: {
+    start: { type: 'integer', minimum: 0, description: 'Character offset where the replaced range starts' },
+    end: { type: 'integer', minimum: 0, description: 'Character offset just past the replaced range' },
+    replacement: { type: 'string' },
+  },
+  additionalProperties: false,
+};
+
+const hunkSchema = {
+  type: 'object',
+  required: ['oldStart', 'lines'],
+  properties: {
+    oldStart: { type: 'integer', minimum: 0, description: '1-based line of the first old line (0 to insert at the top)' },
+    lines: {
+      type: 'array',
+      minItems: 1,
+      items: { type: 'string', pattern: '^[ +-]', description: 'Unified diff line: " " context, "-" removed, "+" added' },
+    },
+  },
+  additionalProperties: false,
+};
+
+/**
+ * JSON Schema (draft-07) for multi-file patches
+ * Rules that JSON Schema cannot express compactly (which fields each operation
+ * allows, overlapping edits, duplicate paths) are enforced by validatePatch().
+ */
+export const PATCH_JSON_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'DevSkin multi-file patch',
+  type: 'object',
+  required: ['files'],
+  properties: {
+    files: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['path', 'operation'],
+        properties: {
+          path: { type: 'string', minLength: 1, description: 'Repository-relative path of the file after the change' },
+          operation: { enum: PATCH_OPERATIONS },
+          oldPath: { type: 'string', minLength: 1, description: 'Previous path (rename only)' },
+          content: { type: 'string', description: 'Full file contents (create only)' },
+          edits: { type: 'array', minItems: 1, items: editSchema },
+          hunks: { type: 'array', minItems: 1, items: hunkSchema },
+        },
+        additionalProperties: false,
+      },
+    },
+  },
+  additionalProperties: false,
+};
+
+/**
+ * Prompt text describing the format, for LLM instructions and repair requests
+ */
+export const PATCH_FORMAT_DESCRIPTION = `JSON multi-file patch format:
+{"files": [FilePatch, ...]}
+FilePatch fields:
+- "path": repository-relative path (required)
+- "operation": "create" | "modify" | "delete" | "rename" (required)
+- "content": full file text (create only, required there)
+- "oldPath": previous path (rename only, required there)
+- "edits": [{"start": int, "end": int, "replacement": string}] character-offset replacements, non-overlapping (modify/rename)
+- "hunks": [{"oldStart": int, "lines": [" context", "-removed", "+added"]}] unified diff hunks (modify/rename)
+A modify needs exactly one of "edits" or "hunks"; a rename may have one of them; delete takes no other fields.`;
+
+const FILE_FIELDS = new Set(Object.keys(PATCH_JSON_SCHEMA.properties.files.items.properties));
+
+// Fields each operation requires and allows besides path and operation
+const OPERATION_FIELDS = {
+  create: { required: ['content'], allowed: ['content'] },
+  modify: { required: [], allowed: ['edits', 'hunks'] },
+  delete: { required: [], allowed: [] },
+  rename: { required: ['oldPath'], allowed: ['oldPath', 'edits', 'hunks'] },
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isNonNegativeInteger(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+/**
+ * Bring accepted shorthand forms into the canonical { files: [...] } shape
+ * Accepts a bare array of file patches and the legacy single-file
+ * { file, edits } form used by MCPService. Anything else is returned unchanged.
+ * @param {*} patch
+ * @returns {*}
+ */
+export function normalizePatch(patch) {
+  if (Array.isArray(patch)) {
+    return { files: patch };
+  }
+  if (isPlainObject(patch) && !('files' in patch) && typeof patch.file === 'string' && Array.isArray(patch.edits)) {
+    return { files: [{ path: patch.file, operation: 'modify', edits: patch.edits }] };
+  }
+  return patch;
+}
+
+function validateEdits(edits, at, errors) {
+  if (!Array.isArray(edits) || edits.length === 0) {
+    errors.push({ path: at, message: 'must be a non-empty array' });
+    return;
+  }
+
+  edits.forEach((edit, i) => {
+    const editAt = `${at}[${i}]`;
+    if (!isPlainObject(edit)) {
+      errors.push({ path: editAt, message: 'must be an object' });
+      return;
+    }
+    if (!isNonNegativeInteger(edit.start)) {
+      errors.push({ path: `${editAt}.start`, message: 'must be a non-negative integer' });
+    }
+    if (!isNonNegativeInteger(edit.end)) {
+      errors.push({ path: `${editAt}.end`, message: 'must be a non-negative integer' });
+    }
+    if (isNonNegativeInteger(edit.start) && isNonNegativeInteger(edit.end) && edit.start > edit.end) {
+      errors.push({ path: editAt, message: 'start must not be greater than end' });
+    }
+    if (typeof edit.replacement !== 'string') {
+      errors.push({ path: `${editAt}.replacement`, message: 'must be a string' });
+    }
+    for (const key of Object.keys(edit)) {
+      if (!(key in editSchema.properties)) {
+        errors.push({ path: `${editAt}.${key}`, message: 'is not allowed' });
+      }
+    }
+  });
+
+  const ranges = edits
+    .map((edit, i) => ({ ...edit, i }))
+    .filter(edit => isNonNegativeInteger(edit?.start) && isNonNegativeInteger(edit?.end))
+    .sort((a, b) => a.start - b.start);
+  for (let j = 1; j < ranges.length; j++) {
+    if (ranges[j].start < ranges[j - 1].end) {
+      errors.push({ path: `${at}[${ranges[j].i}]`, message: `overlaps ${at}[${ranges[j - 1].i}]` });
+    }
+  }
+}
+
+function validateHunks(hunks, at, errors) {
+  if (!Array.isArray(hunks) || hunks.length === 0) {
+    errors.push({ path: at, message: 'must be a non-empty array' });
+    return;
+  }
+
+  hunks.forEach((hunk, i) => {
+    const hunkAt = `${at}[${i}]`;
+    if (!isPlainObject(hunk)) {
+      errors.push({ path: hunkAt, message: 'must be an object' });
+      return;
+    }
+    if (!isNonNegativeInteger(hunk.oldStart)) {
+      errors.push({ path: `${hunkAt}.oldStart`, message: 'must be a non-negative integer' });
+    }
+    if (!Array.isArray(hunk.lines) || hunk.lines.length === 0) {
+      errors.push({ path: `${hunkAt}.lines`, message: 'must be a non-empty array' });
+    } else {
+      hunk.lines.forEach((line, j) => {
+        if (typeof line !== 'string' || !/^[ +-]/.test(line)) {
+          errors.push({ path: `${hunkAt}.lines[${j}]`, message: 'must be a string starting with " ", "-" or "+"' });
+        }
+      });
+      if (!hunk.lines.some(line => typeof line === 'string' && /^[+-]/.test(line))) {
+        errors.push({ path: `${hunkAt}.lines`, message: 'must add or remove at least one line' });
+      }
+    }
+    for (const key of Object.keys(hunk)) {
+      if (!(key in hunkSchema.properties)) {
+        errors.push({ path: `${hunkAt}.${key}`, message: 'is not allowed' });
+      }
+    }
+  });
+}
+
+function validateFilePatch(file, at, errors) {
+  if (!isPlainObject(file)) {
+    errors.push({ path: at, message: 'must be an object' });
+    return;
+  }
+
+  if (typeof file.path !== 'string' || file.path.length === 0) {
+    errors.push({ path: `${at}.path`, message: 'must be a non-empty string' });
+  }
+
+  const fields = OPERATION_FIELDS[file.operation];
+  if (!fields) {
+    errors.push({ path: `${at}.operation`, message: `must be one of ${PATCH_OPERATIONS.join(', ')}` });
+    return;
+  }
+
+  for (const key of Object.keys(file)) {
+    if (!FILE_FIELDS.has(key)) {
+      errors.push({ path: `${at}.${key}`, message: 'is not allowed' });
+    } else if (key !== 'path' && key !== 'operation' && !fields.allowed.includes(key)) {
+      errors.push({ path: `${at}.${key}`, message: `is not allowed for ${file.operation}` });
+    }
+  }
+  for (const key of fields.required) {
+    if (!(key in file)) {
+      errors.push({ path: `${at}.${key}`, message: `is required for ${file.operation}` });
+    }
+  }
+
+  if ('content' in file && typeof file.content !== 'string') {
+    errors.push({ path: `${at}.content`, message: 'must be a string' });
+  }
+  if ('oldPath' in file && (typeof file.oldPath !== 'string' || file.oldPath.length === 0)) {
+    errors.push({ path: `${at}.oldPath`, message: 'must be a non-empty string' });
+  }
+  if ('edits' in file && 'hunks' in file) {
+    errors.push({ path: at, message: 'must not have both edits and hunks' });
+  }
+  if (file.operation === 'modify' && !('edits' in file) && !('hunks' in file)) {
+    errors.push({ path: at, message: 'modify requires edits or hunks' });
+  }
+  if ('edits' in file && fields.allowed.includes('edits')) {
+    validateEdits(file.edits, `${at}.edits`, errors);
+  }
+  if ('hunks' in file && fields.allowed.includes('hunks')) {
+    validateHunks(file.hunks, `${at}.hunks`, errors);
+  }
+}
+
+/**
+ * Validate a multi-file JSON patch
+ * @param {*} patch - Parsed patch (shorthand forms are normalized first)
+ * @returns {{valid: boolean, errors: Array<{path: string, message: string}>, patch: Object}}
+ *   errors use JS-style paths such as "files[0].edits[1].start"; patch is the normalized form
+ */
+export function validatePatch(patch) {
+  const normalized = normalizePatch(patch);
+  const errors = [];
+
+  if (!isPlainObject(normalized)) {
+    errors.push({ path: '', message: 'patch must be an object with a "files" array' });
+    return { valid: false, errors, patch: normalized };
+  }
+
+  for (const key of Object.keys(normalized)) {
+    if (key !== 'files') {
+      errors.push({ path: key, message: 'is not allowed' });
+    }
+  }
+
+  if (!Array.isArray(normalized.files) || normalized.files.length === 0) {
+    errors.push({ path: 'files', message: 'must be a non-empty array' });
+    return { valid: false, errors, patch: normalized };
+  }
+
+  const seen = new Map();
+  normalized.files.forEach((file, i) => {
+    validateFilePatch(file, `files[${i}]`, errors);
+
+    for (const filePath of [file?.path, file?.operation === 'rename' ? file.oldPath : null]) {
+      if (typeof filePath !== 'string' || !filePath) continue;
+      if (seen.has(filePath)) {
+        errors.push({ path: `files[${i}]`, message: `touches ${filePath}, already changed by files[${seen.get(filePath)}]` });
+      } else {
+        seen.set(filePath, i);
+      }
+    }
+  });
+
+  return { valid: errors.length === 0, errors, patch: normalized };
+}
+
+/**
+ * Render validation errors as one line each, for prompts and messages
+ * @param {Array<{path: string, message: string}>} errors
+ * @returns {string}
+ */
+export function formatPatchErrors(errors) {
+  return errors.map(error => `- ${error.path || '(patch)'}: ${error.message}`).join('\n');
+}
@@ -0,0 +1,301 @@
+// Unified diff parsing and in-memory hunk application
+// Tolerant of the slightly malformed diffs LLMs tend to produce (wrong hunk counts,
+// stripped whitespace on blank context lines), but never applies a hunk whose
+// context does not match the target content.
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@(.*)$/;
+const NULL_PATH = '/dev/null';
+
+/**
+ * Strip the a/ b/ prefixes and trailing timestamps from a diff header path
+ * @param {string} rawPath - Path as written after --- or +++
+ * @returns {string}
+ */
+function cleanPath(rawPath) {
+  let cleaned = rawPath.split('\t')[0].trim();
+  if (cleaned.startsWith('"') && cleaned.endsWith('"')) {
+    cleaned = cleaned.slice(1, -1);
+  }
+  if (cleaned === NULL_PATH) {
+    return NULL_PATH;
+  }
+  return cleaned.replace(/^[ab]\//, '');
+}
+
+function isFileHeaderAt(lines, i) {
+  return lines[i].startsWith('--- ') && i + 1 < lines.length && lines[i + 1].startsWith('+++ ');
+}
+
+function finishHunk(hunk) {
+  // Blank lines after the last real hunk line are almost always separators, not context
+  while (hunk.lines.length > 0) {
+    const last = hunk.lines[hunk.lines.length - 1];
+    if (last.type === ' ' && last.text === '' && last.blank) {
+      const oldCount = hunk.lines.filter(l => l.type !== '+').length;
+      if (oldCount > hunk.oldLines) {
+        hunk.lines.pop();
+        continue;
+      }
+    }
+    break;
+  }
+  for (const line of hunk.lines) {
+    delete line.blank;
+  }
+}
+
+/**
+ * Parse a (possibly multi-file) unified diff
+ * @param {string} diffText - Unified diff text
+ * @returns {Array<{oldPath: string, newPath: string, operation: string, hunks: Array}>}
+ * @throws {Error} If the text contains no file headers or a hunk appears before any header
+ */
+export function parseUnifiedDiff(diffText) {
+  if (!diffText || typeof diffText !== 'string') {
+    throw new Error('Patch must be a non-empty string');
+  }
+
+  const lines = diffText.replace(/\r\n/g, '\n').split('\n');
+  const files = [];
+  let currentFile = null;
+  let currentHunk = null;
+
+  const startFile = () => {
+    currentFile = { oldPath: null, newPath: null, hunks: [] };
+    files.push(currentFile);
+    currentHunk = null;
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (line.startsWith('diff --git ')) {
+      if (currentHunk) finishHunk(currentHunk);
+      startFile();
+      const match = line.match(/^diff --git a\/(.+) b\/(.+)$/);
+      if (match) {
+        currentFile.oldPath = match[1];
+        currentFile.newPath = match[2];
+      }
+      continue;
+    }
+
+    if (isFileHeaderAt(lines, i)) {
+      if (currentHunk) finishHunk(currentHunk);
+      // A ---/+++ pair without a preceding "diff --git" line starts a new file
+      if (!currentFile || currentFile.hunks.length > 0 || currentFile.headerSeen) {
+        startFile();
+      }
+      currentFile.oldPath = cleanPath(line.slice(4));
+      currentFile.newPath = cleanPath(lines[i + 1].slice(4));
+      currentFile.headerSeen = true;
+      currentHunk = null;
+      i++;
+      continue;
+    }
+
+    const hunkMatch = line.match(HUNK_HEADER);
+    if (hunkMatch) {
+      if (!currentFile) {
+        throw new Error(`Hunk header without file header at line ${i + 1}`);
+      }
+      if (currentHunk) finishHunk(currentHunk);
+      currentHunk = {
+        header: line,
+        oldStart: parseInt(hunkMatch[1], 10),
+        oldLines: hunkMatch[2] === undefined ? 1 : parseInt(hunkMatch[2], 10),
+        newStart: parseInt(hunkMatch[3], 10),
+        newLines: hunkMatch[4] === undefined ? 1 : parseInt(hunkMatch[4], 10),
+        lines: [],
+        noNewlineOld: false,
+        noNewlineNew: false,
+      };
+      currentFile.hunks.push(currentHunk);
+      continue;
+    }
+
+    if (!currentHunk) {
+      // Extended git headers (index, mode, rename) and surrounding prose
+      if (currentFile) {
+        if (line.startsWith('new file mode')) currentFile.isNew = true;
+        if (line.startsWith('deleted file mode')) currentFile.isDeleted = true;
+        if (line.startsWith('rename from ')) currentFile.oldPath = line.slice('rename from '.length);
+        if (line.startsWith('rename to ')) currentFile.newPath = line.slice('rename to '.length);
+      }
+      continue;
+    }
+
+    const marker = line[0];
+    if (marker === ' ' || marker === '+' || marker === '-') {
+      currentHunk.lines.push({ type: marker, text: line.slice(1) });
+    } else if (marker === '\\') {
+      const previous = currentHunk.lines[currentHunk.lines.length - 1];
+      if (previous && previous.type !== '+') currentHunk.noNewlineOld = true;
+      if (previous && previous.type !== '-') currentHunk.noNewlineNew = true;
+    } else if (line === '') {
+      currentHunk.lines.push({ type: ' ', text: '', blank: true });
+    } else {
+      // Trailing prose after the diff ends the hunk
+      finishHunk(currentHunk);
+      currentHunk = null;
+    }
+  }
+
+  if (currentHunk) finishHunk(currentHunk);
+
+  const parsed = files.filter(f => f.oldPath || f.newPath);
+  if (parsed.length === 0) {
+    throw new Error('No file headers found in unified diff');
+  }
+
+  return parsed.map(file => {
+    const oldPath = file.oldPath || file.newPath;
+    const newPath = file.newPath || file.oldPath;
+    let operation = 'modify';
+    if (oldPath === NULL_PATH || file.isNew) {
+      operation = 'create';
+    } else if (newPath === NULL_PATH || file.isDeleted) {
+      operation = 'delete';
+    } else if (oldPath !== newPath) {
+      operation = 'rename';
+    }
+
+    return {
+      oldPath,
+      newPath,
+      operation,
+      hunks: file.hunks,
+    };
+  });
+}
+
+function linesEqual(a, b, ignoreTrailingWhitespace) {
+  if (a.length !== b.length) return false;
+  for (let i = 0; i < a.length; i++) {
+    if (ignoreTrailingWhitespace ? a[i].trimEnd() !== b[i].trimEnd() : a[i] !== b[i]) {
+      return false;
+    }
+  }
+  return true;
+}
+
+// How far from its stated line a hunk may have moved and still be applied
+const MAX_HUNK_OFFSET = 100;
+
+// Nearest exact match within MAX_HUNK_OFFSET of the expected line, or else the only
+// match that ignores trailing whitespace. Two candidates at the same distance, or more
+// than one loose match, are ambiguous and refused rather than guessed.
+function findHunkPosition(fileLines, oldLines, expected, minIndex) {
+  const low = Math.max(minIndex, expected - MAX_HUNK_OFFSET);
+  const high = Math.min(fileLines.length - oldLines.length, expected + MAX_HUNK_OFFSET);
+  const matchesAt = (index, loose) =>
+    index >= low && index <= high &&
+    linesEqual(fileLines.slice(index, index + oldLines.length), oldLines, loose);
+
+  // Search outward from the expected position, nearest match first
+  for (let distance = 0; distance <= MAX_HUNK_OFFSET; distance++) {
+    const after = matchesAt(expected + distance, false);
+    const before = distance > 0 && matchesAt(expected - distance, false);
+    if (after && before) {
+      return { error: `Context lines match both ${distance} lines before and after the expected position` };
+    }
+    if (after || before) {
+      return { index: after ? expected + distance : expected - distance, loose: false };
+    }
+  }
+
+  const loose = [];
+  for (let index = low; index <= high; index++) {
+    if (matchesAt(index, true)) loose.push(index);
+  }
+  if (loose.length === 1) {
+    return { index: loose[0], loose: true };
+  }
+  if (loose.length > 1) {
+    return { error: `Context lines match ${loose.length} places once trailing whitespace is ignored` };
+  }
+  return { error: `Context lines do not match the file contents within ${MAX_HUNK_OFFSET} lines of the expected position` };
+}
+
+/**
+ * Apply parsed hunks to file content without touching the filesystem
+ * @param {string} content - Original file content ('' for new files)
+ * @param {Array} hunks - Hunks from parseUnifiedDiff
+ * @returns {{success: boolean, content: string|null, hunks: Array<{index: number, header: string, status: string, expectedLine: number, appliedLine?: number, offset?: number, message?: string}>}}
+ */
+export function applyHunks(content, hunks) {
+  const usesCrlf = content.includes('\r\n');
+  const normalized = usesCrlf ? content.replace(/\r\n/g, '\n') : content;
+  const fileLines = normalized.split('\n');
+  let trailingNewline = false;
+  if (fileLines.length > 0 && fileLines[fileLines.length - 1] === '') {
+    fileLines.pop();
+    trailingNewline = normalized.length > 0;
+  }
+
+  const reports = [];
+  let delta = 0;
+  let minIndex = 0;
+  let success = true;
+
+  hunks.forEach((hunk, index) => {
+    const oldLines = hunk.lines.filter(l => l.type !== '+').map(l => l.text);
+    const newLines = hunk.lines.filter(l => l.type !== '-').map(l => l.text);
+    // Pure insertions at line 0 mean "before the first line"
+    const expected = Math.max(0, (hunk.oldLines === 0 ? hunk.oldStart : hunk.oldStart - 1) + delta);
+    const report = {
+      index,
+      header: hunk.header,
+      expectedLine: expected + 1,
+    };
+
+    const position = findHunkPosition(fileLines, oldLines, Math.min(expected, fileLines.length), minIndex);
+    if (position.error) {
+      success = false;
+      reports.push({
+        ...report,
+        status: 'failed',
+        message: position.error,
+      });
+      return;
+    }
+
+    fileLines.splice(position.index, oldLines.length, ...newLines);
+    const offset = position.index - expected;
+    delta += newLines.length - oldLines.length + offset;
+    minIndex = position.index + newLines.length;
+
+    if (hunk.noNewlineNew) {
+      trailingNewline = false;
+    } else if (hunk.noNewlineOld) {
+      trailingNewline = true;
+    }
+
+    reports.push({
+      ...report,
+      status: offset === 0 && !position.loose ? 'applied' : 'applied-with-offset',
+      appliedLine: position.index + 1,
+      offset,
+      ...(position.loose && { message: 'Matched ignoring trailing whitespace' }),
+    });
+  });
+
+  if (!success) {
+    return { success, content: null, hunks: reports };
+  }
+
+  if (fileLines.length > 0 && hunks.length > 0 && !trailingNewline && !normalized.length) {
+    // New files get a trailing newline unless the diff says otherwise
+    trailingNewline = !hunks.some(h => h.noNewlineNew);
+  }
+
+  let result = fileLines.join('\n');
+  if (trailingNewline && fileLines.length > 0) {
+    result += '\n';
+  }
+  if (usesCrlf) {
+    result = result.replace(/\n/g, '\r\n');
+  }
+
+  return { success, content: result, hunks: reports };
+}
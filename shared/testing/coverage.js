@@ -0,0 +1,224 @@
+// Line coverage for test runs
+// Turns on coverage for the runner runnerDetection.js chose and reads the report back into one shape:
+//
+// {
+//   "format": "istanbul",
+//   "totals": { "lines": 120, "covered": 96, "pct": 80 },
+//   "files": [
+//     { "file": "src/math.js", "lines": 20, "covered": 18, "pct": 90, "uncoveredLines": [[12, 13]] }
+//   ],
+//   "patch": { "lines": 8, "covered": 6, "pct": 75, "files": [...] } // only when added lines are given
+// }
+//
+// jest and vitest write istanbul JSON themselves (vitest needs @vitest/coverage-v8 or -istanbul).
+// Other Node runners, mocha included, run with NODE_V8_COVERAGE set and `c8 report` converts what V8
+// wrote to istanbul JSON afterwards, so only c8's report command has to be allowed. pytest uses
+// pytest-cov, which writes coverage.py JSON.
+
+import fs from 'fs';
+import path from 'path';
+import { EXEC_PREFIXES } from './runnerDetection.js';
+import { canAppendArgs, isTestFile } from './testCommand.js';
+
+// Source files each report format can measure; patch coverage ignores other changed files
+const MEASURED_FILES = {
+  istanbul: /\.[cm]?[jt]sx?$/,
+  'coverage.py': /\.py$/,
+};
+
+/**
+ * Why coverage cannot be collected with a runner
+ * @param {Object} testRunner - From detectTestRunner()
+ * @returns {string|null} null when coverageCollection() can set it up
+ */
+export function coverageError(testRunner) {
+  if (['jest', 'vitest'].includes(testRunner.framework) && !canAppendArgs(testRunner)) {
+    return `The "test" script runs several commands, so ${testRunner.framework}'s coverage flags cannot be passed on; use runner "${testRunner.framework}" to run ${testRunner.framework} directly`;
+  }
+  if (testRunner.framework !== 'pytest' && !testRunner.packageManager) {
+    return `Coverage is not supported for runner "${testRunner.runner}"; it works with jest, vitest, pytest and other Node.js test runners`;
+  }
+  return null;
+}
+
+/**
+ * How to collect coverage with a runner, writing into coverageDir
+ * @param {Object} testRunner - From detectTestRunner(); check coverageError() first
+ * @param {string} coverageDir - Empty directory for the report
+ * @returns {{format: string, args: string[], env: Object, report: {command: string, args: string[]}|null, file: string}}
+ *   args go on the test command (see buildTestCommand()), env on its process; report is a command to
+ *   run after the tests, which writes the report file
+ */
+export function coverageCollection(testRunner, coverageDir) {
+  const istanbulFile = path.join(coverageDir, 'coverage-final.json');
+
+  if (testRunner.framework === 'jest') {
+    const args = ['--coverage', '--coverageReporters=json', `--coverageDirectory=${coverageDir}`];
+    return { format: 'istanbul', args, env: {}, report: null, file: istanbulFile };
+  }
+  if (testRunner.framework === 'vitest') {
+    const args = ['--coverage.enabled=true', '--coverage.reporter=json', `--coverage.reportsDirectory=${coverageDir}`];
+    return { format: 'istanbul', args, env: {}, report: null, file: istanbulFile };
+  }
+  if (testRunner.framework === 'pytest') {
+    const file = path.join(coverageDir, 'coverage.json');
+    return { format: 'coverage.py', args: ['--cov=.', `--cov-report=json:${file}`], env: {}, report: null, file };
+  }
+
+  // V8 writes raw coverage for every Node process started with NODE_V8_COVERAGE, test workers included
+  const v8Dir = path.join(coverageDir, 'v8');
+  return {
+    format: 'istanbul',
+    args: [],
+    env: { NODE_V8_COVERAGE: v8Dir },
+    report: {
+      command: `${EXEC_PREFIXES[testRunner.packageManager]} c8 report`,
+      args: ['--temp-directory', v8Dir, '--reporter=json', '--report-dir', coverageDir],
+    },
+    file: istanbulFile,
+  };
+}
+
+function relativeFile(rootDir, file) {
+  const relative = path.isAbsolute(file) ? path.relative(rootDir, file) : path.normalize(file);
+  return relative.startsWith('..') || path.isAbsolute(relative) ? null : relative.split(path.sep).join('/');
+}
+
+/**
+ * Hits per executable line of each file in a coverage report
+ * istanbul counts a statement on the line it starts on; a line with several statements takes the
+ * highest count, as istanbul's own line summary does.
+ * @param {string} format - 'istanbul' or 'coverage.py'
+ * @param {string|Object} report - Report file contents
+ * @param {Object} [options]
+ * @param {string} [options.rootDir] - Directory the tests ran in; files outside it are left out
+ * @returns {Map<string, Map<number, number>>|null} Relative file to line to hits; null when the report cannot be parsed
+ */
+export function parseCoverage(format, report, { rootDir = process.cwd() } = {}) {
+  let json;
+  try {
+    json = typeof report === 'string' ? JSON.parse(report) : report;
+  } catch (error) {
+    return null;
+  }
+  if (!json || typeof json !== 'object') {
+    return null;
+  }
+
+  const lineHits = new Map();
+  if (format === 'coverage.py') {
+    if (!json.files) {
+      return null;
+    }
+    for (const [name, entry] of Object.entries(json.files)) {
+      const file = relativeFile(rootDir, name);
+      if (!file) continue;
+      const hits = new Map();
+      (entry.missing_lines || []).forEach(line => hits.set(line, 0));
+      (entry.executed_lines || []).forEach(line => hits.set(line, 1));
+      lineHits.set(file, hits);
+    }
+    return lineHits;
+  }
+
+  if (format === 'istanbul') {
+    for (const [name, value] of Object.entries(json)) {
+      const entry = value?.data || value; // Some writers wrap each file's coverage in "data"
+      const file = relativeFile(rootDir, entry?.path || name);
+      if (!file || !entry?.statementMap) continue;
+      const hits = new Map();
+      for (const [id, location] of Object.entries(entry.statementMap)) {
+        const line = location.start.line;
+        hits.set(line, Math.max(hits.get(line) ?? 0, entry.s?.[id] ?? 0));
+      }
+      lineHits.set(file, hits);
+    }
+    return lineHits;
+  }
+  return null;
+}
+
+// [[12, 13], [20, 20]] from 12, 13, 20
+function lineRanges(lines) {
+  const ranges = [];
+  for (const line of [...lines].sort((a, b) => a - b)) {
+    const last = ranges[ranges.length - 1];
+    if (last && line === last[1] + 1) {
+      last[1] = line;
+    } else {
+      ranges.push([line, line]);
+    }
+  }
+  return ranges;
+}
+
+const percent = (covered, lines) => (lines > 0 ? Math.round((covered / lines) * 10000) / 100 : null);
+
+/**
+ * Per-file and total line coverage, and the coverage of a patch's added lines
+ * @param {string} format - 'istanbul' or 'coverage.py'
+ * @param {Map<string, Map<number, number>>} lineHits - From parseCoverage()
+ * @param {Object} [options]
+ * @param {Object<string, number[]>} [options.addedLines] - Non-blank lines a patch adds or changes,
+ *   per file relative to the directory the tests ran in. Lines that are not executable do not count;
+ *   in a source file the tests never loaded, every given line counts as uncovered.
+ * @returns {{format: string, totals: Object, files: Object[], patch?: Object}}
+ */
+export function summarizeCoverage(format, lineHits, { addedLines } = {}) {
+  const files = [...lineHits.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([file, hits]) => {
+      const lines = hits.size;
+      const uncovered = [...hits.entries()].filter(([, count]) => count === 0).map(([line]) => line);
+      const covered = lines - uncovered.length;
+      return { file, lines, covered, pct: percent(covered, lines), uncoveredLines: lineRanges(uncovered) };
+    });
+
+  const lines = files.reduce((sum, file) => sum + file.lines, 0);
+  const covered = files.reduce((sum, file) => sum + file.covered, 0);
+  const summary = { format, totals: { lines, covered, pct: percent(covered, lines) }, files };
+  if (!addedLines) {
+    return summary;
+  }
+
+  const patchFiles = Object.entries(addedLines)
+    .filter(([file]) => MEASURED_FILES[format]?.test(file) && !isTestFile(file))
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([file, added]) => {
+      const hits = lineHits.get(file);
+      const executable = hits ? added.filter(line => hits.has(line)) : added;
+      const uncovered = executable.filter(line => !hits || hits.get(line) === 0);
+      return {
+        file,
+        lines: executable.length,
+        covered: executable.length - uncovered.length,
+        uncoveredLines: lineRanges(uncovered),
+        loaded: Boolean(hits),
+      };
+    })
+    .filter(file => file.lines > 0);
+
+  const patchLines = patchFiles.reduce((sum, file) => sum + file.lines, 0);
+  const patchCovered = patchFiles.reduce((sum, file) => sum + file.covered, 0);
+  summary.patch = { lines: patchLines, covered: patchCovered, pct: percent(patchCovered, patchLines), files: patchFiles };
+  return summary;
+}
+
+/**
+ * Read the coverage report a test run wrote
+ * @param {Object} collection - From coverageCollection()
+ * @param {Object} [options]
+ * @param {string} [options.rootDir] - Directory the tests ran in
+ * @param {Object<string, number[]>} [options.addedLines] - See summarizeCoverage()
+ * @returns {Object|null} See summarizeCoverage(); null when no report was written
+ */
+export function readCoverage(collection, { rootDir = process.cwd(), addedLines } = {}) {
+  let report;
+  try {
+    report = fs.readFileSync(collection.file, 'utf-8');
+  } catch (error) {
+    return null;
+  }
+  const lineHits = parseCoverage(collection.format, report, { rootDir });
+  return lineHits ? summarizeCoverage(collection.format, lineHits, { addedLines }) : null;
+}
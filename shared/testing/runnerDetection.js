@@ -0,0 +1,203 @@
+// Test runner detection
+// Shared by the adapter (/run-tests and the patch evaluators) and the Electron MCPService.
+// Picks the command that runs a repository's tests: the package.json "test" script through the
+// repo's package manager (npm, yarn or pnpm), a JavaScript test framework found by its config
+// file or dependency (jest, vitest, mocha), pytest, or go test. A caller can name the runner
+// instead; the result always says which runner was chosen and why.
+
+import fs from 'fs';
+import path from 'path';
+
+export const PACKAGE_MANAGERS = ['npm', 'yarn', 'pnpm'];
+export const TEST_FRAMEWORKS = ['jest', 'vitest', 'mocha', 'pytest', 'go'];
+
+// Names accepted as an override: a package manager runs the "test" script, a framework runs directly
+export const RUNNER_NAMES = [...PACKAGE_MANAGERS, ...TEST_FRAMEWORKS];
+
+// What `npm init` writes; a repository with only this has no tests to run
+const NPM_PLACEHOLDER_SCRIPT = /^echo "Error: no test specified" && exit 1$/;
+
+const CONFIG_EXTENSIONS = ['js', 'cjs', 'mjs', 'ts', 'cts', 'mts', 'json'];
+
+const FRAMEWORK_COMMANDS = {
+  jest: 'jest',
+  vitest: 'vitest run', // Plain "vitest" watches when it thinks it has a terminal
+  mocha: 'mocha',
+};
+
+// How each package manager runs a binary from node_modules/.bin
+export const EXEC_PREFIXES = { npm: 'npx', yarn: 'yarn', pnpm: 'pnpm exec' };
+
+function exists(repoPath, ...names) {
+  return names.some(name => fs.existsSync(path.join(repoPath, name)));
+}
+
+function readText(repoPath, name) {
+  try {
+    return fs.readFileSync(path.join(repoPath, name), 'utf-8');
+  } catch (error) {
+    return null;
+  }
+}
+
+function readPackageJson(repoPath) {
+  const text = readText(repoPath, 'package.json');
+  if (text === null) {
+    return null;
+  }
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return {}; // Still a Node project; the package manager reports the syntax error when run
+  }
+}
+
+/**
+ * Package manager of a Node project, from the packageManager field or the lockfile
+ * @returns {{name: string, reason: string|null}} reason is null when npm is assumed
+ */
+function detectPackageManager(repoPath, packageJson) {
+  const declared = /^(npm|yarn|pnpm)@/.exec(packageJson.packageManager || '');
+  if (declared) {
+    return { name: declared[1], reason: `packageManager "${packageJson.packageManager}"` };
+  }
+  if (exists(repoPath, 'pnpm-lock.yaml')) {
+    return { name: 'pnpm', reason: 'pnpm-lock.yaml' };
+  }
+  if (exists(repoPath, 'yarn.lock')) {
+    return { name: 'yarn', reason: 'yarn.lock' };
+  }
+  return { name: 'npm', reason: exists(repoPath, 'package-lock.json') ? 'package-lock.json' : null };
+}
+
+/**
+ * JavaScript test framework a repository uses, from a test script, config file or dependency
+ * @returns {{name: string, reason: string}|null}
+ */
+function detectJsFramework(repoPath, packageJson, testScript) {
+  for (const name of ['vitest', 'jest', 'mocha']) {
+    if (testScript && new RegExp(`(^|[\\s/;&|])${name}(\\s|$)`).test(testScript)) {
+      return { name, reason: `"test" script runs ${name}` };
+    }
+  }
+
+  const configs = {
+    vitest: CONFIG_EXTENSIONS.map(ext => `vitest.config.${ext}`),
+    jest: CONFIG_EXTENSIONS.map(ext => `jest.config.${ext}`),
+    mocha: ['.mocharc.js', '.mocharc.cjs', '.mocharc.json', '.mocharc.jsonc', '.mocharc.yml', '.mocharc.yaml'],
+  };
+  for (const [name, files] of Object.entries(configs)) {
+    const found = files.find(file => exists(repoPath, file));
+    if (found) {
+      return { name, reason: found };
+    }
+  }
+  if (packageJson.jest) {
+    return { name: 'jest', reason: 'package.json "jest" field' };
+  }
+
+  const dependencies = { ...packageJson.dependencies, ...packageJson.devDependencies };
+  const dependency = ['vitest', 'jest', 'mocha'].find(name => dependencies[name]);
+  return dependency ? { name: dependency, reason: `${dependency} dependency` } : null;
+}
+
+/**
+ * Why pytest applies to a repository, or null if it does not look like a pytest project
+ * @returns {string|null}
+ */
+function detectPytest(repoPath) {
+  if (exists(repoPath, 'pytest.ini', 'conftest.py')) {
+    return exists(repoPath, 'pytest.ini') ? 'pytest.ini' : 'conftest.py';
+  }
+  const sections = [
+    ['pyproject.toml', '[tool.pytest'],
+    ['setup.cfg', '[tool:pytest]'],
+    ['tox.ini', '[pytest]'],
+  ];
+  for (const [file, section] of sections) {
+    if (readText(repoPath, file)?.includes(section)) {
+      return `${section} in ${file}`;
+    }
+  }
+  if (exists(repoPath, 'pyproject.toml', 'setup.py', 'requirements.txt') && exists(repoPath, 'tests', 'test')) {
+    return 'Python project with a tests directory';
+  }
+  return null;
+}
+
+/**
+ * Choose the command that runs a repository's tests
+ * Detection order: the package.json "test" script, a JavaScript framework without a script,
+ * pytest, then go.mod. The framework is reported even when the script runs it, so callers
+ * can read its output format.
+ * @param {string} repoPath - Repository root
+ * @param {Object} [options]
+ * @param {string} [options.runner] - Override: one of RUNNER_NAMES
+ * @returns {{runner: string, framework: string|null, packageManager: string|null, command: string, script: string|null, reason: string, overridden: boolean}|null}
+ *   runner is the package manager when the "test" script is run, otherwise the framework; framework is
+ *   null for a script running something unrecognised, and script is the script's text (null when a
+ *   framework runs directly). null when no runner applies.
+ * @throws {Error} If options.runner is not a known runner name
+ */
+export function detectTestRunner(repoPath, { runner: override } = {}) {
+  if (override !== undefined && override !== null && !RUNNER_NAMES.includes(override)) {
+    throw new Error(`Unknown test runner "${override}"; expected one of ${RUNNER_NAMES.join(', ')}`);
+  }
+
+  const packageJson = readPackageJson(repoPath);
+  const testScript = packageJson?.scripts?.test;
+  const hasTestScript = typeof testScript === 'string' && !NPM_PLACEHOLDER_SCRIPT.test(testScript.trim());
+  const packageManager = packageJson ? detectPackageManager(repoPath, packageJson) : null;
+  const jsFramework = packageJson ? detectJsFramework(repoPath, packageJson, hasTestScript ? testScript : null) : null;
+
+  const runScript = (manager, reason, overridden) => ({
+    runner: manager,
+    framework: jsFramework?.name || null,
+    packageManager: manager,
+    command: `${manager} test`,
+    script: typeof testScript === 'string' ? testScript : null,
+    reason,
+    overridden,
+  });
+  const runFramework = (name, reason, overridden) => {
+    if (name === 'pytest') {
+      return { runner: 'pytest', framework: 'pytest', packageManager: null, command: 'pytest', script: null, reason, overridden };
+    }
+    if (name === 'go') {
+      return { runner: 'go', framework: 'go', packageManager: null, command: 'go test ./...', script: null, reason, overridden };
+    }
+    const manager = packageManager?.name || 'npm';
+    return {
+      runner: name,
+      framework: name,
+      packageManager: manager,
+      command: `${EXEC_PREFIXES[manager]} ${FRAMEWORK_COMMANDS[name]}`,
+      script: null,
+      reason,
+      overridden,
+    };
+  };
+
+  if (override) {
+    return PACKAGE_MANAGERS.includes(override)
+      ? runScript(override, `requested ${override}`, true)
+      : runFramework(override, `requested ${override}`, true);
+  }
+
+  if (hasTestScript) {
+    const source = packageManager.reason ? `, from ${packageManager.reason}` : '';
+    return runScript(packageManager.name, `package.json "test" script (${packageManager.name}${source})`, false);
+  }
+  if (jsFramework) {
+    return runFramework(jsFramework.name, `${jsFramework.reason}, no "test" script`, false);
+  }
+
+  const pytestReason = detectPytest(repoPath);
+  if (pytestReason) {
+    return runFramework('pytest', pytestReason, false);
+  }
+  if (exists(repoPath, 'go.mod')) {
+    return runFramework('go', 'go.mod', false);
+  }
+  return null;
+}
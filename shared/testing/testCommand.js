@@ -0,0 +1,156 @@
+// Test commands
+// Builds the command that runs a repository's tests from the runner runnerDetection.js chose:
+// reporter flags from testReports.js, plus each framework's own flags for running only some test
+// files or only tests whose name matches a pattern. Arguments are kept apart from the command so
+// file names and patterns with spaces reach the framework unchanged.
+
+import fs from 'fs';
+import path from 'path';
+import { reporterArgs } from './testReports.js';
+
+// Appending arguments to a test script only reaches the test framework when the script is one command
+const COMPOUND_SCRIPT = /&&|\|\||;/;
+
+// Names and places test frameworks look for tests by default
+const TEST_FILE_PATTERNS = [
+  /\.(test|spec)\.[cm]?[jt]sx?$/, // jest, vitest and mocha naming
+  /(^|\/)(__tests__|tests?)\/.*\.[cm]?[jt]sx?$/, // Test directories (jest's __tests__, mocha's ./test)
+  /(^|\/)test_[^/]*\.py$|_test\.py$/, // pytest
+  /_test\.go$/,
+];
+
+const SKIPPED_DIRECTORIES = new Set(['node_modules', 'vendor', '__pycache__']);
+
+/**
+ * Filter arguments per framework
+ * jest takes exact paths with --runTestsByPath (plain arguments are regexes); vitest, pytest and
+ * mocha take files as arguments. mocha adds them to the spec in .mocharc or the "test" script
+ * rather than replacing it, so every other test file is ignored. go test takes packages, which
+ * replace ./... in the default command.
+ */
+const FILTER_ARGS = {
+  jest: ({ files, grep }) => [
+    ...(grep ? [`--testNamePattern=${grep}`] : []),
+    ...(files.length > 0 ? ['--runTestsByPath', ...files] : []),
+  ],
+  vitest: ({ files, grep }) => [...(grep ? [`--testNamePattern=${grep}`] : []), ...files],
+  mocha: ({ files, grep, testFiles }) => {
+    const selected = new Set(files);
+    const ignored = files.length > 0 ? testFiles.filter(file => !selected.has(file)) : [];
+    return [...(grep ? [`--grep=${grep}`] : []), ...files, ...ignored.flatMap(file => ['--ignore', file])];
+  },
+  pytest: ({ files, grep }) => [...(grep ? ['-k', grep] : []), ...files],
+  go: ({ files, grep }) => [
+    ...(grep ? [`-run=${grep}`] : []),
+    ...new Set(files.map((file) => {
+      const directory = /\.go$/.test(file) ? path.posix.dirname(file) : file;
+      return directory === '.' ? '.' : `./${directory.replace(/^\.\//, '')}`;
+    })),
+  ],
+};
+
+/**
+ * Whether frameworks would treat a file as a test file by its name or directory
+ * @param {string} file - Path relative to the repository, with forward slashes
+ * @returns {boolean}
+ */
+export function isTestFile(file) {
+  return TEST_FILE_PATTERNS.some(pattern => pattern.test(file));
+}
+
+/**
+ * Test files under a directory, skipping dependencies and hidden directories
+ * @param {string} rootDir
+ * @returns {string[]} Sorted paths relative to rootDir, with forward slashes
+ */
+export function listTestFiles(rootDir) {
+  const found = [];
+  const walk = (relativeDir) => {
+    let entries;
+    try {
+      entries = fs.readdirSync(path.join(rootDir, relativeDir), { withFileTypes: true });
+    } catch (error) {
+      return;
+    }
+    for (const entry of entries) {
+      const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        if (!entry.name.startsWith('.') && !SKIPPED_DIRECTORIES.has(entry.name)) {
+          walk(relativePath);
+        }
+      } else if (entry.isFile() && isTestFile(relativePath)) {
+        found.push(relativePath);
+      }
+    }
+  };
+  walk('');
+  return found.sort();
+}
+
+/**
+ * Whether arguments added to a runner's command reach the test framework
+ * They do unless the runner is a "test" script that runs several commands.
+ * @param {Object} testRunner - From detectTestRunner()
+ * @returns {boolean}
+ */
+export function canAppendArgs(testRunner) {
+  return testRunner.script === null || testRunner.script === undefined || !COMPOUND_SCRIPT.test(testRunner.script);
+}
+
+/**
+ * Why a runner cannot run only some files or tests
+ * @param {Object} testRunner - From detectTestRunner()
+ * @returns {string|null} null when files and grep can be passed to the runner
+ */
+export function testFilterError(testRunner) {
+  if (!Object.hasOwn(FILTER_ARGS, testRunner.framework || '')) {
+    const framework = testRunner.framework ? `${testRunner.framework} ` : '';
+    return `Cannot select tests for ${framework}runner "${testRunner.runner}"; files and grep work with ${Object.keys(FILTER_ARGS).join(', ')}`;
+  }
+  if (!canAppendArgs(testRunner)) {
+    return `The "test" script runs several commands, so files and grep cannot be passed on; use runner "${testRunner.framework}" to run ${testRunner.framework} directly`;
+  }
+  return null;
+}
+
+/**
+ * The command that runs a repository's tests, with reporter and filter arguments
+ * @param {Object} testRunner - From detectTestRunner()
+ * @param {Object} [options]
+ * @param {string} [options.reportFile] - Where the framework writes its report (see testReports.js)
+ * @param {string[]} [options.files] - Test files to run, relative to the directory the tests run in
+ * @param {string} [options.grep] - Only run tests whose name matches: a regular expression for jest,
+ *   vitest, mocha and go, a -k expression for pytest
+ * @param {string[]} [options.testFiles] - Every test file in that directory (listTestFiles());
+ *   mocha needs them to leave out the files not asked for
+ * @param {string[]} [options.coverageArgs] - Flags that turn on coverage (see coverage.js)
+ * @returns {{command: string, args: string[], reporter: boolean}} command is what the sandbox
+ *   allowlist checks, args are passed to it as they are; reporter says whether a report is written
+ * @throws {Error} If files or grep are given and the runner cannot filter (see testFilterError())
+ */
+export function buildTestCommand(testRunner, { reportFile, files = [], grep, testFiles = [], coverageArgs = [] } = {}) {
+  const isScript = testRunner.script !== null && testRunner.script !== undefined;
+  const appendable = canAppendArgs(testRunner);
+  const filtering = files.length > 0 || Boolean(grep);
+
+  const filterError = filtering ? testFilterError(testRunner) : null;
+  if (filterError) {
+    throw new Error(filterError);
+  }
+
+  const reporter = appendable && reportFile ? reporterArgs(testRunner.framework, reportFile) : null;
+  const normalizedFiles = files.map(file => path.posix.normalize(file.split(path.sep).join('/')));
+  const filters = filtering ? FILTER_ARGS[testRunner.framework]({ files: normalizedFiles, grep, testFiles }) : [];
+  const args = [...(reporter || []), ...(appendable ? coverageArgs : []), ...filters];
+
+  let command = testRunner.command;
+  if (testRunner.framework === 'go' && !isScript && files.length > 0) {
+    command = command.replace(/\s+\.\/\.\.\.$/, '');
+  }
+
+  // npm needs "--" to pass arguments on to the script; yarn and pnpm pass them as they are
+  if (isScript && testRunner.runner === 'npm' && args.length > 0) {
+    args.unshift('--');
+  }
+  return { command, args, reporter: reporter !== null };
+}
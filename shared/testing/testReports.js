@@ -0,0 +1,290 @@
+// Machine-readable test reports
+// Adds a reporter to the command chosen by runnerDetection.js (jest and vitest JSON, mocha JSON,
+// pytest JUnit XML) and reads the report back into one shape for every framework:
+//
+// {
+//   "framework": "jest",
+//   "totals": { "total": 12, "passed": 10, "failed": 1, "skipped": 1 },
+//   "durationMs": 1840,
+//   "failures": [
+//     { "name": "math isEven handles strings", "file": "test/math.test.js", "line": 14,
+//       "message": "expect(received).toBe(expected) ...", "durationMs": 3 }
+//   ]
+// }
+
+import fs from 'fs';
+import path from 'path';
+
+// Reporter flags per framework; the report is written to a file so test output stays readable
+const REPORTER_ARGS = {
+  jest: file => ['--json', `--outputFile=${file}`, '--testLocationInResults'],
+  vitest: file => ['--reporter=default', '--reporter=json', `--outputFile=${file}`],
+  mocha: file => ['--reporter=json', `--reporter-option=output=${file}`],
+  pytest: file => [`--junitxml=${file}`, '-o', 'junit_family=xunit1'], // xunit1 keeps the file and line attributes
+};
+
+// Longest failure message kept; the start of an assertion message says what went wrong
+const MAX_MESSAGE_LENGTH = 2000;
+
+/**
+ * Whether reports can be read for a framework
+ * @param {string|null} framework
+ * @returns {boolean}
+ */
+export function hasReporter(framework) {
+  return Object.hasOwn(REPORTER_ARGS, framework || '');
+}
+
+/**
+ * Arguments that make a framework write its report to reportFile
+ * testCommand.js adds them to the runner's command.
+ * @param {string|null} framework
+ * @param {string} reportFile - Absolute path
+ * @returns {string[]|null} null when the framework is unknown
+ */
+export function reporterArgs(framework, reportFile) {
+  return hasReporter(framework) ? REPORTER_ARGS[framework](reportFile) : null;
+}
+
+const stripAnsi = text => (text || '').replace(/\u001b\[[0-9;]*m/g, '');
+
+function relativeFile(rootDir, file) {
+  if (!file) {
+    return null;
+  }
+  const relative = path.isAbsolute(file) ? path.relative(rootDir, file) : file;
+  return (relative.startsWith('..') ? file : relative).split(path.sep).join('/');
+}
+
+/**
+ * Line of the first stack frame in a file, which is the failing assertion for a test file
+ * @returns {number|null}
+ */
+function lineInStack(stack, file, rootDir) {
+  if (!stack || !file) {
+    return null;
+  }
+  // Frames name the file absolutely, as a file:// URL, or relative to the directory the tests ran in
+  const absolute = path.resolve(rootDir, file);
+  const names = [...new Set([absolute, path.relative(rootDir, absolute)])]
+    .map(name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const frame = new RegExp(`(?:^|[\\s(]|file://)(?:${names.join('|')}):(\\d+)`);
+  for (const line of stack.split('\n')) {
+    const match = frame.exec(line);
+    if (match) {
+      return Number(match[1]);
+    }
+  }
+  return null;
+}
+
+// Failure text up to the stack trace
+function messageOf(text) {
+  const lines = stripAnsi(text).split('\n');
+  const stackStart = lines.findIndex(line => /^\s+at /.test(line));
+  const message = (stackStart === -1 ? lines : lines.slice(0, stackStart)).join('\n').trim();
+  return message.length > MAX_MESSAGE_LENGTH ? `${message.slice(0, MAX_MESSAGE_LENGTH - 3)}...` : message;
+}
+
+/**
+ * Jest --json report; vitest's JSON reporter writes the same format
+ * A suite that fails before its tests run (syntax error, failed import) is listed as one failure.
+ */
+function parseJestReport(report, rootDir) {
+  const failures = [];
+  let lastEnd = null;
+
+  for (const suite of report.testResults || []) {
+    const file = relativeFile(rootDir, suite.name);
+    const end = suite.endTime ?? suite.perfStats?.end;
+    if (end) {
+      lastEnd = Math.max(lastEnd ?? end, end);
+    }
+
+    const failed = (suite.assertionResults || []).filter(test => test.status === 'failed');
+    for (const test of failed) {
+      const details = stripAnsi((test.failureMessages || []).join('\n'));
+      failures.push({
+        name: test.fullName || [...(test.ancestorTitles || []), test.title].join(' '),
+        file,
+        line: lineInStack(details, suite.name, rootDir) ?? test.location?.line ?? null,
+        message: messageOf(details),
+        durationMs: test.duration ?? null,
+      });
+    }
+
+    if (suite.status === 'failed' && failed.length === 0) {
+      const details = stripAnsi(suite.message || suite.failureMessage || '');
+      failures.push({
+        name: 'Test suite failed to run',
+        file,
+        line: lineInStack(details, suite.name, rootDir),
+        message: messageOf(details),
+        durationMs: null,
+      });
+    }
+  }
+
+  return {
+    totals: {
+      total: report.numTotalTests ?? 0,
+      passed: report.numPassedTests ?? 0,
+      failed: report.numFailedTests ?? 0,
+      skipped: (report.numPendingTests ?? 0) + (report.numTodoTests ?? 0),
+    },
+    durationMs: report.startTime && lastEnd ? Math.max(0, Math.round(lastEnd - report.startTime)) : null,
+    failures,
+  };
+}
+
+/**
+ * Mocha JSON reporter output; failing hooks are listed like tests, as mocha counts them
+ */
+function parseMochaReport(report, rootDir) {
+  const stats = report.stats || {};
+  return {
+    totals: {
+      total: stats.tests ?? 0,
+      passed: stats.passes ?? 0,
+      failed: stats.failures ?? 0,
+      skipped: stats.pending ?? 0,
+    },
+    durationMs: stats.duration ?? null,
+    failures: (report.failures || []).map((test) => {
+      const stack = stripAnsi(test.err?.stack || '');
+      return {
+        name: test.fullTitle || test.title,
+        file: relativeFile(rootDir, test.file),
+        line: lineInStack(stack, test.file, rootDir),
+        message: messageOf(test.err?.message || stack),
+        durationMs: test.duration ?? null,
+      };
+    }),
+  };
+}
+
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+function decodeXml(text) {
+  const cdata = /^<!\[CDATA\[([\s\S]*)\]\]>$/.exec(text.trim());
+  if (cdata) {
+    return cdata[1];
+  }
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      return String.fromCodePoint(name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : Number(name.slice(1)));
+    }
+    return XML_ENTITIES[name] ?? entity;
+  });
+}
+
+function xmlAttributes(text) {
+  const attributes = {};
+  for (const [, name, value] of text.matchAll(/([\w:.-]+)="([^"]*)"/g)) {
+    attributes[name] = decodeXml(value);
+  }
+  return attributes;
+}
+
+/**
+ * pytest JUnit XML (xunit1 family); errors in fixtures or collection count as failures
+ */
+function parseJUnitReport(xml, rootDir) {
+  const totals = { total: 0, passed: 0, failed: 0, skipped: 0 };
+  let seconds = 0;
+  for (const [, attributeText] of xml.matchAll(/<testsuite\b([^>]*)>/g)) {
+    const suite = xmlAttributes(attributeText);
+    totals.total += Number(suite.tests) || 0;
+    totals.failed += (Number(suite.failures) || 0) + (Number(suite.errors) || 0);
+    totals.skipped += Number(suite.skipped) || 0;
+    seconds += Number(suite.time) || 0;
+  }
+  totals.passed = Math.max(0, totals.total - totals.failed - totals.skipped);
+
+  const failures = [];
+  for (const [, attributeText, body = ''] of xml.matchAll(/<testcase\b([^>]*?)(?:\/>|>([\s\S]*?)<\/testcase>)/g)) {
+    const problem = /<(failure|error)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/.exec(body);
+    if (!problem) continue;
+
+    const test = xmlAttributes(attributeText);
+    const { message = '' } = xmlAttributes(problem[2]);
+    const details = decodeXml(problem[3] || '');
+    const file = test.file ? relativeFile(rootDir, test.file) : null;
+
+    // pytest ends a traceback with "path/to/test_file.py:14: AssertionError"
+    const locations = file ? [...details.matchAll(/^(\S+\.py):(\d+): /gm)].filter(([, where]) => where === file) : [];
+    const line = locations.length > 0
+      ? Number(locations[locations.length - 1][2])
+      : (test.line !== undefined ? Number(test.line) + 1 : null); // The attribute is zero-based
+
+    failures.push({
+      name: test.classname ? `${test.classname}::${test.name}` : test.name,
+      file,
+      line,
+      message: messageOf(message || details),
+      durationMs: test.time !== undefined ? Math.round(Number(test.time) * 1000) : null,
+    });
+  }
+
+  return { totals, durationMs: Math.round(seconds * 1000), failures };
+}
+
+// Reporters that fall back to stdout (older mocha ignores the output option) may follow console output
+function jsonFromOutput(text) {
+  const start = text.search(/^\{/m);
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end < start) {
+    return null;
+  }
+  try {
+    return JSON.parse(text.slice(start, end + 1));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Parse a report written with reporterArgs()
+ * @param {string} framework - 'jest', 'vitest', 'mocha' or 'pytest'
+ * @param {string} report - Report file contents (JSON, or JUnit XML for pytest)
+ * @param {Object} [options]
+ * @param {string} [options.rootDir] - Directory the tests ran in; file paths are made relative to it
+ * @returns {{framework: string, totals: Object, durationMs: number|null, failures: Object[]}|null}
+ *   null when the report cannot be parsed
+ */
+export function parseTestReport(framework, report, { rootDir = process.cwd() } = {}) {
+  try {
+    if (framework === 'pytest') {
+      return report.includes('<testsuite') ? { framework, ...parseJUnitReport(report, rootDir) } : null;
+    }
+    const json = typeof report === 'string' ? JSON.parse(report) : report;
+    if (framework === 'mocha') {
+      return json?.stats ? { framework, ...parseMochaReport(json, rootDir) } : null;
+    }
+    if (framework === 'jest' || framework === 'vitest') {
+      return Array.isArray(json?.testResults) ? { framework, ...parseJestReport(json, rootDir) } : null;
+    }
+    return null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Read and parse the report a test run wrote, falling back to JSON printed on stdout
+ * @param {string} framework
+ * @param {string} reportFile
+ * @param {Object} [options]
+ * @param {string} [options.stdout] - Output of the test command
+ * @param {string} [options.rootDir] - Directory the tests ran in
+ * @returns {Object|null} See parseTestReport()
+ */
+export function readTestReport(framework, reportFile, { stdout = '', rootDir = process.cwd() } = {}) {
+  let report = null;
+  try {
+    report = fs.readFileSync(reportFile, 'utf-8');
+  } catch (error) {
+    report = framework === 'pytest' ? null : jsonFromOutput(stdout);
+  }
+  return report ? parseTestReport(framework, report, { rootDir }) : null;
+}
@@ -0,0 +1,39 @@
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import { AnswerStreamParser } from '../adapter/llm/answerStream.js';
+
+// Feed text to the parser in fixed-size deltas, collecting what it releases
+function streamInPieces(text, size) {
+  const parser = new AnswerStreamParser();
+  let answer = '';
+  let patch = null;
+
+  for (let i = 0; i < text.length; i += size) {
+    const result = parser.push(text.substring(i, i + size));
+    answer += result.answerDelta;
+    if (result.patch !== null) patch = result.patch;
+  }
+  answer += parser.flush();
+
+  return { answer, patch };
+}
+
+describe('Answer stream parser', () => {
+  const completion = '<ANSWER>\nAdds isEven.\n---\nPATCH_START\n--- a/x.js\n+++ b/x.js\nPATCH_END\n';
+
+  it('should never leak marker text into the answer, whatever the delta size', () => {
+    for (const size of [1, 3, 7, 64]) {
+      const { answer, patch } = streamInPieces(completion, size);
+
+      expect(answer).to.equal('Adds isEven.\n---\n');
+      expect(patch).to.equal('--- a/x.js\n+++ b/x.js');
+    }
+  });
+
+  it('should release the whole answer when no patch markers arrive', () => {
+    const { answer, patch } = streamInPieces('Just an explanation.', 4);
+
+    expect(answer).to.equal('Just an explanation.');
+    expect(patch).to.be.null;
+  });
+});
@@ -0,0 +1,125 @@
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseUnifiedDiff, applyHunks } from '../shared/patch/unifiedDiff.js';
+import { planUnifiedDiff, writeFilesAtomically, resolveInRepo } from '../adapter/patch/applyPatch.js';
+
+const MODIFY_DIFF = `--- a/src/math.js
++++ b/src/math.js
+@@ -1,3 +1,6 @@
+ function add(a, b) {
+   return a + b;
+ }
++function isEven(n) {
++  return n % 2 === 0;
++}
+`;
+
+const CREATE_DIFF = `--- /dev/null
++++ b/src/new.js
+@@ -0,0 +1,2 @@
++export const answer = 42;
++export default answer;
+`;
+
+describe('Unified diff apply', () => {
+  let repoRoot;
+
+  beforeEach(() => {
+    repoRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'devskin-patch-'));
+    fs.mkdirSync(path.join(repoRoot, 'src'));
+    fs.writeFileSync(path.join(repoRoot, 'src', 'math.js'), 'function add(a, b) {\n  return a + b;\n}\n');
+  });
+
+  afterEach(() => {
+    fs.rmSync(repoRoot, { recursive: true, force: true });
+  });
+
+  it('should parse multi-file diffs with operations', () => {
+    const files = parseUnifiedDiff(MODIFY_DIFF + CREATE_DIFF);
+
+    expect(files).to.have.length(2);
+    expect(files[0]).to.include({ oldPath: 'src/math.js', newPath: 'src/math.js', operation: 'modify' });
+    expect(files[1]).to.include({ newPath: 'src/new.js', operation: 'create' });
+    expect(files[0].hunks[0].lines.filter(l => l.type === '+')).to.have.length(3);
+  });
+
+  it('should report an offset when context moved', () => {
+    const [file] = parseUnifiedDiff(MODIFY_DIFF);
+    const result = applyHunks('// header\n\nfunction add(a, b) {\n  return a + b;\n}\n', file.hunks);
+
+    expect(result.success).to.be.true;
+    expect(result.hunks[0]).to.include({ status: 'applied-with-offset', offset: 2, appliedLine: 3 });
+    expect(result.content).to.include('function isEven(n)');
+  });
+
+  it('should fail hunks whose context does not match', () => {
+    const [file] = parseUnifiedDiff(MODIFY_DIFF);
+    const result = applyHunks('function sub(a, b) {\n  return a - b;\n}\n', file.hunks);
+
+    expect(result.success).to.be.false;
+    expect(result.hunks[0].status).to.equal('failed');
+  });
+
+  it('should refuse matches that are far off or ambiguous', () => {
+    const [file] = parseUnifiedDiff(MODIFY_DIFF);
+    const filler = Array.from({ length: 150 }, (_, i) => `// line ${i + 1}`).join('\n');
+
+    const farOff = applyHunks(`${filler}\nfunction add(a, b) {\n  return a + b;\n}\n`, file.hunks);
+    expect(farOff.success).to.be.false;
+    expect(farOff.hunks[0].status).to.equal('failed');
+    expect(farOff.hunks[0].message).to.include('within 100 lines');
+
+    const block = 'function add(a, b) {\n  return a + b;\n}\n';
+    const tied = applyHunks(`// a\n${block}// b\n${block}`, [{ ...file.hunks[0], oldStart: 4 }]);
+    expect(tied.success).to.be.false;
+    expect(tied.hunks[0].message).to.include('both 2 lines before and after');
+
+    const spaced = block.replace(/\n/g, '  \n');
+    const loose = applyHunks(`${spaced}${spaced}`, file.hunks);
+    expect(loose.success).to.be.false;
+    expect(loose.hunks[0].message).to.include('match 2 places');
+    expect(applyHunks(spaced, file.hunks).hunks[0]).to.include({ status: 'applied-with-offset', offset: 0 });
+  });
+
+  it('should plan without writing and then write all files', () => {
+    const plan = planUnifiedDiff(repoRoot, MODIFY_DIFF + CREATE_DIFF);
+
+    expect(plan.applicable).to.be.true;
+    expect(fs.existsSync(path.join(repoRoot, 'src', 'new.js'))).to.be.false;
+
+    writeFilesAtomically(plan.changes);
+
+    expect(fs.readFileSync(path.join(repoRoot, 'src', 'math.js'), 'utf-8')).to.include('isEven');
+    expect(fs.readFileSync(path.join(repoRoot, 'src', 'new.js'), 'utf-8')).to.equal('export const answer = 42;\nexport default answer;\n');
+  });
+
+  it('should reject paths outside the repository', () => {
+    const plan = planUnifiedDiff(repoRoot, CREATE_DIFF.replace('b/src/new.js', 'b/../escape.js'));
+
+    expect(plan.applicable).to.be.false;
+    expect(plan.files[0].error).to.include('escapes repository root');
+  });
+
+  it('should follow symlinks when checking that paths stay inside the repository', () => {
+    const outside = fs.mkdtempSync(path.join(os.tmpdir(), 'devskin-outside-'));
+    try {
+      fs.writeFileSync(path.join(outside, 'secret.js'), 'keep\n');
+      fs.symlinkSync(outside, path.join(repoRoot, 'linked'));
+
+      const viaLink = planUnifiedDiff(repoRoot, CREATE_DIFF.replace('b/src/new.js', 'b/linked/new.js'));
+      expect(viaLink.applicable).to.be.false;
+      expect(viaLink.files[0].error).to.include('escapes repository root');
+      expect(() => resolveInRepo(repoRoot, 'linked/secret.js')).to.throw('escapes repository root');
+      expect(fs.existsSync(path.join(outside, 'new.js'))).to.be.false;
+
+      // Names that merely start with two dots are inside
+      expect(resolveInRepo(repoRoot, '..config/settings.js')).to.equal(path.join(repoRoot, '..config/settings.js'));
+      expect(() => resolveInRepo(repoRoot, 'src/../..')).to.throw('escapes repository root');
+    } finally {
+      fs.rmSync(outside, { recursive: true, force: true });
+    }
+  });
+});
@@ -38,8 +38,9 @@ function waitForServer(url, maxAttempts = 30, delay = 1000) {
 
 describe('Assistant Flow', () => {
   let adapterProcess;
-  const adapterUrl = 'http://localhost:8000';
+  const adapterUrl = 'http://127.0.0.1:8000';
   const testPort = 8000;
+  const adapterToken = 'assist-flow-test-token';
 
   before(async function() {
     this.timeout(30000); // 30 second timeout for setup
@@ -57,7 +58,7 @@ describe('Assistant Flow', () => {
     const adapterPath = path.join(process.cwd(), 'adapter', 'index.js');
     
     adapterProcess = spawn('node', [adapterPath], {
-      env: { ...process.env, NODE_ENV: 'test', PORT: testPort },
+      env: { ...process.env, NODE_ENV: 'test', PORT: testPort, ADAPTER_TOKEN: adapterToken },
       stdio: ['ignore', 'pipe', 'pipe'],
       cwd: process.cwd(),
     });
@@ -111,6 +112,7 @@ function example() {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
+        'x-devskin-token': adapterToken,
       },
       body: JSON.stringify(requestBody),
     });
@@ -150,6 +152,7 @@ function example() {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
+        'x-devskin-token': adapterToken,
       },
       body: JSON.stringify({
         fileContents: 'test',
@@ -0,0 +1,153 @@
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { runFixLoop } from '../adapter/autofix/fixLoop.js';
+import { ScratchCopy } from '../adapter/patch/scratchCopy.js';
+
+const diffTo = (value) => ({
+  format: 'unified-diff',
+  content: `--- a/src/math.js\n+++ b/src/math.js\n@@ -1 +1 @@\n-export const answer = 0;\n+export const answer = ${value};\n`,
+});
+
+describe('Auto-fix loop', () => {
+  let repoDir;
+
+  beforeEach(() => {
+    repoDir = fs.mkdtempSync(path.join(os.tmpdir(), 'devskin-auto-fix-'));
+    fs.mkdirSync(path.join(repoDir, 'src'));
+    fs.mkdirSync(path.join(repoDir, 'node_modules/dep'), { recursive: true });
+    fs.writeFileSync(path.join(repoDir, 'package.json'), '{}\n');
+    fs.writeFileSync(path.join(repoDir, 'src/math.js'), 'export const answer = 0;\n');
+  });
+
+  afterEach(() => {
+    fs.rmSync(repoDir, { recursive: true, force: true });
+  });
+
+  // Passes once src/math.js exports 42
+  const runTests = async (cwd) => {
+    const source = fs.readFileSync(path.join(cwd, 'src/math.js'), 'utf-8');
+    const success = source.includes('= 42;');
+    return { success, exitCode: success ? 0 : 1, stdout: success ? 'ok' : `expected 42 in: ${source}`, stderr: '' };
+  };
+
+  it('should review failed patches until the tests pass', async () => {
+    const reviews = [];
+    let scratchDir = null;
+
+    const result = await runFixLoop({
+      repoPath: repoDir,
+      maxIterations: 3,
+      generatePatch: async () => ({ answer: 'First try', patch: diffTo(41) }),
+      reviewPatch: async (failure) => {
+        reviews.push(failure);
+        return { answer: 'Fixed', patch: diffTo(42) };
+      },
+      runTests: async (cwd) => {
+        scratchDir = cwd;
+        expect(fs.lstatSync(path.join(cwd, 'node_modules')).isSymbolicLink()).to.equal(true);
+        return runTests(cwd);
+      },
+    });
+
+    expect(result.status).to.equal('passed');
+    expect(result.iterations).to.equal(2);
+    expect(result.patch).to.deep.equal(diffTo(42));
+    expect(result.trace.map(t => [t.step, t.tests.success])).to.deep.equal([['generate', false], ['review', true]]);
+    expect(reviews[0].patch).to.deep.equal(diffTo(41));
+    expect(reviews[0].testOutput).to.include('expected 42 in: export const answer = 41;');
+
+    // The user's checkout is untouched and the scratch copy is gone
+    expect(fs.readFileSync(path.join(repoDir, 'src/math.js'), 'utf-8')).to.equal('export const answer = 0;\n');
+    expect(fs.existsSync(scratchDir)).to.equal(false);
+  });
+
+  it('should feed patches that do not apply back to the review step', async () => {
+    const reviews = [];
+
+    const result = await runFixLoop({
+      repoPath: repoDir,
+      maxIterations: 2,
+      generatePatch: async () => ({
+        answer: 'Stale',
+        patch: { format: 'json', content: { files: [{ path: 'src/missing.js', operation: 'delete' }] } },
+      }),
+      reviewPatch: async (failure) => {
+        reviews.push(failure);
+        return { answer: 'Still wrong', patch: diffTo(7) };
+      },
+      runTests,
+    });
+
+    expect(result.status).to.equal('failed');
+    expect(result.iterations).to.equal(2);
+    expect(result.trace[0].apply.applicable).to.equal(false);
+    expect(result.trace[0].tests).to.equal(null);
+    expect(reviews[0].testError).to.include('src/missing.js: File does not exist');
+    expect(result.trace[1].tests.success).to.equal(false);
+  });
+
+  it('should stop when no patch is produced', async () => {
+    const result = await runFixLoop({
+      repoPath: repoDir,
+      generatePatch: async () => ({ answer: 'Nothing to change', patch: null }),
+      reviewPatch: async () => { throw new Error('not reached'); },
+      runTests,
+    });
+
+    expect(result).to.include({ status: 'no-patch', iterations: 1, patch: null });
+  });
+
+  it('should start no iteration after the time limit or once aborted', async () => {
+    let reviews = 0;
+    const slow = await runFixLoop({
+      repoPath: repoDir,
+      maxIterations: 5,
+      timeLimitMs: 20,
+      generatePatch: async () => {
+        await new Promise(resolve => setTimeout(resolve, 40));
+        return { answer: 'Slow', patch: diffTo(1) };
+      },
+      reviewPatch: async () => {
+        reviews++;
+        return { answer: 'Again', patch: diffTo(2) };
+      },
+      runTests,
+    });
+
+    expect(slow).to.include({ status: 'timed-out', iterations: 1 });
+    expect(slow.patch).to.deep.equal(diffTo(1));
+    expect(reviews).to.equal(0);
+
+    const controller = new AbortController();
+    const aborted = await runFixLoop({
+      repoPath: repoDir,
+      maxIterations: 5,
+      signal: controller.signal,
+      generatePatch: async () => {
+        controller.abort();
+        return { answer: 'First', patch: diffTo(1) };
+      },
+      reviewPatch: async () => { throw new Error('not reached'); },
+      runTests,
+    });
+    expect(aborted).to.include({ status: 'aborted', iterations: 1 });
+  });
+
+  it('should undo the previous patch before applying the next one', () => {
+    const scratch = ScratchCopy.create(repoDir);
+    try {
+      scratch.applyPatch({ format: 'json', content: { files: [{ path: 'src/extra.js', operation: 'create', content: 'x\n' }] } });
+      expect(fs.existsSync(path.join(scratch.dir, 'src/extra.js'))).to.equal(true);
+
+      scratch.applyPatch(diffTo(1));
+      expect(fs.existsSync(path.join(scratch.dir, 'src/extra.js'))).to.equal(false);
+      expect(fs.readFileSync(path.join(scratch.dir, 'src/math.js'), 'utf-8')).to.equal('export const answer = 1;\n');
+    } finally {
+      scratch.dispose();
+    }
+    expect(fs.existsSync(path.join(repoDir, 'node_modules/dep'))).to.equal(true);
+  });
+});
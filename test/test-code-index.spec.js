@@ -0,0 +1,84 @@
+import { describe, it, before, after } from 'mocha';
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execSync } from 'child_process';
+import { tokenize } from '../adapter/retrieval/bm25.js';
+import { chunkContent } from '../adapter/retrieval/chunker.js';
+import { CodeIndex, getCodeIndex } from '../adapter/retrieval/codeIndex.js';
+
+describe('BM25 code index', () => {
+  let repoRoot;
+  let indexDir;
+
+  before(() => {
+    repoRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'devskin-index-'));
+    indexDir = path.join(repoRoot, '.index');
+    fs.mkdirSync(path.join(repoRoot, 'src'));
+    fs.writeFileSync(path.join(repoRoot, 'src', 'math.js'), 'export function isEven(n) {\n  return n % 2 === 0;\n}\n');
+    fs.writeFileSync(path.join(repoRoot, 'src', 'http.js'), 'export async function fetchUserProfile(id) {\n  return fetch(`/users/${id}`);\n}\n');
+    fs.writeFileSync(path.join(repoRoot, 'README.md'), '# Demo\n\nHelpers for even numbers and user profiles.\n');
+    execSync('git init -q && git add -A', { cwd: repoRoot });
+  });
+
+  after(() => {
+    fs.rmSync(repoRoot, { recursive: true, force: true });
+  });
+
+  it('should split identifiers into searchable parts', () => {
+    expect(tokenize('fetchUserProfile snake_case')).to.include.members([
+      'fetchuserprofile', 'fetch', 'user', 'profile', 'snake_case', 'snake', 'case',
+    ]);
+  });
+
+  it('should chunk long files into overlapping line ranges', () => {
+    const content = Array.from({ length: 100 }, (_, i) => `line ${i + 1}`).join('\n');
+    const chunks = chunkContent(content);
+
+    expect(chunks[0].startLine).to.equal(1);
+    expect(chunks[chunks.length - 1].endLine).to.equal(100);
+    expect(chunks[1].startLine).to.be.below(chunks[0].endLine);
+  });
+
+  it('should rank the defining chunk first with its line range', async () => {
+    const index = await getCodeIndex(repoRoot, indexDir);
+    const [top] = index.search('user profile fetch');
+
+    expect(top.file).to.equal('src/http.js');
+    expect(top).to.include({ startLine: 1, endLine: 3 });
+    expect(top.score).to.be.above(0);
+    expect(top.content).to.include('fetchUserProfile');
+  });
+
+  it('should persist the index to disk', async () => {
+    const reloaded = new CodeIndex(fs.realpathSync(repoRoot), indexDir);
+
+    expect(reloaded.load()).to.be.true;
+    expect(reloaded.stats().files).to.equal(3);
+    expect(reloaded.search('isEven')[0].file).to.equal('src/math.js');
+  });
+
+  it('should drop a removed file from the postings', async () => {
+    const index = await getCodeIndex(repoRoot, indexDir);
+    index.removeFile('src/math.js');
+
+    expect(index.search('isEven').map(r => r.file)).to.not.include('src/math.js');
+    expect(index.stats().files).to.equal(2);
+  });
+
+  it('should re-chunk only files whose signature changed', async () => {
+    const index = new CodeIndex(fs.realpathSync(repoRoot), indexDir);
+    index.load();
+    fs.writeFileSync(path.join(repoRoot, 'src', 'http.js'), 'export function retryWithBackoff(fn) {\n  return fn();\n}\n');
+    fs.writeFileSync(path.join(repoRoot, 'src', 'extra.js'), 'export const untrackedHelper = true;\n');
+    fs.rmSync(path.join(repoRoot, 'README.md'));
+
+    const summary = await index.refresh();
+
+    expect(summary).to.deep.equal({ added: 1, updated: 1, removed: 1, unchanged: 1 });
+    expect(index.search('backoff')[0].file).to.equal('src/http.js');
+    expect(index.search('untrackedHelper')[0].file).to.equal('src/extra.js');
+    expect(await index.refresh()).to.include({ added: 0, updated: 0, removed: 0, unchanged: 3 });
+  });
+});
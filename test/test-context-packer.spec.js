@@ -0,0 +1,184 @@
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawn } from 'child_process';
+import express from 'express';
+import { packContext, truncateOutput } from '../adapter/llm/contextPacker.js';
+import { estimateTokens, getContextLimit, getPromptBudget } from '../adapter/llm/tokens.js';
+import { readTokenFile, TOKEN_HEADER } from '../adapter/security/sessionToken.js';
+
+const formatTarget = t => `Target (${t.startLine}-${t.endLine}):\n${t.content}\n`;
+const formatSnippet = (s, i) => `${i + 1}. ${s.file}\n${s.content}\n`;
+const formatSummary = (s, i) => `${i + 1}. ${s.path}: ${s.summary}\n`;
+
+function makeFile(lineCount, focusLine) {
+  return Array.from({ length: lineCount }, (_, i) =>
+    i + 1 === focusLine ? 'function parseConfig(input) {' : `  const value${i} = compute(${i});`
+  ).join('\n');
+}
+
+describe('Context packer', () => {
+  it('should look up context windows by model prefix', () => {
+    expect(getContextLimit('gpt-4')).to.equal(8192);
+    expect(getContextLimit('gpt-4o-mini')).to.equal(128000);
+    expect(getContextLimit('claude-sonnet-4')).to.equal(200000);
+    expect(getContextLimit('some-unknown-model')).to.equal(8192);
+
+    const { budget, outputReserve } = getPromptBudget('gpt-4', { maxOutputTokens: 1000 });
+    expect(outputReserve).to.equal(1000);
+    expect(budget).to.be.below(8192 - 1000);
+  });
+
+  it('should keep everything when it fits', () => {
+    const result = packContext({
+      budget: 10000,
+      fixed: 'Instruction: tidy up',
+      target: { content: makeFile(20, 5), focus: 'tidy' },
+      snippets: [{ file: 'a.js', content: 'a()' }, { file: 'b.js', content: 'b()' }],
+      summaries: [{ path: 'c.js', summary: 'c' }],
+      formatTarget, formatSnippet, formatSummary,
+    });
+
+    expect(result.target).to.include({ startLine: 1, endLine: 20, truncated: false });
+    expect(result.snippets).to.have.length(2);
+    expect(result.summaries).to.have.length(1);
+    expect(result.report.dropped).to.deep.equal([]);
+    expect(result.report.usedTokens).to.be.at.most(10000);
+  });
+
+  it('should cut the target file down to the region around the instruction terms', () => {
+    const content = makeFile(400, 300);
+    const result = packContext({
+      budget: 500,
+      fixed: 'Instruction: fix parseConfig',
+      target: { content, focus: 'fix parseConfig' },
+      formatTarget, formatSnippet, formatSummary,
+    });
+
+    expect(result.target.truncated).to.equal(true);
+    expect(result.target.startLine).to.be.below(300);
+    expect(result.target.endLine).to.be.above(300);
+    expect(result.target.content).to.include('function parseConfig');
+    expect(result.report.usedTokens).to.be.at.most(500);
+
+    const [drop] = result.report.dropped;
+    expect(drop.type).to.equal('target');
+    expect(drop.omittedLines).to.deep.equal([[1, result.target.startLine - 1], [result.target.endLine + 1, 400]]);
+  });
+
+  it('should fill the budget in priority order and report what was dropped', () => {
+    const big = 'x'.repeat(700);
+    const target = { content: 'const a = 1;', focus: 'a' };
+    const fixed = 'Instruction: a';
+    const targetTokens = estimateTokens(formatTarget({ content: target.content, startLine: 1, endLine: 1 }));
+    const budget = estimateTokens(fixed) + targetTokens + 250;
+
+    const result = packContext({
+      budget,
+      fixed,
+      target,
+      snippets: [
+        { file: 'top.js', startLine: 1, endLine: 2, content: big },
+        { file: 'large.js', startLine: 1, endLine: 90, content: big + big },
+        { file: 'small.js', startLine: 3, endLine: 4, content: 'tiny' },
+      ],
+      summaries: [{ path: 'summary.js', summary: big }],
+      formatTarget, formatSnippet, formatSummary,
+    });
+
+    expect(result.target.truncated).to.equal(false);
+    expect(result.snippets.map(s => s.file)).to.deep.equal(['top.js', 'small.js']);
+    expect(result.summaries).to.deep.equal([]);
+    expect(result.report.dropped.map(d => d.type + ':' + (d.file || d.path))).to.deep.equal([
+      'snippet:large.js',
+      'summary:summary.js',
+    ]);
+    expect(result.report.included).to.deep.include({ snippets: 2, summaries: 0 });
+  });
+
+  it('should keep the end of long test output within its budget', () => {
+    const lines = Array.from({ length: 5000 }, (_, i) => `  ok ${i + 1} - passes case number ${i + 1}`);
+    lines.push('  1 failing', '  AssertionError: expected 3 to equal 4');
+    const output = lines.join('\n');
+
+    const shown = truncateOutput(output, 200);
+    expect(shown.truncated).to.equal(true);
+    expect(estimateTokens(shown.text)).to.be.at.most(200);
+    expect(shown.text.endsWith('AssertionError: expected 3 to equal 4')).to.equal(true);
+    expect(shown.text.split('\n')).to.have.length(lines.length - shown.omittedLines);
+    expect(shown.droppedTokens).to.equal(estimateTokens(output) - estimateTokens(shown.text));
+
+    expect(truncateOutput('short', 200)).to.deep.equal({ text: 'short', truncated: false, omittedLines: 0, droppedTokens: 0 });
+    expect(truncateOutput(undefined, 200).text).to.equal('');
+    // A single line over the budget keeps its end
+    const single = truncateOutput('x'.repeat(4000) + 'END', 10);
+    expect(single.text.endsWith('END')).to.equal(true);
+    expect(estimateTokens(single.text)).to.be.at.most(10);
+  });
+
+  it('should give test output no room, not fail, when the patch alone is over the budget', async function () {
+    expect(truncateOutput(undefined, -500)).to.deep.equal({ text: '', truncated: false, omittedLines: 0, droppedTokens: 0 });
+    expect(truncateOutput('1 failing\nAssertionError', -500)).to.include({ text: '', truncated: true });
+
+    this.timeout(20000);
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'devskin-review-budget-'));
+    // Stands in for the LLM and records the prompts it was sent
+    const prompts = [];
+    const llmApp = express();
+    llmApp.use(express.json({ limit: '5mb' }));
+    llmApp.post('/v1/chat/completions', (req, res) => {
+      prompts.push(req.body.messages.map(message => message.content).join('\n'));
+      res.json({ choices: [{ message: { content: '<ANSWER>\nThe patch is too large to review.' }, finish_reason: 'stop' }] });
+    });
+    const llm = await new Promise(resolve => {
+      const listening = llmApp.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+
+    const port = 8139;
+    const adapter = spawn('node', [path.join(process.cwd(), 'adapter', 'index.js')], {
+      env: {
+        ...process.env,
+        PORT: port,
+        DEVSKIN_DATA_DIR: dataDir,
+        INDEX_WATCH: 'false',
+        LLM_PROVIDER: 'openai',
+        LLM_ENDPOINT: `http://127.0.0.1:${llm.address().port}/v1/chat/completions`,
+        LLM_API_KEY: 'test-key',
+        LLM_CONTEXT_TOKENS: '2000',
+        LLM_MAX_TOKENS: '200',
+        LLM_CACHE: 'false',
+      },
+      stdio: 'ignore',
+    });
+
+    try {
+      const adapterUrl = `http://127.0.0.1:${port}`;
+      for (let attempt = 0; attempt < 30; attempt++) {
+        try {
+          if ((await fetch(`${adapterUrl}/health`)).ok) break;
+        } catch (error) {
+          // Not listening yet
+        }
+        await new Promise(resolve => setTimeout(resolve, 300));
+      }
+
+      const patch = { file: 'src/big.js', edits: [{ start: 0, end: 0, replacement: 'x'.repeat(20000) }] };
+      const review = body => fetch(`${adapterUrl}/review-patch`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', [TOKEN_HEADER]: readTokenFile(path.join(dataDir, 'adapter-token')) },
+        body: JSON.stringify({ patch, ...body }),
+      });
+
+      expect((await review({ testError: 'Tests failed' })).status).to.equal(200);
+      expect((await review({ testOutput: '1 failing\nAssertionError: expected 3 to equal 4' })).status).to.equal(200);
+      expect(prompts).to.have.length(2);
+      expect(prompts[1]).to.not.include('AssertionError');
+    } finally {
+      adapter.kill();
+      llm.close();
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,137 @@
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { coverageCollection, coverageError, parseCoverage, summarizeCoverage, readCoverage } from '../shared/testing/coverage.js';
+import { buildTestCommand } from '../shared/testing/testCommand.js';
+import { measureChanges } from '../adapter/ranking/empirical.js';
+import { planPatch } from '../adapter/patch/applyPatch.js';
+import { isCommandAllowed } from '../adapter/security/commandAllowlist.js';
+
+describe('Test coverage', () => {
+  const rootDir = '/work/app';
+
+  // istanbul statements: two on line 1, one each on lines 2, 3, 5 and 6
+  const istanbulReport = {
+    '/work/app/src/math.js': {
+      path: '/work/app/src/math.js',
+      statementMap: {
+        0: { start: { line: 1, column: 0 }, end: { line: 1, column: 20 } },
+        1: { start: { line: 1, column: 21 }, end: { line: 1, column: 40 } },
+        2: { start: { line: 2, column: 2 }, end: { line: 2, column: 30 } },
+        3: { start: { line: 3, column: 2 }, end: { line: 4, column: 3 } },
+        4: { start: { line: 5, column: 2 }, end: { line: 5, column: 10 } },
+        5: { start: { line: 6, column: 0 }, end: { line: 6, column: 10 } },
+      },
+      s: { 0: 0, 1: 3, 2: 3, 3: 0, 4: 0, 5: 1 },
+    },
+    '/work/app/src/util.js': {
+      data: {
+        path: '/work/app/src/util.js',
+        statementMap: { 0: { start: { line: 1, column: 0 }, end: { line: 1, column: 5 } } },
+        s: { 0: 2 },
+      },
+    },
+    '/usr/lib/node_modules/npm/index.js': {
+      path: '/usr/lib/node_modules/npm/index.js',
+      statementMap: { 0: { start: { line: 1, column: 0 }, end: { line: 1, column: 5 } } },
+      s: { 0: 1 },
+    },
+  };
+
+  it('should turn on each runner\'s coverage', () => {
+    const jest = coverageCollection({ runner: 'npm', framework: 'jest', packageManager: 'npm', command: 'npm test', script: 'jest' }, '/tmp/cov');
+    expect(jest).to.include({ format: 'istanbul', report: null, file: '/tmp/cov/coverage-final.json' });
+    expect(buildTestCommand({ runner: 'npm', framework: 'jest', command: 'npm test', script: 'jest' }, { coverageArgs: jest.args }).args)
+      .to.deep.equal(['--', '--coverage', '--coverageReporters=json', '--coverageDirectory=/tmp/cov']);
+
+    expect(coverageCollection({ runner: 'pytest', framework: 'pytest', packageManager: null }, '/tmp/cov'))
+      .to.deep.include({ format: 'coverage.py', args: ['--cov=.', '--cov-report=json:/tmp/cov/coverage.json'] });
+
+    const mocha = coverageCollection({ runner: 'pnpm', framework: 'mocha', packageManager: 'pnpm', command: 'pnpm test', script: 'mocha' }, '/tmp/cov');
+    expect(mocha.args).to.deep.equal([]);
+    expect(mocha.env).to.deep.equal({ NODE_V8_COVERAGE: '/tmp/cov/v8' });
+    expect(mocha.report.command).to.equal('pnpm exec c8 report');
+    expect(isCommandAllowed(mocha.report.command)).to.equal(true);
+    expect(isCommandAllowed('npx c8 report')).to.equal(true);
+    expect(isCommandAllowed('npx c8 node evil.js')).to.equal(false);
+  });
+
+  it('should explain when a runner cannot collect coverage', () => {
+    expect(coverageError({ runner: 'go', framework: 'go', packageManager: null })).to.match(/not supported for runner "go"/);
+    expect(coverageError({ runner: 'npm', framework: 'jest', packageManager: 'npm', script: 'tsc && jest' })).to.match(/runs several commands/);
+    expect(coverageError({ runner: 'npm', framework: 'mocha', packageManager: 'npm', script: 'tsc && mocha' })).to.equal(null);
+    expect(coverageError({ runner: 'yarn', framework: null, packageManager: 'yarn', script: 'node --test' })).to.equal(null);
+  });
+
+  it('should summarise line coverage per file from istanbul JSON', () => {
+    const summary = summarizeCoverage('istanbul', parseCoverage('istanbul', JSON.stringify(istanbulReport), { rootDir }));
+
+    expect(summary.totals).to.deep.equal({ lines: 6, covered: 4, pct: 66.67 });
+    expect(summary.files).to.deep.equal([
+      { file: 'src/math.js', lines: 5, covered: 3, pct: 60, uncoveredLines: [[3, 3], [5, 5]] },
+      { file: 'src/util.js', lines: 1, covered: 1, pct: 100, uncoveredLines: [] },
+    ]);
+    expect(parseCoverage('istanbul', 'not json')).to.equal(null);
+  });
+
+  it('should report which added lines the tests ran', () => {
+    const coveragePy = {
+      meta: { version: '7.4.0' },
+      files: {
+        'app/auth.py': { executed_lines: [1, 2, 4, 7], missing_lines: [5, 8, 9] },
+      },
+    };
+    const lineHits = parseCoverage('coverage.py', coveragePy, { rootDir });
+    const summary = summarizeCoverage('coverage.py', lineHits, {
+      addedLines: {
+        'app/auth.py': [3, 4, 5, 8, 9], // Line 3 is not executable
+        'app/new_module.py': [1, 2], // Never imported by the tests
+        'tests/test_auth.py': [10, 11],
+        'README.md': [1],
+      },
+    });
+
+    expect(summary.files[0]).to.include({ file: 'app/auth.py', lines: 7, covered: 4 });
+    expect(summary.patch).to.deep.equal({
+      lines: 6,
+      covered: 1,
+      pct: 16.67,
+      files: [
+        { file: 'app/auth.py', lines: 4, covered: 1, uncoveredLines: [[5, 5], [8, 9]], loaded: true },
+        { file: 'app/new_module.py', lines: 2, covered: 0, uncoveredLines: [[1, 2]], loaded: false },
+      ],
+    });
+  });
+
+  it('should read patch coverage for the non-blank lines a patch adds', () => {
+    const repoDir = fs.mkdtempSync(path.join(os.tmpdir(), 'devskin-coverage-'));
+    try {
+      fs.writeFileSync(path.join(repoDir, 'math.js'), 'export function add(a, b) {\n  return a + b;\n}\n');
+      const patch = {
+        format: 'unified-diff',
+        content: '--- a/math.js\n+++ b/math.js\n@@ -1,3 +1,7 @@\n export function add(a, b) {\n   return a + b;\n }\n+\n+export function half(n) {\n+  return n / 2;\n+}\n',
+      };
+      const { addedLines } = measureChanges(repoDir, planPatch(repoDir, patch).changes);
+      expect(addedLines).to.deep.equal({ 'math.js': [5, 6, 7] });
+
+      const coverageDir = path.join(repoDir, 'coverage');
+      fs.mkdirSync(coverageDir);
+      fs.writeFileSync(path.join(coverageDir, 'coverage-final.json'), JSON.stringify({
+        [path.join(repoDir, 'math.js')]: {
+          statementMap: {
+            0: { start: { line: 2, column: 2 }, end: { line: 2, column: 15 } },
+            1: { start: { line: 6, column: 2 }, end: { line: 6, column: 15 } },
+          },
+          s: { 0: 4, 1: 0 },
+        },
+      }));
+      const coverage = readCoverage({ format: 'istanbul', file: path.join(coverageDir, 'coverage-final.json') }, { rootDir: repoDir, addedLines });
+      expect(coverage.patch).to.deep.include({ lines: 1, covered: 0, pct: 0 });
+      expect(readCoverage({ format: 'istanbul', file: path.join(repoDir, 'missing.json') })).to.equal(null);
+    } finally {
+      fs.rmSync(repoDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,146 @@
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { lineDiff, findExports, measureChanges, evaluateCandidate, combineScores } from '../adapter/ranking/empirical.js';
+import { planPatch } from '../adapter/patch/applyPatch.js';
+
+const git = (cwd, ...args) => execFileSync('git', args, { cwd, encoding: 'utf-8' });
+
+const SOURCE = `import fs from 'fs';
+
+export function add(a, b) {
+  return a + b;
+}
+
+export const PI = 3.14;
+
+function helper() {
+  return 1;
+}
+`;
+
+describe('Empirical patch ranking', () => {
+  it('should diff lines around an unchanged prefix and suffix', () => {
+    const { removed, added } = lineDiff('a\nb\nc\nd\n', 'a\nB\nc\nx\nd\n');
+    expect([...removed]).to.deep.equal([2]);
+    expect([...added].sort()).to.deep.equal([2, 4]);
+  });
+
+  it('should find ES and CommonJS exports with their line ranges', () => {
+    expect(findExports(SOURCE, 'math.js')).to.deep.equal([
+      { name: 'add', line: 3, endLine: 5 },
+      { name: 'PI', line: 7, endLine: 7 },
+    ]);
+    expect(findExports('module.exports.run = () => {};\nexport { a, b as c };\n', 'mixed.js').map(e => e.name))
+      .to.deep.equal(['run', 'a', 'c']);
+  });
+
+  it('should find exports that span several lines or come from other modules', () => {
+    const source = [
+      'export async function* pages(client) {',
+      '  yield await client.next();',
+      '}',
+      '',
+      'function parse(text) {',
+      '  return JSON.parse(text);',
+      '}',
+      '',
+      'export {',
+      '  parse,',
+      '  parse as load,',
+      '};',
+      "export { format } from './format.js';",
+      "export * as schema from './schema.js';",
+      'export default parse;',
+    ].join('\n');
+
+    expect(findExports(source, 'api.js')).to.deep.equal([
+      { name: 'pages', line: 1, endLine: 3 },
+      { name: 'parse', line: 5, endLine: 7 },
+      { name: 'load', line: 5, endLine: 7 },
+      { name: 'format', line: 13, endLine: 13 },
+      { name: 'schema', line: 14, endLine: 14 },
+      { name: 'default', line: 5, endLine: 7 },
+    ]);
+    expect(findExports('export interface Options {\n  port: number;\n}\n', 'types.ts')).to.deep.equal([
+      { name: 'Options', line: 1, endLine: 3 },
+    ]);
+    expect(findExports('def main():\n    pass\n', 'main.py')).to.deep.equal([]);
+  });
+
+  describe('with a repository', () => {
+    let repoDir;
+
+    beforeEach(() => {
+      repoDir = fs.mkdtempSync(path.join(os.tmpdir(), 'devskin-rank-'));
+      fs.writeFileSync(path.join(repoDir, 'math.js'), SOURCE);
+      fs.writeFileSync(path.join(repoDir, 'package.json'), '{}\n');
+      git(repoDir, 'init', '-q');
+      git(repoDir, 'add', '-A');
+      git(repoDir, '-c', 'user.name=test', '-c', 'user.email=test@example.com', 'commit', '-qm', 'init');
+    });
+
+    afterEach(() => {
+      fs.rmSync(repoDir, { recursive: true, force: true });
+    });
+
+    const bodyChange = {
+      format: 'unified-diff',
+      content: '--- a/math.js\n+++ b/math.js\n@@ -3,3 +3,3 @@\n export function add(a, b) {\n-  return a + b;\n+  return b + a;\n }\n',
+    };
+
+    it('should measure diff size and touched exports', () => {
+      const plan = planPatch(repoDir, {
+        format: 'json',
+        content: {
+          files: [
+            { path: 'math.js', operation: 'modify', hunks: [{ oldStart: 7, lines: ['-export const PI = 3.14;', '+export const TAU = 6.28;'] }] },
+            { path: 'other.js', operation: 'create', content: 'module.exports.x = 1;\n' },
+          ],
+        },
+      });
+
+      const { diffSize, touchedExports } = measureChanges(repoDir, plan.changes);
+      expect(diffSize).to.deep.equal({ files: 2, additions: 2, deletions: 1 });
+      expect(touchedExports).to.deep.equal([
+        { file: 'math.js', name: 'PI', change: 'removed' },
+        { file: 'math.js', name: 'TAU', change: 'added' },
+        { file: 'other.js', name: 'x', change: 'added' },
+      ]);
+
+      expect(measureChanges(repoDir, planPatch(repoDir, bodyChange).changes).touchedExports)
+        .to.deep.equal([{ file: 'math.js', name: 'add', change: 'modified' }]);
+    });
+
+    it('should report real test results and leave the checkout alone', async () => {
+      const seen = [];
+      const evaluation = await evaluateCandidate(repoDir, bodyChange, async (cwd) => {
+        seen.push(fs.readFileSync(path.join(cwd, 'math.js'), 'utf-8'));
+        return { success: false, exitCode: 1, stdout: '1 failing', stderr: '' };
+      });
+
+      expect(seen[0]).to.include('return b + a;');
+      expect(evaluation.applicable).to.equal(true);
+      expect(evaluation.tests).to.include({ success: false, exitCode: 1, output: '1 failing' });
+      expect(fs.readFileSync(path.join(repoDir, 'math.js'), 'utf-8')).to.equal(SOURCE);
+
+      const stale = await evaluateCandidate(repoDir, { format: 'unified-diff', content: '--- a/math.js\n+++ b/math.js\n@@ -1 +1 @@\n-nope\n+x\n' }, async () => {
+        throw new Error('tests should not run');
+      });
+      expect(stale).to.include({ applicable: false, tests: null });
+    });
+  });
+
+  it('should let measurements outweigh the LLM score', () => {
+    const passing = { applicable: true, diffSize: { additions: 10, deletions: 10 }, touchedExports: [], tests: { success: true } };
+    const failing = { ...passing, tests: { success: false } };
+
+    expect(combineScores(passing, 5)).to.deep.equal({ score: 7.9, measuredScore: 9.8 });
+    expect(combineScores(failing, 10).score).to.equal(4);
+    expect(combineScores(passing, null).score).to.equal(9.8);
+    expect(combineScores({ applicable: false }, 10).score).to.equal(0);
+  });
+});
@@ -0,0 +1,144 @@
+import { describe, it, before, after, beforeEach } from 'mocha';
+import { expect } from 'chai';
+import http from 'http';
+import { createGitHost, detectHostKind, findRemote, openPullRequest, parseRemoteUrl, GitHostError } from '../adapter/githost/index.js';
+
+// Stands in for the GitHub and GitLab APIs: answers from a route table and records each request
+function startMockHost() {
+  const mock = { requests: [], routes: {} };
+  mock.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      mock.requests.push({ method: req.method, url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null });
+      const route = mock.routes[`${req.method} ${req.url}`] || { status: 404, body: { message: 'Not Found' } };
+      res.writeHead(route.status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(route.body));
+    });
+  });
+  return new Promise(resolve => mock.server.listen(0, '127.0.0.1', () => {
+    mock.apiUrl = `http://127.0.0.1:${mock.server.address().port}`;
+    resolve(mock);
+  }));
+}
+
+describe('Git host clients', () => {
+  let mock;
+
+  before(async () => {
+    mock = await startMockHost();
+  });
+
+  after(() => new Promise(resolve => mock.server.close(resolve)));
+
+  beforeEach(() => {
+    mock.requests = [];
+    mock.routes = {};
+  });
+
+  it('should read the host and repository from git remote -v', () => {
+    const output = [
+      'origin\tgit@github.com:acme/widgets.git (fetch)',
+      'origin\t/srv/mirror/widgets.git (push)',
+      'upstream\thttps://gitlab.example.com/platform/tools/widgets (fetch)',
+      'upstream\thttps://gitlab.example.com/platform/tools/widgets (push)',
+    ].join('\n');
+
+    expect(findRemote(output)).to.deep.equal({ name: 'origin', url: 'git@github.com:acme/widgets.git', host: 'github.com', repo: 'acme/widgets' });
+    expect(findRemote(output, 'upstream')).to.include({ host: 'gitlab.example.com', repo: 'platform/tools/widgets' });
+    expect(findRemote(output, 'fork')).to.equal(null);
+
+    expect(parseRemoteUrl('ssh://git@git.corp.dev:2222/team/app.git/')).to.deep.equal({ host: 'git.corp.dev', repo: 'team/app' });
+    expect(parseRemoteUrl('https://user:pw@GitHub.com/acme/widgets')).to.deep.equal({ host: 'github.com', repo: 'acme/widgets' });
+    expect(parseRemoteUrl('/srv/mirror/widgets.git')).to.equal(null);
+    expect(parseRemoteUrl('file:///srv/mirror/widgets.git')).to.equal(null);
+
+    expect(detectHostKind('GitHub.com')).to.equal('github');
+    expect(detectHostKind('gitlab.com')).to.equal('gitlab');
+    // Look-alike hosts get no client, so no token is sent to them
+    expect(detectHostKind('github.example.com')).to.equal(null);
+    expect(detectHostKind('github.com.attacker.io', { override: 'github' })).to.equal(null);
+    expect(detectHostKind('git.corp.dev')).to.equal(null);
+    // Self-hosted servers must be named, by API URL or in GIT_HOST_DOMAINS
+    expect(detectHostKind('ghe.corp.dev', { apiUrls: { github: 'https://ghe.corp.dev/api/v3' } })).to.equal('github');
+    expect(detectHostKind('gitlab.corp.dev', { domains: ['gitlab.corp.dev'] })).to.equal('gitlab');
+    expect(detectHostKind('git.corp.dev', { domains: ['git.corp.dev'] })).to.equal(null);
+    expect(detectHostKind('git.corp.dev', { domains: ['git.corp.dev'], override: 'gitlab' })).to.equal('gitlab');
+  });
+
+  it('should open a GitHub pull request against the base branch', async () => {
+    mock.routes['POST /repos/acme/widgets/pulls'] = {
+      status: 201,
+      body: { number: 42, html_url: 'https://github.com/acme/widgets/pull/42', title: 'Add isEven', state: 'open', head: { ref: 'feature/even' }, base: { ref: 'develop' } },
+    };
+    mock.routes['GET /repos/acme/widgets'] = { status: 200, body: { default_branch: 'develop' } };
+
+    const client = createGitHost('github', { apiUrl: mock.apiUrl, token: 'ghp_test' });
+    expect(await client.getDefaultBranch('acme/widgets')).to.equal('develop');
+    const pullRequest = await client.createPullRequest({ repo: 'acme/widgets', head: 'feature/even', base: 'develop', title: 'Add isEven', body: 'Adds isEven to math.js' });
+
+    expect(pullRequest).to.deep.equal({ number: 42, url: 'https://github.com/acme/widgets/pull/42', title: 'Add isEven', state: 'open', head: 'feature/even', base: 'develop' });
+    const request = mock.requests[1];
+    expect(request.headers.authorization).to.equal('Bearer ghp_test');
+    expect(request.body).to.deep.equal({ title: 'Add isEven', head: 'feature/even', base: 'develop', body: 'Adds isEven to math.js' });
+  });
+
+  it('should open a GitLab merge request on a project in a subgroup', async () => {
+    mock.routes['POST /projects/platform%2Ftools%2Fwidgets/merge_requests'] = {
+      status: 201,
+      body: { iid: 7, web_url: 'https://gitlab.example.com/platform/tools/widgets/-/merge_requests/7', title: 'Add isEven', state: 'opened', source_branch: 'feature/even', target_branch: 'main' },
+    };
+
+    const client = createGitHost('gitlab', { apiUrl: `${mock.apiUrl}/`, token: 'glpat-test' });
+    const pullRequest = await client.createPullRequest({ repo: 'platform/tools/widgets', head: 'feature/even', base: 'main', title: 'Add isEven' });
+
+    expect(pullRequest).to.include({ number: 7, state: 'open', head: 'feature/even', base: 'main' });
+    expect(mock.requests[0].headers['private-token']).to.equal('glpat-test');
+    expect(mock.requests[0].body).to.deep.equal({ source_branch: 'feature/even', target_branch: 'main', title: 'Add isEven', description: '' });
+    expect(createGitHost('gitlab', { host: 'gitlab.example.com' }).apiUrl).to.equal('https://gitlab.example.com/api/v4');
+    expect(createGitHost('github', { host: 'github.com' }).apiUrl).to.equal('https://api.github.com');
+  });
+
+  it('should return the pull request that is already open for the branch', async () => {
+    mock.routes['POST /repos/acme/widgets/pulls'] = {
+      status: 422,
+      body: { message: 'Validation Failed', errors: [{ message: 'A pull request already exists for acme:feature/even.' }] },
+    };
+    mock.routes['GET /repos/acme/widgets/pulls?head=acme%3Afeature%2Feven&base=main&state=open'] = {
+      status: 200,
+      body: [{ number: 41, html_url: 'https://github.com/acme/widgets/pull/41', title: 'Add isEven', state: 'open', head: { ref: 'feature/even' }, base: { ref: 'main' } }],
+    };
+    const request = { repo: 'acme/widgets', head: 'feature/even', base: 'main', title: 'Add isEven' };
+
+    const github = createGitHost('github', { apiUrl: mock.apiUrl, token: 'ghp_test' });
+    expect(await openPullRequest(github, request)).to.include({ number: 41, existing: true });
+
+    mock.routes['POST /projects/acme%2Fwidgets/merge_requests'] = {
+      status: 409,
+      body: { message: ['Another open merge request already exists for this source branch: !3'] },
+    };
+    mock.routes['GET /projects/acme%2Fwidgets/merge_requests?source_branch=feature%2Feven&target_branch=main&state=opened'] = {
+      status: 200,
+      body: [{ iid: 3, web_url: 'https://gitlab.com/acme/widgets/-/merge_requests/3', state: 'opened', source_branch: 'feature/even', target_branch: 'main' }],
+    };
+    const gitlab = createGitHost('gitlab', { apiUrl: mock.apiUrl, token: 'glpat-test' });
+    expect(await openPullRequest(gitlab, request)).to.include({ number: 3, existing: true });
+  });
+
+  it('should classify API and network failures', async () => {
+    mock.routes['POST /repos/acme/widgets/pulls'] = { status: 401, body: { message: 'Bad credentials' } };
+    const client = createGitHost('github', { apiUrl: mock.apiUrl, token: 'expired' });
+    const request = { repo: 'acme/widgets', head: 'feature/even', base: 'main', title: 'Add isEven' };
+
+    const failure = async promise => promise.then(() => null, err => err);
+    const auth = await failure(openPullRequest(client, request));
+    expect(auth).to.be.instanceOf(GitHostError);
+    expect(auth).to.include({ code: 'auth', status: 401, message: 'github API error: 401 Bad credentials' });
+
+    expect(await failure(client.getDefaultBranch('acme/missing'))).to.include({ code: 'not_found', status: 404 });
+
+    const offline = createGitHost('gitlab', { apiUrl: 'http://127.0.0.1:9', token: 'glpat-test' });
+    expect(await failure(offline.createPullRequest(request))).to.include({ code: 'network', host: 'gitlab' });
+    expect(() => createGitHost('bitbucket', {})).to.throw(/Unknown git host "bitbucket"/);
+  });
+});
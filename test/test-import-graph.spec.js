@@ -0,0 +1,107 @@
+import { describe, it, before, after } from 'mocha';
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execSync } from 'child_process';
+import { extractImports, resolveImport } from '../adapter/retrieval/importGraph.js';
+import { extractSymbols } from '../adapter/retrieval/symbols.js';
+import { CodeIndex } from '../adapter/retrieval/codeIndex.js';
+import { packContext } from '../adapter/llm/contextPacker.js';
+
+describe('Import graph', () => {
+  let repoRoot;
+
+  before(() => {
+    repoRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'devskin-imports-'));
+    const files = {
+      'src/math.js': 'export function clamp(value, min, max) {\n  return Math.min(max, Math.max(min, value));\n}\n',
+      'src/format/index.js': 'function pad(text, width) {\n  return text.padStart(width);\n}\nmodule.exports = { pad };\n',
+      'src/app.js': "import { clamp } from './math';\nconst { pad } = require('./format');\nimport React from 'react';\n",
+      'src/main.js': "import './app.js';\n",
+      'lib/store.ts': 'export class Store {\n  save(record: object): void {}\n}\n',
+      'lib/use.ts': "import { Store } from './store.js';\n",
+    };
+    for (const [file, content] of Object.entries(files)) {
+      fs.mkdirSync(path.join(repoRoot, path.dirname(file)), { recursive: true });
+      fs.writeFileSync(path.join(repoRoot, file), content);
+    }
+    execSync('git init -q && git add -A', { cwd: repoRoot });
+  });
+
+  after(() => {
+    fs.rmSync(repoRoot, { recursive: true, force: true });
+  });
+
+  it('should extract ES, CommonJS and dynamic imports but not packages', () => {
+    const source = `import a from './a';
+import * as b from '../b.js';
+export { c } from './c';
+export * from './d';
+const e = require('./e');
+const f = await import('./f.mjs');
+const g = require(\`./g\`);
+import fs from 'fs';
+function later() { return require('./h'); }
+`;
+    expect(extractImports(source, 'src/x.mjs')).to.deep.equal(['./a', '../b.js', './c', './d', './e', './f.mjs', './g', './h']);
+    expect(extractImports('def f(): pass', 'x.py')).to.deep.equal([]);
+  });
+
+  it('should resolve extensions, directory indexes and TypeScript .js specifiers', () => {
+    const files = new Set(['src/math.js', 'src/format/index.js', 'lib/store.ts']);
+    const hasFile = file => files.has(file);
+
+    expect(resolveImport('src/app.js', './math', hasFile)).to.equal('src/math.js');
+    expect(resolveImport('src/app.js', './math.js', hasFile)).to.equal('src/math.js');
+    expect(resolveImport('src/app.js', './format', hasFile)).to.equal('src/format/index.js');
+    expect(resolveImport('lib/use.ts', './store.js', hasFile)).to.equal('lib/store.ts');
+    expect(resolveImport('src/app.js', '../lib/store', hasFile)).to.equal('lib/store.ts');
+    expect(resolveImport('src/app.js', './missing', hasFile)).to.equal(null);
+    expect(resolveImport('src/app.js', '../../outside', hasFile)).to.equal(null);
+  });
+
+  it('should list the files a file imports and the files importing it', async () => {
+    const index = new CodeIndex(repoRoot, path.join(repoRoot, '.index'));
+    await index.refresh();
+
+    expect(index.getImportGraph('src/app.js')).to.deep.equal({
+      imports: ['src/math.js', 'src/format/index.js'],
+      importedBy: ['src/main.js'],
+    });
+    expect(index.getImportGraph('src/math.js')).to.deep.equal({ imports: [], importedBy: ['src/app.js'] });
+    expect(index.getImportGraph('lib/store.ts')).to.deep.equal({ imports: [], importedBy: ['lib/use.ts'] });
+  });
+
+  it('should mark names exported by export lists and module.exports', () => {
+    const source = `function a() {}
+function b() {}
+const c = () => {};
+function hidden() {}
+export { a };
+export default b;
+module.exports = { c };
+`;
+    const exported = extractSymbols(source, 'x.js').filter(s => s.exported).map(s => s.name);
+    expect(exported).to.deep.equal(['a', 'b', 'c']);
+  });
+
+  it('should pack related modules after the target and before snippets', () => {
+    const format = item => `${item.file}\n${'x'.repeat(400)}\n`;
+    const result = packContext({
+      budget: 250,
+      fixed: 'instruction',
+      target: { content: 'const x = 1;', focus: 'x' },
+      related: [{ file: 'src/math.js' }, { file: 'src/format/index.js' }],
+      snippets: [{ file: 'src/other.js', startLine: 1, endLine: 5 }],
+      formatTarget: target => target.content,
+      formatRelated: format,
+      formatSnippet: format,
+      formatSummary: format,
+    });
+
+    expect(result.related.map(module => module.file)).to.deep.equal(['src/math.js', 'src/format/index.js']);
+    expect(result.report.included).to.include({ related: 2, snippets: 0 });
+    expect(result.report.dropped.map(entry => entry.type)).to.deep.equal(['snippet']);
+  });
+});
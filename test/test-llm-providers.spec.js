@@ -0,0 +1,199 @@
+import { describe, it, before, after } from 'mocha';
+import { expect } from 'chai';
+import http from 'http';
+import { createProvider } from '../adapter/llm/providers/index.js';
+import { LLMError } from '../adapter/llm/errors.js';
+
+const messages = [
+  { role: 'system', content: 'You are terse.' },
+  { role: 'user', content: 'Say hi' },
+];
+
+// Canned responses in each API's wire format, keyed by path and stream flag
+const routes = {
+  '/openai': (body) => body.stream
+    ? {
+      type: 'text/event-stream',
+      body: [
+        { choices: [{ delta: { content: 'Hi' } }] },
+        { choices: [{ delta: { content: ' there' }, finish_reason: 'stop' }] },
+        { choices: [], usage: { prompt_tokens: 7, completion_tokens: 2, total_tokens: 9 } },
+      ].map(d => `data: ${JSON.stringify(d)}\n\n`).join('') + 'data: [DONE]\n\n',
+    }
+    : {
+      type: 'application/json',
+      body: JSON.stringify({
+        model: 'gpt-test',
+        choices: [{ message: { content: 'Hi there' }, finish_reason: 'length' }],
+        usage: { prompt_tokens: 7, completion_tokens: 2, total_tokens: 9 },
+      }),
+    },
+  '/anthropic': (body) => body.stream
+    ? {
+      type: 'text/event-stream',
+      body: [
+        { type: 'message_start', message: { model: 'claude-test', usage: { input_tokens: 7 } } },
+        { type: 'content_block_delta', delta: { type: 'text_delta', text: 'Hi' } },
+        { type: 'content_block_delta', delta: { type: 'text_delta', text: ' there' } },
+        { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 2 } },
+      ].map(d => `event: ${d.type}\ndata: ${JSON.stringify(d)}\n\n`).join(''),
+    }
+    : {
+      type: 'application/json',
+      body: JSON.stringify({
+        model: 'claude-test',
+        system: body.system,
+        content: [{ type: 'text', text: `system=${body.system}` }],
+        stop_reason: 'max_tokens',
+        usage: { input_tokens: 7, output_tokens: 2 },
+      }),
+    },
+  '/anthropic-error': () => ({
+    type: 'text/event-stream',
+    body: [
+      { type: 'content_block_delta', delta: { type: 'text_delta', text: 'Hi' } },
+      { type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } },
+    ].map(d => `event: ${d.type}\ndata: ${JSON.stringify(d)}\n\n`).join(''),
+  }),
+  '/anthropic-invalid': () => ({
+    type: 'text/event-stream',
+    body: `event: error\ndata: ${JSON.stringify({ type: 'error', error: { type: 'invalid_request_error', message: 'messages: bad role' } })}\n\n`,
+  }),
+  '/ollama': (body) => body.stream
+    ? {
+      type: 'application/x-ndjson',
+      body: [
+        { message: { content: 'Hi' }, done: false },
+        { message: { content: ' there' }, done: false },
+        { message: { content: '' }, done: true, done_reason: 'stop', prompt_eval_count: 7, eval_count: 2 },
+      ].map(d => JSON.stringify(d)).join('\n') + '\n',
+    }
+    : {
+      type: 'application/json',
+      body: JSON.stringify({ model: 'llama-test', message: { content: 'Hi there' }, done: true, done_reason: 'stop', prompt_eval_count: 7, eval_count: 2 }),
+    },
+};
+
+describe('LLM providers', () => {
+  let server;
+  let baseUrl;
+  const received = [];
+
+  before((done) => {
+    server = http.createServer((req, res) => {
+      let raw = '';
+      req.on('data', chunk => { raw += chunk; });
+      req.on('end', () => {
+        const body = JSON.parse(raw);
+        received.push({ path: req.url, headers: req.headers, body });
+
+        if (req.url === '/limited') {
+          res.writeHead(429, { 'Content-Type': 'application/json', 'Retry-After': '3' });
+          res.end(JSON.stringify({ error: { message: 'Rate limit reached' } }));
+          return;
+        }
+
+        const reply = routes[req.url](body);
+        res.writeHead(200, { 'Content-Type': reply.type });
+        res.end(reply.body);
+      });
+    });
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  after((done) => {
+    server.close(done);
+  });
+
+  it('should normalize OpenAI-compatible completions and streams', async () => {
+    const provider = createProvider('openai', { endpoint: `${baseUrl}/openai`, model: 'gpt-test', apiKey: 'sk-test' });
+
+    const result = await provider.complete({ messages });
+    expect(result).to.deep.include({ content: 'Hi there', finishReason: 'length', provider: 'openai' });
+    expect(result.usage).to.deep.equal({ inputTokens: 7, outputTokens: 2, totalTokens: 9 });
+    expect(received[received.length - 1].headers.authorization).to.equal('Bearer sk-test');
+
+    const deltas = [];
+    const streamed = await provider.stream({ messages }, d => deltas.push(d));
+    expect(deltas).to.deep.equal(['Hi', ' there']);
+    expect(streamed).to.deep.include({ content: 'Hi there', finishReason: 'stop' });
+    expect(streamed.usage.totalTokens).to.equal(9);
+    // Compatible servers may reject stream_options; only api.openai.com gets it unless configured
+    expect(received[received.length - 1].body).to.not.have.property('stream_options');
+
+    const withUsage = createProvider('openai', { endpoint: `${baseUrl}/openai`, model: 'gpt-test', streamUsage: true });
+    await withUsage.stream({ messages }, () => {});
+    expect(received[received.length - 1].body.stream_options).to.deep.equal({ include_usage: true });
+    expect(createProvider('openai', { model: 'gpt-test' }).streamUsage).to.equal(true);
+  });
+
+  it('should send the system prompt separately to Anthropic-style APIs', async () => {
+    const provider = createProvider('anthropic', { endpoint: `${baseUrl}/anthropic`, model: 'claude-test', apiKey: 'key' });
+
+    const result = await provider.complete({ messages });
+    const request = received[received.length - 1];
+    expect(request.headers['x-api-key']).to.equal('key');
+    expect(request.body.messages).to.deep.equal([{ role: 'user', content: 'Say hi' }]);
+    expect(result).to.deep.include({ content: 'system=You are terse.', finishReason: 'length' });
+
+    const deltas = [];
+    const streamed = await provider.stream({ messages }, d => deltas.push(d));
+    expect(deltas.join('')).to.equal('Hi there');
+    expect(streamed).to.deep.include({ finishReason: 'stop', model: 'claude-test' });
+    expect(streamed.usage).to.deep.equal({ inputTokens: 7, outputTokens: 2, totalTokens: 9 });
+  });
+
+  it('should classify error events in Anthropic-style streams', async () => {
+    const overloaded = createProvider('anthropic', { endpoint: `${baseUrl}/anthropic-error`, model: 'claude-test', apiKey: 'key' });
+    const deltas = [];
+    try {
+      await overloaded.stream({ messages }, d => deltas.push(d));
+      expect.fail('should have thrown');
+    } catch (error) {
+      expect(error).to.be.instanceOf(LLMError);
+      expect(error).to.include({ code: 'server', retryable: true });
+      expect(error.message).to.include('Overloaded');
+    }
+    expect(deltas).to.deep.equal(['Hi']);
+
+    const invalid = createProvider('anthropic', { endpoint: `${baseUrl}/anthropic-invalid`, model: 'claude-test', apiKey: 'key' });
+    try {
+      await invalid.stream({ messages }, () => {});
+      expect.fail('should have thrown');
+    } catch (error) {
+      expect(error).to.include({ code: 'bad_request', retryable: false });
+    }
+  });
+
+  it('should read Ollama-style newline-delimited streams', async () => {
+    const provider = createProvider('ollama', { endpoint: `${baseUrl}/ollama`, model: 'llama-test' });
+
+    const result = await provider.complete({ messages });
+    expect(result).to.deep.include({ content: 'Hi there', finishReason: 'stop' });
+
+    const deltas = [];
+    const streamed = await provider.stream({ messages }, d => deltas.push(d));
+    expect(deltas).to.deep.equal(['Hi', ' there']);
+    expect(streamed.usage).to.deep.equal({ inputTokens: 7, outputTokens: 2, totalTokens: 9 });
+  });
+
+  it('should classify HTTP failures as LLMError', async () => {
+    const provider = createProvider('openai', { endpoint: `${baseUrl}/limited`, model: 'gpt-test', apiKey: 'k' });
+
+    try {
+      await provider.complete({ messages });
+      expect.fail('should have thrown');
+    } catch (error) {
+      expect(error).to.be.instanceOf(LLMError);
+      expect(error).to.include({ code: 'rate_limit', status: 429, retryAfter: 3, retryable: true });
+      expect(error.message).to.include('Rate limit reached');
+    }
+  });
+
+  it('should reject unknown provider names', () => {
+    expect(() => createProvider('bogus', {})).to.throw('Unknown LLM provider');
+  });
+});
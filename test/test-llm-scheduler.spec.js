@@ -0,0 +1,201 @@
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import { LLMScheduler } from '../adapter/llm/scheduler.js';
+import { LLMError } from '../adapter/llm/errors.js';
+
+const fast = { baseDelayMs: 5, maxDelayMs: 1000, random: () => 0 };
+const failure = (code, extra = {}) => new LLMError(`LLM API error: ${code}`, { provider: 'openai', code, ...extra });
+
+describe('LLM scheduler', () => {
+  it('should never run more requests than the concurrency cap', async () => {
+    const scheduler = new LLMScheduler({ ...fast, concurrency: 2 });
+    let running = 0;
+    let peak = 0;
+    const task = async () => {
+      running++;
+      peak = Math.max(peak, running);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      running--;
+      return 'ok';
+    };
+
+    const results = await Promise.all(Array.from({ length: 5 }, () => scheduler.schedule(task)));
+    expect(results).to.deep.equal(['ok', 'ok', 'ok', 'ok', 'ok']);
+    expect(peak).to.equal(2);
+    expect(scheduler.getStatus()).to.include({ active: 0, queued: 0, completed: 5 });
+  });
+
+  it('should retry rate limits after Retry-After and other transient errors with backoff', async () => {
+    const scheduler = new LLMScheduler({ ...fast });
+    const errors = [failure('rate_limit', { status: 429, retryAfter: 0.05 }), failure('server', { status: 503 })];
+    const started = Date.now();
+
+    const result = await scheduler.schedule(async () => {
+      if (errors.length) throw errors.shift();
+      return 'done';
+    });
+
+    expect(result).to.equal('done');
+    expect(Date.now() - started).to.be.at.least(50);
+    expect(scheduler.getStatus()).to.include({ retries: 2, completed: 1, failed: 0 });
+  });
+
+  it('should not retry errors that are not retryable', async () => {
+    const scheduler = new LLMScheduler({ ...fast });
+    let attempts = 0;
+
+    try {
+      await scheduler.schedule(async () => {
+        attempts++;
+        throw failure('auth', { status: 401 });
+      });
+      expect.fail('should have thrown');
+    } catch (err) {
+      expect(err.code).to.equal('auth');
+    }
+    expect(attempts).to.equal(1);
+    expect(scheduler.getState()).to.equal('closed');
+  });
+
+  it('should abort attempts that exceed the timeout', async () => {
+    const scheduler = new LLMScheduler({ ...fast, timeoutMs: 20, maxRetries: 1 });
+    let aborted = 0;
+
+    try {
+      await scheduler.schedule(signal => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => {
+          aborted++;
+          reject(new Error('aborted'));
+        });
+      }));
+      expect.fail('should have thrown');
+    } catch (err) {
+      expect(err.code).to.equal('timeout');
+      expect(err.message).to.include('timed out');
+    }
+    expect(aborted).to.equal(2);
+    expect(scheduler.getStatus().timeouts).to.equal(2);
+  });
+
+  it('should let a stream run past the timeout while it keeps delivering deltas', async () => {
+    const scheduler = new LLMScheduler({ ...fast, timeoutMs: 30, maxRetries: 0 });
+    const stream = (deltas, gapMs) => (signal, progress) => new Promise((resolve, reject) => {
+      let received = '';
+      let sent = 0;
+      const timer = setInterval(() => {
+        if (sent === deltas.length) {
+          clearInterval(timer);
+          resolve(received);
+          return;
+        }
+        received += deltas[sent++];
+        progress();
+      }, gapMs);
+      signal.addEventListener('abort', () => {
+        clearInterval(timer);
+        reject(new Error('aborted'));
+      });
+    });
+
+    // Eight deltas 15ms apart: 120ms in all, four times the timeout
+    const started = Date.now();
+    const content = await scheduler.schedule(stream(['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h'], 15));
+    expect(content).to.equal('abcdefgh');
+    expect(Date.now() - started).to.be.above(100);
+    expect(scheduler.getStatus()).to.include({ timeouts: 0, consecutiveFailures: 0 });
+
+    // A stream that stalls is still cut off
+    try {
+      await scheduler.schedule(stream(['a'], 60));
+      expect.fail('should have thrown');
+    } catch (err) {
+      expect(err.code).to.equal('timeout');
+    }
+    try {
+      await scheduler.schedule((signal, progress) => new Promise((resolve, reject) => {
+        progress();
+        signal.addEventListener('abort', () => reject(new Error('aborted')));
+      }));
+      expect.fail('should have thrown');
+    } catch (err) {
+      expect(err.message).to.include('stalled');
+    }
+  });
+
+  it('should not retry a stream that stalled after delivering deltas', async () => {
+    const scheduler = new LLMScheduler({ ...fast, timeoutMs: 30, maxRetries: 2 });
+    const delivered = [];
+    let attempts = 0;
+
+    try {
+      await scheduler.schedule((signal, progress) => new Promise((resolve, reject) => {
+        attempts++;
+        delivered.push('hello');
+        progress();
+        signal.addEventListener('abort', () => reject(new Error('aborted')));
+      }));
+      expect.fail('should have thrown');
+    } catch (err) {
+      expect(err.code).to.equal('timeout');
+      expect(err.retryable).to.equal(false);
+    }
+    expect(attempts).to.equal(1);
+    expect(delivered).to.deep.equal(['hello']);
+
+    // A stall before any data arrived is retried as usual
+    attempts = 0;
+    await scheduler.schedule(signal => new Promise((resolve, reject) => {
+      attempts++;
+      signal.addEventListener('abort', () => reject(new Error('aborted')));
+    })).catch(() => {});
+    expect(attempts).to.equal(3);
+  });
+
+  it('should open the circuit after repeated outages and close it after a successful trial', async () => {
+    const scheduler = new LLMScheduler({ ...fast, maxRetries: 0, breakerThreshold: 2, breakerCooldownMs: 40 });
+    const down = async () => { throw failure('server', { status: 500 }); };
+
+    for (let i = 0; i < 2; i++) {
+      await scheduler.schedule(down).catch(() => {});
+    }
+    expect(scheduler.getStatus()).to.include({ state: 'open', consecutiveFailures: 2 });
+
+    let called = false;
+    try {
+      await scheduler.schedule(async () => { called = true; });
+      expect.fail('should have thrown');
+    } catch (err) {
+      expect(err.code).to.equal('circuit_open');
+      expect(err.retryAfter).to.be.at.least(1);
+    }
+    expect(called).to.equal(false);
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(scheduler.getState()).to.equal('half-open');
+    expect(await scheduler.schedule(async () => 'back')).to.equal('back');
+    expect(scheduler.getStatus()).to.include({ state: 'closed', consecutiveFailures: 0 });
+  });
+
+  it('should drop queued requests when their caller aborts', async () => {
+    const scheduler = new LLMScheduler({ ...fast, concurrency: 1 });
+    let release;
+    const first = scheduler.schedule(() => new Promise(resolve => { release = resolve; }));
+
+    const controller = new AbortController();
+    const second = scheduler.schedule(async () => 'never', { signal: controller.signal });
+    expect(scheduler.getStatus().queued).to.equal(1);
+    controller.abort();
+
+    try {
+      await second;
+      expect.fail('should have thrown');
+    } catch (err) {
+      expect(err.name).to.equal('AbortError');
+    }
+    expect(scheduler.getStatus().queued).to.equal(0);
+
+    release('first');
+    expect(await first).to.equal('first');
+    expect(scheduler.getStatus()).to.include({ active: 0, failed: 0 });
+  });
+});
@@ -0,0 +1,164 @@
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createRequire } from 'module';
+import { validatePatch } from '../shared/patch/patchSchema.js';
+import { applyFilePatch } from '../shared/patch/jsonPatch.js';
+import { planJsonPatch } from '../adapter/patch/applyPatch.js';
+
+const require = createRequire(import.meta.url);
+const { MCPService } = require('../electron/services/mcpService.js');
+
+describe('JSON patch schema', () => {
+  it('should accept every operation in the multi-file format', () => {
+    const result = validatePatch({
+      files: [
+        { path: 'src/new.js', operation: 'create', content: 'export {};\n' },
+        { path: 'src/a.js', operation: 'modify', edits: [{ start: 0, end: 3, replacement: 'let' }] },
+        { path: 'src/b.js', operation: 'modify', hunks: [{ oldStart: 1, lines: [' a', '-b', '+c'] }] },
+        { path: 'src/c.js', oldPath: 'src/old.js', operation: 'rename' },
+        { path: 'src/gone.js', operation: 'delete' },
+      ],
+    });
+
+    expect(result.errors).to.deep.equal([]);
+    expect(result.valid).to.equal(true);
+  });
+
+  it('should normalize the legacy single-file edits form', () => {
+    const result = validatePatch({ file: 'src/a.js', edits: [{ start: 0, end: 1, replacement: 'x' }] });
+
+    expect(result.valid).to.equal(true);
+    expect(result.patch).to.deep.equal({
+      files: [{ path: 'src/a.js', operation: 'modify', edits: [{ start: 0, end: 1, replacement: 'x' }] }],
+    });
+  });
+
+  it('should report structured errors with field paths', () => {
+    const result = validatePatch({
+      files: [
+        { path: 'a.js', operation: 'update', content: 'x' },
+        { path: 'b.js', operation: 'create' },
+        { path: 'c.js', operation: 'modify', edits: [{ start: 5, end: 2, replacement: 'x' }] },
+        { path: 'd.js', operation: 'modify', edits: [{ start: 0, end: 4, replacement: '' }, { start: 2, end: 6, replacement: '' }] },
+        { path: 'e.js', operation: 'delete', hunks: [{ oldStart: 1, lines: ['oops'] }] },
+        { path: 'a.js', operation: 'delete' },
+      ],
+    });
+
+    expect(result.valid).to.equal(false);
+    const messages = result.errors.map(e => `${e.path}: ${e.message}`);
+    expect(messages).to.include('files[0].operation: must be one of create, modify, delete, rename');
+    expect(messages).to.include('files[1].content: is required for create');
+    expect(messages).to.include('files[2].edits[0]: start must not be greater than end');
+    expect(messages).to.include('files[3].edits[1]: overlaps files[3].edits[0]');
+    expect(messages).to.include('files[4].hunks: is not allowed for delete');
+    expect(messages).to.include('files[5]: touches a.js, already changed by files[0]');
+  });
+
+  it('should reject values that are not patches at all', () => {
+    expect(validatePatch('nope').errors[0].message).to.include('"files" array');
+    expect(validatePatch({ files: [] }).errors).to.deep.equal([{ path: 'files', message: 'must be a non-empty array' }]);
+  });
+
+  it('should apply edits and hunks in memory', () => {
+    expect(applyFilePatch('const x = 1;', {
+      operation: 'modify',
+      edits: [{ start: 6, end: 7, replacement: 'y' }, { start: 10, end: 11, replacement: '2' }],
+    }).content).to.equal('const y = 2;');
+
+    const hunked = applyFilePatch('a\nb\nc\n', { operation: 'modify', hunks: [{ oldStart: 2, lines: [' b', '-c', '+C'] }] });
+    expect(hunked).to.include({ success: true, content: 'a\nb\nC\n' });
+
+    const failed = applyFilePatch('a\n', { operation: 'modify', hunks: [{ oldStart: 1, lines: ['-zzz', '+y'] }] });
+    expect(failed.success).to.equal(false);
+    expect(failed.hunks[0].status).to.equal('failed');
+  });
+
+  describe('on disk', () => {
+    let repoDir;
+
+    beforeEach(() => {
+      repoDir = fs.mkdtempSync(path.join(os.tmpdir(), 'devskin-json-patch-'));
+      fs.mkdirSync(path.join(repoDir, 'src'));
+      fs.writeFileSync(path.join(repoDir, 'src/a.js'), 'const a = 1;\n');
+      fs.writeFileSync(path.join(repoDir, 'src/old.js'), 'old\n');
+    });
+
+    afterEach(() => {
+      fs.rmSync(repoDir, { recursive: true, force: true });
+    });
+
+    it('should plan JSON patches in the same shape as unified diffs', () => {
+      const plan = planJsonPatch(repoDir, {
+        files: [
+          { path: 'src/a.js', operation: 'modify', hunks: [{ oldStart: 1, lines: ['-const a = 1;', '+const a = 2;'] }] },
+          { path: 'src/renamed.js', oldPath: 'src/old.js', operation: 'rename' },
+          { path: 'src/missing.js', operation: 'delete' },
+        ],
+      });
+
+      expect(plan.applicable).to.equal(false);
+      expect(plan.files.map(f => f.error || 'ok')).to.deep.equal(['ok', 'ok', 'File does not exist']);
+      expect(plan.changes[0]).to.include({ path: 'src/a.js', content: 'const a = 2;\n' });
+      expect(plan.changes[1].removePath).to.equal(path.join(repoDir, 'src/old.js'));
+      expect(() => planJsonPatch(repoDir, { files: [{ path: 'x', operation: 'modify' }] }))
+        .to.throw('does not match the schema');
+    });
+
+    it('should let MCPService apply multi-file patches with the shared schema', async () => {
+      const service = new MCPService();
+
+      const invalid = await service.applyPatch({ files: [{ path: 'src/a.js', operation: 'modify' }] }, repoDir);
+      expect(invalid.success).to.equal(false);
+      expect(invalid.errors[0]).to.deep.equal({ path: 'files[0]', message: 'modify requires edits or hunks' });
+
+      const result = await service.applyPatch({
+        files: [
+          { path: 'src/new.js', operation: 'create', content: 'new\n' },
+          { path: 'src/a.js', operation: 'modify', edits: [{ start: 10, end: 11, replacement: '3' }] },
+          { path: 'src/old.js', operation: 'delete' },
+        ],
+      }, repoDir);
+
+      expect(result.success).to.equal(true);
+      expect(fs.readFileSync(path.join(repoDir, 'src/new.js'), 'utf-8')).to.equal('new\n');
+      expect(fs.readFileSync(path.join(repoDir, 'src/a.js'), 'utf-8')).to.equal('const a = 3;\n');
+      expect(fs.existsSync(path.join(repoDir, 'src/old.js'))).to.equal(false);
+    });
+
+    it('should keep MCPService patches inside the workspace', async () => {
+      const service = new MCPService();
+      const outside = path.join(path.dirname(repoDir), `${path.basename(repoDir)}-outside.txt`);
+      fs.writeFileSync(outside, 'keep\n');
+
+      try {
+        const escaping = await service.applyPatch({
+          files: [
+            { path: 'src/new.js', operation: 'create', content: 'new\n' },
+            { path: `../${path.basename(outside)}`, operation: 'delete' },
+          ],
+        }, repoDir);
+        expect(escaping.success).to.equal(false);
+        expect(escaping.error).to.include('escapes repository root');
+
+        const absolute = await service.applyPatch({ file: outside, edits: [{ start: 0, end: 4, replacement: 'gone' }] }, repoDir);
+        expect(absolute.success).to.equal(false);
+        expect(absolute.error).to.include('Invalid path in patch');
+
+        const renameOver = await service.applyPatch({ files: [{ path: 'src/a.js', oldPath: 'src/old.js', operation: 'rename' }] }, repoDir);
+        expect(renameOver.success).to.equal(false);
+        expect(renameOver.error).to.equal('src/a.js: Rename target already exists');
+
+        // Nothing was written for any of the refused patches
+        expect(fs.readFileSync(outside, 'utf-8')).to.equal('keep\n');
+        expect(fs.existsSync(path.join(repoDir, 'src/new.js'))).to.equal(false);
+        expect(fs.readFileSync(path.join(repoDir, 'src/a.js'), 'utf-8')).to.equal('const a = 1;\n');
+      } finally {
+        fs.rmSync(outside, { force: true });
+      }
+    });
+  });
+});
@@ -0,0 +1,89 @@
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  PROMPT_TEMPLATES,
+  findOverrideDir,
+  loadTemplate,
+  renderTemplate,
+  renderPrompt,
+  listTemplates,
+} from '../adapter/prompts/templates.js';
+
+describe('Prompt templates', () => {
+  describe('rendering', () => {
+    it('should fill variables and drop unset ones', () => {
+      expect(renderTemplate('Fix {{file}} in {{repo}}.', { file: 'a.js', repo: null })).to.equal('Fix a.js in .');
+      expect(renderTemplate('{{count}} patches\n', { count: 3 })).to.equal('3 patches');
+    });
+
+    it('should render sections, inverted sections and nested sections', () => {
+      const template = [
+        'Start',
+        '{{#file}}',
+        'File{{#note}} ({{note}}){{/note}}: {{file}}',
+        '{{/file}}',
+        '{{^file}}',
+        '{{^snippets}}',
+        'No context.',
+        '{{/snippets}}',
+        '{{/file}}',
+        'End',
+      ].join('\n');
+
+      expect(renderTemplate(template, { file: 'a.js', note: 'truncated' })).to.equal('Start\nFile (truncated): a.js\nEnd');
+      expect(renderTemplate(template, { file: 'a.js' })).to.equal('Start\nFile: a.js\nEnd');
+      expect(renderTemplate(template, {})).to.equal('Start\nNo context.\nEnd');
+      expect(renderTemplate(template, { snippets: 'x' })).to.equal('Start\nEnd');
+    });
+
+    it('should not expand tags inside variable values', () => {
+      const rendered = renderTemplate('Code: {{code}}', { code: 'return `{{secret}}`;', secret: 'leaked' });
+      expect(rendered).to.equal('Code: return `{{secret}}`;');
+    });
+
+    it('should fall back to the no-context note in the default assist prompt', () => {
+      const prompt = renderPrompt('assist.user', { instruction: 'Add a test' }, os.tmpdir());
+      expect(prompt).to.match(/^Instruction: Add a test\n/);
+      expect(prompt).to.include('No additional context files found.');
+      expect(prompt).to.not.include('Target file');
+    });
+  });
+
+  describe('repository overrides', () => {
+    let repoDir;
+
+    beforeEach(() => {
+      repoDir = fs.mkdtempSync(path.join(os.tmpdir(), 'devskin-prompts-'));
+      fs.mkdirSync(path.join(repoDir, '.devskin', 'prompts'), { recursive: true });
+      fs.mkdirSync(path.join(repoDir, 'src', 'lib'), { recursive: true });
+      fs.writeFileSync(path.join(repoDir, '.devskin', 'prompts', 'assist.system.md'), 'House rules. Output {{patchFormat}}.\n');
+    });
+
+    afterEach(() => {
+      fs.rmSync(repoDir, { recursive: true, force: true });
+    });
+
+    it('should find the override directory from a subdirectory', () => {
+      const subdir = path.join(repoDir, 'src', 'lib');
+      expect(findOverrideDir(subdir)).to.equal(path.join(repoDir, '.devskin', 'prompts'));
+      expect(renderPrompt('assist.system', { patchFormat: 'diffs' }, subdir)).to.equal('House rules. Output diffs.');
+    });
+
+    it('should use defaults for templates the repository does not override', () => {
+      const templates = listTemplates(repoDir);
+      expect(templates.map(t => t.name)).to.deep.equal(Object.keys(PROMPT_TEMPLATES));
+
+      const sources = Object.fromEntries(templates.map(t => [t.name, t.source]));
+      expect(sources['assist.system']).to.equal('repo');
+      expect(sources['assist.user']).to.equal('default');
+      expect(templates.find(t => t.name === 'review-patch.user').endpoint).to.equal('/review-patch');
+    });
+
+    it('should reject unknown template names', () => {
+      expect(() => loadTemplate('deploy.system', repoDir)).to.throw('Unknown prompt template: deploy.system');
+    });
+  });
+});
@@ -0,0 +1,81 @@
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ResponseCache, cacheKey } from '../adapter/llm/responseCache.js';
+
+const request = {
+  provider: 'openai',
+  model: 'gpt-4',
+  temperature: 0.7,
+  messages: [{ role: 'system', content: 'You are DevSkin Assistant.' }, { role: 'user', content: 'Add isEven' }],
+};
+
+describe('LLM response cache', () => {
+  let cacheDir;
+
+  beforeEach(() => {
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'devskin-llm-cache-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  it('should key entries by provider, endpoint, model, temperature and prompts', () => {
+    const key = cacheKey(request);
+    expect(key).to.match(/^[0-9a-f]{64}$/);
+    expect(cacheKey({ ...request })).to.equal(key);
+    expect(cacheKey({ ...request, model: 'gpt-4o' })).to.not.equal(key);
+    expect(cacheKey({ ...request, temperature: 0 })).to.not.equal(key);
+    expect(cacheKey({ ...request, provider: 'ollama' })).to.not.equal(key);
+    expect(cacheKey({ ...request, endpoint: 'http://gpu-box:11434/api/chat' })).to.not.equal(key);
+    expect(cacheKey({ ...request, endpoint: 'http://gpu-box:11434/api/chat' }))
+      .to.not.equal(cacheKey({ ...request, endpoint: 'http://localhost:11434/api/chat' }));
+    expect(cacheKey({ ...request, messages: [...request.messages, { role: 'user', content: 'again' }] })).to.not.equal(key);
+  });
+
+  it('should count hits and misses', () => {
+    const cache = new ResponseCache(cacheDir);
+    const key = cacheKey(request);
+
+    expect(cache.get(key)).to.equal(null);
+    cache.set(key, 'PATCH_START\n...\nPATCH_END', { model: 'gpt-4' });
+    expect(cache.get(key)).to.equal('PATCH_START\n...\nPATCH_END');
+
+    expect(cache.getStats()).to.include({ hits: 1, misses: 1, entries: 1 });
+  });
+
+  it('should treat entries older than the TTL as misses', () => {
+    const cache = new ResponseCache(cacheDir, { ttlMs: 1000 });
+    const key = cacheKey(request);
+    cache.set(key, 'old reply');
+
+    const entryPath = path.join(cacheDir, `${key}.json`);
+    const entry = JSON.parse(fs.readFileSync(entryPath, 'utf-8'));
+    fs.writeFileSync(entryPath, JSON.stringify({ ...entry, createdAt: Date.now() - 2000 }));
+
+    expect(cache.get(key)).to.equal(null);
+    expect(fs.existsSync(entryPath)).to.equal(false);
+  });
+
+  it('should evict the least recently used entries beyond the size limit', () => {
+    const cache = new ResponseCache(cacheDir, { maxBytes: 800 });
+    const keys = ['a', 'b', 'c'].map(content => cacheKey({ ...request, messages: [{ role: 'user', content }] }));
+    const past = new Date(Date.now() - 60000);
+
+    cache.set(keys[0], 'x'.repeat(200));
+    cache.set(keys[1], 'y'.repeat(200));
+    // Make "b" the least recently used, then use "a"
+    fs.utimesSync(path.join(cacheDir, `${keys[1]}.json`), past, past);
+    fs.utimesSync(path.join(cacheDir, `${keys[0]}.json`), past, past);
+    cache.get(keys[0]);
+    cache.set(keys[2], 'z'.repeat(200));
+
+    expect(cache.get(keys[1])).to.equal(null);
+    expect(cache.get(keys[0])).to.equal('x'.repeat(200));
+    expect(cache.get(keys[2])).to.equal('z'.repeat(200));
+    expect(cache.getStats().bytes).to.be.at.most(800);
+  });
+});
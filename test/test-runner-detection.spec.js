@@ -0,0 +1,73 @@
+import { describe, it, afterEach } from 'mocha';
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { detectTestRunner } from '../shared/testing/runnerDetection.js';
+import { isCommandAllowed } from '../adapter/security/commandAllowlist.js';
+
+describe('Test runner detection', () => {
+  const repos = [];
+
+  function makeRepo(files) {
+    const repoPath = fs.mkdtempSync(path.join(os.tmpdir(), 'devskin-runner-'));
+    for (const [file, content] of Object.entries(files)) {
+      fs.mkdirSync(path.join(repoPath, path.dirname(file)), { recursive: true });
+      fs.writeFileSync(path.join(repoPath, file), typeof content === 'string' ? content : JSON.stringify(content));
+    }
+    repos.push(repoPath);
+    return repoPath;
+  }
+
+  afterEach(() => {
+    repos.splice(0).forEach(repoPath => fs.rmSync(repoPath, { recursive: true, force: true }));
+  });
+
+  it('should run the test script through the package manager from the lockfile', () => {
+    const npm = detectTestRunner(makeRepo({ 'package.json': { scripts: { test: 'jest --ci' } } }));
+    expect(npm).to.include({ runner: 'npm', framework: 'jest', packageManager: 'npm', command: 'npm test', overridden: false });
+
+    const pnpm = detectTestRunner(makeRepo({ 'package.json': { scripts: { test: 'vitest run' } }, 'pnpm-lock.yaml': '' }));
+    expect(pnpm).to.include({ runner: 'pnpm', framework: 'vitest', command: 'pnpm test' });
+    expect(pnpm.reason).to.include('pnpm-lock.yaml');
+
+    const yarn = detectTestRunner(makeRepo({ 'package.json': { packageManager: 'yarn@4.1.0', scripts: { test: 'node test.js' } } }));
+    expect(yarn).to.include({ runner: 'yarn', framework: null, command: 'yarn test' });
+  });
+
+  it('should run a framework directly when there is no real test script', () => {
+    const jest = detectTestRunner(makeRepo({
+      'package.json': { scripts: { test: 'echo "Error: no test specified" && exit 1' } },
+      'jest.config.js': 'module.exports = {};',
+    }));
+    expect(jest).to.include({ runner: 'jest', command: 'npx jest' });
+
+    const mocha = detectTestRunner(makeRepo({ 'package.json': { devDependencies: { mocha: '^10.0.0' } }, 'pnpm-lock.yaml': '' }));
+    expect(mocha).to.include({ runner: 'mocha', command: 'pnpm exec mocha', reason: 'mocha dependency, no "test" script' });
+  });
+
+  it('should detect pytest and go test projects', () => {
+    expect(detectTestRunner(makeRepo({ 'pyproject.toml': '[tool.pytest.ini_options]\naddopts = "-q"\n' })))
+      .to.include({ runner: 'pytest', command: 'pytest', reason: '[tool.pytest in pyproject.toml' });
+    expect(detectTestRunner(makeRepo({ 'requirements.txt': 'requests\n', 'tests/test_app.py': '' })))
+      .to.include({ runner: 'pytest' });
+    expect(detectTestRunner(makeRepo({ 'go.mod': 'module example.com/app\n' })))
+      .to.include({ runner: 'go', command: 'go test ./...' });
+    expect(detectTestRunner(makeRepo({ 'README.md': '# Nothing to test' }))).to.equal(null);
+  });
+
+  it('should use a requested runner and reject unknown names', () => {
+    const repoPath = makeRepo({ 'package.json': { scripts: { test: 'jest' } }, 'yarn.lock': '', 'conftest.py': '' });
+
+    expect(detectTestRunner(repoPath, { runner: 'pytest' })).to.include({ runner: 'pytest', overridden: true, reason: 'requested pytest' });
+    expect(detectTestRunner(repoPath, { runner: 'vitest' })).to.include({ command: 'yarn vitest run', packageManager: 'yarn' });
+    expect(detectTestRunner(repoPath, { runner: 'pnpm' })).to.include({ command: 'pnpm test', framework: 'jest' });
+    expect(() => detectTestRunner(repoPath, { runner: 'make' })).to.throw(/Unknown test runner "make"/);
+  });
+
+  it('should only produce commands the sandbox allows', () => {
+    const commands = ['npm test', 'yarn test', 'pnpm test', 'npx jest', 'npx vitest run', 'npx mocha',
+      'yarn jest', 'pnpm exec vitest run', 'pytest', 'go test ./...'];
+    commands.forEach(command => expect(isCommandAllowed(command), command).to.equal(true));
+  });
+});
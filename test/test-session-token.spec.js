@@ -0,0 +1,210 @@
+import { describe, it, before, after, afterEach } from 'mocha';
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawn } from 'child_process';
+import express from 'express';
+import cors from 'cors';
+import {
+  createSessionToken,
+  writeTokenFile,
+  readTokenFile,
+  tokensMatch,
+  requireSessionToken,
+  rejectForeignOrigins,
+  corsOptions,
+  TOKEN_HEADER,
+} from '../adapter/security/sessionToken.js';
+
+describe('Adapter session token', () => {
+  const allowedOrigins = ['http://localhost:5173'];
+  const token = 'a'.repeat(64);
+  let server;
+  let baseUrl;
+  const dirs = [];
+
+  // The adapter's middleware order, in front of two routes
+  before(async () => {
+    const app = express();
+    app.use(rejectForeignOrigins(allowedOrigins));
+    app.use(cors(corsOptions(allowedOrigins)));
+    app.use(requireSessionToken(token, { exempt: ['/health'] }));
+    app.get('/health', (req, res) => res.json({ status: 'ok' }));
+    app.post('/run-tests', (req, res) => res.json({ success: true }));
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  afterEach(() => {
+    dirs.splice(0).forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+  });
+
+  function makeDir() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'devskin-token-'));
+    dirs.push(dir);
+    return dir;
+  }
+
+  it('should write a fresh random token readable by the owner only', () => {
+    const first = createSessionToken();
+    expect(first).to.match(/^[0-9a-f]{64}$/);
+    expect(createSessionToken()).to.not.equal(first);
+
+    const file = path.join(makeDir(), 'data', 'adapter-token');
+    expect(readTokenFile(file)).to.equal(null);
+    fs.mkdirSync(path.dirname(file));
+    fs.writeFileSync(file, 'previous-launch', { mode: 0o644 });
+
+    writeTokenFile(file, first);
+    expect(readTokenFile(file)).to.equal(first);
+    expect(fs.statSync(file).mode & 0o777).to.equal(0o600);
+
+    expect(tokensMatch(first, first)).to.equal(true);
+    expect(tokensMatch(first.slice(0, 10), first)).to.equal(false);
+    expect(tokensMatch('', first)).to.equal(false);
+  });
+
+  it('should reject requests without the token or with a wrong one', async () => {
+    const missing = await fetch(`${baseUrl}/run-tests`, { method: 'POST' });
+    expect(missing.status).to.equal(401);
+    expect((await missing.json()).message).to.include(TOKEN_HEADER);
+
+    const wrong = await fetch(`${baseUrl}/run-tests`, { method: 'POST', headers: { [TOKEN_HEADER]: 'b'.repeat(64) } });
+    expect(wrong.status).to.equal(403);
+
+    const valid = await fetch(`${baseUrl}/run-tests`, { method: 'POST', headers: { [TOKEN_HEADER]: token } });
+    expect(valid.status).to.equal(200);
+    expect(await valid.json()).to.deep.equal({ success: true });
+  });
+
+  it('should leave the health check open', async () => {
+    const response = await fetch(`${baseUrl}/health`);
+    expect(response.status).to.equal(200);
+  });
+
+  it('should answer preflights from allowlisted origins only', async () => {
+    const preflight = headers => fetch(`${baseUrl}/run-tests`, {
+      method: 'OPTIONS',
+      headers: { 'Access-Control-Request-Method': 'POST', 'Access-Control-Request-Headers': `content-type,${TOKEN_HEADER}`, ...headers },
+    });
+
+    const allowed = await preflight({ Origin: 'http://localhost:5173' });
+    expect(allowed.status).to.equal(204);
+    expect(allowed.headers.get('access-control-allow-origin')).to.equal('http://localhost:5173');
+    expect(allowed.headers.get('access-control-allow-headers')).to.include(TOKEN_HEADER);
+
+    const foreign = await preflight({ Origin: 'https://evil.example' });
+    expect(foreign.status).to.equal(403);
+    expect(foreign.headers.get('access-control-allow-origin')).to.equal(null);
+
+    // A page that guessed the token is still refused by origin
+    const simple = await fetch(`${baseUrl}/run-tests`, {
+      method: 'POST',
+      headers: { Origin: 'https://evil.example', [TOKEN_HEADER]: token },
+    });
+    expect(simple.status).to.equal(403);
+
+    // Pages loaded from file:// (and sandboxed frames) send "null"; only the dev server origin is supported
+    const fromFile = await fetch(`${baseUrl}/run-tests`, { method: 'POST', headers: { Origin: 'null', [TOKEN_HEADER]: token } });
+    expect(fromFile.status).to.equal(403);
+  });
+
+  it('should make the adapter write a random token at startup and require it', async function () {
+    this.timeout(20000);
+    const dataDir = makeDir();
+    const port = 8137;
+    const adapter = spawn('node', [path.join(process.cwd(), 'adapter', 'index.js')], {
+      // A fixed token from the environment is only honoured under NODE_ENV=test
+      env: { ...process.env, PORT: port, DEVSKIN_DATA_DIR: dataDir, NODE_ENV: 'production', ADAPTER_TOKEN: 'fixed-token', INDEX_WATCH: 'false' },
+      stdio: 'ignore',
+    });
+
+    try {
+      const adapterUrl = `http://127.0.0.1:${port}`;
+      for (let attempt = 0; attempt < 30; attempt++) {
+        try {
+          if ((await fetch(`${adapterUrl}/health`)).ok) break;
+        } catch (error) {
+          // Not listening yet
+        }
+        await new Promise(resolve => setTimeout(resolve, 300));
+      }
+
+      const adapterToken = readTokenFile(path.join(dataDir, 'adapter-token'));
+      expect(adapterToken).to.match(/^[0-9a-f]{64}$/);
+
+      const assist = headers => fetch(`${adapterUrl}/assist`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify({ fileContents: 'test' }),
+      });
+      expect((await assist({})).status).to.equal(401);
+      expect((await assist({ [TOKEN_HEADER]: 'fixed-token' })).status).to.equal(403);
+      // Past the token check, the missing instruction is reported as usual
+      expect((await assist({ [TOKEN_HEADER]: adapterToken })).status).to.equal(400);
+    } finally {
+      adapter.kill();
+    }
+  });
+
+  it('should make the MCP server require its own token before forwarding the adapter token', async function () {
+    this.timeout(20000);
+    const dataDir = makeDir();
+    writeTokenFile(path.join(dataDir, 'adapter-token'), token);
+
+    // Stands in for the adapter and records the token it was sent
+    const forwarded = [];
+    const adapterApp = express();
+    adapterApp.post('/run-tests', (req, res) => {
+      forwarded.push(req.headers[TOKEN_HEADER]);
+      res.json({ success: true });
+    });
+    const adapter = await new Promise(resolve => {
+      const listening = adapterApp.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+
+    const port = 8138;
+    const mcp = spawn('node', [path.join(process.cwd(), 'mcp-server', 'server.js')], {
+      env: { ...process.env, PORT: port, DEVSKIN_DATA_DIR: dataDir, ADAPTER_URL: `http://127.0.0.1:${adapter.address().port}`, MCP_TOKEN: '' },
+      stdio: 'ignore',
+    });
+
+    try {
+      const mcpUrl = `http://127.0.0.1:${port}`;
+      for (let attempt = 0; attempt < 30; attempt++) {
+        try {
+          if ((await fetch(`${mcpUrl}/health`)).ok) break;
+        } catch (error) {
+          // Not listening yet
+        }
+        await new Promise(resolve => setTimeout(resolve, 300));
+      }
+
+      const mcpToken = readTokenFile(path.join(dataDir, 'mcp-token'));
+      expect(mcpToken).to.match(/^[0-9a-f]{64}$/);
+
+      const invoke = headers => fetch(`${mcpUrl}/invoke/run-tests`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify({ repoPath: dataDir }),
+      });
+      expect((await invoke({})).status).to.equal(401);
+      expect((await invoke({ 'x-mcp-token': token })).status).to.equal(403);
+      expect((await invoke({ Origin: 'https://evil.example', 'x-mcp-token': mcpToken })).status).to.equal(403);
+      expect(forwarded).to.deep.equal([]);
+
+      expect((await invoke({ 'x-mcp-token': mcpToken })).status).to.equal(200);
+      expect(forwarded).to.deep.equal([token]);
+    } finally {
+      mcp.kill();
+      adapter.close();
+    }
+  });
+});
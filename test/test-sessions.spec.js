@@ -0,0 +1,70 @@
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { SessionStore, isValidSessionId, turnToMessages } from '../adapter/sessions/sessionStore.js';
+import { trimHistory } from '../adapter/llm/contextPacker.js';
+
+describe('Assistant sessions', () => {
+  let sessionsDir;
+  let store;
+
+  beforeEach(() => {
+    sessionsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'devskin-sessions-'));
+    store = new SessionStore(path.join(sessionsDir, 'sessions'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(sessionsDir, { recursive: true, force: true });
+  });
+
+  it('should create a session on the first turn and append later turns', () => {
+    expect(store.get('abc-123')).to.equal(null);
+
+    store.appendTurn('abc-123', { endpoint: '/assist', instruction: 'Add isEven', answer: 'Added it', patch: null });
+    const session = store.appendTurn('abc-123', { endpoint: '/assist', instruction: 'Handle null', answer: 'Done', patch: null });
+
+    expect(session.turns.map(t => t.instruction)).to.deep.equal(['Add isEven', 'Handle null']);
+    expect(store.get('abc-123')).to.deep.equal(session);
+    expect(fs.readdirSync(path.join(sessionsDir, 'sessions'))).to.deep.equal(['abc-123.json']);
+  });
+
+  it('should delete sessions', () => {
+    store.appendTurn('gone', { instruction: 'x', answer: 'y' });
+    expect(store.delete('gone')).to.equal(true);
+    expect(store.delete('gone')).to.equal(false);
+    expect(store.get('gone')).to.equal(null);
+  });
+
+  it('should reject ids that are not plain file names', () => {
+    expect(isValidSessionId('../../etc/passwd')).to.equal(false);
+    expect(isValidSessionId('')).to.equal(false);
+    expect(() => store.get('../secrets')).to.throw('Invalid sessionId');
+  });
+
+  it('should replay turns as user and assistant messages including the patch', () => {
+    const messages = turnToMessages({
+      instruction: 'Add isEven',
+      answer: 'Added isEven',
+      patch: { format: 'unified-diff', content: '+const isEven = n => n % 2 === 0;' },
+    });
+
+    expect(messages[0]).to.deep.equal({ role: 'user', content: 'Add isEven' });
+    expect(messages[1].role).to.equal('assistant');
+    expect(messages[1].content).to.include('PATCH_START\n+const isEven');
+  });
+
+  it('should keep the newest turns that fit in the history budget', () => {
+    const turns = ['first', 'second', 'third'].map(name => [
+      { role: 'user', content: `${name} ${'x'.repeat(60)}` },
+      { role: 'assistant', content: 'ok' },
+    ]);
+
+    const history = trimHistory(turns, 50);
+    expect(history.turns).to.equal(2);
+    expect(history.droppedTurns).to.equal(1);
+    expect(history.messages[0].content).to.match(/^second/);
+    expect(history.messages).to.have.length(4);
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import {
+  parseNumstat,
+  truncateDiff,
+  parseSuggestion,
+  formatCommitMessage,
+  formatPrDescription,
+  suggestBranchName,
+} from '../adapter/commits/suggestion.js';
+import { renderPrompt } from '../adapter/prompts/templates.js';
+
+function reply(suggestion) {
+  return `<ANSWER>\nAdds isEven.\n---\nSUGGESTION_START\n${JSON.stringify(suggestion, null, 2)}\nSUGGESTION_END`;
+}
+
+describe('Commit suggestions', () => {
+  it('should turn the LLM suggestion into a conventional commit message', () => {
+    const suggestion = parseSuggestion(reply({
+      type: 'feat',
+      scope: 'math',
+      breaking: false,
+      description: 'Add isEven helper.',
+      body: 'Callers no longer need to test n % 2 themselves.',
+      summary: 'Adds isEven to math.js.',
+      testing: 'New cases in test/math.spec.js.',
+      risks: 'None.',
+    }));
+
+    expect(suggestion).to.include({ type: 'feat', scope: 'math', breaking: false, description: 'add isEven helper' });
+    expect(formatCommitMessage(suggestion)).to.deep.equal({
+      subject: 'feat(math): add isEven helper',
+      message: 'feat(math): add isEven helper\n\nCallers no longer need to test n % 2 themselves.',
+    });
+    expect(suggestBranchName(suggestion)).to.equal('feat/add-iseven-helper');
+  });
+
+  it('should split a description that already has a header and mark breaking changes', () => {
+    const suggestion = parseSuggestion(reply({
+      type: 'update',
+      description: 'refactor(api)!: rename createPR to openPullRequest',
+      risks: 'Callers of createPR must switch to openPullRequest.',
+    }));
+
+    expect(suggestion).to.include({ type: 'refactor', scope: 'api', breaking: true, description: 'rename createPR to openPullRequest' });
+    expect(formatCommitMessage(suggestion).message).to.equal(
+      'refactor(api)!: rename createPR to openPullRequest\n\nBREAKING CHANGE: Callers of createPR must switch to openPullRequest.'
+    );
+    expect(parseSuggestion(reply({ type: 'misc', description: 'Tidy up' }))).to.include({ type: 'chore', description: 'tidy up' });
+    expect(parseSuggestion(reply({ type: 'docs', description: 'API docs for /create-pr' })).description).to.equal('API docs for /create-pr');
+  });
+
+  it('should return null for replies without a usable suggestion', () => {
+    expect(parseSuggestion('Here is a commit message: fix stuff')).to.equal(null);
+    expect(parseSuggestion('SUGGESTION_START\n{ not json }\nSUGGESTION_END')).to.equal(null);
+    expect(parseSuggestion(reply({ type: 'fix', description: '' }))).to.equal(null);
+  });
+
+  it('should write the PR description with summary, testing and risk sections', () => {
+    const description = formatPrDescription(parseSuggestion(reply({
+      type: 'fix',
+      description: 'handle empty lists in sum',
+      body: 'sum([]) returned NaN.',
+      testing: 'Added a test for an empty list.',
+    })));
+
+    expect(description).to.equal(
+      '## Summary\n\nsum([]) returned NaN.\n\n## Testing\n\nAdded a test for an empty list.\n\n## Risks\n\nNone identified.'
+    );
+  });
+
+  it('should read staged file stats and cut large diffs at file boundaries', () => {
+    expect(parseNumstat('4\t1\tsrc/math.js\n-\t-\tdocs/logo.png\n')).to.deep.equal([
+      { file: 'src/math.js', additions: 4, deletions: 1 },
+      { file: 'docs/logo.png', additions: null, deletions: null },
+    ]);
+
+    const fileDiff = name => `diff --git a/${name} b/${name}\n--- a/${name}\n+++ b/${name}\n@@ -1 +1 @@\n-${'x'.repeat(200)}\n+${'y'.repeat(200)}\n`;
+    const diff = ['a.js', 'b.js', 'c.js'].map(fileDiff).join('');
+    expect(truncateDiff(diff, 10000)).to.deep.equal({ diff, truncated: false, omittedFiles: 0 });
+
+    const cut = truncateDiff(diff, 300);
+    expect(cut).to.include({ truncated: true, omittedFiles: 1 });
+    expect(cut.diff).to.equal(fileDiff('a.js') + fileDiff('b.js'));
+    expect(truncateDiff(diff, 20).diff.length).to.be.within(1, 100);
+
+    const prompt = renderPrompt('suggest-commit.user', { source: 'staged changes', files: '- a.js (+1 -1)', diff: cut.diff, diffNote: 'cut to fit the prompt' });
+    expect(prompt).to.include('Diff (cut to fit the prompt):').and.not.include('Recent commit subjects');
+  });
+});
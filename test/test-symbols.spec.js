@@ -0,0 +1,88 @@
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import { extractSymbols } from '../adapter/retrieval/symbols.js';
+import { chunkFile } from '../adapter/retrieval/chunker.js';
+
+const source = `import { db } from './db';
+
+/**
+ * Check a number
+ */
+export function isEven(n: number): boolean {
+  return n % 2 === 0;
+}
+
+export const MAX_USERS = 100;
+const double = (n) => n * 2;
+
+export class UserStore extends Store {
+  #cache = new Map();
+
+  async save(user: User): Promise<void> {
+    await db.put(user);
+  }
+}
+
+exports.legacy = function (a) {};
+`;
+
+describe('Symbol extraction', () => {
+  it('should list functions, classes, methods and exported constants with signatures', () => {
+    const symbols = extractSymbols(source, 'src/users.ts');
+
+    expect(symbols.map(s => [s.name, s.kind, s.exported])).to.deep.equal([
+      ['isEven', 'function', true],
+      ['MAX_USERS', 'constant', true],
+      ['double', 'function', false],
+      ['UserStore', 'class', true],
+      ['legacy', 'function', true],
+    ]);
+    expect(symbols[0]).to.include({ signature: 'function isEven(n: number): boolean', line: 6, startLine: 3, endLine: 8 });
+    expect(symbols[2].signature).to.equal('const double = (n) =>');
+    expect(symbols[3].signature).to.equal('class UserStore extends Store');
+    expect(symbols[3].members).to.have.length(1);
+    expect(symbols[3].members[0]).to.include({ name: 'UserStore.save', kind: 'method', signature: 'async save(user: User): Promise<void>' });
+  });
+
+  it('should not extract symbols from unsupported or unparsable files', () => {
+    expect(extractSymbols('def is_even(n):\n    return n % 2 == 0\n', 'math.py')).to.equal(null);
+    expect(extractSymbols('function (', 'broken.js')).to.equal(null);
+  });
+
+  it('should chunk whole symbols and window the code between them', () => {
+    const chunks = chunkFile(source, 'src/users.ts');
+    const summary = chunks.map(c => [c.startLine, c.endLine, (c.symbols || []).map(s => s.name)]);
+
+    expect(summary).to.deep.equal([
+      [1, 1, []],
+      [3, 11, ['isEven', 'MAX_USERS', 'double']],
+      [13, 21, ['UserStore', 'UserStore.save', 'legacy']],
+    ]);
+    expect(chunks[2].text).to.match(/^export class UserStore[\s\S]*\n}\n\nexports\.legacy/);
+    expect(chunks[2].symbols[1]).to.deep.equal({
+      name: 'UserStore.save',
+      kind: 'method',
+      signature: 'async save(user: User): Promise<void>',
+      line: 16,
+    });
+  });
+
+  it('should split a long class into its methods', () => {
+    const body = Array.from({ length: 70 }, (_, i) => `    total += ${i};`).join('\n');
+    const longClass = `class Report {\n  header = 'x';\n\n  build() {\n${body}\n  }\n\n  render() {\n${body}\n  }\n}\n`;
+
+    const chunks = chunkFile(longClass, 'report.js');
+    expect(chunks.map(c => (c.symbols || []).map(s => s.name))).to.deep.equal([
+      ['Report'],
+      ['Report', 'Report.build'],
+      ['Report', 'Report.render'],
+      [],
+    ]);
+    expect(chunks[1]).to.include({ startLine: 4, endLine: 75 });
+  });
+
+  it('should fall back to line windows for other languages', () => {
+    const chunks = chunkFile('# Title\n\nSome docs.\n', 'README.md');
+    expect(chunks).to.deep.equal([{ startLine: 1, endLine: 3, text: '# Title\n\nSome docs.' }]);
+  });
+});
@@ -0,0 +1,142 @@
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { reporterArgs, parseTestReport, readTestReport } from '../shared/testing/testReports.js';
+import { buildTestCommand } from '../shared/testing/testCommand.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+describe('Structured test reports', () => {
+  const rootDir = '/work/app';
+
+  it('should add reporter flags to the runner command', () => {
+    const npmScript = { runner: 'npm', framework: 'jest', command: 'npm test', script: 'jest' };
+    expect(buildTestCommand(npmScript, { reportFile: '/tmp/r.json' })).to.deep.equal({
+      command: 'npm test',
+      args: ['--', '--json', '--outputFile=/tmp/r.json', '--testLocationInResults'],
+      reporter: true,
+    });
+    expect(buildTestCommand({ runner: 'pnpm', framework: 'mocha', command: 'pnpm test', script: 'mocha' }, { reportFile: '/tmp/r.json' }).args)
+      .to.deep.equal(['--reporter=json', '--reporter-option=output=/tmp/r.json']);
+    expect(reporterArgs('pytest', '/tmp/r.xml')).to.deep.equal(['--junitxml=/tmp/r.xml', '-o', 'junit_family=xunit1']);
+    expect(buildTestCommand({ ...npmScript, script: 'jest && eslint .' }, { reportFile: '/tmp/r.json' }))
+      .to.deep.equal({ command: 'npm test', args: [], reporter: false });
+    expect(buildTestCommand({ runner: 'go', framework: 'go', command: 'go test ./...', script: null }, { reportFile: '/tmp/r' }).reporter).to.equal(false);
+  });
+
+  it('should read failures with file and assertion line from a jest report', () => {
+    const report = {
+      numTotalTests: 3, numPassedTests: 1, numFailedTests: 1, numPendingTests: 0, numTodoTests: 1,
+      startTime: 1000,
+      testResults: [{
+        name: '/work/app/test/math.test.js',
+        status: 'failed',
+        endTime: 1850,
+        assertionResults: [
+          { fullName: 'math adds', status: 'passed', duration: 2, failureMessages: [] },
+          {
+            fullName: 'math isEven handles strings',
+            status: 'failed',
+            duration: 3,
+            location: { line: 12, column: 3 },
+            failureMessages: ['\u001b[2mexpect(\u001b[22mreceived).toBe(expected)\n\nExpected: true\nReceived: false\n    at Object.<anonymous> (/work/app/test/math.test.js:14:30)\n    at node_modules/jest-circus/build/utils.js:298:28'],
+          },
+        ],
+      }, {
+        name: '/work/app/test/broken.test.js',
+        status: 'failed',
+        endTime: 1500,
+        message: 'SyntaxError: Unexpected token (3:1)\n    at /work/app/test/broken.test.js:3:1',
+        assertionResults: [],
+      }],
+    };
+
+    const results = parseTestReport('jest', JSON.stringify(report), { rootDir });
+    expect(results.totals).to.deep.equal({ total: 3, passed: 1, failed: 1, skipped: 1 });
+    expect(results.durationMs).to.equal(850);
+    expect(results.failures).to.deep.equal([
+      {
+        name: 'math isEven handles strings',
+        file: 'test/math.test.js',
+        line: 14,
+        message: 'expect(received).toBe(expected)\n\nExpected: true\nReceived: false',
+        durationMs: 3,
+      },
+      { name: 'Test suite failed to run', file: 'test/broken.test.js', line: 3, message: 'SyntaxError: Unexpected token (3:1)', durationMs: null },
+    ]);
+  });
+
+  it('should read failures from a pytest JUnit report', () => {
+    const xml = `<?xml version="1.0" encoding="utf-8"?>
+<testsuites><testsuite name="pytest" errors="1" failures="1" skipped="1" tests="5" time="0.250">
+<testcase classname="tests.test_math" name="test_add" file="tests/test_math.py" line="3" time="0.001" />
+<testcase classname="tests.test_math" name="test_even" file="tests/test_math.py" line="6" time="0.012"><failure message="assert False&#10; +  where False = is_even(&apos;2&apos;)">def test_even():
+&gt;       assert is_even("2")
+E       assert False
+
+tests/test_math.py:8: AssertionError</failure></testcase>
+<testcase classname="tests.test_db" name="test_conn" file="tests/test_db.py" line="10" time="0.002"><error message="failed on setup with &quot;OSError&quot;">fixture error</error></testcase>
+<testcase classname="tests.test_db" name="test_skip" file="tests/test_db.py" line="20" time="0"><skipped message="later" /></testcase>
+</testsuite></testsuites>`;
+
+    const results = parseTestReport('pytest', xml, { rootDir });
+    expect(results.totals).to.deep.equal({ total: 5, passed: 2, failed: 2, skipped: 1 });
+    expect(results.durationMs).to.equal(250);
+    expect(results.failures).to.deep.equal([
+      {
+        name: 'tests.test_math::test_even',
+        file: 'tests/test_math.py',
+        line: 8,
+        message: "assert False\n +  where False = is_even('2')",
+        durationMs: 12,
+      },
+      { name: 'tests.test_db::test_conn', file: 'tests/test_db.py', line: 11, message: 'failed on setup with "OSError"', durationMs: 2 },
+    ]);
+  });
+
+  it('should return null for reports that cannot be parsed', () => {
+    expect(parseTestReport('jest', 'not json')).to.equal(null);
+    expect(parseTestReport('mocha', '{}')).to.equal(null);
+    expect(parseTestReport('pytest', '')).to.equal(null);
+    expect(readTestReport('mocha', '/nonexistent/report.json', { stdout: 'no report here' })).to.equal(null);
+  });
+
+  it('should parse the report of a real mocha run', function () {
+    this.timeout(20000);
+    const repoPath = fs.mkdtempSync(path.join(os.tmpdir(), 'devskin-report-test-'));
+    const reportFile = path.join(repoPath, 'report.json');
+    fs.writeFileSync(path.join(repoPath, 'math.spec.cjs'), [
+      "const assert = require('assert');",
+      "describe('math', () => {",
+      "  it('adds', () => assert.strictEqual(1 + 1, 2));",
+      "  it('subtracts', () => {",
+      '    assert.strictEqual(2 - 1, 3);',
+      '  });',
+      "  it.skip('divides', () => {});",
+      '});',
+      '',
+    ].join('\n'));
+
+    try {
+      const mocha = path.join(__dirname, '..', 'node_modules', '.bin', 'mocha');
+      const { command, args } = buildTestCommand({ runner: 'mocha', framework: 'mocha', command: `${mocha} --no-config`, script: null }, { reportFile });
+      try {
+        execSync(`${command} ${args.join(' ')} math.spec.cjs`, { cwd: repoPath, stdio: 'pipe' });
+      } catch (err) {
+        // One test fails
+      }
+
+      const results = readTestReport('mocha', reportFile, { rootDir: repoPath });
+      expect(results.totals).to.deep.equal({ total: 3, passed: 1, failed: 1, skipped: 1 });
+      expect(results.failures).to.have.length(1);
+      expect(results.failures[0]).to.include({ name: 'math subtracts', file: 'math.spec.cjs', line: 5 });
+      expect(results.failures[0].message).to.match(/1 !== 3/);
+    } finally {
+      fs.rmSync(repoPath, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, it, afterEach } from 'mocha';
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFileSync, execSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { buildTestCommand, testFilterError, isTestFile, listTestFiles } from '../shared/testing/testCommand.js';
+import { readTestReport } from '../shared/testing/testReports.js';
+import { CodeIndex } from '../adapter/retrieval/codeIndex.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+describe('Test selection', () => {
+  const repos = [];
+
+  function makeRepo(files) {
+    const repoPath = fs.mkdtempSync(path.join(os.tmpdir(), 'devskin-selection-'));
+    for (const [file, content] of Object.entries(files)) {
+      fs.mkdirSync(path.join(repoPath, path.dirname(file)), { recursive: true });
+      fs.writeFileSync(path.join(repoPath, file), content);
+    }
+    repos.push(repoPath);
+    return repoPath;
+  }
+
+  afterEach(() => {
+    repos.splice(0).forEach(repoPath => fs.rmSync(repoPath, { recursive: true, force: true }));
+  });
+
+  it("should pass files and grep with each framework's own flags", () => {
+    const select = { files: ['./test/math.test.js'], grep: 'adds numbers' };
+
+    expect(buildTestCommand({ runner: 'npm', framework: 'jest', command: 'npm test', script: 'jest --ci' }, select))
+      .to.deep.equal({ command: 'npm test', args: ['--', '--testNamePattern=adds numbers', '--runTestsByPath', 'test/math.test.js'], reporter: false });
+    expect(buildTestCommand({ runner: 'vitest', framework: 'vitest', command: 'npx vitest run', script: null }, select).args)
+      .to.deep.equal(['--testNamePattern=adds numbers', 'test/math.test.js']);
+    expect(buildTestCommand({ runner: 'pytest', framework: 'pytest', command: 'pytest', script: null }, { files: ['tests/test_math.py::test_add'], grep: 'add and not slow' }).args)
+      .to.deep.equal(['-k', 'add and not slow', 'tests/test_math.py::test_add']);
+
+    const go = { runner: 'go', framework: 'go', command: 'go test ./...', script: null };
+    expect(buildTestCommand(go, { files: ['pkg/math/add_test.go', 'pkg/math/sub_test.go', 'main_test.go'], grep: 'TestAdd' }))
+      .to.deep.equal({ command: 'go test', args: ['-run=TestAdd', './pkg/math', '.'], reporter: false });
+    expect(buildTestCommand(go, { grep: 'TestAdd' })).to.deep.equal({ command: 'go test ./...', args: ['-run=TestAdd'], reporter: false });
+  });
+
+  it('should refuse to filter scripts that run several commands or unknown frameworks', () => {
+    const compound = { runner: 'npm', framework: 'jest', command: 'npm test', script: 'eslint . && jest' };
+    expect(testFilterError(compound)).to.match(/runs several commands.*runner "jest"/);
+    expect(() => buildTestCommand(compound, { grep: 'math' })).to.throw(/runs several commands/);
+    expect(buildTestCommand(compound).args).to.deep.equal([]);
+
+    expect(testFilterError({ runner: 'yarn', framework: null, command: 'yarn test', script: 'node test.js' }))
+      .to.match(/Cannot select tests for runner "yarn"/);
+    expect(testFilterError({ runner: 'pnpm', framework: 'vitest', command: 'pnpm test', script: 'vitest run' })).to.equal(null);
+  });
+
+  it('should recognise test files by name and directory', () => {
+    expect(['src/math.test.ts', 'src/ui/Button.spec.jsx', 'src/__tests__/store.js', 'test/helpers.cjs',
+      'tests/test_math.py', 'app/models_test.py', 'pkg/add_test.go'].every(isTestFile)).to.equal(true);
+    expect(['src/math.ts', 'src/testing/utils.js', 'tests/conftest.py', 'README.md'].some(isTestFile)).to.equal(false);
+
+    const repoPath = makeRepo({
+      'src/math.js': '',
+      'src/math.test.js': '',
+      'test/a.spec.cjs': '',
+      'node_modules/dep/test/index.js': '',
+      '.cache/old.test.js': '',
+    });
+    expect(listTestFiles(repoPath)).to.deep.equal(['src/math.test.js', 'test/a.spec.cjs']);
+  });
+
+  it('should run only the selected mocha files even when .mocharc names a spec', function () {
+    this.timeout(20000);
+    const repoPath = makeRepo({
+      '.mocharc.json': JSON.stringify({ spec: 'test/*.spec.cjs' }),
+      'test/a.spec.cjs': "describe('a', () => { it('fails', () => { throw new Error('ran a'); }); });\n",
+      'test/b.spec.cjs': "describe('b', () => { it('adds numbers', () => {}); it('subtracts', () => {}); });\n",
+      'test/c.spec.cjs': "describe('c', () => { it('adds numbers', () => {}); });\n",
+    });
+    const reportFile = path.join(repoPath, 'report.json');
+    const mocha = path.join(__dirname, '..', 'node_modules', '.bin', 'mocha');
+
+    const { command, args } = buildTestCommand({ runner: 'mocha', framework: 'mocha', command: mocha, script: null }, {
+      reportFile,
+      files: ['test/b.spec.cjs'],
+      grep: 'adds numbers',
+      testFiles: listTestFiles(repoPath),
+    });
+    execFileSync(command, args, { cwd: repoPath, stdio: 'pipe' });
+
+    const results = readTestReport('mocha', reportFile, { rootDir: repoPath });
+    expect(results.totals).to.deep.equal({ total: 1, passed: 1, failed: 0, skipped: 0 });
+  });
+
+  it('should find the test files that depend on changed modules through the import graph', async () => {
+    const repoPath = makeRepo({
+      'src/math.js': 'export const add = (a, b) => a + b;\n',
+      'src/stats.js': "import { add } from './math.js';\nexport const sum = list => list.reduce(add, 0);\n",
+      'src/strings.js': 'export const upper = text => text.toUpperCase();\n',
+      'test/stats.spec.js': "import { sum } from '../src/stats.js';\n",
+      'test/strings.spec.js': "import { upper } from '../src/strings.js';\n",
+    });
+    execSync('git init -q && git add -A', { cwd: repoPath });
+
+    const index = new CodeIndex(repoPath, path.join(repoPath, '.index'));
+    await index.refresh();
+    expect(index.getDependents(['src/math.js'])).to.deep.equal(['src/stats.js', 'test/stats.spec.js']);
+    expect(index.getDependents(['src/strings.js'])).to.deep.equal(['test/strings.spec.js']);
+    expect(index.getDependents(['test/strings.spec.js'])).to.deep.equal([]);
+  });
+});
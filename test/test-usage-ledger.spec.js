@@ -0,0 +1,102 @@
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadPriceTable, getModelPrice, costOf } from '../adapter/llm/pricing.js';
+import { UsageLedger } from '../adapter/usage/usageLedger.js';
+
+const call = (endpoint, model, sessionId, inputTokens, outputTokens, now) => ({
+  endpoint,
+  sessionId,
+  provider: 'openai',
+  model,
+  usage: { inputTokens, outputTokens },
+  now: new Date(now),
+});
+
+describe('Usage accounting', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'devskin-usage-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('prices', () => {
+    it('should match dated model names to the longest known prefix', () => {
+      expect(getModelPrice('gpt-4o-mini-2024-07-18')).to.deep.equal({ input: 0.15, output: 0.6 });
+      expect(getModelPrice('gpt-4o-2024-08-06')).to.deep.equal({ input: 2.5, output: 10 });
+      expect(getModelPrice('llama3.1:8b')).to.equal(null);
+      expect(costOf({ inputTokens: 1000000, outputTokens: 500000 }, { input: 2.5, output: 10 })).to.equal(7.5);
+    });
+
+    it('should let a price file add models and override built-in prices', () => {
+      const pricesFile = path.join(tmpDir, 'prices.json');
+      fs.writeFileSync(pricesFile, JSON.stringify({ 'llama3.1': { input: 0, output: 0 }, 'gpt-4o': { input: 2, output: 8 } }));
+
+      const table = loadPriceTable(pricesFile);
+      expect(getModelPrice('llama3.1:8b', table)).to.deep.equal({ input: 0, output: 0 });
+      expect(getModelPrice('gpt-4o-2024-08-06', table)).to.deep.equal({ input: 2, output: 8 });
+      expect(getModelPrice('gpt-4o-mini', table)).to.deep.equal({ input: 0.15, output: 0.6 });
+
+      fs.writeFileSync(pricesFile, JSON.stringify({ 'my-model': { input: '1' } }));
+      expect(() => loadPriceTable(pricesFile)).to.throw('Invalid price for "my-model"');
+    });
+  });
+
+  describe('ledger', () => {
+    it('should aggregate calls by day, endpoint, model and session', () => {
+      const ledger = new UsageLedger(tmpDir);
+      ledger.record(call('/assist', 'gpt-4o', 'alice', 1000, 200, '2024-03-01T09:00:00Z'));
+      ledger.record(call('/review-patch', 'gpt-4o', 'alice', 3000, 400, '2024-03-01T10:00:00Z'));
+      ledger.record(call('/assist', 'gpt-4o-mini', undefined, 10000, 1000, '2024-03-02T09:00:00Z'));
+      ledger.record(call('/assist', 'llama3.1', 'bob', 500, 50, '2024-03-02T11:00:00Z'));
+
+      const summary = ledger.summarize();
+      expect(summary.totals).to.deep.equal({
+        requests: 4,
+        inputTokens: 14500,
+        outputTokens: 1650,
+        totalTokens: 16150,
+        cost: 0.0181, // 0.0045 + 0.0115 + 0.0021; llama3.1 has no price
+        unpriced: 1,
+      });
+      expect(Object.keys(summary.byDay)).to.deep.equal(['2024-03-01', '2024-03-02']);
+      expect(summary.byDay['2024-03-01'].cost).to.equal(0.016);
+      expect(summary.byEndpoint['/assist'].requests).to.equal(3);
+      expect(summary.byModel['gpt-4o-mini'].cost).to.equal(0.0021);
+      expect(summary.bySession).to.have.keys('alice', 'bob', 'none');
+
+      const alice = ledger.summarize({ sessionId: 'alice', from: '2024-03-01', to: '2024-03-01' });
+      expect(alice.totals).to.include({ requests: 2, cost: 0.016 });
+      expect(ledger.summarize({ from: '2024-03-02', endpoint: '/assist' }).totals.requests).to.equal(2);
+    });
+
+    it('should report the daily and per-session budgets once they are spent', () => {
+      const ledger = new UsageLedger(tmpDir, { dailyBudget: 0.05, sessionDailyBudget: 0.02 });
+      const now = new Date('2024-03-01T12:00:00Z');
+
+      ledger.record(call('/assist', 'gpt-4o', 'alice', 4000, 1000, now)); // $0.02
+      expect(ledger.checkBudget('alice', now)).to.deep.equal({
+        scope: 'session',
+        limit: 0.02,
+        spent: 0.02,
+        resetAt: '2024-03-02T00:00:00.000Z',
+      });
+      expect(ledger.checkBudget('bob', now)).to.equal(null);
+
+      ledger.record(call('/assist', 'gpt-4o', 'bob', 4000, 1000, now));
+      ledger.record(call('/assist', 'gpt-4o', 'carol', 4000, 1000, now));
+      expect(ledger.checkBudget('dave', now)).to.include({ scope: 'daily', limit: 0.05 });
+
+      // Spend is read back from disk, and a new day starts with a clean slate
+      const reopened = new UsageLedger(tmpDir, { dailyBudget: 0.05 });
+      expect(reopened.checkBudget('dave', now)).to.include({ scope: 'daily', spent: 0.06 });
+      expect(reopened.checkBudget('dave', new Date('2024-03-02T00:00:01Z'))).to.equal(null);
+    });
+  });
+});
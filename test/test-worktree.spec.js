@@ -0,0 +1,81 @@
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { GitWorktree } from '../adapter/patch/worktree.js';
+
+const git = (cwd, ...args) => execFileSync('git', args, { cwd, encoding: 'utf-8' });
+
+describe('Patch worktrees', () => {
+  let repoDir;
+
+  beforeEach(() => {
+    repoDir = fs.mkdtempSync(path.join(os.tmpdir(), 'devskin-worktree-repo-'));
+    fs.mkdirSync(path.join(repoDir, 'pkg/src'), { recursive: true });
+    fs.mkdirSync(path.join(repoDir, 'pkg/node_modules/dep'), { recursive: true });
+    fs.writeFileSync(path.join(repoDir, '.gitignore'), 'node_modules/\n');
+    fs.writeFileSync(path.join(repoDir, 'pkg/src/a.js'), 'export const a = 1;\n');
+    git(repoDir, 'init', '-q');
+    git(repoDir, 'add', '-A');
+    git(repoDir, '-c', 'user.name=test', '-c', 'user.email=test@example.com', 'commit', '-qm', 'init');
+    // Uncommitted change in the checkout
+    fs.writeFileSync(path.join(repoDir, 'pkg/src/a.js'), 'export const a = 99;\n');
+  });
+
+  afterEach(() => {
+    fs.rmSync(repoDir, { recursive: true, force: true });
+  });
+
+  it('should apply a patch to HEAD in a worktree and leave the checkout alone', async () => {
+    const worktree = await GitWorktree.create(path.join(repoDir, 'pkg'));
+    try {
+      expect(path.basename(worktree.dir)).to.equal('pkg');
+      expect(fs.lstatSync(path.join(worktree.dir, 'node_modules')).isSymbolicLink()).to.equal(true);
+
+      const applied = worktree.applyPatch({
+        format: 'unified-diff',
+        content: '--- a/src/a.js\n+++ b/src/a.js\n@@ -1 +1 @@\n-export const a = 1;\n+export const a = 2;\n',
+      });
+
+      expect(applied).to.include({ applicable: true });
+      expect(applied.written).to.deep.equal(['src/a.js']);
+      expect(fs.readFileSync(path.join(worktree.dir, 'src/a.js'), 'utf-8')).to.equal('export const a = 2;\n');
+      expect(fs.readFileSync(path.join(repoDir, 'pkg/src/a.js'), 'utf-8')).to.equal('export const a = 99;\n');
+    } finally {
+      await worktree.remove();
+    }
+
+    expect(fs.existsSync(worktree.root)).to.equal(false);
+    expect(git(repoDir, 'worktree', 'list').trim().split('\n')).to.have.length(1);
+    expect(fs.existsSync(path.join(repoDir, 'pkg/node_modules/dep'))).to.equal(true);
+  });
+
+  it('should report patches that do not apply without writing', async () => {
+    const worktree = await GitWorktree.create(repoDir);
+    try {
+      const applied = worktree.applyPatch({
+        format: 'json',
+        content: { files: [{ path: 'pkg/src/a.js', operation: 'modify', hunks: [{ oldStart: 1, lines: ['-export const a = 99;', '+x'] }] }] },
+      });
+
+      expect(applied.applicable).to.equal(false);
+      expect(applied.written).to.deep.equal([]);
+      expect(applied.files[0].error).to.equal('Context lines do not match the file contents');
+    } finally {
+      await worktree.remove();
+    }
+  });
+
+  it('should refuse directories outside a git repository', async () => {
+    const plainDir = fs.mkdtempSync(path.join(os.tmpdir(), 'devskin-not-git-'));
+    try {
+      let caught = null;
+      await GitWorktree.create(plainDir).catch((err) => { caught = err; });
+      expect(caught.message).to.include('Not a git repository');
+    } finally {
+      fs.rmSync(plainDir, { recursive: true, force: true });
+    }
+  });
+});